@@ -15,6 +15,9 @@ const authRoutes = require('./routes/authRoutes');
 // Import tenant detection middleware
 const { tenantDetection, validateTenant, getTenantInfo } = require('./middleware/tenantDetection');
 
+// Import audit trail middleware
+const { auditTrail } = require('./middleware/auditTrail');
+
 // Custom validation utilities to replace vulnerable express-validator
 const customValidators = {
   isEmail: (value) => {
@@ -185,8 +188,9 @@ const corsOptions = {
     : ['http://localhost:3003', 'http://localhost:4004'],
   credentials: process.env.CORS_CREDENTIALS === 'true',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Tenant-ID', 'X-Request-ID'],
-  exposedHeaders: ['X-Request-ID', 'X-Response-Time', 'X-Rate-Limit-Remaining'],
+  // X-Experience-API-* are sent and read by xAPI content
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Tenant-ID', 'X-Request-ID', 'X-Experience-API-Version'],
+  exposedHeaders: ['X-Request-ID', 'X-Response-Time', 'X-Rate-Limit-Remaining', 'X-Experience-API-Version', 'X-Experience-API-Consistent-Through'],
   maxAge: 86400 // 24 hours
 };
 app.use(cors(corsOptions));
@@ -377,6 +381,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Audit trail for mutating requests
+app.use(auditTrail());
+
 // Routes
 app.use('/health', healthRoutes);
 app.use('/api/health', healthRoutes);
@@ -391,19 +398,20 @@ app.get('/api/tenant', tenantDetection, getTenantInfo);
 try {
   // Import and mount comprehensive routes
   const tenantRoutes = require('./routes/tenantRoutes');
+  const tenantManagementRoutes = require('./routes/tenantManagementRoutes');
   const activityRoutes = require('./routes/activityRoutes');
   const contentRoutes = require('./routes/contentRoutes');
   const trainingRoutes = require('./routes/trainingRoutes');
-  const jobRoutes = require('./routes/jobRoutes');
   const userRoutes = require('./routes/userRoutes');
   const notificationRoutes = require('./routes/notificationRoutes');
   
   // Mount routes with proper prefixes
+  // Tenant management first so /tenants/export is not taken for a tenant ID
+  app.use('/api/v1/tenants', tenantManagementRoutes);
   app.use('/api/v1/tenants', tenantRoutes);
   app.use('/api/v1/activities', activityRoutes);
   app.use('/api/v1/content', contentRoutes);
   app.use('/api/v1/training', trainingRoutes);
-  app.use('/api/v1/jobs', jobRoutes);
   app.use('/api/v1/users', userRoutes);
   app.use('/api/v1/notifications', notificationRoutes);
   
@@ -413,6 +421,44 @@ try {
   console.log('Error details:', error.stack);
 }
 
+// Mount public careers feeds (no authentication)
+try {
+  const careersRoutes = require('./routes/careersRoutes');
+  app.use('/api/v1/careers', careersRoutes);
+  console.log('Careers routes mounted successfully');
+} catch (error) {
+  console.warn('Careers routes could not be loaded:', error.message);
+}
+
+// Mount job board and applicant tracking routes
+try {
+  const jobBoardRoutes = require('./routes/jobBoardRoutes');
+  const atsRoutes = require('./routes/atsRoutes');
+  app.use('/api/v1/jobs', jobBoardRoutes);
+  app.use('/api/v1/ats', atsRoutes);
+  console.log('Job board and ATS routes mounted successfully');
+} catch (error) {
+  console.warn('Job board and ATS routes could not be loaded:', error.message);
+}
+
+// Mount employee referral routes (the /r/:code redirect is public)
+try {
+  const referralRoutes = require('./routes/referralRoutes');
+  app.use('/api/v1/referrals', referralRoutes);
+  console.log('Referral routes mounted successfully');
+} catch (error) {
+  console.warn('Referral routes could not be loaded:', error.message);
+}
+
+// Mount AI assistant routes
+try {
+  const aiRoutes = require('./routes/aiRoutes');
+  app.use('/api/v1/ai', aiRoutes);
+  console.log('AI routes mounted successfully');
+} catch (error) {
+  console.warn('AI routes could not be loaded:', error.message);
+}
+
 // Mount new tenant-aware routes
 try {
   const tenantAwareRoutes = require('./routes/tenantAwareRoutes');
@@ -3,6 +3,10 @@ require('dotenv').config();
 
 const app = require('./app');
 const mongoose = require('mongoose');
+const jobAlertService = require('./services/JobAlertService');
+const jobLifecycleService = require('./services/JobLifecycleService');
+const candidateAccessService = require('./services/CandidateAccessService');
+const referralService = require('./services/ReferralService');
 
 const PORT = process.env.PORT || 4004;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -139,6 +143,26 @@ const startServer = async () => {
       console.log(`Using ${connectionResult || 'Local MongoDB'} for ${process.env.NODE_ENV} setup`);
     });
 
+    // Job alert digests; disable when a separate worker runs `npm run job-alerts`
+    if (connectionResult !== 'none' && process.env.JOB_ALERTS_ENABLED !== 'false') {
+      jobAlertService.start({ intervalMs: parseInt(process.env.JOB_ALERTS_INTERVAL_MS, 10) || undefined });
+    }
+
+    // Scheduled publishing, expiry and renewal reminders; `npm run job-lifecycle` for cron
+    if (connectionResult !== 'none' && process.env.JOB_LIFECYCLE_ENABLED !== 'false') {
+      jobLifecycleService.start({ intervalMs: parseInt(process.env.JOB_LIFECYCLE_INTERVAL_MS, 10) || undefined });
+    }
+
+    // Revokes expired candidate data grants; `npm run candidate-access` for cron
+    if (connectionResult !== 'none' && process.env.CANDIDATE_ACCESS_EXPIRY_ENABLED !== 'false') {
+      candidateAccessService.start({ intervalMs: parseInt(process.env.CANDIDATE_ACCESS_EXPIRY_INTERVAL_MS, 10) || undefined });
+    }
+
+    // Settles referral bonuses after probation; `npm run referral-bonuses` for cron
+    if (connectionResult !== 'none' && process.env.REFERRAL_BONUS_ENABLED !== 'false') {
+      referralService.start({ intervalMs: parseInt(process.env.REFERRAL_BONUS_INTERVAL_MS, 10) || undefined });
+    }
+
     // Handle server errors
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
@@ -162,6 +186,11 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received, shutting down gracefully...`);
   
   try {
+    jobAlertService.stop();
+    jobLifecycleService.stop();
+    candidateAccessService.stop();
+    referralService.stop();
+
     // Close database connection
     if (mongoose.connection.readyState === 1) {
       await mongoose.connection.close();
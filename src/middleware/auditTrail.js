@@ -0,0 +1,163 @@
+/**
+ * Audit Trail Middleware
+ * Records every mutating request (actor, resource, before/after diff,
+ * status and response time) into the AuditLog collection
+ */
+
+const mongoose = require('mongoose');
+const auditLogService = require('../services/AuditLogService');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const SKIPPED_PATHS = ['/health', '/api/health'];
+
+// URL segment -> model whose documents that segment addresses
+const RESOURCE_MODELS = {
+  users: 'User',
+  tenants: 'Tenant',
+  jobs: 'Job',
+  applications: 'JobApplication',
+  candidates: 'CandidateProfile',
+  posts: 'Post',
+  courses: 'TrainingCourse',
+  modules: 'TrainingModule',
+  assessments: 'TrainingAssessment',
+  sessions: 'TrainingSession'
+};
+
+const CATEGORY_BY_RESOURCE = {
+  auth: 'authentication',
+  users: 'user_management',
+  tenants: 'tenant_management',
+  polls: 'poll_management'
+};
+
+const VERBS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+const isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(value);
+
+/**
+ * Work out which resource a request addresses from its path, e.g.
+ * /api/v1/tenants/<id>/backup -> { type: 'tenants', id: <id>, operation: 'backup' }
+ */
+const parseResource = (path) => {
+  const segments = path.split('/').filter(Boolean);
+  while (segments.length && ['api', 'v1'].includes(segments[0])) {
+    segments.shift();
+  }
+
+  let resource = { type: segments[0] || 'root', id: null, operation: null };
+  segments.forEach((segment, index) => {
+    const next = segments[index + 1];
+    if (RESOURCE_MODELS[segment] && next && isObjectId(next)) {
+      resource = { type: segment, id: next, operation: null };
+    }
+  });
+
+  const last = segments[segments.length - 1];
+  if (last && last !== resource.type && last !== resource.id && !isObjectId(last)) {
+    resource.operation = last;
+  }
+  return resource;
+};
+
+const loadDocument = (resource) => {
+  const modelName = RESOURCE_MODELS[resource.type];
+  if (!resource.id || !modelName || !mongoose.modelNames().includes(modelName)) {
+    return Promise.resolve(null);
+  }
+  return mongoose.model(modelName).findById(resource.id).lean().exec();
+};
+
+/**
+ * Audit middleware factory
+ * Mount after body parsing and before the routes
+ */
+const auditTrail = (options = {}) => {
+  const enabled = options.enabled !== undefined
+    ? options.enabled
+    : process.env.AUDIT_LOG_ENABLED !== 'false';
+
+  return (req, res, next) => {
+    if (!enabled || !MUTATING_METHODS.includes(req.method) ||
+      SKIPPED_PATHS.some(path => req.path.startsWith(path))) {
+      return next();
+    }
+
+    const startTime = Date.now();
+    const resource = parseResource(req.path);
+
+    // Snapshot the document before the handler changes it. The read is sent
+    // now but not awaited, so the request is not held up by it; a handler
+    // that writes before the read is answered makes the diff come out empty.
+    const beforeLoad = loadDocument(resource).catch((error) => {
+      console.error('❌ Audit trail could not load resource:', error.message);
+      return null;
+    });
+
+    let responseBody;
+    const originalJson = res.json;
+    res.json = function(data) {
+      responseBody = data;
+      return originalJson.call(this, data);
+    };
+
+    res.on('finish', async () => {
+      try {
+        const before = await beforeLoad;
+        const succeeded = res.statusCode < 400;
+        let after = null;
+        if (succeeded && req.method !== 'DELETE') {
+          after = resource.id ? await loadDocument(resource) : req.body;
+        }
+
+        const createdId = req.method === 'POST' && responseBody && responseBody.data &&
+          (responseBody.data._id || responseBody.data.id);
+        const resourceId = resource.id || (createdId && isObjectId(String(createdId)) ? String(createdId) : null);
+
+        const authFailure = resource.type === 'auth' && [401, 403].includes(res.statusCode);
+        const action = `${resource.type}.${resource.operation || VERBS[req.method]}${succeeded ? '' : '_failed'}`;
+
+        await auditLogService.record({
+          tenant: req.user ? req.user.tenantId : (req.tenantId || req.tenantSlug),
+          userId: req.user ? req.user._id : null,
+          action,
+          category: CATEGORY_BY_RESOURCE[resource.type] || 'data_management',
+          subcategory: resource.operation || VERBS[req.method],
+          resourceType: resource.type,
+          resourceId,
+          changes: auditLogService.diff(before, after),
+          request: {
+            method: req.method,
+            url: req.originalUrl,
+            userAgent: req.get('user-agent'),
+            ipAddress: req.ip,
+            sessionId: req.sessionID,
+            requestId: req.requestId
+          },
+          response: {
+            statusCode: res.statusCode,
+            responseTime: Date.now() - startTime,
+            error: succeeded ? undefined : {
+              message: responseBody && (responseBody.message || responseBody.error),
+              code: String(res.statusCode)
+            }
+          },
+          flags: authFailure ? ['failed_authentication'] : []
+        });
+      } catch (error) {
+        console.error('❌ Failed to write audit log:', error.message);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditTrail
+};
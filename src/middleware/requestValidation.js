@@ -0,0 +1,213 @@
+/**
+ * Request Validation Middleware
+ * Custom field validation for routes (replaces express-validator, which was
+ * removed due to security vulnerabilities). Failures are answered with the
+ * same 400 body as the auth routes.
+ *
+ * A rule describes one field:
+ *   {
+ *     in: 'body' | 'query' | 'params',
+ *     field: 'items.*.courseId',  // dot path, * matches every array element;
+ *                                 // omit to check the whole location
+ *     required: true,             // undefined, null and '' count as missing
+ *     type: 'string' | 'int' | 'float' | 'boolean' | 'date' | 'mongoId' |
+ *           'uuid' | 'email' | 'url' | 'slug' | 'array' | 'object',
+ *     min, max,                   // numbers: value range; arrays: length
+ *     minLength, maxLength,       // strings
+ *     values: [...],              // allowed values
+ *     pattern: /regex/,
+ *     trim: true,                 // trims the string in place first
+ *     custom: (value, req) => boolean,
+ *     message: 'Custom error message'
+ *   }
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const EMAIL = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+const SLUG = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const INTEGER = /^[-+]?\d+$/;
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const isURL = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol);
+  } catch {
+    return false;
+  }
+};
+
+// value -> whether it has the type (query values arrive as strings)
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  int: value => (typeof value === 'number' && Number.isInteger(value)) || (typeof value === 'string' && INTEGER.test(value)),
+  float: value => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && NUMBER.test(value)),
+  boolean: value => typeof value === 'boolean' || ['true', 'false', '0', '1'].includes(value),
+  date: value => typeof value === 'string' && ISO_DATE.test(value) && !isNaN(Date.parse(value)),
+  mongoId: value => typeof value === 'string' && OBJECT_ID.test(value),
+  uuid: value => typeof value === 'string' && UUID.test(value),
+  email: value => typeof value === 'string' && EMAIL.test(value),
+  url: value => typeof value === 'string' && isURL(value),
+  slug: value => typeof value === 'string' && SLUG.test(value),
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be a string',
+  int: 'must be an integer',
+  float: 'must be a number',
+  boolean: 'must be true or false',
+  date: 'must be an ISO 8601 date',
+  mongoId: 'must be a valid ID',
+  uuid: 'must be a UUID',
+  email: 'must be a valid email address',
+  url: 'must be a valid http(s) URL',
+  slug: 'may only contain lowercase letters, numbers and hyphens',
+  array: 'must be an array',
+  object: 'must be an object'
+};
+
+/**
+ * Every value a dot path addresses, with its concrete path. A * segment
+ * expands to the elements of the array at that point; a missing array
+ * expands to nothing.
+ */
+function resolvePath(container, segments, prefix) {
+  if (segments.length === 0) {
+    return [{ path: prefix, value: container, parent: null, key: null }];
+  }
+
+  const [segment, ...rest] = segments;
+  if (segment === '*') {
+    if (!Array.isArray(container)) {
+      return [];
+    }
+    return container.reduce((found, element, index) => {
+      return found.concat(resolvePath(element, rest, `${prefix}[${index}]`));
+    }, []);
+  }
+
+  const isObject = container !== null && typeof container === 'object';
+  const value = isObject ? container[segment] : undefined;
+  const path = prefix ? `${prefix}.${segment}` : segment;
+  if (rest.length === 0) {
+    return [{ path, value, parent: isObject ? container : null, key: segment }];
+  }
+  return resolvePath(value, rest, path);
+}
+
+function checkValue(rule, value, req) {
+  const { type, min, max, minLength, maxLength, values, pattern, custom } = rule;
+
+  if (type && !TYPE_CHECKS[type](value)) {
+    return TYPE_MESSAGES[type];
+  }
+
+  if (type === 'int' || type === 'float') {
+    const number = Number(value);
+    if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+      return describeRange('must be', min, max);
+    }
+  }
+
+  if (type === 'array') {
+    if ((min !== undefined && value.length < min) || (max !== undefined && value.length > max)) {
+      return describeRange('must have', min, max, ' items');
+    }
+  }
+
+  if (typeof value === 'string') {
+    if ((minLength !== undefined && value.length < minLength) || (maxLength !== undefined && value.length > maxLength)) {
+      return describeRange('must be', minLength, maxLength, ' characters long');
+    }
+  }
+
+  if (values && !values.includes(value)) {
+    return `must be one of: ${values.join(', ')}`;
+  }
+
+  if (pattern && !(typeof value === 'string' && pattern.test(value))) {
+    return 'has an invalid format';
+  }
+
+  if (custom && !custom(value, req)) {
+    return 'is invalid';
+  }
+
+  return null;
+}
+
+function describeRange(verb, min, max, unit = '') {
+  if (min !== undefined && max !== undefined) {
+    return `${verb} between ${min} and ${max}${unit}`;
+  }
+  return min !== undefined ? `${verb} at least ${min}${unit}` : `${verb} at most ${max}${unit}`;
+}
+
+/**
+ * Collect { field, message } for every rule the request breaks
+ */
+function collectErrors(rules, req) {
+  const errors = [];
+
+  for (const rule of rules) {
+    const location = rule.in || 'body';
+    const segments = rule.field ? rule.field.split('.') : [];
+    const label = rule.field || location;
+
+    for (const target of resolvePath(req[location], segments, rule.field ? '' : location)) {
+      let value = target.value;
+
+      if (rule.trim && typeof value === 'string') {
+        value = value.trim();
+        if (target.parent) {
+          target.parent[target.key] = value;
+        }
+      }
+
+      if (isMissing(value)) {
+        if (rule.required) {
+          errors.push({ field: target.path || label, message: rule.message || `${label} is required` });
+        }
+        continue;
+      }
+
+      const problem = checkValue(rule, value, req);
+      if (problem) {
+        errors.push({ field: target.path || label, message: rule.message || `${label} ${problem}` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Middleware validating the request against rules; responds 400 with the
+ * list of problems or continues
+ */
+const validateFields = (rules) => {
+  return (req, res, next) => {
+    const errors = collectErrors(rules, req);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  validateFields,
+  collectErrors
+};
@@ -0,0 +1,37 @@
+/**
+ * AI Content Model
+ * Generated material saved to a user's content library
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const aiContentSchema = new Schema({
+  tenantId: { type: String, required: true },
+  userId: { type: String, required: true },
+  title: { type: String, required: true, trim: true, maxlength: 255 },
+  content: { type: String, required: true },
+  type: { type: String, trim: true },
+  category: { type: String, trim: true },
+  tags: [{ type: String, trim: true }],
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+  metadata: { type: Schema.Types.Mixed, default: {} }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+aiContentSchema.index({ tenantId: 1, userId: 1, updatedAt: -1 });
+aiContentSchema.index({ tenantId: 1, userId: 1, type: 1, category: 1 });
+aiContentSchema.index(
+  { title: 'text', content: 'text', tags: 'text' },
+  { weights: { title: 10, tags: 5, content: 1 }, name: 'ai_content_text' }
+);
+
+module.exports = mongoose.model('AIContent', aiContentSchema);
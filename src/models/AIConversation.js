@@ -0,0 +1,34 @@
+/**
+ * AI Conversation Model
+ * Chat history between a user and the AI assistant
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const messageSchema = new Schema({
+  id: { type: String, required: true },
+  content: { type: String, required: true },
+  type: { type: String, default: 'text' }, // 'user', 'ai', 'text', ...
+  metadata: { type: Schema.Types.Mixed, default: {} },
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+const aiConversationSchema = new Schema({
+  tenantId: { type: String, required: true },
+  userId: { type: String, required: true },
+  niche: { type: String, trim: true },
+  title: { type: String, trim: true, maxlength: 255 },
+  messages: [messageSchema],
+  messageCount: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+aiConversationSchema.index({ tenantId: 1, userId: 1, updatedAt: -1 });
+aiConversationSchema.index({ tenantId: 1, userId: 1, niche: 1 });
+
+module.exports = mongoose.model('AIConversation', aiConversationSchema);
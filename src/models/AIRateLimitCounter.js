@@ -0,0 +1,22 @@
+/**
+ * AI Rate Limit Counter Model
+ * Fixed-window request counters shared by every API instance;
+ * documents expire once their window is over
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const aiRateLimitCounterSchema = new Schema({
+  key: { type: String, required: true }, // tenantId:userId
+  window: { type: String, enum: ['minute', 'hour'], required: true },
+  windowStart: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+// Indexes
+aiRateLimitCounterSchema.index({ key: 1, window: 1, windowStart: 1 }, { unique: true });
+aiRateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AIRateLimitCounter', aiRateLimitCounterSchema);
@@ -0,0 +1,27 @@
+/**
+ * AI Template Model
+ * Reusable prompts with {variable} placeholders
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const aiTemplateSchema = new Schema({
+  tenantId: { type: String, required: true },
+  userId: { type: String, required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500 },
+  type: { type: String, trim: true },
+  platform: { type: String, trim: true },
+  prompt: { type: String, required: true },
+  variables: [{ type: String, trim: true }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+aiTemplateSchema.index({ tenantId: 1, userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AITemplate', aiTemplateSchema);
@@ -0,0 +1,30 @@
+/**
+ * AI Usage Stat Model
+ * Daily AI request and token counters per user
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const aiUsageStatSchema = new Schema({
+  tenantId: { type: String, required: true },
+  userId: { type: String, required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD (UTC)
+  totalRequests: { type: Number, default: 0 }, // LLM calls
+  contentGenerated: { type: Number, default: 0 },
+  conversations: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  byType: { type: Map, of: Number, default: {} }, // requests per content type
+  tokensByType: { type: Map, of: Number, default: {} },
+  tokensByProvider: { type: Map, of: Number, default: {} }
+}, {
+  timestamps: true
+});
+
+// Indexes
+aiUsageStatSchema.index({ tenantId: 1, userId: 1, date: 1 }, { unique: true });
+aiUsageStatSchema.index({ tenantId: 1, date: 1 });
+
+module.exports = mongoose.model('AIUsageStat', aiUsageStatSchema);
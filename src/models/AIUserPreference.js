@@ -0,0 +1,21 @@
+/**
+ * AI User Preference Model
+ * Per-user AI defaults (tone, language, niche, ...)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const aiUserPreferenceSchema = new Schema({
+  tenantId: { type: String, required: true },
+  userId: { type: String, required: true },
+  preferences: { type: Schema.Types.Mixed, default: {} }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+aiUserPreferenceSchema.index({ tenantId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('AIUserPreference', aiUserPreferenceSchema);
@@ -0,0 +1,112 @@
+/**
+ * Assessment Attempt Model
+ * One learner's attempt at a TrainingAssessment: the question and option
+ * order they were shown, their answers, and the grading of each question.
+ */
+
+const mongoose = require('mongoose');
+
+const attemptQuestionSchema = new mongoose.Schema({
+  // _id of the question in TrainingAssessment.questions
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Option _ids in the order shown
+  optionOrder: [mongoose.Schema.Types.ObjectId],
+
+  // Option _id(s), boolean or text, depending on the question type
+  answer: mongoose.Schema.Types.Mixed,
+  answeredAt: Date,
+
+  status: {
+    type: String,
+    enum: ['unanswered', 'correct', 'partial', 'incorrect', 'pending-review'],
+    default: 'unanswered'
+  },
+  maxPoints: {
+    type: Number,
+    default: 0
+  },
+  pointsAwarded: Number,
+  // Auto-grading explanation, e.g. the keywords found
+  gradingNotes: String,
+  feedback: String,
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: Date
+}, { _id: false });
+
+const assessmentAttemptSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  assessmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingAssessment',
+    required: true
+  },
+  // Course the result is recorded against, if taken within a course
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCourse'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  attemptNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  status: {
+    type: String,
+    enum: ['in-progress', 'pending-review', 'graded'],
+    default: 'in-progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Server-side deadline; answers saved after it are rejected
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  submittedAt: Date,
+  // Submitted by the deadline rather than the learner
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  gradedAt: Date,
+
+  questions: [attemptQuestionSchema],
+
+  pointsEarned: Number,
+  pointsPossible: Number,
+  // Percentage
+  score: Number,
+  passingScore: Number,
+  passed: Boolean,
+  // Set once the score was passed to TrainingCourse.completeAssessment
+  recordedAt: Date
+}, {
+  timestamps: true,
+  // Submitting and grading the same attempt concurrently must not both win
+  optimisticConcurrency: true
+});
+
+// Indexes
+assessmentAttemptSchema.index({ assessmentId: 1, userId: 1, attemptNumber: 1 }, { unique: true });
+assessmentAttemptSchema.index({ tenantId: 1, status: 1, submittedAt: 1 });
+assessmentAttemptSchema.index({ tenantId: 1, status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('AssessmentAttempt', assessmentAttemptSchema);
@@ -235,7 +235,11 @@ const candidateProfileSchema = new mongoose.Schema({
           min: Number,
           max: Number
         }
-      }
+      },
+      // Maintained by JobAlertService
+      lastSentAt: Date,
+      nextRunAt: Date,
+      unsubscribedAt: Date
     },
     privacy: {
       showProfile: Boolean,
@@ -321,6 +325,13 @@ const candidateProfileSchema = new mongoose.Schema({
       },
       role: String,
       grantedAt: Date,
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // Access request the grant was approved from
+      requestId: mongoose.Schema.Types.ObjectId,
+      // Removed by CandidateAccessService once passed
       expiresAt: Date
     }],
     // Sensitive data access requests
@@ -339,7 +350,8 @@ const candidateProfileSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
-      approvedAt: Date
+      approvedAt: Date,
+      decisionNote: String
     }]
   },
 
@@ -360,6 +372,9 @@ candidateProfileSchema.index({ 'skills.technical.name': 1 });
 candidateProfileSchema.index({ 'experience.company.name': 1 });
 candidateProfileSchema.index({ 'atsData.overallScore': -1 });
 candidateProfileSchema.index({ tenantId: 1 });
+candidateProfileSchema.index({ 'preferences.jobAlerts.enabled': 1, 'preferences.jobAlerts.nextRunAt': 1 });
+candidateProfileSchema.index({ 'permissions.viewers.expiresAt': 1 });
+candidateProfileSchema.index({ tenantId: 1, 'permissions.accessRequests.status': 1 });
 
 // Text search index
 candidateProfileSchema.index({
@@ -372,4 +387,24 @@ candidateProfileSchema.index({
   'experience.company.name': 'text'
 });
 
+// Fields that feed match scoring
+const SCORED_FIELDS = ['skills', 'experience', 'education', 'certifications', 'projects'];
+
+candidateProfileSchema.pre('save', function(next) {
+  this.$locals.rescore = !this.isNew && SCORED_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+// Re-score the candidate's open applications when their qualifications change
+candidateProfileSchema.post('save', (doc) => {
+  if (!doc.$locals.rescore) {
+    return;
+  }
+  // Required here: the scoring service depends on this model
+  const matchScoringService = require('../services/MatchScoringService');
+  matchScoringService.rescoreCandidate(doc.toObject()).catch(error => {
+    console.error('❌ Failed to rescore candidate after profile update:', error.message);
+  });
+});
+
 module.exports = mongoose.model('CandidateProfile', candidateProfileSchema);
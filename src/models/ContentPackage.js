@@ -0,0 +1,114 @@
+/**
+ * Content Package Model
+ * An imported SCORM 1.2 or SCORM 2004 package. Every SCO (launchable item
+ * of the manifest's default organization) becomes a module of the course;
+ * the package files live on disk under storageKey.
+ */
+
+const mongoose = require('mongoose');
+
+const scoSchema = new mongoose.Schema({
+  // Item identifier in imsmanifest.xml
+  identifier: {
+    type: String,
+    required: true
+  },
+  resourceId: String,
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Launch file relative to the package root, with its query parameters
+  href: {
+    type: String,
+    required: true
+  },
+  parameters: String,
+  launchData: String,
+  // SCORM 1.2 adlcp:masteryscore (0-100)
+  masteryScore: Number,
+  // SCORM 2004 imsss:minNormalizedMeasure (-1 to 1)
+  scaledPassingScore: Number,
+  // SCORM 2004 adlcp:completionThreshold (0 to 1)
+  completionThreshold: Number,
+  maxTimeAllowed: String,
+  timeLimitAction: String,
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingModule'
+  }
+}, { _id: false });
+
+const contentPackageSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCourse',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  standard: {
+    type: String,
+    enum: ['scorm'],
+    default: 'scorm'
+  },
+  version: {
+    type: String,
+    enum: ['1.2', '2004'],
+    required: true
+  },
+  // Manifest identifier and the schema version it declares
+  identifier: String,
+  schemaVersion: String,
+
+  scos: [scoSchema],
+
+  // Directory of the extracted files below the package storage path
+  storageKey: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  fileCount: {
+    type: Number,
+    default: 0
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+contentPackageSchema.methods.getSco = function(identifier) {
+  return this.scos.find(sco => sco.identifier === identifier);
+};
+
+// Indexes
+contentPackageSchema.index({ tenantId: 1, courseId: 1, createdAt: -1 });
+contentPackageSchema.index({ storageKey: 1 }, { unique: true });
+contentPackageSchema.index({ 'scos.moduleId': 1 });
+
+module.exports = mongoose.model('ContentPackage', contentPackageSchema);
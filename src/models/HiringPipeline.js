@@ -0,0 +1,113 @@
+/**
+ * Hiring Pipeline Model
+ * Per-tenant (optionally per-job) interview process: stages, allowed
+ * transitions, required fields and actions run on entering a stage
+ */
+
+const mongoose = require('mongoose');
+
+const APPLICATION_STATUSES = [
+  'applied', 'under-review', 'shortlisted', 'interview-scheduled',
+  'interviewed', 'assessment', 'reference-check', 'offer-extended',
+  'offer-accepted', 'offer-declined', 'rejected', 'withdrawn'
+];
+
+const stageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  order: Number,
+  // Application status while in this stage, so status filters and
+  // reports keep working with custom stages
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    required: true
+  },
+  // Stage keys an application may move to next; empty = final stage
+  allowedTransitions: [String],
+  requiredFields: [{
+    name: { type: String, required: true, trim: true },
+    label: String,
+    type: {
+      type: String,
+      enum: ['string', 'number', 'date', 'boolean'],
+      default: 'string'
+    }
+  }],
+  actions: [{
+    type: {
+      type: String,
+      enum: ['email_candidate', 'notify_hiring_manager'],
+      required: true
+    },
+    // {{candidateName}}, {{jobTitle}}, {{companyName}}, {{stageName}} and
+    // the stage's field values are substituted
+    subject: String,
+    message: String
+  }]
+}, { _id: false });
+
+const hiringPipelineSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true
+  },
+  // null = the tenant's default pipeline
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  stages: {
+    type: [stageSchema],
+    validate: [stages => stages.length > 0, 'A pipeline needs at least one stage']
+  },
+  // Competencies interviewers rate (1-5) on their scorecards
+  scorecard: {
+    competencies: [{
+      _id: false,
+      key: { type: String, required: true, trim: true, lowercase: true },
+      name: { type: String, required: true, trim: true },
+      description: String,
+      weight: { type: Number, default: 1, min: 0 }
+    }]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+hiringPipelineSchema.index({ tenantId: 1, jobId: 1 }, { unique: true });
+
+hiringPipelineSchema.statics.APPLICATION_STATUSES = APPLICATION_STATUSES;
+
+module.exports = mongoose.model('HiringPipeline', hiringPipelineSchema);
@@ -83,6 +83,17 @@ const jobSchema = new mongoose.Schema({
     hybrid: {
       type: Boolean,
       default: false
+    },
+    // GeoJSON point for "jobs near me"; coordinates are [longitude, latitude]
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
 
@@ -132,7 +143,7 @@ const jobSchema = new mongoose.Schema({
   // Status and Visibility
   status: {
     type: String,
-    enum: ['draft', 'active', 'paused', 'closed', 'filled'],
+    enum: ['draft', 'scheduled', 'active', 'paused', 'closed', 'filled'],
     default: 'draft'
   },
   visibility: {
@@ -184,7 +195,47 @@ const jobSchema = new mongoose.Schema({
     required: true
   },
 
+  // Hires needed before the posting closes as filled
+  headcount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  // Lifecycle (maintained by JobLifecycleService)
+  lifecycle: {
+    closedAt: Date,
+    closeReason: {
+      type: String,
+      enum: ['expired', 'filled', 'manual']
+    },
+    renewalReminderSentAt: Date,
+    renewedAt: Date,
+    renewalCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  statusHistory: [{
+    from: String,
+    to: String,
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    automatic: {
+      type: Boolean,
+      default: false
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Timestamps
+  publishAt: Date,
   publishedAt: Date,
   expiresAt: Date
 }, {
@@ -195,9 +246,12 @@ const jobSchema = new mongoose.Schema({
 jobSchema.index({ title: 'text', description: 'text', 'company.name': 'text' });
 jobSchema.index({ status: 1, visibility: 1 });
 jobSchema.index({ 'company.location.city': 1, 'company.location.country': 1 });
+jobSchema.index({ 'location.geo': '2dsphere' });
 jobSchema.index({ jobType: 1, experienceLevel: 1 });
 jobSchema.index({ postedBy: 1, tenantId: 1 });
 jobSchema.index({ expiresAt: 1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, expiresAt: 1 });
 jobSchema.index({ featured: 1, status: 1 });
 
 module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,60 @@
+/**
+ * Job Alert Digest Model
+ * One job alert email sent to a candidate. The job IDs listed here are never
+ * sent to the same candidate again.
+ */
+
+const mongoose = require('mongoose');
+
+const DIGEST_RETENTION_DAYS = 365;
+
+const jobAlertDigestSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  candidateProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CandidateProfile',
+    required: true
+  },
+
+  email: {
+    type: String,
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly']
+  },
+  jobIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }],
+
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    default: 'sent'
+  },
+  messageId: String,
+  error: String,
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobAlertDigestSchema.index({ candidateProfileId: 1, jobIds: 1 });
+jobAlertDigestSchema.index({ tenantId: 1, sentAt: -1 });
+jobAlertDigestSchema.index({ sentAt: 1 }, { expireAfterSeconds: DIGEST_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobAlertDigest', jobAlertDigestSchema);
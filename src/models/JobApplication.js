@@ -176,14 +176,49 @@ const jobApplicationSchema = new mongoose.Schema({
     withdrawnAt: Date
   },
 
+  // Hiring Pipeline
+  pipeline: {
+    pipelineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HiringPipeline'
+    },
+    stage: String,
+    stageEnteredAt: Date
+  },
+  stageHistory: [{
+    stage: String,
+    stageName: String,
+    status: String,
+    enteredAt: Date,
+    exitedAt: Date,
+    durationMs: Number,
+    movedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Required field values captured on entering the stage
+    data: mongoose.Schema.Types.Mixed,
+    notes: String
+  }],
+
   // Interview and Assessment Data
   interviews: [{
     scheduledAt: Date,
+    endAt: Date,
+    durationMinutes: Number,
+    timezone: String,
+    location: String,
+    meetingUrl: String,
     conductedAt: Date,
     interviewer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Other interviewers on the panel
+    panel: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
     type: {
       type: String,
       enum: ['phone', 'video', 'in-person', 'technical', 'hr', 'final']
@@ -194,7 +229,40 @@ const jobApplicationSchema = new mongoose.Schema({
     status: {
       type: String,
       enum: ['scheduled', 'completed', 'cancelled', 'rescheduled']
-    }
+    },
+    // Calendar invite revision; bumped on every reschedule or cancellation
+    sequence: {
+      type: Number,
+      default: 0
+    },
+    scheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date,
+    cancellationReason: String,
+
+    // One scorecard per interviewer
+    scorecards: [{
+      interviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      competencies: [{
+        key: String,
+        name: String,
+        weight: Number,
+        rating: { type: Number, min: 1, max: 5 },
+        notes: String
+      }],
+      overallRating: Number,
+      recommendation: {
+        type: String,
+        enum: ['strong_no', 'no', 'yes', 'strong_yes']
+      },
+      notes: String,
+      submittedAt: Date
+    }]
   }],
 
   assessments: [{
@@ -258,7 +326,32 @@ const jobApplicationSchema = new mongoose.Schema({
       recommendations: [String],
       redFlags: [String],
       strengths: [String],
-      weaknesses: [String]
+      weaknesses: [String],
+      matchedSkills: [String],
+      missingSkills: [String],
+      experienceYears: Number,
+      requiredExperienceYears: Number,
+      scoredAt: Date,
+
+      // Interview scorecards rolled up across all interviews
+      interview: {
+        score: Number,
+        scorecards: Number,
+        averageRating: Number,
+        recommendations: {
+          strong_no: Number,
+          no: Number,
+          yes: Number,
+          strong_yes: Number
+        },
+        competencies: [{
+          key: String,
+          name: String,
+          averageRating: Number,
+          ratings: Number
+        }],
+        updatedAt: Date
+      }
     },
 
     // Tags and Categories
@@ -302,10 +395,46 @@ const jobApplicationSchema = new mongoose.Schema({
     enum: ['direct', 'referral', 'job-board', 'recruiter', 'internal'],
     default: 'direct'
   },
+  // Set when the candidate arrived through a public job feed link
+  sourceDetails: {
+    feed: {
+      type: String,
+      enum: ['xml', 'jsonld', 'rss']
+    },
+    channel: String
+  },
   referral: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Set when the candidate applied through an employee referral link
+  referralDetails: {
+    linkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReferralLink'
+    },
+    code: String,
+    referredAt: Date,
+    // Maintained by ReferralService; amount and probation are fixed at hire
+    bonus: {
+      status: {
+        type: String,
+        enum: ['pending', 'probation', 'eligible', 'paid', 'ineligible']
+      },
+      reason: String,
+      amount: Number,
+      currency: String,
+      probationDays: Number,
+      hiredAt: Date,
+      eligibleAt: Date,
+      decidedAt: Date,
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      paidAt: Date
+    }
+  },
 
   // Tenant Information
   tenantId: {
@@ -322,6 +451,12 @@ jobApplicationSchema.index({ status: 1 });
 jobApplicationSchema.index({ 'candidateProfile.personalInfo.email': 1 });
 jobApplicationSchema.index({ 'process.appliedAt': -1 });
 jobApplicationSchema.index({ 'atsData.score': -1 });
+jobApplicationSchema.index({ jobId: 1, 'atsData.score': -1 });
+jobApplicationSchema.index({ tenantId: 1, 'pipeline.stage': 1 });
+jobApplicationSchema.index({ 'interviews.interviewer': 1, 'interviews.scheduledAt': 1 });
+jobApplicationSchema.index({ 'interviews.panel': 1, 'interviews.scheduledAt': 1 });
 jobApplicationSchema.index({ tenantId: 1 });
+jobApplicationSchema.index({ tenantId: 1, referral: 1, createdAt: -1 });
+jobApplicationSchema.index({ 'referralDetails.bonus.status': 1, 'referralDetails.bonus.eligibleAt': 1 });
 
 module.exports = mongoose.model('JobApplication', jobApplicationSchema);
@@ -0,0 +1,25 @@
+/**
+ * Knowledge Chunk Model
+ * A passage of a knowledge document with its BM25 term statistics
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const knowledgeChunkSchema = new Schema({
+  tenantId: { type: String, required: true },
+  documentId: { type: Schema.Types.ObjectId, ref: 'KnowledgeDocument', required: true },
+  index: { type: Number, required: true }, // position within the document
+  text: { type: String, required: true },
+  terms: [{ type: String }], // distinct terms, for candidate lookup
+  termFrequencies: { type: Map, of: Number, default: {} },
+  length: { type: Number, required: true } // number of terms
+}, {
+  timestamps: true
+});
+
+// Indexes
+knowledgeChunkSchema.index({ tenantId: 1, terms: 1 });
+knowledgeChunkSchema.index({ documentId: 1, index: 1 });
+
+module.exports = mongoose.model('KnowledgeChunk', knowledgeChunkSchema);
@@ -0,0 +1,37 @@
+/**
+ * Knowledge Document Model
+ * A source document in a tenant's AI knowledge base (training module,
+ * course, uploaded file or pasted text); its text lives in KnowledgeChunk
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const knowledgeDocumentSchema = new Schema({
+  tenantId: { type: String, required: true },
+  title: { type: String, required: true, trim: true, maxlength: 255 },
+  source: {
+    type: {
+      type: String,
+      enum: ['training_module', 'training_course', 'upload', 'text'],
+      required: true
+    },
+    refId: { type: String }, // module/course id, file name or caller-supplied id
+    mimeType: { type: String }
+  },
+  chunkCount: { type: Number, default: 0 },
+  termCount: { type: Number, default: 0 }, // indexed terms across all chunks
+  characterCount: { type: Number, default: 0 },
+  metadata: { type: Schema.Types.Mixed, default: {} },
+  createdBy: { type: String }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+knowledgeDocumentSchema.index({ tenantId: 1, 'source.type': 1, 'source.refId': 1 });
+knowledgeDocumentSchema.index({ tenantId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('KnowledgeDocument', knowledgeDocumentSchema);
@@ -0,0 +1,221 @@
+/**
+ * Learning Path Model
+ * A curriculum of courses and modules whose prerequisites form a directed
+ * acyclic graph. Learner progress comes from their course enrollments; the
+ * path only records who follows it.
+ */
+
+const mongoose = require('mongoose');
+const { ValidationError } = require('../utils/errors');
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const pathItemSchema = new mongoose.Schema({
+  // Identifier within the path, referenced by other items' prerequisites
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/
+  },
+  type: {
+    type: String,
+    enum: ['course', 'module'],
+    required: true
+  },
+  // Module items are taken within this course
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCourse',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingModule'
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  isRequired: {
+    type: Boolean,
+    default: true
+  },
+  // Keys of items to complete first
+  prerequisites: [{
+    type: String,
+    trim: true
+  }],
+  // Skills the item teaches; course or module tags are used when empty
+  skills: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    level: {
+      type: String,
+      enum: SKILL_LEVELS
+    }
+  }],
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const learningPathSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  level: {
+    type: String,
+    enum: SKILL_LEVELS,
+    default: 'beginner'
+  },
+  items: [pathItemSchema],
+
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+  // Learners may join published paths themselves; trainers assign others
+  allowSelfEnrollment: {
+    type: Boolean,
+    default: true
+  },
+
+  learners: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    dueDate: Date,
+    completedAt: Date
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * First prerequisite cycle in a graph, as the list of nodes around it
+ * @param {Map<string, string[]>} edges - node -> nodes it depends on
+ * @returns {string[]|null}
+ */
+learningPathSchema.statics.findCycle = function(edges) {
+  const state = new Map();
+  const stack = [];
+
+  const visit = (node) => {
+    state.set(node, 'visiting');
+    stack.push(node);
+    for (const next of edges.get(node) || []) {
+      if (state.get(next) === 'visiting') {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    stack.pop();
+    state.set(node, 'done');
+    return null;
+  };
+
+  for (const node of edges.keys()) {
+    if (!state.has(node)) {
+      const cycle = visit(node);
+      if (cycle) {
+        return cycle;
+      }
+    }
+  }
+  return null;
+};
+
+learningPathSchema.methods.getItem = function(key) {
+  return this.items.find(item => item.key === key);
+};
+
+learningPathSchema.methods.getLearner = function(userId) {
+  return this.learners.find(learner => learner.userId && learner.userId.toString() === userId.toString());
+};
+
+/**
+ * Keys are unique, prerequisites point at items of this path and the
+ * explicit prerequisites are acyclic
+ */
+learningPathSchema.pre('validate', function(next) {
+  const keys = new Set();
+  for (const item of this.items) {
+    if (keys.has(item.key)) {
+      return next(new ValidationError(`Duplicate learning path item key "${item.key}"`));
+    }
+    keys.add(item.key);
+    if (item.type === 'module' && !item.moduleId) {
+      return next(new ValidationError(`Module item "${item.key}" needs a moduleId`));
+    }
+  }
+
+  for (const item of this.items) {
+    const unknown = item.prerequisites.find(key => !keys.has(key));
+    if (unknown) {
+      return next(new ValidationError(`Item "${item.key}" requires unknown item "${unknown}"`));
+    }
+  }
+
+  const cycle = this.constructor.findCycle(new Map(this.items.map(item => [item.key, item.prerequisites])));
+  if (cycle) {
+    return next(new ValidationError('Learning path prerequisites form a cycle', { cycle }));
+  }
+  next();
+});
+
+// Indexes
+learningPathSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+learningPathSchema.index({ tenantId: 1, 'learners.userId': 1 });
+
+module.exports = mongoose.model('LearningPath', learningPathSchema);
@@ -0,0 +1,111 @@
+/**
+ * Notification Broadcast Model
+ * A notification sent to every user of a tenant, or to a role/group
+ * segment of it, and the aggregate delivery outcome per channel
+ */
+
+const mongoose = require('mongoose');
+
+const channelStatsSchema = new mongoose.Schema({
+  sent: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const notificationBroadcastSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  // Content
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
+  importance: {
+    type: String,
+    enum: ['info', 'success', 'warning', 'error'],
+    default: 'info'
+  },
+
+  // Audience (empty segment = every active user of the tenant)
+  segment: {
+    roles: [String],
+    groupIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    }],
+    userIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+
+  // Delivery
+  channels: {
+    type: [{
+      type: String,
+      enum: ['in_app', 'email', 'webhook']
+    }],
+    default: ['in_app']
+  },
+  webhookUrl: String,
+
+  // Outcome
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'completed', 'partially_failed', 'failed'],
+    default: 'pending'
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  channelStats: {
+    type: Map,
+    of: channelStatsSchema,
+    default: {}
+  },
+  error: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationBroadcastSchema.index({ tenantId: 1, createdAt: -1 });
+notificationBroadcastSchema.index({ status: 1 });
+
+module.exports = mongoose.model('NotificationBroadcast', notificationBroadcastSchema);
@@ -0,0 +1,52 @@
+/**
+ * Referral Link Model
+ * One employee's referral link for one job. Applications that arrive through
+ * the link are attributed to the employee on JobApplication.referral.
+ */
+
+const mongoose = require('mongoose');
+
+const referralLinkSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Opaque code carried in the shared URL
+  code: {
+    type: String,
+    required: true
+  },
+
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  lastClickedAt: Date,
+  applications: {
+    type: Number,
+    default: 0
+  },
+
+  // Disabled links stop attributing new applications
+  disabledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+referralLinkSchema.index({ code: 1 }, { unique: true });
+referralLinkSchema.index({ tenantId: 1, jobId: 1, referrerId: 1 }, { unique: true });
+referralLinkSchema.index({ tenantId: 1, referrerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReferralLink', referralLinkSchema);
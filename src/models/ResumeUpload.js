@@ -0,0 +1,81 @@
+/**
+ * Resume Upload Model
+ * An uploaded resume file and the profile details parsed from it. The
+ * candidate reviews the parsed profile before applying; drafts that are
+ * never used expire.
+ */
+
+const mongoose = require('mongoose');
+
+const DRAFT_TTL_DAYS = 7;
+
+const resumeUploadSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Original file
+  file: {
+    filename: String,
+    mimeType: String,
+    format: {
+      type: String,
+      enum: ['pdf', 'docx', 'text']
+    },
+    size: Number,
+    data: {
+      type: Buffer,
+      select: false
+    }
+  },
+  text: {
+    type: String,
+    select: false
+  },
+
+  // Parsed profile, shaped like the CandidateProfile sub-documents
+  parsed: {
+    profile: mongoose.Schema.Types.Mixed,
+    // Dotted profile path -> 0-1 (e.g. 'personalInfo.email', 'experience.0.position')
+    confidence: mongoose.Schema.Types.Mixed,
+    overallConfidence: Number,
+    warnings: [String],
+    method: {
+      type: String,
+      enum: ['heuristic', 'ai-assisted'],
+      default: 'heuristic'
+    },
+    parsedAt: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['parsed', 'applied'],
+    default: 'parsed'
+  },
+  appliedAt: Date,
+  applications: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobApplication'
+  }],
+
+  // Cleared once the resume is attached to an application
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+resumeUploadSchema.index({ tenantId: 1, userId: 1, createdAt: -1 });
+resumeUploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ResumeUpload', resumeUploadSchema);
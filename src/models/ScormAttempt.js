@@ -0,0 +1,123 @@
+/**
+ * SCORM Attempt Model
+ * Runtime tracking of one learner on one SCO: the data model values the SCO
+ * wrote plus the normalized status, score and time the LMS reports on.
+ */
+
+const mongoose = require('mongoose');
+
+const scormAttemptSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContentPackage',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCourse',
+    required: true
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingModule'
+  },
+  scoId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: String,
+    enum: ['1.2', '2004'],
+    required: true
+  },
+
+  // Writable data model elements (cmi.suspend_data, cmi.objectives.0.id, ...)
+  // as the SCO set them; element names contain dots, so not a map
+  data: [{
+    element: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: String,
+      default: ''
+    },
+    _id: false
+  }],
+
+  // Normalized across SCORM versions
+  completionStatus: {
+    type: String,
+    enum: ['not attempted', 'incomplete', 'completed', 'unknown'],
+    default: 'not attempted'
+  },
+  successStatus: {
+    type: String,
+    enum: ['passed', 'failed', 'unknown'],
+    default: 'unknown'
+  },
+  score: {
+    raw: Number,
+    min: Number,
+    max: Number,
+    scaled: Number
+  },
+  // Score on the 0-100 scale course progress uses
+  scorePercent: Number,
+
+  exit: String,
+  sessionCount: {
+    type: Number,
+    default: 0
+  },
+  sessionStartedAt: Date,
+  // Session time reported in the open session, added to the total on finish
+  sessionSeconds: {
+    type: Number,
+    default: 0
+  },
+  totalSeconds: {
+    type: Number,
+    default: 0
+  },
+  lastCommittedAt: Date,
+  finishedAt: Date,
+
+  // Set once the completion was recorded on the course enrollment
+  completedAt: Date,
+  recordedScore: Number
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+scormAttemptSchema.methods.getValue = function(element) {
+  const entry = this.data.find(item => item.element === element);
+  return entry ? entry.value : undefined;
+};
+
+scormAttemptSchema.methods.setValue = function(element, value) {
+  const entry = this.data.find(item => item.element === element);
+  if (entry) {
+    entry.value = value;
+  } else {
+    this.data.push({ element, value });
+  }
+};
+
+// Indexes
+scormAttemptSchema.index({ packageId: 1, scoId: 1, userId: 1 }, { unique: true });
+scormAttemptSchema.index({ tenantId: 1, userId: 1, updatedAt: -1 });
+scormAttemptSchema.index({ tenantId: 1, courseId: 1 });
+
+module.exports = mongoose.model('ScormAttempt', scormAttemptSchema);
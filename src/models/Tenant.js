@@ -48,6 +48,33 @@ const tenantSchema = new mongoose.Schema({
       maxStorage: { type: String, default: '1GB' },
       maxCourses: { type: Number, default: 10 },
       maxApiCalls: { type: Number, default: 1000 }
+    },
+    notifications: {
+      webhookUrl: { type: String, default: null }
+    },
+    referrals: {
+      enabled: { type: Boolean, default: true },
+      bonusAmount: { type: Number, default: 0, min: 0 },
+      currency: { type: String, default: 'USD' },
+      // A referred hire must stay this long before the bonus is due
+      probationDays: { type: Number, default: 90, min: 0 },
+      // Empty = every job type
+      eligibleJobTypes: [{ type: String }],
+      // Candidates who applied to the tenant this recently earn no bonus
+      priorApplicationDays: { type: Number, default: 180, min: 0 }
+    },
+    ai: {
+      provider: { type: String, enum: ['groq', 'openai', 'mock', null], default: null },
+      // Content type -> provider, e.g. { translation: 'openai' }
+      contentTypeProviders: { type: Map, of: String, default: {} },
+      fallbackProviders: [{ type: String, enum: ['groq', 'openai', 'mock'] }],
+      // Overrides for the plan's AI limits (null = plan default)
+      limits: {
+        perMinute: { type: Number, default: null },
+        perHour: { type: Number, default: null },
+        monthlyRequests: { type: Number, default: null },
+        monthlyTokens: { type: Number, default: null }
+      }
     }
   },
   stats: {
@@ -0,0 +1,124 @@
+/**
+ * Tenant Migration Model
+ * Progress and outcome of a tenant-to-tenant data migration
+ */
+
+const mongoose = require('mongoose');
+
+const entityProgressSchema = new mongoose.Schema({
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  moved: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  conflicts: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const tenantMigrationSchema = new mongoose.Schema({
+  // Tenants involved
+  sourceTenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  targetTenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  // Requested options
+  mode: {
+    type: String,
+    enum: ['copy', 'move'],
+    default: 'copy'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  entities: [String],
+  conflictStrategies: {
+    type: Map,
+    of: {
+      type: String,
+      enum: ['skip', 'overwrite', 'rename', 'fail']
+    }
+  },
+
+  // Execution state
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  currentEntity: String,
+  percentComplete: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  progress: {
+    type: Map,
+    of: entityProgressSchema,
+    default: {}
+  },
+
+  // Conflicts found and how they were resolved (capped per entity)
+  conflictLog: [{
+    entity: String,
+    sourceId: String,
+    targetId: String,
+    key: String,
+    value: String,
+    resolution: String
+  }],
+
+  error: String,
+
+  // Relationships
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+tenantMigrationSchema.index({ sourceTenantId: 1, createdAt: -1 });
+tenantMigrationSchema.index({ targetTenantId: 1, createdAt: -1 });
+tenantMigrationSchema.index({ status: 1 });
+
+module.exports = mongoose.model('TenantMigration', tenantMigrationSchema);
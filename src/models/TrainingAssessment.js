@@ -28,6 +28,24 @@ const trainingAssessmentSchema = new mongoose.Schema({
       isCorrect: Boolean
     }],
     correctAnswer: String,
+    // Short-answer auto-grading: near matches of correctAnswer or
+    // acceptedAnswers earn full points; otherwise points are awarded for
+    // the share of keywords found (minKeywords for full points)
+    grading: {
+      acceptedAnswers: [String],
+      keywords: [String],
+      minKeywords: {
+        type: Number,
+        min: 1
+      },
+      // 0-1 similarity needed for a typo-tolerant match
+      fuzzyThreshold: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0.8
+      }
+    },
     points: {
       type: Number,
       default: 1,
@@ -50,6 +68,15 @@ const trainingAssessmentSchema = new mongoose.Schema({
     default: 1,
     min: 1
   },
+  // Deliver questions and options in a different order for every attempt
+  randomizeQuestions: {
+    type: Boolean,
+    default: true
+  },
+  randomizeOptions: {
+    type: Boolean,
+    default: true
+  },
   isActive: {
     type: Boolean,
     default: true
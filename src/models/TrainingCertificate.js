@@ -0,0 +1,83 @@
+/**
+ * Training Certificate Model
+ * Completion certificate for one enrollment. Holder, course and issuer are
+ * copied at issue time so verification keeps showing what was certified.
+ */
+
+const mongoose = require('mongoose');
+
+const trainingCertificateSchema = new mongoose.Schema({
+  // Public identifier printed on the certificate and encoded in its QR code
+  certificateId: {
+    type: String,
+    required: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCourse',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  holderName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  courseTitle: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  courseCode: String,
+  issuerName: String,
+  // Average score of the course's passed assessments, if any
+  score: Number,
+
+  completedAt: Date,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Unset when the certificate does not expire
+  expiresAt: Date,
+
+  status: {
+    type: String,
+    enum: ['valid', 'revoked'],
+    default: 'valid'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
+
+  verificationCount: {
+    type: Number,
+    default: 0
+  },
+  lastVerifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+trainingCertificateSchema.index({ certificateId: 1 }, { unique: true });
+trainingCertificateSchema.index(
+  { courseId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'valid' } }
+);
+trainingCertificateSchema.index({ tenantId: 1, userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('TrainingCertificate', trainingCertificateSchema);
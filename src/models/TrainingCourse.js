@@ -1,22 +1,457 @@
-const mongoose = require('mongoose'); const trainingCourseSchema = new mongoose.Schema({ // Core course information tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true }, title: { type: String, required: true, trim: true, maxlength: 255 }, description: { type: String, trim: true, maxlength: 2000 }, shortDescription: { type: String, trim: true, maxlength: 500 }, // Course details courseCode: { type: String, required: true, trim: true, maxlength: 50, unique: true }, level: { type: String, enum: ['beginner', 'intermediate', 'advanced', 'expert'], default: 'beginner'}, category: { type: String, trim: true, maxlength: 100 }, tags: [{ type: String, trim: true, maxlength: 50 }], // Course structure modules: [{ moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingModule', required: true }, order: { type: Number, required: true }, isRequired: { type: Boolean, default: true }, estimatedDuration: { type: Number, // in minutes default: 60 } }], // Duration and scheduling totalDuration: { type: Number, // in minutes default: 0 }, estimatedWeeks: { type: Number, default: 1, min: 1 }, maxEnrollment: { type: Number, default: 100, min: 1 }, // Enrollment and access isActive: { type: Boolean, default: true }, enrollmentStartDate: { type: Date }, enrollmentEndDate: { type: Date }, courseStartDate: { type: Date }, courseEndDate: { type: Date }, // Pricing and access isFree: { type: Boolean, default: true }, price: { type: Number, min: 0, default: 0 }, currency: { type: String, default: 'USD', maxlength: 3 }, // Prerequisites prerequisites: [{ courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingCourse'}, type: { type: String, enum: ['course', 'assessment', 'skill'], required: true }, description: { type: String, trim: true, maxlength: 200 } }], // Learning objectives learningObjectives: [{ type: String, trim: true, maxlength: 200 }], // Course materials materials: [{ title: { type: String, required: true, trim: true }, type: { type: String, enum: ['document', 'video', 'presentation', 'link', 'file', 'assessment'], required: true }, url: { type: String, trim: true }, filePath: { type: String, trim: true }, description: { type: String, trim: true, maxlength: 500 }, isRequired: { type: Boolean, default: true }, order: { type: Number, default: 0 }, uploadedAt: { type: Date, default: Date.now } }], // Assessments assessments: [{ assessmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingAssessment'}, title: { type: String, required: true, trim: true }, type: { type: String, enum: ['quiz', 'exam', 'project', 'presentation'], required: true }, weight: { type: Number, min: 0, max: 100, default: 100 }, passingScore: { type: Number, min: 0, max: 100, default: 70 }, isRequired: { type: Boolean, default: true }, order: { type: Number, default: 0 } }], // Instructors instructors: [{ instructorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, role: { type: String, enum: ['primary', 'secondary', 'assistant'], default: 'primary'}, assignedAt: { type: Date, default: Date.now } }], // Enrollment tracking enrollments: [{ userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, enrolledAt: { type: Date, default: Date.now }, status: { type: String, enum: ['enrolled', 'in-progress', 'completed', 'dropped', 'certified'], default: 'enrolled'}, progress: { type: Number, min: 0, max: 100, default: 0 }, completedModules: [{ moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingModule'}, completedAt: { type: Date, default: Date.now }, score: { type: Number, min: 0, max: 100 } }], completedAssessments: [{ assessmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingAssessment'}, completedAt: { type: Date, default: Date.now }, score: { type: Number, min: 0, max: 100 }, passed: { type: Boolean, default: false } }], startDate: { type: Date }, completionDate: { type: Date }, certificateIssuedAt: { type: Date }, certificateId: { type: String, trim: true } }], // Course statistics statistics: { totalEnrollments: { type: Number, default: 0 }, activeEnrollments: { type: Number, default: 0 }, completedEnrollments: { type: Number, default: 0 }, averageCompletionTime: { type: Number, // in days default: 0 }, averageScore: { type: Number, min: 0, max: 100, default: 0 }, passRate: { type: Number, min: 0, max: 100, default: 0 } }, // Course settings settings: { allowSelfEnrollment: { type: Boolean, default: true }, requireApproval: { type: Boolean, default: false }, allowRetakes: { type: Boolean, default: true }, maxRetakes: { type: Number, default: 3 }, autoProgress: { type: Boolean, default: false }, showProgress: { type: Boolean, default: true }, enableDiscussions: { type: Boolean, default: true }, enableNotifications: { type: Boolean, default: true } }, // Course metadata thumbnail: { type: String, trim: true }, banner: { type: String, trim: true }, // Audit fields createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User'}
-}, { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true }
-}); // Indexes
+const mongoose = require('mongoose');
+const { ValidationError, ConflictError, AuthorizationError, NotFoundError } = require('../utils/errors');
+
+// Enrollment statuses that hold a seat
+const SEATED_STATUSES = ['enrolled', 'in-progress'];
+// Enrollment statuses that may work through modules
+const ACTIVE_STATUSES = ['enrolled', 'in-progress'];
+const FINISHED_STATUSES = ['completed', 'certified'];
+
+const trainingCourseSchema = new mongoose.Schema({
+  // Core course information
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  title: { type: String, required: true, trim: true, maxlength: 255 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  shortDescription: { type: String, trim: true, maxlength: 500 },
+
+  // Course details
+  courseCode: { type: String, required: true, trim: true, maxlength: 50 },
+  level: { type: String, enum: ['beginner', 'intermediate', 'advanced', 'expert'], default: 'beginner' },
+  category: { type: String, trim: true, maxlength: 100 },
+  tags: [{ type: String, trim: true, maxlength: 50 }],
+
+  // Course structure
+  modules: [{
+    moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingModule', required: true },
+    order: { type: Number, required: true },
+    isRequired: { type: Boolean, default: true },
+    estimatedDuration: { type: Number, default: 60 } // in minutes
+  }],
+
+  // Duration and scheduling
+  totalDuration: { type: Number, default: 0 }, // in minutes
+  estimatedWeeks: { type: Number, default: 1, min: 1 },
+  maxEnrollment: { type: Number, default: 100, min: 1 },
+
+  // Enrollment and access
+  isActive: { type: Boolean, default: true },
+  enrollmentStartDate: { type: Date },
+  enrollmentEndDate: { type: Date },
+  courseStartDate: { type: Date },
+  courseEndDate: { type: Date },
+
+  // Pricing and access
+  isFree: { type: Boolean, default: true },
+  price: { type: Number, min: 0, default: 0 },
+  currency: { type: String, default: 'USD', maxlength: 3 },
+
+  // Prerequisites
+  prerequisites: [{
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingCourse' },
+    type: { type: String, enum: ['course', 'assessment', 'skill'], required: true },
+    description: { type: String, trim: true, maxlength: 200 }
+  }],
+
+  // Learning objectives
+  learningObjectives: [{ type: String, trim: true, maxlength: 200 }],
+
+  // Course materials
+  materials: [{
+    title: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['document', 'video', 'presentation', 'link', 'file', 'assessment', 'content-package'], required: true },
+    url: { type: String, trim: true },
+    filePath: { type: String, trim: true },
+    packageId: { type: mongoose.Schema.Types.ObjectId, ref: 'ContentPackage' },
+    description: { type: String, trim: true, maxlength: 500 },
+    isRequired: { type: Boolean, default: true },
+    order: { type: Number, default: 0 },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+
+  // Assessments
+  assessments: [{
+    assessmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingAssessment' },
+    title: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['quiz', 'exam', 'project', 'presentation'], required: true },
+    weight: { type: Number, min: 0, max: 100, default: 100 },
+    passingScore: { type: Number, min: 0, max: 100, default: 70 },
+    isRequired: { type: Boolean, default: true },
+    order: { type: Number, default: 0 }
+  }],
+
+  // Instructors
+  instructors: [{
+    instructorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['primary', 'secondary', 'assistant'], default: 'primary' },
+    assignedAt: { type: Date, default: Date.now }
+  }],
+
+  // Enrollment tracking
+  enrollments: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    enrolledAt: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      // pending: awaiting approval; waitlisted: approved but the course was full
+      enum: ['pending', 'waitlisted', 'enrolled', 'in-progress', 'completed', 'dropped', 'certified', 'rejected'],
+      default: 'enrolled'
+    },
+    progress: { type: Number, min: 0, max: 100, default: 0 },
+    startedModules: [{
+      moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingModule' },
+      startedAt: { type: Date, default: Date.now }
+    }],
+    completedModules: [{
+      moduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingModule' },
+      completedAt: { type: Date, default: Date.now },
+      score: { type: Number, min: 0, max: 100 }
+    }],
+    completedAssessments: [{
+      assessmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrainingAssessment' },
+      completedAt: { type: Date, default: Date.now },
+      score: { type: Number, min: 0, max: 100 },
+      passed: { type: Boolean, default: false }
+    }],
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    rejectionReason: { type: String, trim: true, maxlength: 500 },
+    waitlistedAt: { type: Date },
+    lastActivityAt: { type: Date },
+    startDate: { type: Date },
+    completionDate: { type: Date },
+    certificateIssuedAt: { type: Date },
+    certificateId: { type: String, trim: true }
+  }],
+
+  // Course statistics
+  statistics: {
+    totalEnrollments: { type: Number, default: 0 },
+    activeEnrollments: { type: Number, default: 0 },
+    completedEnrollments: { type: Number, default: 0 },
+    averageCompletionTime: { type: Number, default: 0 }, // in days
+    averageScore: { type: Number, min: 0, max: 100, default: 0 },
+    passRate: { type: Number, min: 0, max: 100, default: 0 }
+  },
+
+  // Course settings
+  settings: {
+    allowSelfEnrollment: { type: Boolean, default: true },
+    requireApproval: { type: Boolean, default: false },
+    allowRetakes: { type: Boolean, default: true },
+    maxRetakes: { type: Number, default: 3 },
+    autoProgress: { type: Boolean, default: false },
+    showProgress: { type: Boolean, default: true },
+    enableDiscussions: { type: Boolean, default: true },
+    enableNotifications: { type: Boolean, default: true },
+    // Issue a certificate automatically when an enrollment completes
+    issueCertificates: { type: Boolean, default: true },
+    // Unset for certificates that never expire
+    certificateValidityMonths: { type: Number, min: 1 }
+  },
+
+  // Course metadata
+  thumbnail: { type: String, trim: true },
+  banner: { type: String, trim: true },
+
+  // Audit fields
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  // Concurrent enrollments must not oversell seats
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
 trainingCourseSchema.index({ tenantId: 1, isActive: 1 });
 trainingCourseSchema.index({ tenantId: 1, category: 1 });
-trainingCourseSchema.index({ courseCode: 1 });
+trainingCourseSchema.index({ courseCode: 1 }, { unique: true });
 trainingCourseSchema.index({ 'instructors.instructorId': 1 });
-trainingCourseSchema.index({ 'enrollments.userId': 1 }); // Virtual for current enrollment count
-trainingCourseSchema.virtual('currentEnrollmentCount').get(function() { return this.enrollments.filter(e => ['enrolled', 'in-progress'].includes(e.status)).length;
-}); // Virtual for completion rate
-trainingCourseSchema.virtual('completionRate').get(function() { if (this.statistics.totalEnrollments === 0) return 0; return (this.statistics.completedEnrollments / this.statistics.totalEnrollments) * 100;
-}); // Pre-save middleware
-trainingCourseSchema.pre('save', function(next) { // Calculate total duration from modules if (this.modules && this.modules.length > 0) { this.totalDuration = this.modules.reduce((total, module) => total + module.estimatedDuration, 0); } // Update statistics this.statistics.totalEnrollments = this.enrollments.length; this.statistics.activeEnrollments = this.enrollments.filter(e => ['enrolled', 'in-progress'].includes(e.status)).length; this.statistics.completedEnrollments = this.enrollments.filter(e => e.status === 'completed').length; // Calculate average score const completedEnrollments = this.enrollments.filter(e => e.status === 'completed'); if (completedEnrollments.length > 0) { const totalScore = completedEnrollments.reduce((sum, enrollment) => { const scores = enrollment.completedAssessments.map(a => a.score).filter(score => score !== undefined); return sum + (scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length: 0); }, 0); this.statistics.averageScore = totalScore / completedEnrollments.length; } next();
-}); // Static methods
-trainingCourseSchema.statics.findByTenant = function(tenantId, options = {}) { return this.find({ tenantId, ...options });
-}; trainingCourseSchema.statics.findActive = function(tenantId) { return this.find({ tenantId, isActive: true, $or: [ { enrollmentEndDate: { $exists: false } }, { enrollmentEndDate: { $gte: new Date() } } ] });
-}; // Instance methods
-trainingCourseSchema.methods.enrollUser = function(userId) { if (!this.settings.allowSelfEnrollment) { throw new Error('Self-enrollment is not allowed for this course'); } if (this.currentEnrollmentCount >= this.maxEnrollment) { throw new Error('Course is at maximum enrollment capacity'); } const existingEnrollment = this.enrollments.find(e => e.userId.toString() === userId.toString()); if (existingEnrollment) { throw new Error('User is already enrolled in this course'); } this.enrollments.push({ userId, status: this.settings.requireApproval ? 'enrolled': 'in-progress', startDate: this.settings.requireApproval ? null: new Date() }); return this.save();
-}; trainingCourseSchema.methods.unenrollUser = function(userId) { this.enrollments = this.enrollments.filter(e => e.userId.toString() !== userId.toString()); return this.save();
-}; trainingCourseSchema.methods.updateUserProgress = function(userId, moduleId, score) { const enrollment = this.enrollments.find(e => e.userId.toString() === userId.toString()); if (!enrollment) { throw new Error('User is not enrolled in this course'); } // Update completed modules const existingModule = enrollment.completedModules.find(m => m.moduleId.toString() === moduleId.toString()); if (existingModule) { existingModule.score = score; existingModule.completedAt = new Date(); } else { enrollment.completedModules.push({ moduleId, score, completedAt: new Date() }); } // Calculate progress const totalModules = this.modules.length; const completedModules = enrollment.completedModules.length; enrollment.progress = Math.round((completedModules / totalModules) * 100); // Update status if all modules completed if (enrollment.progress === 100) { enrollment.status = 'completed'; enrollment.completionDate = new Date(); } return this.save();
-}; trainingCourseSchema.methods.completeAssessment = function(userId, assessmentId, score) { const enrollment = this.enrollments.find(e => e.userId.toString() === userId.toString()); if (!enrollment) { throw new Error('User is not enrolled in this course'); } const assessment = this.assessments.find(a => a.assessmentId.toString() === assessmentId.toString()); if (!assessment) { throw new Error('Assessment not found in this course'); } // Update completed assessments const existingAssessment = enrollment.completedAssessments.find(a => a.assessmentId.toString() === assessmentId.toString()); if (existingAssessment) { existingAssessment.score = score; existingAssessment.passed = score >= assessment.passingScore; existingAssessment.completedAt = new Date(); } else { enrollment.completedAssessments.push({ assessmentId, score, passed: score >= assessment.passingScore, completedAt: new Date() }); } return this.save();
-}; module.exports = mongoose.model('TrainingCourse', trainingCourseSchema); 
\ No newline at end of file
+trainingCourseSchema.index({ 'enrollments.userId': 1 });
+
+// Virtual for current enrollment count
+trainingCourseSchema.virtual('currentEnrollmentCount').get(function() {
+  return (this.enrollments || []).filter(e => SEATED_STATUSES.includes(e.status)).length;
+});
+
+// Virtual for completion rate
+trainingCourseSchema.virtual('completionRate').get(function() {
+  if (!this.statistics || this.statistics.totalEnrollments === 0) return 0;
+  return (this.statistics.completedEnrollments / this.statistics.totalEnrollments) * 100;
+});
+
+// Pre-save middleware
+trainingCourseSchema.pre('save', function(next) {
+  // Calculate total duration from modules
+  if (this.modules && this.modules.length > 0) {
+    this.totalDuration = this.modules.reduce((total, module) => total + module.estimatedDuration, 0);
+  }
+
+  // Update statistics
+  this.statistics.totalEnrollments = this.enrollments.length;
+  this.statistics.activeEnrollments = this.enrollments.filter(e => SEATED_STATUSES.includes(e.status)).length;
+  this.statistics.completedEnrollments = this.enrollments.filter(e => FINISHED_STATUSES.includes(e.status)).length;
+
+  // Calculate average score
+  const completedEnrollments = this.enrollments.filter(e => FINISHED_STATUSES.includes(e.status));
+  if (completedEnrollments.length > 0) {
+    const totalScore = completedEnrollments.reduce((sum, enrollment) => {
+      const scores = enrollment.completedAssessments.map(a => a.score).filter(score => score !== undefined);
+      return sum + (scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0);
+    }, 0);
+    this.statistics.averageScore = totalScore / completedEnrollments.length;
+  }
+
+  next();
+});
+
+// Static methods
+trainingCourseSchema.statics.findByTenant = function(tenantId, options = {}) {
+  return this.find({ tenantId, ...options });
+};
+
+trainingCourseSchema.statics.findActive = function(tenantId) {
+  return this.find({
+    tenantId,
+    isActive: true,
+    $or: [
+      { enrollmentEndDate: { $exists: false } },
+      { enrollmentEndDate: null },
+      { enrollmentEndDate: { $gte: new Date() } }
+    ]
+  });
+};
+
+// Instance methods
+trainingCourseSchema.methods.getEnrollment = function(userId) {
+  return this.enrollments.find(e => e.userId.toString() === userId.toString()) || null;
+};
+
+trainingCourseSchema.methods.getActiveEnrollment = function(userId) {
+  const enrollment = this.getEnrollment(userId);
+  if (!enrollment) {
+    throw new NotFoundError('User is not enrolled in this course');
+  }
+  if (!ACTIVE_STATUSES.includes(enrollment.status)) {
+    throw new ConflictError(`Enrollment is ${enrollment.status}`);
+  }
+  return enrollment;
+};
+
+trainingCourseSchema.methods.hasSeat = function() {
+  return this.currentEnrollmentCount < this.maxEnrollment;
+};
+
+/**
+ * Enroll a learner. Courses that require approval queue the request as
+ * pending; full courses put the learner on the waitlist. Dropped or
+ * rejected learners may enroll again.
+ */
+trainingCourseSchema.methods.enrollUser = function(userId) {
+  if (!this.settings.allowSelfEnrollment) {
+    throw new AuthorizationError('Self-enrollment is not allowed for this course');
+  }
+
+  const existingEnrollment = this.getEnrollment(userId);
+  if (existingEnrollment && !['dropped', 'rejected'].includes(existingEnrollment.status)) {
+    throw new ConflictError(existingEnrollment.status === 'pending'
+      ? 'Enrollment is awaiting approval'
+      : existingEnrollment.status === 'waitlisted'
+        ? 'User is already on the waitlist for this course'
+        : 'User is already enrolled in this course');
+  }
+  if (existingEnrollment) {
+    this.enrollments.pull(existingEnrollment._id);
+  }
+
+  const now = new Date();
+  if (this.settings.requireApproval) {
+    this.enrollments.push({ userId, enrolledAt: now, status: 'pending' });
+  } else if (this.hasSeat()) {
+    this.enrollments.push({ userId, enrolledAt: now, status: 'enrolled' });
+  } else {
+    this.enrollments.push({ userId, enrolledAt: now, status: 'waitlisted', waitlistedAt: now });
+  }
+  return this.save();
+};
+
+/**
+ * Approve a pending request; the learner is waitlisted if no seat is free
+ */
+trainingCourseSchema.methods.approveEnrollment = function(userId, reviewerId) {
+  const enrollment = this.getEnrollment(userId);
+  if (!enrollment || enrollment.status !== 'pending') {
+    throw new NotFoundError('No pending enrollment request for this user');
+  }
+  const now = new Date();
+  enrollment.reviewedBy = reviewerId;
+  enrollment.reviewedAt = now;
+  if (this.hasSeat()) {
+    enrollment.status = 'enrolled';
+  } else {
+    enrollment.status = 'waitlisted';
+    enrollment.waitlistedAt = now;
+  }
+  return this.save();
+};
+
+trainingCourseSchema.methods.rejectEnrollment = function(userId, reviewerId, reason) {
+  const enrollment = this.getEnrollment(userId);
+  if (!enrollment || !['pending', 'waitlisted'].includes(enrollment.status)) {
+    throw new NotFoundError('No pending or waitlisted enrollment for this user');
+  }
+  enrollment.status = 'rejected';
+  enrollment.reviewedBy = reviewerId;
+  enrollment.reviewedAt = new Date();
+  enrollment.rejectionReason = reason;
+  return this.save();
+};
+
+/**
+ * Move waitlisted learners into free seats, first come first served.
+ * Does not save.
+ * @returns {Array} Promoted enrollments
+ */
+trainingCourseSchema.methods.promoteWaitlist = function() {
+  const waitlist = this.enrollments
+    .filter(e => e.status === 'waitlisted')
+    .sort((a, b) => new Date(a.waitlistedAt || a.enrolledAt) - new Date(b.waitlistedAt || b.enrolledAt));
+  const promoted = [];
+  for (const enrollment of waitlist) {
+    if (!this.hasSeat()) {
+      break;
+    }
+    enrollment.status = 'enrolled';
+    promoted.push(enrollment);
+  }
+  return promoted;
+};
+
+/**
+ * Remove a learner who has not finished the course and give the seat to
+ * the waitlist
+ */
+trainingCourseSchema.methods.unenrollUser = function(userId) {
+  const enrollment = this.getEnrollment(userId);
+  if (!enrollment) {
+    throw new NotFoundError('User is not enrolled in this course');
+  }
+  if (FINISHED_STATUSES.includes(enrollment.status)) {
+    throw new ConflictError('Completed enrollments cannot be withdrawn');
+  }
+  this.enrollments = this.enrollments.filter(e => e.userId.toString() !== userId.toString());
+  this.promoteWaitlist();
+  return this.save();
+};
+
+/**
+ * Start a module. `requiredModuleIds` are the module's prerequisites; all
+ * of them must already be completed.
+ */
+trainingCourseSchema.methods.startModule = function(userId, moduleId, requiredModuleIds = []) {
+  const enrollment = this.getActiveEnrollment(userId);
+  if (!this.modules.some(m => m.moduleId.toString() === moduleId.toString())) {
+    throw new NotFoundError('Module not found in this course');
+  }
+
+  const completed = new Set(enrollment.completedModules.map(m => m.moduleId.toString()));
+  const missing = requiredModuleIds.filter(id => !completed.has(id.toString()));
+  if (missing.length) {
+    throw new ValidationError('Complete the prerequisite modules first', { prerequisites: missing.map(String) });
+  }
+
+  const now = new Date();
+  if (!enrollment.startedModules.some(m => m.moduleId.toString() === moduleId.toString())) {
+    enrollment.startedModules.push({ moduleId, startedAt: now });
+  }
+  if (enrollment.status === 'enrolled') {
+    enrollment.status = 'in-progress';
+    enrollment.startDate = enrollment.startDate || now;
+  }
+  enrollment.lastActivityAt = now;
+  return this.save();
+};
+
+/**
+ * Completed once every required module is done and every required
+ * assessment passed. Does not save.
+ */
+trainingCourseSchema.methods.refreshCompletion = function(enrollment) {
+  const completedModules = new Set(enrollment.completedModules.map(m => m.moduleId.toString()));
+  const passedAssessments = new Set(enrollment.completedAssessments.filter(a => a.passed).map(a => a.assessmentId.toString()));
+
+  const totalModules = this.modules.length;
+  const doneModules = this.modules.filter(m => completedModules.has(m.moduleId.toString())).length;
+  enrollment.progress = totalModules ? Math.round((doneModules / totalModules) * 100) : 0;
+
+  const modulesDone = this.modules.filter(m => m.isRequired).every(m => completedModules.has(m.moduleId.toString()));
+  const assessmentsDone = this.assessments
+    .filter(a => a.isRequired && a.assessmentId)
+    .every(a => passedAssessments.has(a.assessmentId.toString()));
+
+  if (modulesDone && assessmentsDone && (totalModules || this.assessments.length) && ACTIVE_STATUSES.includes(enrollment.status)) {
+    enrollment.status = 'completed';
+    enrollment.completionDate = new Date();
+  }
+  return enrollment;
+};
+
+trainingCourseSchema.methods.updateUserProgress = function(userId, moduleId, score) {
+  const enrollment = this.getActiveEnrollment(userId);
+  if (!this.modules.some(m => m.moduleId.toString() === moduleId.toString())) {
+    throw new NotFoundError('Module not found in this course');
+  }
+
+  // Update completed modules
+  const now = new Date();
+  const existingModule = enrollment.completedModules.find(m => m.moduleId.toString() === moduleId.toString());
+  if (existingModule) {
+    existingModule.score = score;
+    existingModule.completedAt = now;
+  } else {
+    enrollment.completedModules.push({ moduleId, score, completedAt: now });
+  }
+  if (!enrollment.startedModules.some(m => m.moduleId.toString() === moduleId.toString())) {
+    enrollment.startedModules.push({ moduleId, startedAt: now });
+  }
+  if (enrollment.status === 'enrolled') {
+    enrollment.status = 'in-progress';
+    enrollment.startDate = enrollment.startDate || now;
+  }
+  enrollment.lastActivityAt = now;
+
+  // Calculate progress and update status if everything is completed
+  this.refreshCompletion(enrollment);
+  return this.save();
+};
+
+trainingCourseSchema.methods.completeAssessment = function(userId, assessmentId, score) {
+  const enrollment = this.getActiveEnrollment(userId);
+  const assessment = this.assessments.find(a => a.assessmentId && a.assessmentId.toString() === assessmentId.toString());
+  if (!assessment) {
+    throw new NotFoundError('Assessment not found in this course');
+  }
+
+  // Update completed assessments
+  const existingAssessment = enrollment.completedAssessments.find(a => a.assessmentId.toString() === assessmentId.toString());
+  if (existingAssessment) {
+    existingAssessment.score = score;
+    existingAssessment.passed = score >= assessment.passingScore;
+    existingAssessment.completedAt = new Date();
+  } else {
+    enrollment.completedAssessments.push({
+      assessmentId,
+      score,
+      passed: score >= assessment.passingScore,
+      completedAt: new Date()
+    });
+  }
+  enrollment.lastActivityAt = new Date();
+
+  this.refreshCompletion(enrollment);
+  return this.save();
+};
+
+module.exports = mongoose.model('TrainingCourse', trainingCourseSchema);
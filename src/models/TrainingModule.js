@@ -16,6 +16,15 @@ const trainingModuleSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set when the content is a SCO of an imported SCORM package; content
+  // then holds the SCO's launch path
+  contentPackage: {
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ContentPackage'
+    },
+    scoId: String
+  },
   duration: {
     type: Number,
     required: true,
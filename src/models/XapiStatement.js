@@ -0,0 +1,75 @@
+/**
+ * xAPI Statement Model
+ * Statements received by the training LRS. The statement is kept verbatim
+ * as JSON (extension keys are IRIs, which contain dots); the fields the
+ * statement API filters on are copied next to it.
+ */
+
+const mongoose = require('mongoose');
+
+const xapiStatementSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  // Statement UUID
+  statementId: {
+    type: String,
+    required: true
+  },
+  statement: {
+    type: String,
+    required: true
+  },
+
+  // Inverse functional identifier of the actor, e.g. "mbox:mailto:jo@example.com"
+  actorKey: String,
+  verbId: {
+    type: String,
+    required: true
+  },
+  // Set when the object is an activity
+  activityId: String,
+  registration: String,
+  timestamp: Date,
+  stored: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Platform user and course the statement was attributed to, if any
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingCourse'
+  },
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingModule'
+  },
+  // Statement ID of the statement this one voids
+  voidsStatementId: String,
+  voided: {
+    type: Boolean,
+    default: false
+  },
+  storedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+xapiStatementSchema.index({ tenantId: 1, statementId: 1 }, { unique: true });
+xapiStatementSchema.index({ tenantId: 1, voided: 1, stored: -1 });
+xapiStatementSchema.index({ tenantId: 1, actorKey: 1, stored: -1 });
+xapiStatementSchema.index({ tenantId: 1, activityId: 1, stored: -1 });
+xapiStatementSchema.index({ tenantId: 1, courseId: 1, userId: 1 });
+
+module.exports = mongoose.model('XapiStatement', xapiStatementSchema);
@@ -0,0 +1,487 @@
+/**
+ * LUXGEN AI REPOSITORY
+ * MongoDB persistence for the AI assistant
+ *
+ * Features:
+ * - Conversations, content library, templates and preferences scoped by tenant and user
+ * - Full-text search over saved content
+ * - Daily usage counters
+ * - Per-tenant quotas by plan
+ */
+
+const mongoose = require('mongoose');
+
+const AIConversation = require('../models/AIConversation');
+const AIContent = require('../models/AIContent');
+const AITemplate = require('../models/AITemplate');
+const AIUserPreference = require('../models/AIUserPreference');
+const AIUsageStat = require('../models/AIUsageStat');
+const Tenant = require('../models/Tenant');
+const { createQuotaExceededError } = require('../utils/errors');
+
+// Stored documents per tenant; null = unlimited
+const AI_QUOTAS = {
+  free: { conversations: 100, contents: 200, templates: 20 },
+  professional: { conversations: 5000, contents: 10000, templates: 200 },
+  enterprise: { conversations: null, contents: null, templates: null }
+};
+const DEFAULT_PLAN = 'free';
+
+const QUOTA_MODELS = {
+  conversations: AIConversation,
+  contents: AIContent,
+  templates: AITemplate
+};
+
+const CONTENT_UPDATE_FIELDS = ['title', 'content', 'type', 'category', 'tags', 'status', 'metadata'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lean documents keep the `id` the in-memory implementation exposed
+const withId = (doc) => (doc ? { id: doc._id.toString(), ...doc } : null);
+
+const paginate = (page, limit) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.max(parseInt(limit, 10) || 10, 1);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+class AIRepository {
+  /**
+   * Scope filter for one user's documents; invalid ids match nothing
+   */
+  ownedBy(id, { userId, tenantId }) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { _id: id, userId: String(userId), tenantId: String(tenantId) };
+  }
+
+  // ==================== CONVERSATIONS ====================
+
+  async createConversation(data) {
+    await this.assertQuota(data.tenantId, 'conversations');
+    const conversation = await AIConversation.create({
+      ...data,
+      userId: String(data.userId),
+      tenantId: String(data.tenantId),
+      messageCount: (data.messages || []).length
+    });
+    return withId(conversation.toObject());
+  }
+
+  async findConversations({ userId, tenantId, niche, page, limit }) {
+    const query = { userId: String(userId), tenantId: String(tenantId) };
+    if (niche) {
+      query.niche = niche;
+    }
+
+    const pagination = paginate(page, limit);
+    const [conversations, total] = await Promise.all([
+      AIConversation.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      AIConversation.countDocuments(query)
+    ]);
+
+    return {
+      conversations: conversations.map(withId),
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        pages: Math.ceil(total / pagination.limit)
+      }
+    };
+  }
+
+  async findConversation(conversationId, scope) {
+    const filter = this.ownedBy(conversationId, scope);
+    return filter ? withId(await AIConversation.findOne(filter).lean()) : null;
+  }
+
+  async deleteConversation(conversationId, scope) {
+    const filter = this.ownedBy(conversationId, scope);
+    if (!filter) {
+      return false;
+    }
+    const result = await AIConversation.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Append a message; returns false when the conversation does not exist
+   */
+  async appendMessage(conversationId, scope, message) {
+    const filter = this.ownedBy(conversationId, scope);
+    if (!filter) {
+      return false;
+    }
+    const result = await AIConversation.updateOne(filter, {
+      $push: { messages: message },
+      $inc: { messageCount: 1 }
+    });
+    return result.matchedCount > 0;
+  }
+
+  // ==================== CONTENT LIBRARY ====================
+
+  async createContent(data) {
+    await this.assertQuota(data.tenantId, 'contents');
+    const content = await AIContent.create({
+      ...data,
+      userId: String(data.userId),
+      tenantId: String(data.tenantId)
+    });
+    return withId(content.toObject());
+  }
+
+  /**
+   * Content library page; `search` uses the text index and ranks by
+   * relevance, falling back to a substring match for partial words
+   */
+  async findContents({ userId, tenantId, type, category, status, search, page, limit }) {
+    const query = { userId: String(userId), tenantId: String(tenantId) };
+    if (type) {
+      query.type = type;
+    }
+    if (category) {
+      query.category = category;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const pagination = paginate(page, limit);
+    const runQuery = async (filter, projection, sort) => {
+      const [contents, total] = await Promise.all([
+        AIContent.find(filter, projection)
+          .sort(sort)
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .lean(),
+        AIContent.countDocuments(filter)
+      ]);
+      return { contents, total };
+    };
+
+    let result;
+    if (search) {
+      result = await runQuery(
+        { ...query, $text: { $search: search } },
+        { score: { $meta: 'textScore' } },
+        { score: { $meta: 'textScore' }, updatedAt: -1 }
+      );
+      if (result.total === 0) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        result = await runQuery(
+          { ...query, $or: [{ title: pattern }, { content: pattern }, { tags: pattern }] },
+          null,
+          { updatedAt: -1 }
+        );
+      }
+    } else {
+      result = await runQuery(query, null, { updatedAt: -1 });
+    }
+
+    return {
+      contents: result.contents.map(withId),
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total: result.total,
+        pages: Math.ceil(result.total / pagination.limit)
+      }
+    };
+  }
+
+  async updateContent(contentId, scope, updateData = {}) {
+    const filter = this.ownedBy(contentId, scope);
+    if (!filter) {
+      return null;
+    }
+
+    const update = {};
+    CONTENT_UPDATE_FIELDS.forEach(field => {
+      if (updateData[field] !== undefined) {
+        update[field] = updateData[field];
+      }
+    });
+
+    const content = await AIContent.findOneAndUpdate(filter, { $set: update }, {
+      new: true,
+      runValidators: true
+    }).lean();
+    return withId(content);
+  }
+
+  async deleteContent(contentId, scope) {
+    const filter = this.ownedBy(contentId, scope);
+    if (!filter) {
+      return false;
+    }
+    const result = await AIContent.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+
+  // ==================== TEMPLATES ====================
+
+  async createTemplate(data) {
+    await this.assertQuota(data.tenantId, 'templates');
+    const template = await AITemplate.create({
+      ...data,
+      userId: String(data.userId),
+      tenantId: String(data.tenantId)
+    });
+    return withId(template.toObject());
+  }
+
+  async findTemplates({ userId, tenantId }) {
+    const templates = await AITemplate.find({ userId: String(userId), tenantId: String(tenantId) })
+      .sort({ createdAt: -1 })
+      .lean();
+    return templates.map(withId);
+  }
+
+  // ==================== PREFERENCES ====================
+
+  async findPreferences({ userId, tenantId }) {
+    const record = await AIUserPreference.findOne({ userId: String(userId), tenantId: String(tenantId) }).lean();
+    return record ? record.preferences : null;
+  }
+
+  /**
+   * Merge top-level preference keys into the stored ones
+   */
+  async mergePreferences({ userId, tenantId }, preferences = {}) {
+    const update = {};
+    Object.keys(preferences).forEach(key => {
+      update[`preferences.${key}`] = preferences[key];
+    });
+
+    const record = await AIUserPreference.findOneAndUpdate(
+      { userId: String(userId), tenantId: String(tenantId) },
+      Object.keys(update).length ? { $set: update } : { $setOnInsert: { preferences: {} } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+    return record.preferences;
+  }
+
+  // ==================== USAGE ====================
+
+  /**
+   * Increment today's counters for a user
+   * Only LLM calls count as requests; `usage` holds normalized token counts
+   */
+  async incrementUsage({ userId, tenantId }, action, { type, usage, provider } = {}) {
+    const inc = {};
+    if (action === 'content_generation') {
+      inc.totalRequests = 1;
+      inc.contentGenerated = 1;
+      if (type) {
+        inc[`byType.${type}`] = 1;
+      }
+    } else if (action === 'conversation') {
+      inc.conversations = 1;
+    }
+
+    if (usage) {
+      inc.promptTokens = usage.promptTokens || 0;
+      inc.completionTokens = usage.completionTokens || 0;
+      inc.totalTokens = usage.totalTokens || 0;
+      if (type) {
+        inc[`tokensByType.${type}`] = inc.totalTokens;
+      }
+      if (provider) {
+        inc[`tokensByProvider.${provider}`] = inc.totalTokens;
+      }
+    }
+
+    await AIUsageStat.updateOne(
+      { userId: String(userId), tenantId: String(tenantId), date: new Date().toISOString().slice(0, 10) },
+      { $inc: inc },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Usage totals for a user over an inclusive YYYY-MM-DD range
+   */
+  async sumUsage({ userId, tenantId }, range = {}) {
+    const stats = await AIUsageStat.find({
+      userId: String(userId),
+      tenantId: String(tenantId),
+      ...this.dateFilter(range)
+    }).lean();
+    return this.totalUsage(stats);
+  }
+
+  /**
+   * Request and token totals for every user of a tenant; used on each
+   * AI call, so it aggregates in the database
+   */
+  async sumTenantUsage(tenantKeys, range = {}) {
+    const [totals] = await AIUsageStat.aggregate([
+      { $match: { tenantId: { $in: tenantKeys }, ...this.dateFilter(range) } },
+      {
+        $group: {
+          _id: null,
+          totalRequests: { $sum: '$totalRequests' },
+          totalTokens: { $sum: '$totalTokens' }
+        }
+      }
+    ]);
+    return { totalRequests: totals ? totals.totalRequests : 0, totalTokens: totals ? totals.totalTokens : 0 };
+  }
+
+  /**
+   * Tenant usage report: totals plus a breakdown by day, user, type or provider
+   */
+  async getTenantUsageBreakdown(tenantKeys, range = {}, groupBy = 'day') {
+    const stats = await AIUsageStat.find({ tenantId: { $in: tenantKeys }, ...this.dateFilter(range) })
+      .sort({ date: 1 })
+      .lean();
+
+    const groups = {};
+    // Type and provider groups only have request and total token counts
+    const add = (key, stat, share) => {
+      const group = groups[key] || (groups[key] = share
+        ? { key, requests: 0, totalTokens: 0 }
+        : { key, requests: 0, totalTokens: 0, promptTokens: 0, completionTokens: 0 });
+      if (share) {
+        group.requests += share.requests || 0;
+        group.totalTokens += share.tokens || 0;
+        return;
+      }
+      group.requests += stat.totalRequests || 0;
+      group.totalTokens += stat.totalTokens || 0;
+      group.promptTokens += stat.promptTokens || 0;
+      group.completionTokens += stat.completionTokens || 0;
+    };
+
+    stats.forEach(stat => {
+      if (groupBy === 'user') {
+        add(stat.userId, stat);
+      } else if (groupBy === 'type') {
+        const types = new Set([...Object.keys(stat.byType || {}), ...Object.keys(stat.tokensByType || {})]);
+        types.forEach(type => add(type, stat, {
+          requests: (stat.byType || {})[type],
+          tokens: (stat.tokensByType || {})[type]
+        }));
+      } else if (groupBy === 'provider') {
+        Object.entries(stat.tokensByProvider || {}).forEach(([provider, tokens]) => add(provider, stat, { tokens }));
+      } else {
+        add(stat.date, stat);
+      }
+    });
+
+    return {
+      totals: this.totalUsage(stats),
+      groupBy,
+      breakdown: Object.values(groups)
+    };
+  }
+
+  totalUsage(stats) {
+    const mergeCounts = (target, source) => {
+      Object.entries(source || {}).forEach(([key, count]) => {
+        target[key] = (target[key] || 0) + count;
+      });
+    };
+
+    return stats.reduce((totals, stat) => {
+      ['totalRequests', 'contentGenerated', 'conversations', 'promptTokens', 'completionTokens', 'totalTokens']
+        .forEach(field => {
+          totals[field] += stat[field] || 0;
+        });
+      mergeCounts(totals.byType, stat.byType);
+      mergeCounts(totals.tokensByType, stat.tokensByType);
+      mergeCounts(totals.tokensByProvider, stat.tokensByProvider);
+      return totals;
+    }, {
+      totalRequests: 0,
+      contentGenerated: 0,
+      conversations: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      byType: {},
+      tokensByType: {},
+      tokensByProvider: {}
+    });
+  }
+
+  /**
+   * { from, to } (inclusive YYYY-MM-DD) -> query on the `date` field
+   */
+  dateFilter({ from, to } = {}) {
+    if (!from && !to) {
+      return {};
+    }
+    const date = {};
+    if (from) {
+      date.$gte = from;
+    }
+    if (to) {
+      date.$lte = to;
+    }
+    return { date };
+  }
+
+  // ==================== QUOTAS ====================
+
+  /**
+   * Quota limits and current counts for a tenant
+   */
+  async getQuotaUsage(tenantId) {
+    const { plan, keys } = await this.resolveTenant(tenantId);
+    const limits = AI_QUOTAS[plan] || AI_QUOTAS[DEFAULT_PLAN];
+
+    const usage = {};
+    await Promise.all(Object.keys(QUOTA_MODELS).map(async resource => {
+      usage[resource] = {
+        used: await QUOTA_MODELS[resource].countDocuments({ tenantId: { $in: keys } }),
+        limit: limits[resource]
+      };
+    }));
+
+    return { plan, usage };
+  }
+
+  async assertQuota(tenantId, resource) {
+    const { plan, keys } = await this.resolveTenant(tenantId);
+    const limit = (AI_QUOTAS[plan] || AI_QUOTAS[DEFAULT_PLAN])[resource];
+    if (limit === null || limit === undefined) {
+      return;
+    }
+
+    const used = await QUOTA_MODELS[resource].countDocuments({ tenantId: { $in: keys } });
+    if (used >= limit) {
+      throw createQuotaExceededError(`AI ${resource} on the ${plan} plan`, limit);
+    }
+  }
+
+  /**
+   * Callers pass the tenant as an id or slug, and documents may carry
+   * either; unknown tenants get the default plan
+   */
+  async resolveTenant(tenantId) {
+    const key = String(tenantId);
+    const query = /^[0-9a-fA-F]{24}$/.test(key) ? { _id: key } : { slug: key };
+
+    const tenant = await Tenant.findOne(query).select('plan slug settings.ai subscription createdAt').lean();
+    if (!tenant) {
+      return { tenant: null, plan: DEFAULT_PLAN, keys: [key], aiSettings: {} };
+    }
+    return {
+      tenant,
+      plan: tenant.plan || DEFAULT_PLAN,
+      keys: [tenant._id.toString(), tenant.slug].filter(Boolean),
+      aiSettings: (tenant.settings && tenant.settings.ai) || {}
+    };
+  }
+}
+
+module.exports = new AIRepository();
@@ -0,0 +1,380 @@
+/**
+ * AI Routes
+ * Streaming (Server-Sent Events), usage and knowledge base endpoints for the AI assistant
+ *
+ * Stream events: `delta` { content } while generating, then `done` { content, metadata }
+ * or `error` { message, statusCode, retryAfter }. Closing the connection cancels generation.
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const multer = require('multer');
+const aiService = require('../services/aiServiceEnhanced');
+const knowledgeBaseService = require('../services/KnowledgeBaseService');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateFields } = require('../middleware/requestValidation');
+const { openEventStream } = require('../utils/sse');
+const logger = require('../utils/logger');
+
+// URL name -> EnhancedAIService method
+const GENERATORS = {
+  content: 'generateContent',
+  'training-material': 'generateTrainingMaterial',
+  'assessment-questions': 'generateAssessmentQuestions',
+  'presentation-outline': 'generatePresentationOutline',
+  improve: 'improveContent',
+  translate: 'translateContent',
+  'blog-post': 'generateBlogPost',
+  'social-media': 'generateSocialMedia',
+  email: 'generateEmail',
+  'product-description': 'generateProductDescription',
+  'image-prompt': 'generateImagePrompt',
+  'video-script': 'generateVideoScript',
+  'audio-script': 'generateAudioScript',
+  'training-module': 'generateTrainingModule',
+  exercises: 'generateExercises',
+  'case-studies': 'generateCaseStudies',
+  quiz: 'generateQuiz',
+  scenarios: 'generateScenarios'
+};
+
+// Knowledge base uploads: plain text and markdown only
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.txt', '.md', '.markdown'];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only .txt and .md files are allowed'));
+  }
+});
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const requester = (req) => ({
+  userId: req.user._id.toString(),
+  tenantId: String(req.user.tenantId)
+});
+
+/**
+ * Run a generation over SSE, forwarding deltas until it completes,
+ * fails or the client disconnects
+ */
+const streamGeneration = async (res, label, run) => {
+  const events = openEventStream(res);
+
+  try {
+    const result = await run({
+      onDelta: (content) => events.send('delta', { content }),
+      signal: events.signal
+    });
+    events.send('done', { content: result.content, metadata: result.metadata });
+  } catch (error) {
+    if (events.isClosed()) {
+      logger.info(`${label} stream cancelled by client`);
+      return;
+    }
+    logger.error(`${label} stream failed:`, error.message);
+    events.send('error', {
+      message: error.message,
+      statusCode: error.statusCode || 500,
+      retryAfter: error.retryAfter
+    });
+  }
+
+  events.close();
+};
+
+/**
+ * @route POST /api/v1/ai/generate/:generator/stream
+ * @desc Stream any generator (blog-post, training-module, ...); the body holds
+ *       that generator's parameters (topic, options, ...)
+ * @access Private
+ */
+router.post('/generate/:generator/stream', validateFields([
+  { in: 'params', field: 'generator', required: true, values: Object.keys(GENERATORS), message: 'Unknown generator' },
+  { in: 'body', field: 'options', type: 'object' }
+]), async (req, res) => {
+  const method = GENERATORS[req.params.generator];
+  const { options, ...params } = req.body;
+
+  await streamGeneration(res, req.params.generator, (stream) => aiService[method]({
+    ...params,
+    options: { ...options, stream },
+    ...requester(req)
+  }));
+});
+
+/**
+ * @route POST /api/v1/ai/conversations/:conversationId/messages/stream
+ * @desc Add a user message and stream the assistant's reply; the reply is
+ *       saved to the conversation once it completes
+ * @access Private
+ */
+router.post('/conversations/:conversationId/messages/stream', validateFields([
+  { in: 'params', field: 'conversationId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'content', required: true, type: 'string', trim: true, message: 'Message content is required' }
+]), async (req, res) => {
+  const { conversationId } = req.params;
+  const { content, context } = req.body;
+
+  try {
+    await aiService.sendMessage({
+      conversationId,
+      content,
+      type: 'user',
+      ...requester(req)
+    });
+  } catch (error) {
+    return res.status(error.message === 'Conversation not found' ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  await streamGeneration(res, 'chat', (stream) => aiService.generateResponse({
+    message: content,
+    conversationId,
+    context,
+    stream,
+    ...requester(req)
+  }));
+});
+
+/**
+ * @route GET /api/v1/ai/usage
+ * @desc Current user's AI requests and tokens, by content type and provider
+ * @access Private
+ */
+router.get('/usage', validateFields([
+  { in: 'query', field: 'startDate', type: 'date' },
+  { in: 'query', field: 'endDate', type: 'date' },
+  { in: 'query', field: 'type', type: 'string' }
+]), async (req, res) => {
+  try {
+    const { startDate, endDate, type } = req.query;
+    const usage = await aiService.getUsageAnalytics({
+      dateRange: { startDate, endDate },
+      type,
+      ...requester(req)
+    });
+
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    logger.error('Failed to get AI usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get AI usage',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/ai/rate-limits
+ * @desc Current user's rate limit windows and the tenant's monthly quota
+ * @access Private
+ */
+router.get('/rate-limits', async (req, res) => {
+  try {
+    const limits = await aiService.getRateLimits(requester(req));
+
+    res.json({
+      success: true,
+      data: limits
+    });
+  } catch (error) {
+    logger.error('Failed to get AI rate limits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get AI rate limits',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Knowledge base errors -> HTTP status
+ */
+const sendKnowledgeError = (res, action, error) => {
+  const statusCode = /not found/i.test(error.message) ? 404 : /empty|exceeds/i.test(error.message) ? 400 : 500;
+  if (statusCode === 500) {
+    logger.error(`Failed to ${action}:`, error);
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: `Failed to ${action}`,
+    error: error.message
+  });
+};
+
+/**
+ * @route POST /api/v1/ai/knowledge/documents
+ * @desc Add a text document to the tenant's knowledge base; send JSON
+ *       { title, content } or a multipart .txt/.md `file`
+ * @access Private (admin, trainer)
+ */
+router.post('/knowledge/documents',
+  authorizeRoles('admin', 'trainer'),
+  upload.single('file'),
+  validateFields([
+    { in: 'body', field: 'title', type: 'string', trim: true, minLength: 1, maxLength: 200 },
+    { in: 'body', field: 'content', type: 'string' },
+    { in: 'body', field: 'metadata', type: 'object' }
+  ]),
+  async (req, res) => {
+    try {
+      const { tenantId, userId } = requester(req);
+      const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+      const title = req.body.title || (req.file && req.file.originalname);
+
+      if (!title || !content) {
+        return res.status(400).json({
+          success: false,
+          message: 'A title and content (or a file) are required'
+        });
+      }
+
+      const document = await knowledgeBaseService.addDocument(tenantId, {
+        title,
+        content,
+        source: req.file
+          ? { type: 'upload', mimeType: req.file.mimetype }
+          : { type: 'text' },
+        metadata: req.body.metadata,
+        createdBy: userId
+      });
+
+      res.status(201).json({
+        success: true,
+        data: document
+      });
+    } catch (error) {
+      sendKnowledgeError(res, 'add knowledge document', error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/ai/knowledge/training-modules/:moduleId
+ * @desc Index (or re-index) a training module
+ * @access Private (admin, trainer)
+ */
+router.post('/knowledge/training-modules/:moduleId', validateFields([
+  { in: 'params', field: 'moduleId', required: true, type: 'mongoId' }
+]), authorizeRoles('admin', 'trainer'), async (req, res) => {
+  try {
+    const { tenantId, userId } = requester(req);
+    const document = await knowledgeBaseService.ingestTrainingModule(tenantId, req.params.moduleId, { createdBy: userId });
+
+    res.status(201).json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    sendKnowledgeError(res, 'index training module', error);
+  }
+});
+
+/**
+ * @route POST /api/v1/ai/knowledge/training-courses/:courseId
+ * @desc Index (or re-index) a training course and its modules
+ * @access Private (admin, trainer)
+ */
+router.post('/knowledge/training-courses/:courseId', validateFields([
+  { in: 'params', field: 'courseId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'includeModules', type: 'boolean' }
+]), authorizeRoles('admin', 'trainer'), async (req, res) => {
+  try {
+    const { tenantId, userId } = requester(req);
+    const documents = await knowledgeBaseService.ingestTrainingCourse(tenantId, req.params.courseId, {
+      createdBy: userId,
+      includeModules: req.body.includeModules
+    });
+
+    res.status(201).json({
+      success: true,
+      data: documents
+    });
+  } catch (error) {
+    sendKnowledgeError(res, 'index training course', error);
+  }
+});
+
+/**
+ * @route GET /api/v1/ai/knowledge/documents
+ * @desc List the tenant's knowledge base documents
+ * @access Private
+ */
+router.get('/knowledge/documents', validateFields([
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 }
+]), async (req, res) => {
+  try {
+    const result = await knowledgeBaseService.listDocuments(requester(req).tenantId, req.query);
+
+    res.json({
+      success: true,
+      data: result.documents,
+      pagination: result.pagination,
+      stats: await knowledgeBaseService.getStats(requester(req).tenantId)
+    });
+  } catch (error) {
+    sendKnowledgeError(res, 'list knowledge documents', error);
+  }
+});
+
+/**
+ * @route DELETE /api/v1/ai/knowledge/documents/:documentId
+ * @desc Remove a document and its passages
+ * @access Private (admin, trainer)
+ */
+router.delete('/knowledge/documents/:documentId', validateFields([
+  { in: 'params', field: 'documentId', required: true, type: 'mongoId' }
+]), authorizeRoles('admin', 'trainer'), async (req, res) => {
+  try {
+    await knowledgeBaseService.removeDocument(requester(req).tenantId, req.params.documentId);
+
+    res.json({
+      success: true,
+      message: 'Knowledge document removed'
+    });
+  } catch (error) {
+    sendKnowledgeError(res, 'remove knowledge document', error);
+  }
+});
+
+/**
+ * @route GET /api/v1/ai/knowledge/search
+ * @desc Top passages for a query, ranked by BM25
+ * @access Private
+ */
+router.get('/knowledge/search', validateFields([
+  { in: 'query', field: 'q', required: true, type: 'string', trim: true, message: 'Search query is required' },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 20 }
+]), async (req, res) => {
+  try {
+    const passages = await knowledgeBaseService.search(requester(req).tenantId, req.query.q, {
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      data: passages
+    });
+  } catch (error) {
+    sendKnowledgeError(res, 'search knowledge base', error);
+  }
+});
+
+module.exports = router;
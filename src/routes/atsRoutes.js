@@ -7,30 +7,63 @@ const express = require('express');
 const router = express.Router();
 const JobApplication = require('../models/JobApplication');
 const CandidateProfile = require('../models/CandidateProfile');
-const { authenticateToken, requireAdmin, requireTrainer } = require('../middleware/auth');
-const { validateRequest } = require('../middleware/validation');
-const { body, query, param } = require('express-validator');
+const HiringPipeline = require('../models/HiringPipeline');
+const matchScoringService = require('../services/MatchScoringService');
+const hiringPipelineService = require('../services/HiringPipelineService');
+const interviewService = require('../services/InterviewService');
+const candidateAccessService = require('../services/CandidateAccessService');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateFields } = require('../middleware/requestValidation');
 const logger = require('../utils/logger');
 
+const requireAdmin = authorizeRoles('admin');
+const requireTrainer = authorizeRoles('trainer', 'admin');
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+/**
+ * Shared error response for candidate access routes
+ */
+const sendAccessError = (res, error, message) => {
+  if (!error.statusCode) {
+    logger.error(`${message}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+    details: error.details
+  });
+};
+
+/**
+ * Request context recorded with sensitive-read audit entries
+ */
+const auditRequest = req => ({
+  method: req.method,
+  url: req.originalUrl,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+  requestId: req.requestId
+});
+
 /**
  * @route GET /api/v1/ats/candidates
  * @desc Get all candidates with filtering and search
  * @access Private (trainers/recruiters)
  */
-router.get('/candidates', [
-  query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('search').optional().isString(),
-  query('skills').optional().isString(),
-  query('experience').optional().isInt({ min: 0 }),
-  query('location').optional().isString(),
-  query('status').optional().isIn(['active', 'inactive', 'suspended']),
-  query('sortBy').optional().isIn(['createdAt', 'lastActive', 'profileCompleteness']),
-  query('sortOrder').optional().isIn(['asc', 'desc'])
-], validateRequest, requireTrainer, async (req, res) => {
+router.get('/candidates', validateFields([
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 },
+  { in: 'query', field: 'search', type: 'string' },
+  { in: 'query', field: 'skills', type: 'string' },
+  { in: 'query', field: 'experience', type: 'int', min: 0 },
+  { in: 'query', field: 'location', type: 'string' },
+  { in: 'query', field: 'status', values: ['active', 'inactive', 'suspended'] },
+  { in: 'query', field: 'sortBy', values: ['createdAt', 'lastActive', 'profileCompleteness'] },
+  { in: 'query', field: 'sortOrder', values: ['asc', 'desc'] }
+]), requireTrainer, async (req, res) => {
   try {
     const {
       page = 1,
@@ -99,10 +132,15 @@ router.get('/candidates', [
 
     const total = await CandidateProfile.countDocuments(filter);
 
+    // Same field-level redaction and auditing as the single profile view
+    const views = await Promise.all(candidates.map(candidate =>
+      candidateAccessService.read(candidate, req.user, { request: auditRequest(req) })
+    ));
+
     const pages = Math.ceil(total / limit);
     res.json({
       success: true,
-      data: candidates,
+      data: views.map(view => ({ ...view.data, hasFullAccess: view.hasFullAccess, redactedFields: view.redactedFields })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -124,12 +162,14 @@ router.get('/candidates', [
 
 /**
  * @route GET /api/v1/ats/candidates/:id
- * @desc Get candidate profile by ID
+ * @desc Get candidate profile by ID. Contact details, salary, date of birth
+ *       and visa status are redacted unless the viewer holds an unexpired
+ *       grant; reads that include them are audited
  * @access Private (trainers/recruiters)
  */
-router.get('/candidates/:id', [
-  param('id').isMongoId()
-], validateRequest, requireTrainer, async (req, res) => {
+router.get('/candidates/:id', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' }
+]), requireTrainer, async (req, res) => {
   try {
     const candidateId = req.params.id;
     const tenantId = req.tenantId || 'default';
@@ -146,26 +186,14 @@ router.get('/candidates/:id', [
       });
     }
 
-    // Check if user has permission to view sensitive information
-    const hasPermission = candidate.permissions.viewers.some(
-      viewer => viewer.userId.toString() === req.user.id
-    ) || req.user.roles.includes('admin');
-
-    // Filter sensitive data if no permission
-    let candidateData = candidate.toObject();
-    if (!hasPermission) {
-      // Remove sensitive information
-      delete candidateData.personalInfo.dateOfBirth;
-      delete candidateData.personalInfo.phone;
-      delete candidateData.personalInfo.alternateEmail;
-      delete candidateData.preferences;
-      delete candidateData.permissions;
-    }
+    const view = await candidateAccessService.read(candidate, req.user, { request: auditRequest(req) });
 
     res.json({
       success: true,
-      data: candidateData,
-      hasFullAccess: hasPermission
+      data: view.data,
+      hasFullAccess: view.hasFullAccess,
+      redactedFields: view.redactedFields,
+      accessExpiresAt: view.grantExpiresAt
     });
   } catch (error) {
     logger.error('Failed to get candidate:', error);
@@ -182,145 +210,116 @@ router.get('/candidates/:id', [
  * @desc Request access to sensitive candidate information
  * @access Private (trainers/recruiters)
  */
-router.post('/candidates/:id/request-access', [
-  param('id').isMongoId(),
-  body('reason').notEmpty().isString().isLength({ min: 10, max: 500 })
-], validateRequest, requireTrainer, async (req, res) => {
+router.post('/candidates/:id/request-access', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'body', field: 'reason', required: true, type: 'string', minLength: 10, maxLength: 500 }
+]), requireTrainer, async (req, res) => {
   try {
-    const candidateId = req.params.id;
     const tenantId = req.tenantId || 'default';
-    const { reason } = req.body;
+    const request = await candidateAccessService.requestAccess(req.params.id, tenantId, req.user, req.body.reason);
 
-    const candidate = await CandidateProfile.findOne({
-      userId: candidateId,
-      tenantId
+    res.json({
+      success: true,
+      message: 'Access request submitted successfully. Super admin will review your request.',
+      data: request
     });
+  } catch (error) {
+    sendAccessError(res, error, 'Failed to request candidate access');
+  }
+});
 
-    if (!candidate) {
-      return res.status(404).json({
-        success: false,
-        message: 'Candidate not found'
-      });
-    }
-
-    // Check if already has access
-    const hasAccess = candidate.permissions.viewers.some(
-      viewer => viewer.userId.toString() === req.user.id
-    );
-
-    if (hasAccess) {
-      return res.status(400).json({
-        success: false,
-        message: 'You already have access to this candidate\'s information'
-      });
-    }
-
-    // Check if request already exists
-    const existingRequest = candidate.permissions.accessRequests.find(
-      request => request.requestedBy.toString() === req.user.id && request.status === 'pending'
-    );
-
-    if (existingRequest) {
-      return res.status(400).json({
-        success: false,
-        message: 'You already have a pending request for this candidate'
-      });
-    }
+/**
+ * @route POST /api/v1/ats/candidates/:id/grant-access
+ * @desc Approve or deny an access request (Super Admin only). Approved grants
+ *       expire after durationDays (CANDIDATE_ACCESS_GRANT_DAYS by default)
+ * @access Private (super admin)
+ */
+router.post('/candidates/:id/grant-access', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'body', field: 'requestId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'approved', required: true, type: 'boolean' },
+  { in: 'body', field: 'durationDays', type: 'int', min: 1, max: 90 },
+  { in: 'body', field: 'note', type: 'string', maxLength: 500 }
+]), requireAdmin, async (req, res) => {
+  try {
+    const { requestId, approved, durationDays, note } = req.body;
+    const tenantId = req.tenantId || 'default';
+    const isApproved = approved === true || approved === 'true';
 
-    // Add access request
-    candidate.permissions.accessRequests.push({
-      requestedBy: req.user.id,
-      requestedAt: new Date(),
-      reason,
-      status: 'pending'
+    const result = await candidateAccessService.decideRequest(req.params.id, tenantId, requestId, req.user, {
+      approved: isApproved,
+      durationDays,
+      note
     });
 
-    await candidate.save();
-
     res.json({
       success: true,
-      message: 'Access request submitted successfully. Super admin will review your request.'
+      message: `Access request ${isApproved ? 'approved' : 'denied'} successfully`,
+      data: result
     });
   } catch (error) {
-    logger.error('Failed to request candidate access:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to request candidate access',
-      error: error.message
-    });
+    sendAccessError(res, error, 'Failed to process access request');
   }
 });
 
 /**
- * @route POST /api/v1/ats/candidates/:id/grant-access
- * @desc Grant access to sensitive candidate information (Super Admin only)
+ * @route DELETE /api/v1/ats/candidates/:id/access/:userId
+ * @desc Revoke a viewer's grant before it expires
  * @access Private (super admin)
  */
-router.post('/candidates/:id/grant-access', [
-  param('id').isMongoId(),
-  body('requestId').isMongoId(),
-  body('approved').isBoolean()
-], validateRequest, requireAdmin, async (req, res) => {
+router.delete('/candidates/:id/access/:userId', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'params', field: 'userId', required: true, type: 'mongoId' }
+]), requireAdmin, async (req, res) => {
   try {
-    const candidateId = req.params.id;
-    const { requestId, approved } = req.body;
     const tenantId = req.tenantId || 'default';
+    await candidateAccessService.revokeAccess(req.params.id, tenantId, req.params.userId, req.user);
 
-    const candidate = await CandidateProfile.findOne({
-      userId: candidateId,
-      tenantId
+    res.json({
+      success: true,
+      message: 'Access revoked successfully'
     });
+  } catch (error) {
+    sendAccessError(res, error, 'Failed to revoke candidate access');
+  }
+});
 
-    if (!candidate) {
-      return res.status(404).json({
-        success: false,
-        message: 'Candidate not found'
-      });
-    }
-
-    const request = candidate.permissions.accessRequests.id(requestId);
-    if (!request) {
-      return res.status(404).json({
-        success: false,
-        message: 'Access request not found'
-      });
-    }
-
-    if (request.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'This request has already been processed'
-      });
-    }
-
-    // Update request status
-    request.status = approved ? 'approved' : 'denied';
-    request.approvedBy = req.user.id;
-    request.approvedAt = new Date();
-
-    // If approved, add to viewers
-    if (approved) {
-      candidate.permissions.viewers.push({
-        userId: request.requestedBy,
-        role: 'trainer',
-        grantedAt: new Date(),
-        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-      });
-    }
+/**
+ * @route GET /api/v1/ats/access-requests
+ * @desc Queue of candidate access requests, oldest first (pending by default)
+ * @access Private (super admin)
+ */
+router.get('/access-requests', validateFields([
+  { in: 'query', field: 'status', values: ['pending', 'approved', 'denied'] },
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 }
+]), requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const tenantId = req.tenantId || 'default';
 
-    await candidate.save();
+    const { requests, total } = await candidateAccessService.listRequests(tenantId, {
+      status: req.query.status,
+      page,
+      limit
+    });
 
+    const pages = Math.ceil(total / limit);
     res.json({
       success: true,
-      message: `Access request ${approved ? 'approved' : 'denied'} successfully`
+      data: requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages,
+        hasNext: page < pages,
+        hasPrev: page > 1
+      }
     });
   } catch (error) {
-    logger.error('Failed to process access request:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to process access request',
-      error: error.message
-    });
+    sendAccessError(res, error, 'Failed to get access requests');
   }
 });
 
@@ -329,15 +328,15 @@ router.post('/candidates/:id/grant-access', [
  * @desc Get all applications with filtering
  * @access Private (trainers/recruiters)
  */
-router.get('/applications', [
-  query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isString(),
-  query('jobId').optional().isMongoId(),
-  query('candidateId').optional().isMongoId(),
-  query('sortBy').optional().isIn(['appliedAt', 'score', 'status']),
-  query('sortOrder').optional().isIn(['asc', 'desc'])
-], validateRequest, requireTrainer, async (req, res) => {
+router.get('/applications', validateFields([
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 },
+  { in: 'query', field: 'status', type: 'string' },
+  { in: 'query', field: 'jobId', type: 'mongoId' },
+  { in: 'query', field: 'candidateId', type: 'mongoId' },
+  { in: 'query', field: 'sortBy', values: ['appliedAt', 'score', 'status'] },
+  { in: 'query', field: 'sortOrder', values: ['asc', 'desc'] }
+]), requireTrainer, async (req, res) => {
   try {
     const {
       page = 1,
@@ -362,6 +361,8 @@ router.get('/applications', [
     const sort = {};
     if (sortBy === 'appliedAt') {
       sort['process.appliedAt'] = sortOrder === 'asc' ? 1 : -1;
+    } else if (sortBy === 'score') {
+      sort['atsData.score'] = sortOrder === 'asc' ? 1 : -1;
     } else {
       sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
     }
@@ -399,26 +400,58 @@ router.get('/applications', [
 });
 
 /**
- * @route PUT /api/v1/ats/applications/:id/status
- * @desc Update application status
+ * @route GET /api/v1/ats/jobs/:jobId/ranked-applicants
+ * @desc Rank a job's applicants by match score (skills, experience, education)
+ *       with the explanation for each score; rescore=true recomputes all scores,
+ *       e.g. after the job's requirements changed
  * @access Private (trainers/recruiters)
  */
-router.put('/applications/:id/status', [
-  param('id').isMongoId(),
-  body('status').isIn([
-    'applied', 'under-review', 'shortlisted', 'interview-scheduled',
-    'interviewed', 'assessment', 'reference-check', 'offer-extended',
-    'offer-accepted', 'offer-declined', 'rejected', 'withdrawn'
-  ]),
-  body('notes').optional().isString()
-], validateRequest, requireTrainer, async (req, res) => {
+router.get('/jobs/:jobId/ranked-applicants', validateFields([
+  { in: 'params', field: 'jobId', required: true, type: 'mongoId' },
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 },
+  { in: 'query', field: 'status', type: 'string' },
+  { in: 'query', field: 'rescore', type: 'boolean' }
+]), requireTrainer, async (req, res) => {
   try {
-    const applicationId = req.params.id;
-    const { status, notes } = req.body;
     const tenantId = req.tenantId || 'default';
+    const { page, limit, status, rescore } = req.query;
 
+    const result = await matchScoringService.rankApplicants(req.params.jobId, tenantId, {
+      page,
+      limit,
+      status,
+      rescore: rescore === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: result.applications,
+      job: result.job,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Failed to rank applicants:', error);
+    res.status(error.message.includes('Job not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to rank applicants',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/ats/applications/:id/score
+ * @desc Recompute an application's match score
+ * @access Private (trainers/recruiters)
+ */
+router.post('/applications/:id/score', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' }
+]), requireTrainer, async (req, res) => {
+  try {
+    const tenantId = req.tenantId || 'default';
     const application = await JobApplication.findOne({
-      _id: applicationId,
+      _id: req.params.id,
       tenantId
     });
 
@@ -429,65 +462,426 @@ router.put('/applications/:id/status', [
       });
     }
 
-    // Update status and process tracking
-    application.status = status;
-    const now = new Date();
-
-    switch (status) {
-      case 'under-review':
-        application.process.reviewedAt = now;
-        break;
-      case 'shortlisted':
-        application.process.shortlistedAt = now;
-        break;
-      case 'interview-scheduled':
-        application.process.interviewScheduledAt = now;
-        break;
-      case 'interviewed':
-        application.process.interviewedAt = now;
-        break;
-      case 'assessment':
-        application.process.assessedAt = now;
-        break;
-      case 'reference-check':
-        application.process.referenceCheckedAt = now;
-        break;
-      case 'offer-extended':
-        application.process.offerExtendedAt = now;
-        break;
-      case 'offer-accepted':
-        application.process.offerAcceptedAt = now;
-        break;
-      case 'rejected':
-        application.process.rejectedAt = now;
-        break;
-      case 'withdrawn':
-        application.process.withdrawnAt = now;
-        break;
-    }
+    const analysis = await matchScoringService.scoreApplication(application);
+    await application.save();
+    await matchScoringService.refreshCandidateScores(application.candidateId, tenantId);
 
-    // Add communication note
-    if (notes) {
-      application.communications.push({
-        type: 'note',
-        content: notes,
-        sentBy: req.user.id,
-        direction: 'outbound'
+    res.json({
+      success: true,
+      data: analysis
+    });
+  } catch (error) {
+    logger.error('Failed to score application:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to score application',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/v1/ats/applications/:id/status
+ * @desc Move an application to another stage of its hiring pipeline. Send the
+ *       target `stage` key, or a legacy `status`; `data` carries the stage's
+ *       required fields (e.g. reason when rejecting, offerAmount for an offer)
+ * @access Private (trainers/recruiters)
+ */
+router.put('/applications/:id/status', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'body', field: 'stage', type: 'string', trim: true },
+  { in: 'body', field: 'status', values: HiringPipeline.APPLICATION_STATUSES },
+  { in: 'body', field: 'data', type: 'object' },
+  { in: 'body', field: 'notes', type: 'string' }
+]), requireTrainer, async (req, res) => {
+  try {
+    const { stage, status, data, notes } = req.body;
+    const tenantId = req.tenantId || 'default';
+
+    if (!stage && !status) {
+      return res.status(400).json({
+        success: false,
+        message: 'A target stage or status is required'
       });
     }
 
-    await application.save();
+    const result = await hiringPipelineService.moveApplication(tenantId, req.params.id, stage || { status }, {
+      data,
+      notes,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: `Application moved to ${result.stage.name}`,
+      data: result.application,
+      actions: result.actions
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Failed to update application status:', error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update application status',
+      error: error.message,
+      details: error.details
+    });
+  }
+});
+
+/**
+ * Shared error response for interview routes; scheduling conflicts are
+ * returned in `details`
+ */
+const sendInterviewError = (res, error, message) => {
+  if (!error.statusCode) {
+    logger.error(`${message}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+    details: error.details
+  });
+};
+
+const interviewValidation = [
+  { in: 'body', field: 'durationMinutes', type: 'int', min: 5, max: 480 },
+  { in: 'body', field: 'type', values: ['phone', 'video', 'in-person', 'technical', 'hr', 'final'] },
+  { in: 'body', field: 'panel', type: 'array' },
+  { in: 'body', field: 'panel.*', type: 'mongoId' },
+  { in: 'body', field: 'location', type: 'string', maxLength: 300 },
+  { in: 'body', field: 'meetingUrl', type: 'url' },
+  { in: 'body', field: 'timezone', type: 'string', maxLength: 64 },
+  { in: 'body', field: 'notes', type: 'string' }
+];
+
+/**
+ * @route POST /api/v1/ats/applications/:id/interviews
+ * @desc Schedule an interview and email calendar invites to the candidate and panel
+ * @access Private (trainers/recruiters)
+ */
+router.post('/applications/:id/interviews', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'body', field: 'scheduledAt', required: true, type: 'date' },
+  { in: 'body', field: 'interviewer', required: true, type: 'mongoId' },
+  ...interviewValidation
+]), requireTrainer, async (req, res) => {
+  try {
+    const result = await interviewService.scheduleInterview(req.tenantId || 'default', req.params.id, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Interview scheduled successfully',
+      data: result.interview,
+      invites: result.invites
+    });
+  } catch (error) {
+    sendInterviewError(res, error, 'Failed to schedule interview');
+  }
+});
+
+/**
+ * @route PUT /api/v1/ats/applications/:id/interviews/:interviewId
+ * @desc Reschedule an interview or change its panel; updated invites are sent
+ * @access Private (trainers/recruiters)
+ */
+router.put('/applications/:id/interviews/:interviewId', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'params', field: 'interviewId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'scheduledAt', type: 'date' },
+  { in: 'body', field: 'interviewer', type: 'mongoId' },
+  ...interviewValidation
+]), requireTrainer, async (req, res) => {
+  try {
+    const result = await interviewService.rescheduleInterview(
+      req.tenantId || 'default', req.params.id, req.params.interviewId, req.body, req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Interview rescheduled successfully',
+      data: result.interview,
+      invites: result.invites
+    });
+  } catch (error) {
+    sendInterviewError(res, error, 'Failed to reschedule interview');
+  }
+});
+
+/**
+ * @route POST /api/v1/ats/applications/:id/interviews/:interviewId/cancel
+ * @desc Cancel an interview and send calendar cancellations
+ * @access Private (trainers/recruiters)
+ */
+router.post('/applications/:id/interviews/:interviewId/cancel', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'params', field: 'interviewId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'reason', type: 'string', maxLength: 500 }
+]), requireTrainer, async (req, res) => {
+  try {
+    const result = await interviewService.cancelInterview(
+      req.tenantId || 'default', req.params.id, req.params.interviewId, { reason: req.body.reason }, req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Interview cancelled successfully',
+      data: result.interview,
+      invites: result.invites
+    });
+  } catch (error) {
+    sendInterviewError(res, error, 'Failed to cancel interview');
+  }
+});
+
+/**
+ * @route GET /api/v1/ats/applications/:id/interviews/:interviewId/invite.ics
+ * @desc Download the interview's calendar invite
+ * @access Private (trainers/recruiters)
+ */
+router.get('/applications/:id/interviews/:interviewId/invite.ics', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'params', field: 'interviewId', required: true, type: 'mongoId' }
+]), requireTrainer, async (req, res) => {
+  try {
+    const ics = await interviewService.getInviteFile(req.tenantId || 'default', req.params.id, req.params.interviewId);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="interview-${req.params.interviewId}.ics"`);
+    res.send(ics);
+  } catch (error) {
+    sendInterviewError(res, error, 'Failed to get interview invite');
+  }
+});
+
+/**
+ * @route POST /api/v1/ats/applications/:id/interviews/:interviewId/scorecards
+ * @desc Submit (or replace) the current interviewer's scorecard; ratings roll
+ *       up into the application's interview analysis and score
+ * @access Private (interview panel)
+ */
+router.post('/applications/:id/interviews/:interviewId/scorecards', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'params', field: 'interviewId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'competencies', required: true, type: 'array', min: 1 },
+  { in: 'body', field: 'competencies.*.key', required: true, type: 'string', trim: true },
+  { in: 'body', field: 'competencies.*.rating', required: true, type: 'int', min: 1, max: 5 },
+  { in: 'body', field: 'competencies.*.notes', type: 'string', maxLength: 2000 },
+  { in: 'body', field: 'recommendation', values: ['strong_no', 'no', 'yes', 'strong_yes'] },
+  { in: 'body', field: 'notes', type: 'string', maxLength: 5000 }
+]), requireTrainer, async (req, res) => {
+  try {
+    const result = await interviewService.submitScorecard(
+      req.tenantId || 'default', req.params.id, req.params.interviewId, req.body, req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Scorecard submitted successfully',
+      data: result
+    });
+  } catch (error) {
+    sendInterviewError(res, error, 'Failed to submit scorecard');
+  }
+});
+
+/**
+ * @route GET /api/v1/ats/interviewers/:userId/availability
+ * @desc Busy slots (interviews and training sessions) of an interviewer
+ * @access Private (trainers/recruiters)
+ */
+router.get('/interviewers/:userId/availability', validateFields([
+  { in: 'params', field: 'userId', required: true, type: 'mongoId' },
+  { in: 'query', field: 'from', type: 'date' },
+  { in: 'query', field: 'to', type: 'date' }
+]), requireTrainer, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+    const busy = await interviewService.getBusySlots([req.params.userId], from, to);
+
+    res.json({
+      success: true,
+      data: { userId: req.params.userId, from, to, busy }
+    });
+  } catch (error) {
+    sendInterviewError(res, error, 'Failed to get interviewer availability');
+  }
+});
+
+/**
+ * @route GET /api/v1/ats/pipelines
+ * @desc List the tenant's hiring pipelines
+ * @access Private (trainers/recruiters)
+ */
+router.get('/pipelines', requireTrainer, async (req, res) => {
+  try {
+    const pipelines = await hiringPipelineService.listPipelines(req.tenantId || 'default');
+
+    res.json({
+      success: true,
+      data: pipelines
+    });
+  } catch (error) {
+    logger.error('Failed to get pipelines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get pipelines',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/ats/jobs/:jobId/pipeline
+ * @desc Pipeline in effect for a job (its own, the tenant default or the built-in one)
+ * @access Private (trainers/recruiters)
+ */
+router.get('/jobs/:jobId/pipeline', validateFields([
+  { in: 'params', field: 'jobId', required: true, type: 'mongoId' }
+]), requireTrainer, async (req, res) => {
+  try {
+    const pipeline = await hiringPipelineService.getPipelineForJob(req.tenantId || 'default', req.params.jobId);
+
+    res.json({
+      success: true,
+      data: pipeline
+    });
+  } catch (error) {
+    logger.error('Failed to get job pipeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job pipeline',
+      error: error.message
+    });
+  }
+});
+
+const pipelineValidation = [
+  { in: 'body', field: 'name', type: 'string', trim: true, minLength: 1, maxLength: 100 },
+  { in: 'body', field: 'description', type: 'string', maxLength: 500 },
+  { in: 'body', field: 'stages', type: 'array', min: 1 },
+  { in: 'body', field: 'stages.*.key', pattern: /^[a-zA-Z0-9_-]+$/ },
+  { in: 'body', field: 'stages.*.name', type: 'string', trim: true },
+  { in: 'body', field: 'stages.*.status', values: HiringPipeline.APPLICATION_STATUSES },
+  { in: 'body', field: 'stages.*.allowedTransitions', type: 'array' },
+  { in: 'body', field: 'stages.*.requiredFields', type: 'array' },
+  { in: 'body', field: 'stages.*.actions', type: 'array' },
+  { in: 'body', field: 'scorecard.competencies', type: 'array' },
+  { in: 'body', field: 'scorecard.competencies.*.key', pattern: /^[a-zA-Z0-9_-]+$/ },
+  { in: 'body', field: 'scorecard.competencies.*.name', type: 'string', trim: true },
+  { in: 'body', field: 'scorecard.competencies.*.weight', type: 'float', min: 0 }
+];
+
+/**
+ * @route POST /api/v1/ats/pipelines
+ * @desc Create the tenant's default pipeline, or a job's pipeline when jobId is given
+ * @access Private (admin)
+ */
+router.post('/pipelines', validateFields([
+  { in: 'body', field: 'name', required: true, type: 'string', trim: true },
+  { in: 'body', field: 'stages', required: true, type: 'array', min: 1 },
+  { in: 'body', field: 'jobId', type: 'mongoId' },
+  ...pipelineValidation
+]), requireAdmin, async (req, res) => {
+  try {
+    const pipeline = await hiringPipelineService.createPipeline(req.tenantId || 'default', req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pipeline created successfully',
+      data: pipeline
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Failed to create pipeline:', error);
+    }
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      message: 'Failed to create pipeline',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/v1/ats/pipelines/:id
+ * @desc Update a pipeline's name, description or stages
+ * @access Private (admin)
+ */
+router.put('/pipelines/:id', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  ...pipelineValidation
+]), requireAdmin, async (req, res) => {
+  try {
+    const pipeline = await hiringPipelineService.updatePipeline(req.tenantId || 'default', req.params.id, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Pipeline updated successfully',
+      data: pipeline
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Failed to update pipeline:', error);
+    }
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      message: 'Failed to update pipeline',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/v1/ats/pipelines/:id
+ * @desc Delete a pipeline; its jobs fall back to the tenant default
+ * @access Private (admin)
+ */
+router.delete('/pipelines/:id', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' }
+]), requireAdmin, async (req, res) => {
+  try {
+    await hiringPipelineService.deletePipeline(req.tenantId || 'default', req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Pipeline deleted successfully'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to delete pipeline',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/ats/reports/time-to-hire
+ * @desc Average days per pipeline stage and from application to hire
+ * @access Private (trainers/recruiters)
+ */
+router.get('/reports/time-to-hire', validateFields([
+  { in: 'query', field: 'jobId', type: 'mongoId' },
+  { in: 'query', field: 'from', type: 'date' },
+  { in: 'query', field: 'to', type: 'date' }
+]), requireTrainer, async (req, res) => {
+  try {
+    const { jobId, from, to } = req.query;
+    const report = await hiringPipelineService.getTimeToHireReport(req.tenantId || 'default', { jobId, from, to });
 
     res.json({
       success: true,
-      message: 'Application status updated successfully',
-      data: application
+      data: report
     });
   } catch (error) {
-    logger.error('Failed to update application status:', error);
+    logger.error('Failed to get time-to-hire report:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update application status',
+      message: 'Failed to get time-to-hire report',
       error: error.message
     });
   }
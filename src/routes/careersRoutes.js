@@ -0,0 +1,146 @@
+/**
+ * Careers Feed Routes
+ * Public, per-tenant job feeds for external aggregators (XML, schema.org
+ * JSON-LD and RSS) and the referral redirect behind every feed link
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobFeedService = require('../services/JobFeedService');
+const { validateFields } = require('../middleware/requestValidation');
+const logger = require('../utils/logger');
+
+// Aggregators poll feeds; let caches absorb most of it
+const FEED_CACHE_CONTROL = 'public, max-age=900';
+
+const tenantValidation = [
+  { in: 'params', field: 'tenant', required: true, pattern: /^[a-zA-Z0-9-]+$/ }
+];
+
+const sendFeedError = (res, error, message) => {
+  if (!error.statusCode) {
+    logger.error(`${message}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @route GET /api/v1/careers/:tenant
+ * @desc Tenant branding and the URLs of its job feeds
+ * @access Public
+ */
+router.get('/:tenant', validateFields(tenantValidation), async (req, res) => {
+  try {
+    const tenant = await jobFeedService.getTenant(req.params.tenant);
+
+    res.json({
+      success: true,
+      data: jobFeedService.describe(tenant)
+    });
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to get careers feeds');
+  }
+});
+
+/**
+ * @route GET /api/v1/careers/:tenant/jobs.xml
+ * @desc XML job feed for aggregators
+ * @access Public
+ */
+router.get('/:tenant/jobs.xml', validateFields(tenantValidation), async (req, res) => {
+  try {
+    const tenant = await jobFeedService.getTenant(req.params.tenant);
+    const jobs = await jobFeedService.listJobs(tenant);
+
+    res.set('Cache-Control', FEED_CACHE_CONTROL);
+    res.type('application/xml').send(jobFeedService.toXml(tenant, jobs));
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to build job feed');
+  }
+});
+
+/**
+ * @route GET /api/v1/careers/:tenant/jobs.jsonld
+ * @desc schema.org JobPosting JSON-LD for every open job
+ * @access Public
+ */
+router.get('/:tenant/jobs.jsonld', validateFields(tenantValidation), async (req, res) => {
+  try {
+    const tenant = await jobFeedService.getTenant(req.params.tenant);
+    const jobs = await jobFeedService.listJobs(tenant);
+
+    res.set('Cache-Control', FEED_CACHE_CONTROL);
+    res.type('application/ld+json').send(JSON.stringify(jobFeedService.toJsonLd(tenant, jobs)));
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to build job feed');
+  }
+});
+
+/**
+ * @route GET /api/v1/careers/:tenant/rss.xml
+ * @desc RSS 2.0 feed of open jobs
+ * @access Public
+ */
+router.get('/:tenant/rss.xml', validateFields(tenantValidation), async (req, res) => {
+  try {
+    const tenant = await jobFeedService.getTenant(req.params.tenant);
+    const jobs = await jobFeedService.listJobs(tenant);
+
+    res.set('Cache-Control', FEED_CACHE_CONTROL);
+    res.type('application/rss+xml').send(jobFeedService.toRss(tenant, jobs));
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to build job feed');
+  }
+});
+
+/**
+ * @route GET /api/v1/careers/:tenant/jobs/:jobId
+ * @desc schema.org JobPosting for one job, for embedding in a careers page
+ * @access Public
+ */
+router.get('/:tenant/jobs/:jobId', validateFields([
+  ...tenantValidation,
+  { in: 'params', field: 'jobId', required: true, type: 'mongoId' }
+]), async (req, res) => {
+  try {
+    const tenant = await jobFeedService.getTenant(req.params.tenant);
+    const job = await jobFeedService.getFeedJob(tenant, req.params.jobId);
+
+    res.set('Cache-Control', FEED_CACHE_CONTROL);
+    res.type('application/ld+json').send(JSON.stringify(jobFeedService.toJobPosting(tenant, job)));
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to get job');
+  }
+});
+
+/**
+ * @route GET /api/v1/careers/:tenant/jobs/:jobId/apply
+ * @desc Feed link target. Redirects to the job page with a referral token
+ *       that marks the resulting application as sourced from the job board
+ * @access Public
+ */
+router.get('/:tenant/jobs/:jobId/apply', validateFields([
+  ...tenantValidation,
+  { in: 'params', field: 'jobId', required: true, type: 'mongoId' },
+  { in: 'query', field: 'feed', values: ['xml', 'jsonld', 'rss'] },
+  { in: 'query', field: 'utm_source', type: 'string', maxLength: 100 }
+]), async (req, res) => {
+  try {
+    const tenant = await jobFeedService.getTenant(req.params.tenant);
+    const job = await jobFeedService.getFeedJob(tenant, req.params.jobId);
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, jobFeedService.referralRedirectUrl(job, {
+      feed: req.query.feed,
+      channel: req.query.utm_source
+    }));
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to open job');
+  }
+});
+
+module.exports = router;
@@ -22,6 +22,8 @@ const brandIdentityRoutes = require('./brandIdentityRoutes');
 // Job Board & ATS Routes
 const jobBoardRoutes = require('./jobBoardRoutes');
 const atsRoutes = require('./atsRoutes');
+const careersRoutes = require('./careersRoutes');
+const referralRoutes = require('./referralRoutes');
 
 // Feed & Messaging Routes
 const feedRoutes = require('./feedRoutes');
@@ -160,6 +162,8 @@ router.use(`${API_PREFIX}/brand-identity`, brandIdentityRoutes);
 // Job Board & ATS Routes
 router.use(`${API_PREFIX}/jobs`, jobBoardRoutes);
 router.use(`${API_PREFIX}/ats`, atsRoutes);
+router.use(`${API_PREFIX}/careers`, careersRoutes);
+router.use(`${API_PREFIX}/referrals`, referralRoutes);
 
 // Feed & Messaging Routes
 router.use(`${API_PREFIX}/feed`, feedRoutes);
@@ -4,15 +4,116 @@
  */
 
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
 const Job = require('../models/Job');
 const JobApplication = require('../models/JobApplication');
 const CandidateProfile = require('../models/CandidateProfile');
+const matchScoringService = require('../services/MatchScoringService');
+const hiringPipelineService = require('../services/HiringPipelineService');
+const resumeParserService = require('../services/ResumeParserService');
+const jobSearchService = require('../services/JobSearchService');
+const jobAlertService = require('../services/JobAlertService');
+const jobFeedService = require('../services/JobFeedService');
+const jobLifecycleService = require('../services/JobLifecycleService');
+const referralService = require('../services/ReferralService');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateRequest } = require('../middleware/validation');
-const { body, query, param } = require('express-validator');
+const { validateFields } = require('../middleware/requestValidation');
 const logger = require('../utils/logger');
 
+const JOB_TYPES = ['full-time', 'part-time', 'contract', 'internship', 'freelance'];
+const EXPERIENCE_LEVELS = ['entry', 'junior', 'mid', 'senior', 'lead', 'executive'];
+
+// Comma separated list whose items must all be in `allowed`
+const isListOf = allowed => value => String(value).split(',').every(item => allowed.includes(item.trim()));
+
+// GeoJSON point: { type: 'Point', coordinates: [lng, lat] }
+const isGeoPoint = (geo) => {
+  const coordinates = geo && geo.coordinates;
+  return Boolean(geo) && geo.type === 'Point' &&
+    Array.isArray(coordinates) && coordinates.length === 2 &&
+    coordinates.every(value => typeof value === 'number') &&
+    Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90;
+};
+
+// Resume uploads: PDF, DOCX and plain text
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.pdf', '.docx', '.txt', '.md'];
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only .pdf, .docx, .txt and .md resumes are allowed'));
+  }
+});
+
+/**
+ * Render a minimal page for the unsubscribe link in job alert emails.
+ */
+const renderUnsubscribePage = (title, message, form = '') => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${title}</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 80px auto; text-align: center; color: #111827;">
+    <h1 style="font-size: 22px;">${title}</h1>
+    <p style="color: #374151;">${message}</p>
+    ${form}
+  </body>
+</html>`;
+
+/**
+ * @route GET /api/v1/jobs/alerts/unsubscribe
+ * @desc Unsubscribe page linked from job alert emails. Only confirms, so
+ *       link scanners that prefetch URLs cannot unsubscribe anyone
+ * @access Public (signed token)
+ */
+router.get('/alerts/unsubscribe', validateFields([
+  { in: 'query', field: 'token', required: true, type: 'string' }
+]), (req, res) => {
+  const action = `?token=${encodeURIComponent(req.query.token)}`;
+  res.type('html').send(renderUnsubscribePage(
+    'Unsubscribe from job alerts',
+    'You will no longer receive job alert emails.',
+    `<form method="POST" action="${action}"><button type="submit" style="background: #3B82F6; color: white; border: 0; padding: 12px 24px; border-radius: 5px; cursor: pointer;">Unsubscribe</button></form>`
+  ));
+});
+
+/**
+ * @route POST /api/v1/jobs/alerts/unsubscribe
+ * @desc Turn off job alerts. Target of the confirmation form and of mail
+ *       clients' one-click unsubscribe (List-Unsubscribe-Post)
+ * @access Public (signed token)
+ */
+router.post('/alerts/unsubscribe', validateFields([
+  { in: 'query', field: 'token', required: true, type: 'string' }
+]), async (req, res) => {
+  try {
+    await jobAlertService.unsubscribe(req.query.token);
+
+    if (req.accepts(['html', 'json']) === 'html') {
+      return res.type('html').send(renderUnsubscribePage(
+        'You have been unsubscribed',
+        'You will no longer receive job alert emails. You can turn them back on from your profile settings.'
+      ));
+    }
+    res.json({
+      success: true,
+      message: 'Unsubscribed from job alerts'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to unsubscribe',
+      error: error.message
+    });
+  }
+});
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
@@ -21,21 +122,21 @@ router.use(authenticateToken);
  * @desc Get all jobs with filtering and pagination
  * @access Public (authenticated users)
  */
-router.get('/', [
-  query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('search').optional().isString(),
-  query('location').optional().isString(),
-  query('jobType').optional().isIn(['full-time', 'part-time', 'contract', 'internship', 'freelance']),
-  query('experienceLevel').optional().isIn(['entry', 'junior', 'mid', 'senior', 'lead', 'executive']),
-  query('remote').optional().isBoolean(),
-  query('salaryMin').optional().isNumeric(),
-  query('salaryMax').optional().isNumeric(),
-  query('company').optional().isString(),
-  query('skills').optional().isString(),
-  query('sortBy').optional().isIn(['createdAt', 'salary', 'title', 'company']),
-  query('sortOrder').optional().isIn(['asc', 'desc'])
-], validateRequest, async (req, res) => {
+router.get('/', validateFields([
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 },
+  { in: 'query', field: 'search', type: 'string' },
+  { in: 'query', field: 'location', type: 'string' },
+  { in: 'query', field: 'jobType', values: ['full-time', 'part-time', 'contract', 'internship', 'freelance'] },
+  { in: 'query', field: 'experienceLevel', values: ['entry', 'junior', 'mid', 'senior', 'lead', 'executive'] },
+  { in: 'query', field: 'remote', type: 'boolean' },
+  { in: 'query', field: 'salaryMin', type: 'float' },
+  { in: 'query', field: 'salaryMax', type: 'float' },
+  { in: 'query', field: 'company', type: 'string' },
+  { in: 'query', field: 'skills', type: 'string' },
+  { in: 'query', field: 'sortBy', values: ['createdAt', 'salary', 'title', 'company'] },
+  { in: 'query', field: 'sortOrder', values: ['asc', 'desc'] }
+]), async (req, res) => {
   try {
     const {
       page = 1,
@@ -56,65 +157,18 @@ router.get('/', [
     const tenantId = req.tenantId || 'default';
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {
-      tenantId,
-      status: 'active',
-      visibility: 'public'
-    };
-
-    // Text search
-    if (search) {
-      filter.$text = { $search: search };
-    }
-
-    // Location filter
-    if (location) {
-      filter.$or = [
-        { 'location.city': new RegExp(location, 'i') },
-        { 'location.state': new RegExp(location, 'i') },
-        { 'location.country': new RegExp(location, 'i') },
-        { 'company.location.city': new RegExp(location, 'i') },
-        { 'company.location.country': new RegExp(location, 'i') }
-      ];
-    }
-
-    // Job type filter
-    if (jobType) {
-      filter.jobType = jobType;
-    }
-
-    // Experience level filter
-    if (experienceLevel) {
-      filter.experienceLevel = experienceLevel;
-    }
-
-    // Remote work filter
-    if (remote !== undefined) {
-      filter['location.remote'] = remote === 'true';
-    }
-
-    // Salary filter
-    if (salaryMin || salaryMax) {
-      filter['salary.min'] = {};
-      if (salaryMin) filter['salary.min'].$gte = parseInt(salaryMin);
-      if (salaryMax) filter['salary.max'] = { $lte: parseInt(salaryMax) };
-    }
-
-    // Company filter
-    if (company) {
-      filter['company.name'] = new RegExp(company, 'i');
-    }
-
-    // Skills filter
-    if (skills) {
-      const skillsArray = skills.split(',').map(s => s.trim());
-      filter['requirements.skills'] = { $in: skillsArray };
-    }
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    const filter = jobSearchService.buildFilter(tenantId, {
+      search,
+      location,
+      jobType,
+      experienceLevel,
+      remote,
+      salaryMin,
+      salaryMax,
+      company,
+      skills
+    });
+    const sort = jobSearchService.buildSort(sortBy, sortOrder);
 
     // Execute query
     const jobs = await Job.find(filter)
@@ -148,14 +202,182 @@ router.get('/', [
   }
 });
 
+/**
+ * @route GET /api/v1/jobs/search
+ * @desc Faceted job search: a page of results plus counts per jobType,
+ *       experienceLevel, location, company, remote and salary bucket.
+ *       jobType and experienceLevel take comma separated lists; lat, lng
+ *       and radiusKm limit results to jobs near a point
+ * @access Public (authenticated users)
+ */
+router.get('/search', validateFields([
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 },
+  { in: 'query', field: 'search', type: 'string' },
+  { in: 'query', field: 'location', type: 'string' },
+  { in: 'query', field: 'jobType', custom: isListOf(JOB_TYPES) },
+  { in: 'query', field: 'experienceLevel', custom: isListOf(EXPERIENCE_LEVELS) },
+  { in: 'query', field: 'remote', type: 'boolean' },
+  { in: 'query', field: 'salaryMin', type: 'float' },
+  { in: 'query', field: 'salaryMax', type: 'float' },
+  { in: 'query', field: 'company', type: 'string' },
+  { in: 'query', field: 'skills', type: 'string' },
+  { in: 'query', field: 'lat', type: 'float', min: -90, max: 90 },
+  { in: 'query', field: 'lng', type: 'float', min: -180, max: 180 },
+  { in: 'query', field: 'radiusKm', type: 'float', min: 1, max: 500 },
+  { in: 'query', field: 'sortBy', values: ['relevance', 'createdAt', 'salary', 'title', 'company'] },
+  { in: 'query', field: 'sortOrder', values: ['asc', 'desc'] }
+]), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, sortBy, sortOrder, ...params } = req.query;
+    if ((params.lat === undefined) !== (params.lng === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'lat and lng must be given together'
+      });
+    }
+
+    const pageNumber = parseInt(page, 10);
+    const pageSize = parseInt(limit, 10);
+    const { jobs, total, facets } = await jobSearchService.search(req.tenantId || 'default', params, {
+      page: pageNumber,
+      limit: pageSize,
+      sortBy,
+      sortOrder
+    });
+
+    const pages = Math.ceil(total / pageSize);
+    res.json({
+      success: true,
+      data: jobs,
+      facets,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages,
+        hasNext: pageNumber < pages,
+        hasPrev: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to search jobs:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to search jobs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/jobs/alerts
+ * @desc Get the current user's job alert settings (saved search and schedule)
+ * @access Private (candidates)
+ */
+router.get('/alerts', async (req, res) => {
+  try {
+    const settings = await jobAlertService.getSettings(req.user.id);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to get job alert settings',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/v1/jobs/alerts
+ * @desc Update job alert settings
+ * @access Private (candidates)
+ */
+router.put('/alerts', validateFields([
+  { in: 'body', field: 'enabled', type: 'boolean' },
+  { in: 'body', field: 'frequency', values: ['daily', 'weekly', 'monthly'] },
+  { in: 'body', field: 'criteria', type: 'object' },
+  { in: 'body', field: 'criteria.keywords', type: 'array', max: 20 },
+  { in: 'body', field: 'criteria.locations', type: 'array', max: 20 },
+  { in: 'body', field: 'criteria.jobTypes', type: 'array' },
+  { in: 'body', field: 'criteria.jobTypes.*', values: JOB_TYPES },
+  { in: 'body', field: 'criteria.salaryRange.min', type: 'float' },
+  { in: 'body', field: 'criteria.salaryRange.max', type: 'float' }
+]), async (req, res) => {
+  try {
+    const settings = await jobAlertService.updateSettings(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Job alert settings updated',
+      data: settings
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to update job alert settings',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/jobs/alerts/preview
+ * @desc Preview the jobs the next alert digest would contain
+ * @access Private (candidates)
+ */
+router.get('/alerts/preview', async (req, res) => {
+  try {
+    const preview = await jobAlertService.preview(req.user.id);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to preview job alerts',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/jobs/alerts/run
+ * @desc Send all due job alert digests now
+ * @access Private (admin)
+ */
+router.post('/alerts/run', authorizeRoles('admin'), async (req, res) => {
+  try {
+    const stats = await jobAlertService.runDue();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Failed to run job alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job alerts',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/v1/jobs/:id
  * @desc Get job by ID
  * @access Public (authenticated users)
  */
-router.get('/:id', [
-  param('id').isMongoId()
-], validateRequest, async (req, res) => {
+router.get('/:id', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' }
+]), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('postedBy', 'name email company');
@@ -191,21 +413,31 @@ router.get('/:id', [
  * @desc Create new job posting
  * @access Private (trainers/employers)
  */
-router.post('/', [
-  body('title').notEmpty().isLength({ min: 5, max: 100 }),
-  body('description').notEmpty().isLength({ min: 50, max: 5000 }),
-  body('company.name').notEmpty(),
-  body('jobType').isIn(['full-time', 'part-time', 'contract', 'internship', 'freelance']),
-  body('experienceLevel').isIn(['entry', 'junior', 'mid', 'senior', 'lead', 'executive']),
-  body('location.city').notEmpty(),
-  body('location.country').notEmpty()
-], validateRequest, authorizeRoles(['trainer', 'admin']), async (req, res) => {
+router.post('/', validateFields([
+  { in: 'body', field: 'title', required: true, minLength: 5, maxLength: 100 },
+  { in: 'body', field: 'description', required: true, minLength: 50, maxLength: 5000 },
+  { in: 'body', field: 'company.name', required: true },
+  { in: 'body', field: 'jobType', required: true, values: ['full-time', 'part-time', 'contract', 'internship', 'freelance'] },
+  { in: 'body', field: 'experienceLevel', required: true, values: ['entry', 'junior', 'mid', 'senior', 'lead', 'executive'] },
+  { in: 'body', field: 'location.city', required: true },
+  { in: 'body', field: 'location.country', required: true },
+  { in: 'body', field: 'location.geo', custom: isGeoPoint, message: 'location.geo must be a GeoJSON Point [lng, lat]' },
+  { in: 'body', field: 'status', values: ['draft', 'active'] },
+  { in: 'body', field: 'publishAt', type: 'date' },
+  { in: 'body', field: 'expiresAt', type: 'date' },
+  { in: 'body', field: 'headcount', type: 'int', min: 1 }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
   try {
+    const { statusHistory: _statusHistory, lifecycle: _lifecycle, ...fields } = req.body;
+    const now = new Date();
+    const status = fields.publishAt && new Date(fields.publishAt) > now ? 'scheduled' : fields.status || 'draft';
     const jobData = {
-      ...req.body,
+      ...fields,
+      status,
       postedBy: req.user.id,
       tenantId: req.tenantId || 'default',
-      publishedAt: new Date()
+      publishedAt: status === 'active' ? now : undefined,
+      statusHistory: [{ from: null, to: status, reason: 'Created', changedBy: req.user.id, changedAt: now }]
     };
 
     const job = new Job(jobData);
@@ -231,9 +463,12 @@ router.post('/', [
  * @desc Update job posting
  * @access Private (job owner or admin)
  */
-router.put('/:id', [
-  param('id').isMongoId()
-], validateRequest, async (req, res) => {
+router.put('/:id', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'body', field: 'location.geo', custom: isGeoPoint, message: 'location.geo must be a GeoJSON Point [lng, lat]' },
+  { in: 'body', field: 'status', values: ['draft', 'scheduled', 'active', 'paused', 'closed', 'filled'] },
+  { in: 'body', field: 'headcount', type: 'int', min: 1 }
+]), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
 
@@ -245,18 +480,33 @@ router.put('/:id', [
     }
 
     // Check if user can edit this job
-    if (job.postedBy.toString() !== req.user.id && !req.user.roles.includes('admin')) {
+    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to edit this job'
       });
     }
 
-    const updatedJob = await Job.findByIdAndUpdate(
+    // Status goes through the lifecycle so transitions are checked and recorded
+    const {
+      status,
+      statusHistory: _statusHistory,
+      lifecycle: _lifecycle,
+      publishedAt: _publishedAt,
+      ...fields
+    } = req.body;
+    if (fields.expiresAt) {
+      // New expiry, new reminder
+      fields['lifecycle.renewalReminderSentAt'] = null;
+    }
+    let updatedJob = await Job.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: new Date() },
+      { ...fields, updatedAt: new Date() },
       { new: true }
     );
+    if (status && status !== updatedJob.status) {
+      updatedJob = await jobLifecycleService.updateStatus(updatedJob.tenantId, req.params.id, status, {}, req.user);
+    }
 
     res.json({
       success: true,
@@ -265,7 +515,7 @@ router.put('/:id', [
     });
   } catch (error) {
     logger.error('Failed to update job:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to update job',
       error: error.message
@@ -278,9 +528,9 @@ router.put('/:id', [
  * @desc Delete job posting
  * @access Private (job owner or admin)
  */
-router.delete('/:id', [
-  param('id').isMongoId()
-], validateRequest, async (req, res) => {
+router.delete('/:id', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' }
+]), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
 
@@ -292,7 +542,7 @@ router.delete('/:id', [
     }
 
     // Check if user can delete this job
-    if (job.postedBy.toString() !== req.user.id && !req.user.roles.includes('admin')) {
+    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this job'
@@ -316,115 +566,351 @@ router.delete('/:id', [
 });
 
 /**
- * @route POST /api/v1/jobs/:id/apply
- * @desc Apply for a job
- * @access Private (candidates)
+ * @route POST /api/v1/jobs/:id/status
+ * @desc Change a job's status (draft, scheduled, active, paused, closed,
+ *       filled); the change is recorded in statusHistory
+ * @access Private (job owner or admin)
  */
-router.post('/:id/apply', [
-  param('id').isMongoId(),
-  body('coverLetter').optional().isString(),
-  body('resume').optional().isString()
-], validateRequest, async (req, res) => {
+router.post('/:id/status', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'body', field: 'status', required: true, values: ['draft', 'scheduled', 'active', 'paused', 'closed', 'filled'] },
+  { in: 'body', field: 'reason', type: 'string', maxLength: 500 }
+]), async (req, res) => {
   try {
-    const jobId = req.params.id;
-    const candidateId = req.user.id;
-    const tenantId = req.tenantId || 'default';
+    const job = await jobLifecycleService.updateStatus(req.tenantId || 'default', req.params.id, req.body.status, {
+      reason: req.body.reason
+    }, req.user);
 
-    // Check if job exists and is active
-    const job = await Job.findById(jobId);
-    if (!job || job.status !== 'active') {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found or not accepting applications'
-      });
-    }
+    res.json({
+      success: true,
+      message: `Job is now ${job.status}`,
+      data: job
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to change job status',
+      error: error.message
+    });
+  }
+});
 
-    // Check if already applied
-    const existingApplication = await JobApplication.findOne({
-      jobId,
-      candidateId,
-      tenantId
+/**
+ * @route POST /api/v1/jobs/:id/schedule
+ * @desc Set publishAt (go live later) and/or expiresAt
+ * @access Private (job owner or admin)
+ */
+router.post('/:id/schedule', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'body', field: 'publishAt', type: 'date' },
+  { in: 'body', field: 'expiresAt', type: 'date' },
+  { in: 'body', required: true, custom: value => Boolean(value.publishAt || value.expiresAt), message: 'publishAt or expiresAt is required' }
+]), async (req, res) => {
+  try {
+    const job = await jobLifecycleService.schedule(req.tenantId || 'default', req.params.id, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Job schedule updated',
+      data: job
     });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to schedule job',
+      error: error.message
+    });
+  }
+});
 
-    if (existingApplication) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already applied for this job'
-      });
-    }
+/**
+ * @route POST /api/v1/jobs/:id/renew
+ * @desc Extend a job's expiry by `days` (default 30) or to `expiresAt`;
+ *       reopens a job that closed because it expired
+ * @access Private (job owner or admin)
+ */
+router.post('/:id/renew', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'body', field: 'expiresAt', type: 'date' },
+  { in: 'body', field: 'days', type: 'int', min: 1, max: 365 }
+]), async (req, res) => {
+  try {
+    const job = await jobLifecycleService.renew(req.tenantId || 'default', req.params.id, {
+      expiresAt: req.body.expiresAt,
+      days: req.body.days && parseInt(req.body.days, 10)
+    }, req.user);
 
-    // Get or create candidate profile
-    let candidateProfile = await CandidateProfile.findOne({ userId: candidateId });
-    if (!candidateProfile) {
-      // Create basic profile from user data
-      candidateProfile = new CandidateProfile({
-        userId: candidateId,
-        tenantId,
-        personalInfo: {
-          firstName: req.user.name?.split(' ')[0] || '',
-          lastName: req.user.name?.split(' ').slice(1).join(' ') || '',
-          email: req.user.email
-        },
-        status: 'active'
-      });
-      await candidateProfile.save();
-    }
+    res.json({
+      success: true,
+      message: 'Job renewed',
+      data: job
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to renew job',
+      error: error.message
+    });
+  }
+});
 
-    // Create application
-    const application = new JobApplication({
-      jobId,
-      candidateId,
-      tenantId,
-      status: 'applied',
-      candidateProfile: candidateProfile.toObject(),
-      documents: {
-        coverLetter: req.body.coverLetter ? {
-          content: req.body.coverLetter,
-          uploadedAt: new Date()
-        } : null,
-        resume: req.body.resume ? {
-          url: req.body.resume,
-          uploadedAt: new Date()
-        } : null
-      },
-      process: {
-        appliedAt: new Date()
+/**
+ * @route POST /api/v1/jobs/resumes
+ * @desc Upload a resume (multipart `resume`: PDF, DOCX or text) and get the
+ *       parsed profile with per-field confidence for review before applying
+ * @access Private (candidates)
+ */
+router.post('/resumes',
+  upload.single('resume'),
+  validateFields([
+    { in: 'body', field: 'ai', type: 'boolean' }
+  ]),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A resume file is required'
+        });
       }
-    });
 
-    await application.save();
+      const resume = await resumeParserService.uploadResume(req.tenantId || 'default', req.user.id, req.file, {
+        ai: req.body.ai === undefined ? undefined : String(req.body.ai) === 'true'
+      });
 
-    // Update job application count
-    await Job.findByIdAndUpdate(jobId, {
-      $inc: { 'analytics.applications': 1 }
-    });
+      res.status(201).json({
+        success: true,
+        message: 'Resume parsed successfully',
+        data: resumeParserService.toDraft(resume)
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Failed to parse resume:', error);
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to parse resume',
+        error: error.message
+      });
+    }
+  }
+);
 
-    res.status(201).json({
+/**
+ * @route GET /api/v1/jobs/resumes/:resumeId
+ * @desc Get a parsed resume for review
+ * @access Private (resume owner)
+ */
+router.get('/resumes/:resumeId', validateFields([
+  { in: 'params', field: 'resumeId', required: true, type: 'mongoId' }
+]), async (req, res) => {
+  try {
+    const resume = await resumeParserService.getResume(req.tenantId || 'default', req.user.id, req.params.resumeId);
+
+    res.json({
       success: true,
-      message: 'Application submitted successfully',
-      data: application
+      data: resumeParserService.toDraft(resume)
     });
   } catch (error) {
-    logger.error('Failed to apply for job:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to apply for job',
+      message: 'Failed to get resume',
       error: error.message
     });
   }
 });
 
+/**
+ * @route GET /api/v1/jobs/resumes/:resumeId/file
+ * @desc Download the original resume file
+ * @access Private (resume owner, or recruiters once it is attached to an application)
+ */
+router.get('/resumes/:resumeId/file', validateFields([
+  { in: 'params', field: 'resumeId', required: true, type: 'mongoId' }
+]), async (req, res) => {
+  try {
+    const file = await resumeParserService.getResumeFile(req.tenantId || 'default', req.params.resumeId, req.user);
+
+    res.set('Content-Type', file.mimeType || 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${String(file.filename || 'resume').replace(/"/g, '')}"`);
+    res.send(file.data);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to get resume file',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/jobs/:id/apply
+ * @desc Apply for a job. Attach a resume with `resumeId` (from
+ *       POST /jobs/resumes) plus the reviewed `profile`, or upload the
+ *       `resume` file directly; a `resume` URL string is still accepted.
+ *       `ref` is the referral token added by careers feed links
+ * @access Private (candidates)
+ */
+router.post('/:id/apply',
+  upload.single('resume'),
+  validateFields([
+    { in: 'params', field: 'id', required: true, type: 'mongoId' },
+    { in: 'body', field: 'coverLetter', type: 'string' },
+    { in: 'body', field: 'resume', type: 'string' },
+    { in: 'body', field: 'resumeId', type: 'mongoId' },
+    { in: 'body', field: 'ref', type: 'string' },
+    { in: 'body', field: 'referralCode', type: 'string', maxLength: 64 },
+    { in: 'body', field: 'profile', custom: value => typeof value === 'object' || typeof value === 'string' }
+  ]),
+  async (req, res) => {
+    try {
+      const jobId = req.params.id;
+      const candidateId = req.user.id;
+      const tenantId = req.tenantId || 'default';
+
+      // Check if job exists and is active
+      const job = await Job.findById(jobId);
+      if (!job || !jobLifecycleService.isOpen(job)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found or not accepting applications'
+        });
+      }
+
+      // Check if already applied
+      const existingApplication = await JobApplication.findOne({
+        jobId,
+        candidateId,
+        tenantId
+      });
+
+      if (existingApplication) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already applied for this job'
+        });
+      }
+
+      // Parsed resume: a reviewed draft, or a file uploaded with the application
+      let resume = null;
+      if (req.body.resumeId) {
+        resume = await resumeParserService.getResume(tenantId, candidateId, req.body.resumeId);
+      } else if (req.file) {
+        resume = await resumeParserService.uploadResume(tenantId, candidateId, req.file);
+      }
+      const parsedProfile = req.body.profile || (resume && resume.parsed.profile);
+
+      // Get or create candidate profile
+      let candidateProfile = await CandidateProfile.findOne({ userId: candidateId });
+      if (!candidateProfile) {
+        // Create basic profile from user data
+        candidateProfile = new CandidateProfile({
+          userId: candidateId,
+          tenantId,
+          personalInfo: {
+            firstName: req.user.name?.split(' ')[0] || '',
+            lastName: req.user.name?.split(' ').slice(1).join(' ') || '',
+            email: req.user.email
+          },
+          status: 'active'
+        });
+      }
+      if (parsedProfile) {
+        resumeParserService.applyToProfile(candidateProfile, parsedProfile);
+      }
+      if (candidateProfile.isNew || candidateProfile.isModified()) {
+        await candidateProfile.save();
+      }
+
+      // Create application
+      const application = new JobApplication({
+        jobId,
+        candidateId,
+        tenantId,
+        status: 'applied',
+        candidateProfile: candidateProfile.toObject(),
+        documents: {
+          coverLetter: req.body.coverLetter ? {
+            content: req.body.coverLetter,
+            uploadedAt: new Date()
+          } : null,
+          resume: resume ? {
+            url: resumeParserService.fileUrl(resume),
+            filename: resume.file.filename,
+            uploadedAt: resume.createdAt
+          } : req.body.resume ? {
+            url: req.body.resume,
+            uploadedAt: new Date()
+          } : null
+        },
+        process: {
+          appliedAt: new Date()
+        }
+      });
+
+      // Arrived through a public careers feed link
+      const referral = jobFeedService.verifyReferral(req.body.ref, jobId);
+      if (referral) {
+        application.source = 'job-board';
+        application.sourceDetails = referral;
+      }
+
+      // Employee referral link; takes precedence over the feed source
+      await referralService.attribute(application, job, req.body.referralCode);
+
+      // First stage of the job's hiring pipeline
+      await hiringPipelineService.initializeApplication(application, job);
+
+      // Match score against the job's requirements (atsData.score / aiAnalysis)
+      await matchScoringService.scoreApplication(application, { job, profile: candidateProfile.toObject() });
+
+      await application.save();
+      await referralService.recordApplication(application);
+
+      if (resume) {
+        await resumeParserService.markApplied(resume, application._id);
+      }
+
+      try {
+        await matchScoringService.refreshCandidateScores(candidateId, tenantId);
+      } catch (error) {
+        logger.error('Failed to refresh candidate scores:', error);
+      }
+
+      // Update job application count
+      await Job.findByIdAndUpdate(jobId, {
+        $inc: { 'analytics.applications': 1 }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Application submitted successfully',
+        data: application
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Failed to apply for job:', error);
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to apply for job',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/v1/jobs/:id/applications
  * @desc Get applications for a job
  * @access Private (job owner or admin)
  */
-router.get('/:id/applications', [
-  param('id').isMongoId(),
-  query('status').optional().isString(),
-  query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 100 })
-], validateRequest, async (req, res) => {
+router.get('/:id/applications', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' },
+  { in: 'query', field: 'status', type: 'string' },
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 }
+]), async (req, res) => {
   try {
     const jobId = req.params.id;
     const tenantId = req.tenantId || 'default';
@@ -438,7 +924,7 @@ router.get('/:id/applications', [
       });
     }
 
-    if (job.postedBy.toString() !== req.user.id && !req.user.roles.includes('admin')) {
+    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view applications for this job'
@@ -0,0 +1,260 @@
+/**
+ * Referral Routes
+ * Employee referral links, referral status for referrers, and the program
+ * rules, report and bonus queue for HR
+ */
+
+const express = require('express');
+const router = express.Router();
+const referralService = require('../services/ReferralService');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateFields } = require('../middleware/requestValidation');
+const logger = require('../utils/logger');
+
+const BONUS_STATUSES = ['pending', 'probation', 'eligible', 'paid', 'ineligible'];
+
+const sendReferralError = (res, error, message) => {
+  if (!error.statusCode) {
+    logger.error(`${message}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message
+  });
+};
+
+const pagination = (page, limit, total) => {
+  const pages = Math.ceil(total / limit);
+  return { page, limit, total, pages, hasNext: page < pages, hasPrev: page > 1 };
+};
+
+/**
+ * @route GET /api/v1/referrals/r/:code
+ * @desc Shared referral link. Counts the click and redirects to the job page
+ *       with the code the apply form sends back
+ * @access Public
+ */
+router.get('/r/:code', validateFields([
+  { in: 'params', field: 'code', required: true, pattern: /^[A-Za-z0-9_-]{8,32}$/ }
+]), async (req, res) => {
+  try {
+    const link = await referralService.trackClick(req.params.code);
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, referralService.landingUrl(link));
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to open referral link');
+  }
+});
+
+// Everything below requires authentication
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/v1/referrals/mine
+ * @desc The signed-in employee's referral links and the status of each
+ *       referral (no candidate contact or hiring details)
+ * @access Private
+ */
+router.get('/mine', validateFields([
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 }
+]), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const tenantId = req.tenantId || 'default';
+
+    const { referrals, total, links } = await referralService.listForReferrer(tenantId, req.user._id, { page, limit });
+
+    res.json({
+      success: true,
+      data: { links, referrals },
+      pagination: pagination(page, limit, total)
+    });
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to get referrals');
+  }
+});
+
+/**
+ * @route POST /api/v1/referrals/jobs/:jobId/link
+ * @desc Get (or create) the signed-in employee's referral link for a job
+ * @access Private
+ */
+router.post('/jobs/:jobId/link', validateFields([
+  { in: 'params', field: 'jobId', required: true, type: 'mongoId' }
+]), async (req, res) => {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const { link, job } = await referralService.getOrCreateLink(tenantId, req.params.jobId, req.user);
+
+    res.json({
+      success: true,
+      data: referralService.describeLink(link, job)
+    });
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to create referral link');
+  }
+});
+
+/**
+ * @route DELETE /api/v1/referrals/links/:id
+ * @desc Disable a referral link; applications already attributed keep their referrer
+ * @access Private (link owner or admin)
+ */
+router.delete('/links/:id', validateFields([
+  { in: 'params', field: 'id', required: true, type: 'mongoId' }
+]), async (req, res) => {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const link = await referralService.disableLink(tenantId, req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Referral link disabled',
+      data: referralService.describeLink(link)
+    });
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to disable referral link');
+  }
+});
+
+/**
+ * @route GET /api/v1/referrals/rules
+ * @desc Referral program and bonus eligibility rules
+ * @access Private
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await referralService.getRules(req.tenantId || 'default');
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to get referral rules');
+  }
+});
+
+/**
+ * @route PUT /api/v1/referrals/rules
+ * @desc Update the referral program rules. Hires already in probation keep
+ *       the amount and probation period they were hired under
+ * @access Private (admin)
+ */
+router.put('/rules', validateFields([
+  { in: 'body', field: 'enabled', type: 'boolean' },
+  { in: 'body', field: 'bonusAmount', type: 'float', min: 0 },
+  { in: 'body', field: 'currency', type: 'string', minLength: 3, maxLength: 3 },
+  { in: 'body', field: 'probationDays', type: 'int', min: 0, max: 730 },
+  { in: 'body', field: 'eligibleJobTypes', type: 'array' },
+  { in: 'body', field: 'eligibleJobTypes.*', values: ['full-time', 'part-time', 'contract', 'internship', 'freelance'] },
+  { in: 'body', field: 'priorApplicationDays', type: 'int', min: 0, max: 730 }
+]), authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { enabled, bonusAmount, currency, probationDays, eligibleJobTypes, priorApplicationDays } = req.body;
+    const rules = await referralService.updateRules(req.tenantId || 'default', {
+      enabled,
+      bonusAmount: bonusAmount === undefined ? undefined : Number(bonusAmount),
+      currency: currency && currency.toUpperCase(),
+      probationDays: probationDays === undefined ? undefined : parseInt(probationDays, 10),
+      eligibleJobTypes,
+      priorApplicationDays: priorApplicationDays === undefined ? undefined : parseInt(priorApplicationDays, 10)
+    });
+
+    res.json({
+      success: true,
+      message: 'Referral rules updated',
+      data: rules
+    });
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to update referral rules');
+  }
+});
+
+/**
+ * @route GET /api/v1/referrals/report
+ * @desc Referrals, hires and bonus totals per referrer
+ * @access Private (admin)
+ */
+router.get('/report', validateFields([
+  { in: 'query', field: 'from', type: 'date' },
+  { in: 'query', field: 'to', type: 'date' },
+  { in: 'query', field: 'jobId', type: 'mongoId' }
+]), authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { from, to, jobId } = req.query;
+    const report = await referralService.report(req.tenantId || 'default', { from, to, jobId });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to build referral report');
+  }
+});
+
+/**
+ * @route GET /api/v1/referrals/bonuses
+ * @desc Referral bonuses by status (eligible by default), oldest first
+ * @access Private (admin)
+ */
+router.get('/bonuses', validateFields([
+  { in: 'query', field: 'status', values: BONUS_STATUSES },
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 }
+]), authorizeRoles('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const { bonuses, total } = await referralService.listBonuses(req.tenantId || 'default', {
+      status: req.query.status,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: bonuses,
+      pagination: pagination(page, limit, total)
+    });
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to get referral bonuses');
+  }
+});
+
+/**
+ * @route POST /api/v1/referrals/bonuses/:applicationId
+ * @desc Mark an eligible bonus paid, or forfeit an open one with a reason
+ * @access Private (admin)
+ */
+router.post('/bonuses/:applicationId', validateFields([
+  { in: 'params', field: 'applicationId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'action', required: true, values: ['paid', 'forfeit'] },
+  { in: 'body', field: 'reason', type: 'string', maxLength: 500 }
+]), authorizeRoles('admin'), async (req, res) => {
+  try {
+    const application = await referralService.decideBonus(
+      req.tenantId || 'default',
+      req.params.applicationId,
+      req.body.action,
+      req.user,
+      { reason: req.body.reason }
+    );
+
+    res.json({
+      success: true,
+      message: req.body.action === 'paid' ? 'Bonus marked as paid' : 'Bonus forfeited',
+      data: application.referralDetails.bonus
+    });
+  } catch (error) {
+    sendReferralError(res, error, 'Failed to update referral bonus');
+  }
+});
+
+module.exports = router;
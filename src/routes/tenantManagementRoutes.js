@@ -5,10 +5,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const tenantManagementService = require('../services/TenantManagementService');
-const { validateRequest } = require('../middleware/validation');
+const { validateFields } = require('../middleware/requestValidation');
 
 /**
  * GET /api/v1/tenants/dashboard
@@ -103,11 +102,10 @@ router.post('/:tenantId/activate',
  * Upgrade tenant plan
  */
 router.post('/:tenantId/upgrade',
-  [
-    body('newPlan').isIn(['starter', 'professional', 'enterprise']).withMessage('Invalid plan'),
-    body('reason').optional().isString()
-  ],
-  validateRequest,
+  validateFields([
+    { in: 'body', field: 'newPlan', required: true, values: ['starter', 'professional', 'enterprise'], message: 'Invalid plan' },
+    { in: 'body', field: 'reason', type: 'string' }
+  ]),
   authenticateToken,
   authorizeRoles(['superadmin']),
   async (req, res) => {
@@ -132,11 +130,10 @@ router.post('/:tenantId/upgrade',
  * Downgrade tenant plan
  */
 router.post('/:tenantId/downgrade',
-  [
-    body('newPlan').isIn(['starter', 'professional', 'enterprise']).withMessage('Invalid plan'),
-    body('reason').optional().isString()
-  ],
-  validateRequest,
+  validateFields([
+    { in: 'body', field: 'newPlan', required: true, values: ['starter', 'professional', 'enterprise'], message: 'Invalid plan' },
+    { in: 'body', field: 'reason', type: 'string' }
+  ]),
   authenticateToken,
   authorizeRoles(['superadmin']),
   async (req, res) => {
@@ -228,11 +225,17 @@ router.get('/:tenantId/health',
  * Create tenant backup
  */
 router.post('/:tenantId/backup',
+  validateFields([
+    { in: 'body', field: 'reason', type: 'string' }
+  ]),
   authenticateToken,
-  authorizeRoles(['superadmin']),
+  authorizeRoles('superadmin'),
   async (req, res) => {
     try {
-      const result = await tenantManagementService.createTenantBackup(req.params.tenantId);
+      const result = await tenantManagementService.createTenantBackup(req.params.tenantId, {
+        reason: req.body.reason,
+        createdBy: req.user._id.toString()
+      });
       res.json(result);
     } catch (error) {
       res.status(400).json({
@@ -245,20 +248,26 @@ router.post('/:tenantId/backup',
 
 /**
  * POST /api/v1/tenants/:tenantId/restore
- * Restore tenant from backup
+ * Restore tenant from backup, in place or into a fresh tenant
  */
 router.post('/:tenantId/restore',
-  [
-    body('backupId').notEmpty().withMessage('Backup ID is required')
-  ],
-  validateRequest,
+  validateFields([
+    { in: 'body', field: 'backupId', required: true, message: 'Backup ID is required' },
+    { in: 'body', field: 'mode', values: ['in-place', 'new-tenant'], message: 'Invalid restore mode' },
+    { in: 'body', field: 'newTenant', type: 'object' }
+  ]),
   authenticateToken,
-  authorizeRoles(['superadmin']),
+  authorizeRoles('superadmin'),
   async (req, res) => {
     try {
       const result = await tenantManagementService.restoreTenantFromBackup(
         req.params.tenantId,
-        req.body.backupId
+        req.body.backupId,
+        {
+          mode: req.body.mode,
+          newTenant: req.body.newTenant,
+          restoredBy: req.user._id.toString()
+        }
       );
       res.json(result);
     } catch (error) {
@@ -276,7 +285,7 @@ router.post('/:tenantId/restore',
  */
 router.get('/:tenantId/backups',
   authenticateToken,
-  authorizeRoles(['superadmin']),
+  authorizeRoles('superadmin'),
   async (req, res) => {
     try {
       const backups = await tenantManagementService.getTenantBackups(req.params.tenantId);
@@ -299,21 +308,26 @@ router.get('/:tenantId/backups',
  * Migrate tenant data
  */
 router.post('/:tenantId/migrate',
-  [
-    body('targetTenantId').notEmpty().withMessage('Target tenant ID is required'),
-    body('migrationOptions').optional().isObject()
-  ],
-  validateRequest,
+  validateFields([
+    { in: 'body', field: 'targetTenantId', required: true, message: 'Target tenant ID is required' },
+    { in: 'body', field: 'migrationOptions', type: 'object' },
+    { in: 'body', field: 'migrationOptions.mode', values: ['copy', 'move'], message: 'Invalid migration mode' },
+    { in: 'body', field: 'migrationOptions.entities', type: 'array' },
+    { in: 'body', field: 'migrationOptions.dryRun', type: 'boolean' }
+  ]),
   authenticateToken,
-  authorizeRoles(['superadmin']),
+  authorizeRoles('superadmin'),
   async (req, res) => {
     try {
       const result = await tenantManagementService.migrateTenantData(
         req.params.tenantId,
         req.body.targetTenantId,
-        req.body.migrationOptions
+        {
+          ...req.body.migrationOptions,
+          requestedBy: req.user._id
+        }
       );
-      res.json(result);
+      res.status(result.migration.dryRun ? 200 : 202).json(result);
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -323,18 +337,82 @@ router.post('/:tenantId/migrate',
   }
 );
 
+/**
+ * GET /api/v1/tenants/:tenantId/migrations
+ * List migrations involving the tenant
+ */
+router.get('/:tenantId/migrations',
+  authenticateToken,
+  authorizeRoles('superadmin'),
+  async (req, res) => {
+    try {
+      const migrations = await tenantManagementService.getTenantMigrations(req.params.tenantId);
+      res.json({
+        success: true,
+        data: migrations,
+        message: 'Tenant migrations retrieved successfully'
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/tenants/:tenantId/migrations/:migrationId
+ * Poll migration progress
+ */
+router.get('/:tenantId/migrations/:migrationId',
+  validateFields([
+    { in: 'params', field: 'migrationId', required: true, type: 'mongoId', message: 'Invalid migration ID' }
+  ]),
+  authenticateToken,
+  authorizeRoles('superadmin'),
+  async (req, res) => {
+    try {
+      const migration = await tenantManagementService.getTenantMigration(
+        req.params.tenantId,
+        req.params.migrationId
+      );
+      res.json({
+        success: true,
+        data: migration,
+        message: 'Tenant migration retrieved successfully'
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
 /**
  * GET /api/v1/tenants/:tenantId/audit-log
  * Get tenant audit log
  */
 router.get('/:tenantId/audit-log',
+  validateFields([
+    { in: 'query', field: 'category', type: 'string' },
+    { in: 'query', field: 'userId', type: 'mongoId', message: 'Invalid user ID' },
+    { in: 'query', field: 'riskLevel', type: 'string' },
+    { in: 'query', field: 'startDate', type: 'date', message: 'Invalid start date' },
+    { in: 'query', field: 'endDate', type: 'date', message: 'Invalid end date' },
+    { in: 'query', field: 'limit', type: 'int', min: 1, max: 200 },
+    { in: 'query', field: 'cursor', type: 'string' }
+  ]),
   authenticateToken,
-  authorizeRoles(['superadmin', 'admin']),
+  authorizeRoles('superadmin', 'admin'),
   async (req, res) => {
     try {
       const auditLog = await tenantManagementService.getTenantAuditLog(
         req.params.tenantId,
-        req.query
+        req.query,
+        req.user
       );
       res.json({
         success: true,
@@ -350,27 +428,71 @@ router.get('/:tenantId/audit-log',
   }
 );
 
+/**
+ * GET /api/v1/tenants/:tenantId/audit-log/export
+ * Export tenant audit log as CSV or NDJSON (same filters as the audit log)
+ */
+router.get('/:tenantId/audit-log/export',
+  validateFields([
+    { in: 'query', field: 'format', values: ['csv', 'ndjson'], message: 'Format must be csv or ndjson' },
+    { in: 'query', field: 'userId', type: 'mongoId', message: 'Invalid user ID' },
+    { in: 'query', field: 'startDate', type: 'date', message: 'Invalid start date' },
+    { in: 'query', field: 'endDate', type: 'date', message: 'Invalid end date' }
+  ]),
+  authenticateToken,
+  authorizeRoles('superadmin', 'admin'),
+  async (req, res) => {
+    try {
+      const exportData = await tenantManagementService.exportTenantAuditLog(
+        req.params.tenantId,
+        req.query,
+        req.query.format || 'csv',
+        req.user
+      );
+
+      res.setHeader('Content-Type', exportData.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
+      exportData.stream.on('error', () => res.destroy());
+      exportData.stream.pipe(res);
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
 /**
  * POST /api/v1/tenants/:tenantId/notify
- * Send notification to tenant
+ * Broadcast a notification to all users of a tenant or a role/group segment
  */
 router.post('/:tenantId/notify',
-  [
-    body('type').isIn(['email', 'in-app', 'sms']).withMessage('Invalid notification type'),
-    body('subject').notEmpty().withMessage('Subject is required'),
-    body('message').notEmpty().withMessage('Message is required'),
-    body('recipients').optional().isArray()
-  ],
-  validateRequest,
+  validateFields([
+    { in: 'body', field: 'type', type: 'string' },
+    { in: 'body', field: 'title', required: true, message: 'Title is required' },
+    { in: 'body', field: 'message', required: true, message: 'Message is required' },
+    { in: 'body', field: 'priority', values: ['low', 'normal', 'high', 'urgent'], message: 'Invalid priority' },
+    { in: 'body', field: 'importance', values: ['info', 'success', 'warning', 'error'], message: 'Invalid importance' },
+    { in: 'body', field: 'delivery.channels', type: 'array', min: 1 },
+    { in: 'body', field: 'delivery.channels.*', required: true, values: ['in_app', 'email', 'webhook'], message: 'Invalid delivery channel' },
+    { in: 'body', field: 'segment', type: 'object' },
+    { in: 'body', field: 'segment.roles', type: 'array' },
+    { in: 'body', field: 'segment.groupIds', type: 'array' },
+    { in: 'body', field: 'segment.groupIds.*', required: true, type: 'mongoId', message: 'Invalid group ID' },
+    { in: 'body', field: 'segment.userIds', type: 'array' },
+    { in: 'body', field: 'segment.userIds.*', required: true, type: 'mongoId', message: 'Invalid user ID' }
+  ]),
   authenticateToken,
-  authorizeRoles(['superadmin']),
+  authorizeRoles('superadmin'),
   async (req, res) => {
     try {
       const result = await tenantManagementService.sendTenantNotification(
         req.params.tenantId,
-        req.body
+        req.body,
+        { createdBy: req.user._id }
       );
-      res.json(result);
+      res.status(202).json(result);
     } catch (error) {
       res.status(400).json({
         success: false,
@@ -381,20 +503,115 @@ router.post('/:tenantId/notify',
 );
 
 /**
- * GET /api/v1/tenants/export
- * Export tenant data
+ * GET /api/v1/tenants/:tenantId/ai-usage
+ * AI requests and tokens for billing (defaults to the current billing period)
  */
-router.get('/export',
+router.get('/:tenantId/ai-usage',
+  validateFields([
+    { in: 'query', field: 'from', type: 'date', message: 'from must be an ISO 8601 date' },
+    { in: 'query', field: 'to', type: 'date', message: 'to must be an ISO 8601 date' },
+    { in: 'query', field: 'groupBy', values: ['day', 'user', 'type', 'provider'], message: 'Invalid groupBy' }
+  ]),
   authenticateToken,
-  authorizeRoles(['superadmin']),
+  authorizeRoles('superadmin', 'admin'),
+  async (req, res) => {
+    try {
+      const usage = await tenantManagementService.getTenantAIUsage(
+        req.params.tenantId,
+        req.query,
+        req.user
+      );
+      res.json({
+        success: true,
+        data: usage,
+        message: 'Tenant AI usage retrieved successfully'
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/tenants/:tenantId/notifications/broadcasts
+ * List notification broadcasts sent to the tenant
+ */
+router.get('/:tenantId/notifications/broadcasts',
+  authenticateToken,
+  authorizeRoles('superadmin'),
+  async (req, res) => {
+    try {
+      const broadcasts = await tenantManagementService.getTenantBroadcasts(req.params.tenantId);
+      res.json({
+        success: true,
+        data: broadcasts,
+        message: 'Tenant broadcasts retrieved successfully'
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/tenants/:tenantId/notifications/broadcasts/:broadcastId
+ * Broadcast delivery status with failed recipients
+ */
+router.get('/:tenantId/notifications/broadcasts/:broadcastId',
+  validateFields([
+    { in: 'params', field: 'broadcastId', required: true, type: 'mongoId', message: 'Invalid broadcast ID' }
+  ]),
+  authenticateToken,
+  authorizeRoles('superadmin'),
   async (req, res) => {
     try {
-      const exportData = await tenantManagementService.exportTenantData(req.query);
+      const broadcast = await tenantManagementService.getTenantBroadcast(
+        req.params.tenantId,
+        req.params.broadcastId
+      );
       res.json({
         success: true,
-        data: exportData,
-        message: 'Tenant data exported successfully'
+        data: broadcast,
+        message: 'Tenant broadcast retrieved successfully'
       });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/tenants/export
+ * Stream a tenant export archive (.tar.gz, see docs/TENANT_EXPORT_FORMAT.md)
+ */
+router.get('/export',
+  validateFields([
+    { in: 'query', field: 'tenantId', required: true, message: 'Tenant ID is required' },
+    { in: 'query', field: 'collections', type: 'string' }
+  ]),
+  authenticateToken,
+  authorizeRoles('superadmin'),
+  async (req, res) => {
+    try {
+      const exportData = await tenantManagementService.exportTenantData({
+        tenantId: req.query.tenantId,
+        collections: req.query.collections,
+        exportedBy: req.user._id.toString()
+      });
+
+      res.setHeader('Content-Type', 'application/gzip');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
+      exportData.stream.on('error', () => res.destroy());
+      exportData.stream.pipe(res);
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -406,14 +623,31 @@ router.get('/export',
 
 /**
  * POST /api/v1/tenants/import
- * Import tenant data
+ * Import a tenant export archive sent as the raw request body
  */
 router.post('/import',
+  express.raw({
+    type: ['application/gzip', 'application/x-gzip', 'application/x-tar', 'application/octet-stream'],
+    limit: process.env.IMPORT_MAX_SIZE || '200mb'
+  }),
+  validateFields([
+    { in: 'query', field: 'tenantId', type: 'string' },
+    { in: 'query', field: 'slug', type: 'slug', message: 'Invalid slug' },
+    { in: 'query', field: 'remapIds', type: 'boolean' },
+    { in: 'query', field: 'dryRun', type: 'boolean' }
+  ]),
   authenticateToken,
-  authorizeRoles(['superadmin']),
+  authorizeRoles('superadmin'),
   async (req, res) => {
     try {
-      const result = await tenantManagementService.importTenantData(req.body);
+      const result = await tenantManagementService.importTenantData(req.body, {
+        tenantId: req.query.tenantId,
+        slug: req.query.slug,
+        name: req.query.name,
+        domain: req.query.domain,
+        remapIds: req.query.remapIds === 'true',
+        dryRun: req.query.dryRun === 'true'
+      });
       res.json(result);
     } catch (error) {
       res.status(400).json({
@@ -1,149 +1,1243 @@
+/**
+ * Training Routes
+ * Course catalog, enrollment (approval queue and waitlist), module progress,
+ * timed assessments with grading, certificates, learning paths, SCORM
+ * content packages, the xAPI statement store and learner statistics for the
+ * current tenant. Certificate verification, xAPI about and package files
+ * (behind a launch token) are public.
+ */
+
 const express = require('express');
+const path = require('path');
+const multer = require('multer');
 const router = express.Router();
+const trainingService = require('../services/TrainingService');
+const assessmentService = require('../services/AssessmentService');
+const certificateService = require('../services/CertificateService');
+const learningPathService = require('../services/LearningPathService');
+const contentPackageService = require('../services/ContentPackageService');
+const xapiService = require('../services/XapiService');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateFields } = require('../middleware/requestValidation');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
-// Training Routes for Frontend Support
-// =====================================
-
-// Get training courses/programs
-router.get('/courses', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      {
-        id: 'course-1',
-        title: 'Advanced JavaScript Training',
-        description: 'Comprehensive JavaScript course for developers',
-        duration: '40 hours',
-        level: 'intermediate',
-        status: 'enrolled',
-        progress: 65,
-        modules: [
-          { id: 'mod-1', title: 'ES6+ Features', completed: true },
-          { id: 'mod-2', title: 'Async Programming', completed: true },
-          { id: 'mod-3', title: 'Testing', completed: false }
-        ]
-      }
-    ],
-    pagination: {
-      page: 1,
-      limit: 10,
-      total: 1,
-      pages: 1
-    }
-  });
-});
+const PATH_STATUSES = ['draft', 'published', 'archived'];
+const ENROLLMENT_STATUSES = ['pending', 'waitlisted', 'enrolled', 'in-progress', 'completed', 'dropped', 'certified', 'rejected'];
 
-// Get learning paths
-router.get('/learning-paths', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      {
-        id: 'path-1',
-        title: 'Full-Stack Developer Path',
-        description: 'Complete path to become a full-stack developer',
-        courses: ['course-1', 'course-2', 'course-3'],
-        estimatedDuration: '6 months',
-        difficulty: 'beginner'
-      }
-    ]
+const sendTrainingError = (res, error, message) => {
+  if (!error.statusCode) {
+    logger.error(`${message}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+    details: error.details
   });
-});
+};
+
+const courseValidation = [
+  { in: 'params', field: 'courseId', required: true, type: 'mongoId' }
+];
+
+const moduleValidation = [
+  { in: 'params', field: 'courseId', required: true, type: 'mongoId' },
+  { in: 'params', field: 'moduleId', required: true, type: 'mongoId' }
+];
+
+const attemptValidation = [
+  { in: 'params', field: 'attemptId', required: true, type: 'mongoId' }
+];
+
+const answersValidation = [
+  { in: 'body', field: 'answers', required: true, type: 'array', max: 500 },
+  { in: 'body', field: 'answers.*.questionId', required: true, type: 'mongoId' }
+];
 
-// Start a module
-router.post('/programs/:programId/modules/:moduleId/start', (req, res) => {
-  const { programId, moduleId } = req.params;
-  res.json({
-    success: true,
-    message: 'Module started successfully',
-    data: {
-      programId,
-      moduleId,
-      startedAt: new Date().toISOString(),
-      status: 'in_progress'
+const pathIdValidation = [
+  { in: 'params', field: 'pathId', required: true, type: 'mongoId' }
+];
+
+// Shared by create and update; title is validated per route
+const pathValidation = [
+  { in: 'body', field: 'description', type: 'string', maxLength: 2000 },
+  { in: 'body', field: 'category', type: 'string', maxLength: 100 },
+  { in: 'body', field: 'level', values: ['beginner', 'intermediate', 'advanced', 'expert'] },
+  { in: 'body', field: 'status', values: PATH_STATUSES },
+  { in: 'body', field: 'allowSelfEnrollment', type: 'boolean' },
+  { in: 'body', field: 'items', type: 'array', max: 200 },
+  { in: 'body', field: 'items.*.key', pattern: /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/ },
+  { in: 'body', field: 'items.*.type', required: true, values: ['course', 'module'] },
+  { in: 'body', field: 'items.*.courseId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'items.*.moduleId', type: 'mongoId' },
+  { in: 'body', field: 'items.*.isRequired', type: 'boolean' },
+  { in: 'body', field: 'items.*.prerequisites', type: 'array' },
+  { in: 'body', field: 'items.*.skills', type: 'array' },
+  { in: 'body', field: 'items.*.order', type: 'int' }
+];
+
+const certificateValidation = [
+  { in: 'params', field: 'certificateId', required: true, pattern: /^LXC(-[0-9A-Z]{4}){3}$/i }
+];
+
+const pagination = (page, limit, total) => {
+  const pages = Math.ceil(total / limit);
+  return { page, limit, total, pages, hasNext: page < pages, hasPrev: page > 1 };
+};
+
+const scoValidation = [
+  { in: 'params', field: 'packageId', required: true, type: 'mongoId' },
+  { in: 'params', field: 'scoId', required: true, type: 'string', minLength: 1, maxLength: 255 }
+];
+
+// SCORM packages: zip archives only
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.CONTENT_PACKAGE_MAX_SIZE_MB, 10) || 200) * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      return cb(null, true);
     }
-  });
+    cb(new ValidationError('Only .zip packages can be imported'));
+  }
 });
 
-// Complete a module
-router.post('/programs/:programId/modules/:moduleId/complete', (req, res) => {
-  const { programId, moduleId } = req.params;
-  res.json({
-    success: true,
-    message: 'Module completed successfully',
-    data: {
-      programId,
-      moduleId,
-      completedAt: new Date().toISOString(),
-      status: 'completed',
-      score: 85
+// xAPI clients must name the specification version they speak
+const xapiVersion = (req, res, next) => {
+  res.set('X-Experience-API-Version', xapiService.version);
+  if (!/^1\.0(\.\d+)?$/.test(req.get('X-Experience-API-Version') || '')) {
+    return res.status(400).json({
+      success: false,
+      message: 'The X-Experience-API-Version header must be 1.0.x'
+    });
+  }
+  next();
+};
+
+/**
+ * @route GET /api/v1/training/certificates/verify/:certificateId
+ * @desc Public check of a certificate: holder, course, issuer, dates and
+ *       whether it is still valid. Target of the certificate's QR code.
+ * @access Public
+ */
+router.get('/certificates/verify/:certificateId', validateFields(certificateValidation), async (req, res) => {
+  try {
+    const verification = await certificateService.verify(req.params.certificateId);
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate with this ID was issued',
+        data: { valid: false }
+      });
     }
-  });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: verification
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to verify certificate');
+  }
 });
 
-// Get assessments
-router.get('/assessments', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      {
-        id: 'assessment-1',
-        title: 'JavaScript Fundamentals Assessment',
-        description: 'Test your JavaScript knowledge',
-        duration: 60,
-        questions: 20,
-        passingScore: 70,
-        status: 'available'
-      }
-    ]
-  });
+/**
+ * @route GET /api/v1/training/content-packages/:packageId/files/:token/*
+ * @desc A file of a SCORM package. The token comes from the launch URL and
+ *       expires; relative links inside the package resolve below it.
+ * @access Public (launch token)
+ */
+router.get('/content-packages/:packageId/files/:token/*', async (req, res) => {
+  try {
+    const filePath = await contentPackageService.resolveLaunchFile(req.params.packageId, req.params.token, req.params[0]);
+
+    res.set({
+      'Cache-Control': 'private, max-age=300',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.sendFile(filePath);
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get package file');
+  }
 });
 
-// Start assessment
-router.post('/assessments/:assessmentId/start', (req, res) => {
-  const { assessmentId } = req.params;
-  res.json({
-    success: true,
-    message: 'Assessment started',
-    data: {
-      assessmentId,
-      startedAt: new Date().toISOString(),
-      timeLimit: 60,
-      status: 'in_progress'
-    }
-  });
+/**
+ * @route GET /api/v1/training/xapi/about
+ * @desc xAPI versions the statement store supports
+ * @access Public
+ */
+router.get('/xapi/about', (req, res) => {
+  res.set('X-Experience-API-Version', xapiService.version);
+  res.json(xapiService.about());
+});
+
+// Everything below requires authentication
+router.use(authenticateToken);
+
+// ==================== CATALOG ====================
+
+/**
+ * @route GET /api/v1/training/courses
+ * @desc Active courses of the tenant with the learner's own enrollment and
+ *       free seats; enrolled=true lists only the learner's courses
+ * @access Private
+ */
+router.get('/courses', validateFields([
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 },
+  { in: 'query', field: 'search', type: 'string', maxLength: 100 },
+  { in: 'query', field: 'category', type: 'string' },
+  { in: 'query', field: 'level', values: ['beginner', 'intermediate', 'advanced', 'expert'] },
+  { in: 'query', field: 'enrolled', type: 'boolean' }
+]), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { courses, total } = await trainingService.listCourses(req.tenantId || 'default', req.user, {
+      search: req.query.search,
+      category: req.query.category,
+      level: req.query.level,
+      enrolled: req.query.enrolled === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: courses,
+      pagination: pagination(page, limit, total)
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get courses');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/courses/:courseId
+ * @desc Course details with its modules and the learner's enrollment
+ * @access Private
+ */
+router.get('/courses/:courseId', validateFields(courseValidation), async (req, res) => {
+  try {
+    const course = await trainingService.getCourse(req.tenantId || 'default', req.params.courseId, req.user);
+
+    res.json({
+      success: true,
+      data: course
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get course');
+  }
+});
+
+// ==================== ENROLLMENT ====================
+
+/**
+ * @route POST /api/v1/training/courses/:courseId/enroll
+ * @desc Enroll in a course. Returns status pending when the course requires
+ *       approval and waitlisted when it is full
+ * @access Private
+ */
+router.post('/courses/:courseId/enroll', validateFields(courseValidation), async (req, res) => {
+  try {
+    const enrollment = await trainingService.enroll(req.tenantId || 'default', req.params.courseId, req.user);
+    const messages = {
+      pending: 'Enrollment request submitted for approval',
+      waitlisted: 'The course is full; you have been added to the waitlist'
+    };
+
+    res.status(201).json({
+      success: true,
+      message: messages[enrollment.status] || 'Enrolled successfully',
+      data: enrollment
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to enroll in course');
+  }
+});
+
+/**
+ * @route DELETE /api/v1/training/courses/:courseId/enroll
+ * @desc Withdraw from a course, a pending request or the waitlist; a freed
+ *       seat goes to the first learner on the waitlist
+ * @access Private
+ */
+router.delete('/courses/:courseId/enroll', validateFields(courseValidation), async (req, res) => {
+  try {
+    const result = await trainingService.unenroll(req.tenantId || 'default', req.params.courseId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Enrollment withdrawn',
+      data: result
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to withdraw from course');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/courses/:courseId/enrollments
+ * @desc Enrollments by status: the approval queue (pending, default) or the
+ *       waitlist in order
+ * @access Private (course instructors, admin)
+ */
+router.get('/courses/:courseId/enrollments', validateFields([
+  ...courseValidation,
+  { in: 'query', field: 'status', values: ENROLLMENT_STATUSES }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const enrollments = await trainingService.listEnrollments(req.tenantId || 'default', req.params.courseId, req.user, {
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data: enrollments
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get enrollments');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/courses/:courseId/enrollments/:userId/approve
+ * @desc Approve a pending enrollment; the learner is waitlisted if the course is full
+ * @access Private (course instructors, admin)
+ */
+router.post('/courses/:courseId/enrollments/:userId/approve', validateFields([
+  ...courseValidation,
+  { in: 'params', field: 'userId', required: true, type: 'mongoId' }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const enrollment = await trainingService.reviewEnrollment(req.tenantId || 'default', req.params.courseId, req.params.userId, req.user, {
+      approved: true
+    });
+
+    res.json({
+      success: true,
+      message: enrollment.status === 'waitlisted' ? 'Approved; the course is full so the learner is waitlisted' : 'Enrollment approved',
+      data: enrollment
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to approve enrollment');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/courses/:courseId/enrollments/:userId/reject
+ * @desc Reject a pending enrollment or remove a learner from the waitlist
+ * @access Private (course instructors, admin)
+ */
+router.post('/courses/:courseId/enrollments/:userId/reject', validateFields([
+  ...courseValidation,
+  { in: 'params', field: 'userId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'reason', type: 'string', maxLength: 500 }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const enrollment = await trainingService.reviewEnrollment(req.tenantId || 'default', req.params.courseId, req.params.userId, req.user, {
+      approved: false,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Enrollment rejected',
+      data: enrollment
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to reject enrollment');
+  }
+});
+
+// ==================== PROGRESS ====================
+
+/**
+ * @route POST /api/v1/training/courses/:courseId/modules/:moduleId/start
+ * @desc Start a module; its prerequisite modules must be completed. Also
+ *       served at /programs/:courseId/modules/:moduleId/start
+ * @access Private (enrolled learners)
+ */
+router.post([
+  '/courses/:courseId/modules/:moduleId/start',
+  '/programs/:courseId/modules/:moduleId/start'
+], validateFields(moduleValidation), async (req, res) => {
+  try {
+    const progress = await trainingService.startModule(req.tenantId || 'default', req.params.courseId, req.params.moduleId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Module started successfully',
+      data: progress
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to start module');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/courses/:courseId/modules/:moduleId/complete
+ * @desc Complete a module with an optional score; the course completes once
+ *       every required module and assessment is done. Also served at
+ *       /programs/:courseId/modules/:moduleId/complete
+ * @access Private (enrolled learners)
+ */
+router.post([
+  '/courses/:courseId/modules/:moduleId/complete',
+  '/programs/:courseId/modules/:moduleId/complete'
+], validateFields([
+  ...moduleValidation,
+  { in: 'body', field: 'score', type: 'float', min: 0, max: 100 }
+]), async (req, res) => {
+  try {
+    const score = req.body.score === undefined ? undefined : Number(req.body.score);
+    const progress = await trainingService.completeModule(req.tenantId || 'default', req.params.courseId, req.params.moduleId, req.user, { score });
+
+    res.json({
+      success: true,
+      message: 'Module completed successfully',
+      data: progress
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to complete module');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/courses/:courseId/progress
+ * @desc The learner's progress through a course, module by module
+ * @access Private (enrolled learners)
+ */
+router.get('/courses/:courseId/progress', validateFields(courseValidation), async (req, res) => {
+  try {
+    const progress = await trainingService.getProgress(req.tenantId || 'default', req.params.courseId, req.user._id, req.user);
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get course progress');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/courses/:courseId/progress/:userId
+ * @desc A learner's progress through a course
+ * @access Private (course instructors, admin)
+ */
+router.get('/courses/:courseId/progress/:userId', validateFields([
+  ...courseValidation,
+  { in: 'params', field: 'userId', required: true, type: 'mongoId' }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const progress = await trainingService.getProgress(req.tenantId || 'default', req.params.courseId, req.params.userId, req.user);
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get course progress');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/participants/:participantId/stats
+ * @desc Course, module, score and hour totals for a learner
+ * @access Private (the learner, trainers, admin)
+ */
+router.get('/participants/:participantId/stats', validateFields([
+  { in: 'params', field: 'participantId', required: true, type: 'mongoId' }
+]), async (req, res) => {
+  try {
+    const stats = await trainingService.getLearnerStats(req.tenantId || 'default', req.params.participantId, req.user);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get participant statistics');
+  }
 });
 
-// Get certificate
-router.get('/programs/:programId/certificate', (req, res) => {
-  const { programId } = req.params;
-  res.json({
-    success: true,
-    data: {
-      programId,
-      certificateUrl: `/api/v1/training/certificates/${programId}.pdf`,
-      issuedAt: new Date().toISOString(),
-      validUntil: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString()
+// ==================== ASSESSMENTS ====================
+
+/**
+ * @route GET /api/v1/training/assessments
+ * @desc Published assessments (optionally of one course) with the learner's
+ *       attempts used, best score and open attempt
+ * @access Private
+ */
+router.get('/assessments', validateFields([
+  { in: 'query', field: 'courseId', type: 'mongoId' },
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 }
+]), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const { assessments, total } = await assessmentService.listAssessments(req.tenantId || 'default', req.user, {
+      courseId: req.query.courseId,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: assessments,
+      pagination: pagination(page, limit, total)
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get assessments');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/assessments/:assessmentId/start
+ * @desc Start a timed attempt (or resume the open one). Questions and
+ *       options come in a per-attempt order, without answers. With courseId
+ *       the learner must be enrolled in that course.
+ * @access Private
+ */
+router.post('/assessments/:assessmentId/start', validateFields([
+  { in: 'params', field: 'assessmentId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'courseId', type: 'mongoId' }
+]), async (req, res) => {
+  try {
+    const { attempt, resumed } = await assessmentService.startAttempt(req.tenantId || 'default', req.params.assessmentId, req.user, {
+      courseId: req.body.courseId
+    });
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? 'Assessment attempt resumed' : 'Assessment started',
+      data: attempt
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to start assessment');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/assessments/review-queue
+ * @desc Submitted attempts with answers waiting for manual grading, oldest
+ *       first. Trainers see assessments they wrote and courses they teach.
+ * @access Private (trainers, admin)
+ */
+router.get('/assessments/review-queue', validateFields([
+  { in: 'query', field: 'courseId', type: 'mongoId' },
+  { in: 'query', field: 'assessmentId', type: 'mongoId' },
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const { attempts, total } = await assessmentService.listReviewQueue(req.tenantId || 'default', req.user, {
+      courseId: req.query.courseId,
+      assessmentId: req.query.assessmentId,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: attempts,
+      pagination: pagination(page, limit, total)
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get assessment review queue');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/attempts/:attemptId
+ * @desc An assessment attempt with time remaining, or its results once
+ *       graded. Reviewers also see the answer key.
+ * @access Private (the learner, graders)
+ */
+router.get('/attempts/:attemptId', validateFields(attemptValidation), async (req, res) => {
+  try {
+    const attempt = await assessmentService.getAttempt(req.tenantId || 'default', req.params.attemptId, req.user);
+
+    res.json({
+      success: true,
+      data: attempt
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get assessment attempt');
+  }
+});
+
+/**
+ * @route PUT /api/v1/training/attempts/:attemptId/answers
+ * @desc Save answers without submitting; rejected once time is up
+ * @access Private (the learner)
+ */
+router.put('/attempts/:attemptId/answers', validateFields([
+  ...attemptValidation,
+  ...answersValidation
+]), async (req, res) => {
+  try {
+    const attempt = await assessmentService.saveAnswers(req.tenantId || 'default', req.params.attemptId, req.user, req.body.answers);
+
+    res.json({
+      success: true,
+      message: 'Answers saved',
+      data: attempt
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to save answers');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/attempts/:attemptId/submit
+ * @desc Submit an attempt and grade it. Answers sent after the time limit
+ *       are ignored. Essays leave the attempt pending review.
+ * @access Private (the learner)
+ */
+router.post('/attempts/:attemptId/submit', validateFields([
+  ...attemptValidation,
+  { in: 'body', field: 'answers', type: 'array', max: 500 },
+  { in: 'body', field: 'answers.*.questionId', required: true, type: 'mongoId' }
+]), async (req, res) => {
+  try {
+    const { attempt, late } = await assessmentService.submitAttempt(req.tenantId || 'default', req.params.attemptId, req.user, req.body.answers);
+
+    let message = attempt.status === 'graded' ? 'Assessment submitted and graded' : 'Assessment submitted; some answers await grading';
+    if (late) {
+      message = 'Time was up; the attempt was submitted with the answers saved before the deadline';
     }
-  });
+    res.json({
+      success: true,
+      message,
+      data: attempt
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to submit assessment');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/attempts/:attemptId/questions/:questionId/grade
+ * @desc Grade an answer of an attempt awaiting review (essays, or overriding
+ *       an auto-graded answer). The score is final once nothing is pending.
+ * @access Private (assessment author, course instructors, admin)
+ */
+router.post('/attempts/:attemptId/questions/:questionId/grade', validateFields([
+  ...attemptValidation,
+  { in: 'params', field: 'questionId', required: true, type: 'mongoId' },
+  { in: 'body', field: 'points', required: true, type: 'float', min: 0 },
+  { in: 'body', field: 'feedback', type: 'string', maxLength: 5000 }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const attempt = await assessmentService.gradeResponse(req.tenantId || 'default', req.params.attemptId, req.params.questionId, req.user, {
+      points: Number(req.body.points),
+      feedback: req.body.feedback
+    });
+
+    res.json({
+      success: true,
+      message: attempt.status === 'graded' ? 'Attempt graded' : 'Answer graded',
+      data: attempt
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to grade answer');
+  }
+});
+
+// ==================== LEARNING PATHS ====================
+
+/**
+ * @route GET /api/v1/training/learning-paths
+ * @desc Learning paths: published ones and those the learner follows;
+ *       trainers and admins also see drafts. mine=true lists followed paths.
+ * @access Private
+ */
+router.get('/learning-paths', validateFields([
+  { in: 'query', field: 'status', values: PATH_STATUSES },
+  { in: 'query', field: 'mine', type: 'boolean' },
+  { in: 'query', field: 'page', type: 'int', min: 1 },
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 }
+]), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const { paths, total } = await learningPathService.listPaths(req.tenantId || 'default', req.user, {
+      status: req.query.status,
+      mine: req.query.mine === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: paths,
+      pagination: pagination(page, limit, total)
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get learning paths');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/learning-paths
+ * @desc Create a learning path. Items reference courses or modules (within a
+ *       course) and list the keys of the items they require; cycles are
+ *       rejected.
+ * @access Private (trainers, admin)
+ */
+router.post('/learning-paths', validateFields([
+  { in: 'body', field: 'title', required: true, type: 'string', trim: true, minLength: 1, maxLength: 200 },
+  ...pathValidation
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const path = await learningPathService.createPath(req.tenantId || 'default', req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Learning path created',
+      data: path
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to create learning path');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/learning-paths/next
+ * @desc Recommended next items across the learner's paths, ranked by
+ *       progress, skill gaps, prerequisite scores and due dates
+ * @access Private
+ */
+router.get('/learning-paths/next', validateFields([
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 20 }
+]), async (req, res) => {
+  try {
+    const recommendations = await learningPathService.recommendNext(req.tenantId || 'default', req.user, {
+      limit: parseInt(req.query.limit, 10) || undefined
+    });
+
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get recommendations');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/learning-paths/:pathId
+ * @desc A learning path with the learner's progress when they follow it
+ * @access Private
+ */
+router.get('/learning-paths/:pathId', validateFields(pathIdValidation), async (req, res) => {
+  try {
+    const path = await learningPathService.getPath(req.tenantId || 'default', req.params.pathId, req.user);
+
+    res.json({
+      success: true,
+      data: path
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get learning path');
+  }
+});
+
+/**
+ * @route PUT /api/v1/training/learning-paths/:pathId
+ * @desc Update a learning path; items, when sent, replace the curriculum
+ * @access Private (path author, admin)
+ */
+router.put('/learning-paths/:pathId', validateFields([
+  ...pathIdValidation,
+  { in: 'body', field: 'title', type: 'string', trim: true, minLength: 1, maxLength: 200 },
+  ...pathValidation
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const path = await learningPathService.updatePath(req.tenantId || 'default', req.params.pathId, req.user, req.body);
+
+    res.json({
+      success: true,
+      message: 'Learning path updated',
+      data: path
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to update learning path');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/learning-paths/:pathId/assign
+ * @desc Assign a published path to learners, optionally with a due date
+ * @access Private (path author, admin)
+ */
+router.post('/learning-paths/:pathId/assign', validateFields([
+  ...pathIdValidation,
+  { in: 'body', field: 'userIds', required: true, type: 'array', min: 1, max: 500 },
+  { in: 'body', field: 'userIds.*', required: true, type: 'mongoId' },
+  { in: 'body', field: 'dueDate', type: 'date' }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const result = await learningPathService.assignPath(req.tenantId || 'default', req.params.pathId, req.user, {
+      userIds: req.body.userIds,
+      dueDate: req.body.dueDate ? new Date(req.body.dueDate) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Learning path assigned',
+      data: result
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to assign learning path');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/learning-paths/:pathId/join
+ * @desc Follow a published learning path
+ * @access Private
+ */
+router.post('/learning-paths/:pathId/join', validateFields(pathIdValidation), async (req, res) => {
+  try {
+    const progress = await learningPathService.joinPath(req.tenantId || 'default', req.params.pathId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Joined learning path',
+      data: progress
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to join learning path');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/learning-paths/:pathId/progress
+ * @desc The learner's progress: each item completed, in progress, available
+ *       or locked (with the prerequisites still missing)
+ * @access Private (path learners)
+ */
+router.get('/learning-paths/:pathId/progress', validateFields(pathIdValidation), async (req, res) => {
+  try {
+    const progress = await learningPathService.getProgress(req.tenantId || 'default', req.params.pathId, req.user._id, req.user);
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get learning path progress');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/learning-paths/:pathId/progress/:userId
+ * @desc A learner's progress through a path
+ * @access Private (path author, admin)
+ */
+router.get('/learning-paths/:pathId/progress/:userId', validateFields([
+  ...pathIdValidation,
+  { in: 'params', field: 'userId', required: true, type: 'mongoId' }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const progress = await learningPathService.getProgress(req.tenantId || 'default', req.params.pathId, req.params.userId, req.user);
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get learning path progress');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/learning-paths/:pathId/next
+ * @desc Recommended next items within one path
+ * @access Private (path learners)
+ */
+router.get('/learning-paths/:pathId/next', validateFields([
+  ...pathIdValidation,
+  { in: 'query', field: 'limit', type: 'int', min: 1, max: 20 }
+]), async (req, res) => {
+  try {
+    const recommendations = await learningPathService.recommendNext(req.tenantId || 'default', req.user, {
+      pathId: req.params.pathId,
+      limit: parseInt(req.query.limit, 10) || undefined
+    });
+
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get recommendations');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/learning-paths/:pathId/items/:key/start
+ * @desc Start an unlocked item: enrolls in its course and starts the module.
+ *       Joins the path first when self-enrollment is allowed.
+ * @access Private
+ */
+router.post('/learning-paths/:pathId/items/:key/start', validateFields([
+  ...pathIdValidation,
+  { in: 'params', field: 'key', required: true, pattern: /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/ }
+]), async (req, res) => {
+  try {
+    const progress = await learningPathService.startItem(req.tenantId || 'default', req.params.pathId, req.params.key, req.user);
+
+    res.json({
+      success: true,
+      message: 'Learning path item started',
+      data: progress
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to start learning path item');
+  }
+});
+
+// ==================== CERTIFICATES ====================
+
+/**
+ * @route GET /api/v1/training/certificates
+ * @desc The learner's certificates
+ * @access Private
+ */
+router.get('/certificates', async (req, res) => {
+  try {
+    const certificates = await trainingService.listCertificates(req.tenantId || 'default', req.user._id);
+
+    res.json({
+      success: true,
+      data: certificates
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get certificates');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/courses/:courseId/certificate
+ * @desc The learner's certificate for a completed course. Also served at
+ *       /programs/:courseId/certificate
+ * @access Private (enrolled learners)
+ */
+router.get([
+  '/courses/:courseId/certificate',
+  '/programs/:courseId/certificate'
+], validateFields(courseValidation), async (req, res) => {
+  try {
+    const certificate = await trainingService.getCourseCertificate(req.tenantId || 'default', req.params.courseId, req.user);
+
+    res.json({
+      success: true,
+      data: certificate
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get certificate');
+  }
 });
 
-// Get participant statistics
-router.get('/participants/:participantId/stats', (req, res) => {
-  const { participantId } = req.params;
-  res.json({
-    success: true,
-    data: {
-      participantId,
-      totalCourses: 5,
-      completedCourses: 3,
-      averageScore: 87,
-      totalHours: 120,
-      certificates: 2,
-      currentStreak: 7,
-      achievements: ['first_course', 'high_achiever']
+/**
+ * @route GET /api/v1/training/certificates/:certificateId/pdf
+ * @desc Download a certificate as PDF in the tenant's branding
+ * @access Private (the holder, course instructors, admin)
+ */
+router.get('/certificates/:certificateId/pdf', validateFields(certificateValidation), async (req, res) => {
+  try {
+    const certificate = await trainingService.getCertificate(req.tenantId || 'default', req.params.certificateId, req.user);
+    const pdf = await certificateService.renderPdf(certificate);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="certificate-${certificate.certificateId}.pdf"`,
+      'Content-Length': pdf.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to generate certificate');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/certificates/:certificateId/revoke
+ * @desc Revoke a certificate; verification reports it as revoked
+ * @access Private (admin)
+ */
+router.post('/certificates/:certificateId/revoke', validateFields([
+  ...certificateValidation,
+  { in: 'body', field: 'reason', required: true, type: 'string', trim: true, minLength: 1, maxLength: 500 }
+]), authorizeRoles('admin'), async (req, res) => {
+  try {
+    const certificate = await trainingService.revokeCertificate(req.tenantId || 'default', req.params.certificateId, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Certificate revoked',
+      data: certificate
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to revoke certificate');
+  }
+});
+
+// ==================== CONTENT PACKAGES ====================
+
+/**
+ * @route POST /api/v1/training/courses/:courseId/content-packages
+ * @desc Import a SCORM 1.2 or SCORM 2004 zip (field "package"); each SCO
+ *       becomes a module appended to the course
+ * @access Private (course instructors, admin)
+ */
+router.post('/courses/:courseId/content-packages',
+  authorizeRoles('trainer', 'admin'),
+  packageUpload.single('package'),
+  validateFields([
+    ...courseValidation,
+    { in: 'body', field: 'title', type: 'string', trim: true, minLength: 1, maxLength: 200 }
+  ]),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A package file is required'
+        });
+      }
+
+      const contentPackage = await contentPackageService.importPackage(
+        req.tenantId || 'default',
+        req.params.courseId,
+        req.user,
+        req.file,
+        { title: req.body.title }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Content package imported',
+        data: contentPackage
+      });
+    } catch (error) {
+      sendTrainingError(res, error, 'Failed to import content package');
     }
-  });
+  }
+);
+
+/**
+ * @route GET /api/v1/training/courses/:courseId/content-packages
+ * @desc Content packages of a course with their SCOs and modules
+ * @access Private (enrolled learners, course instructors, admin)
+ */
+router.get('/courses/:courseId/content-packages', validateFields(courseValidation), async (req, res) => {
+  try {
+    const packages = await contentPackageService.listPackages(req.tenantId || 'default', req.params.courseId, req.user);
+
+    res.json({
+      success: true,
+      data: packages
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get content packages');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/content-packages/:packageId/attempts
+ * @desc Learner status, score and time per SCO of a package
+ * @access Private (course instructors, admin)
+ */
+router.get('/content-packages/:packageId/attempts', validateFields([
+  { in: 'params', field: 'packageId', required: true, type: 'mongoId' }
+]), authorizeRoles('trainer', 'admin'), async (req, res) => {
+  try {
+    const attempts = await contentPackageService.listAttempts(req.tenantId || 'default', req.params.packageId, req.user);
+
+    res.json({
+      success: true,
+      data: attempts
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get package attempts');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/content-packages/:packageId/scos/:scoId/launch
+ * @desc Launch URL of a SCO and its run-time endpoint. Starts the module
+ *       (prerequisites apply); instructors who are not enrolled get an
+ *       untracked preview.
+ * @access Private
+ */
+router.post('/content-packages/:packageId/scos/:scoId/launch', validateFields(scoValidation), async (req, res) => {
+  try {
+    const launch = await contentPackageService.launch(req.tenantId || 'default', req.params.packageId, req.params.scoId, req.user);
+
+    res.json({
+      success: true,
+      data: launch
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to launch SCO');
+  }
+});
+
+/**
+ * @route POST /api/v1/training/content-packages/:packageId/scos/:scoId/runtime/initialize
+ * @desc LMSInitialize / Initialize: open a session and return every value
+ *       the SCO can read (cmi.core.entry, suspend data, ...)
+ * @access Private (enrolled learners)
+ */
+router.post('/content-packages/:packageId/scos/:scoId/runtime/initialize', validateFields(scoValidation), async (req, res) => {
+  try {
+    const runtime = await contentPackageService.initialize(req.tenantId || 'default', req.params.packageId, req.params.scoId, req.user);
+
+    res.json({
+      success: true,
+      data: runtime
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to initialize SCO');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/content-packages/:packageId/scos/:scoId/runtime
+ * @desc Current run-time values and status of the learner's attempt
+ * @access Private (enrolled learners)
+ */
+router.get('/content-packages/:packageId/scos/:scoId/runtime', validateFields(scoValidation), async (req, res) => {
+  try {
+    const runtime = await contentPackageService.getRuntime(req.tenantId || 'default', req.params.packageId, req.params.scoId, req.user);
+
+    res.json({
+      success: true,
+      data: runtime
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get SCO run-time data');
+  }
+});
+
+/**
+ * @route PUT /api/v1/training/content-packages/:packageId/scos/:scoId/runtime
+ * @desc LMSCommit / Commit with the values set since the last commit
+ *       ({ "cmi.core.lesson_status": "completed", ... }); finish=true is
+ *       LMSFinish / Terminate. Refused values come back in details.errors
+ *       with their SCORM error codes and nothing is stored.
+ * @access Private (enrolled learners)
+ */
+router.put('/content-packages/:packageId/scos/:scoId/runtime', validateFields([
+  ...scoValidation,
+  { in: 'body', field: 'values', custom: value => value !== null && typeof value === 'object' && !Array.isArray(value) },
+  { in: 'body', field: 'finish', type: 'boolean' }
+]), async (req, res) => {
+  try {
+    const runtime = await contentPackageService.commit(
+      req.tenantId || 'default',
+      req.params.packageId,
+      req.params.scoId,
+      req.user,
+      req.body.values || {},
+      { finish: req.body.finish === true || req.body.finish === 'true' }
+    );
+
+    res.json({
+      success: true,
+      data: runtime
+    });
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to commit SCO run-time data');
+  }
+});
+
+// ==================== XAPI ====================
+// Statement responses follow the xAPI specification rather than the
+// { success, data } envelope, so off-the-shelf xAPI content can use them
+
+/**
+ * @route POST /api/v1/training/xapi/statements
+ * @desc Store one statement or an array of statements; returns their IDs.
+ *       Completions and scores of module activities update course progress.
+ * @access Private
+ */
+router.post('/xapi/statements', xapiVersion, validateFields([
+  { in: 'body', required: true, custom: value => value !== null && typeof value === 'object' }
+]), async (req, res) => {
+  try {
+    const { ids } = await xapiService.storeStatements(req.tenantId || 'default', req.user, req.body);
+
+    res.json(ids);
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to store statements');
+  }
+});
+
+/**
+ * @route PUT /api/v1/training/xapi/statements?statementId=
+ * @desc Store a statement under the given ID; resending it unchanged is a
+ *       no-op, changing it a conflict
+ * @access Private
+ */
+router.put('/xapi/statements', xapiVersion, validateFields([
+  { in: 'query', field: 'statementId', required: true, type: 'uuid' },
+  { in: 'body', required: true, custom: value => value !== null && typeof value === 'object' && !Array.isArray(value) }
+]), async (req, res) => {
+  try {
+    await xapiService.storeStatements(req.tenantId || 'default', req.user, req.body, {
+      statementId: req.query.statementId
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to store statement');
+  }
+});
+
+/**
+ * @route GET /api/v1/training/xapi/statements
+ * @desc One statement (statementId, voidedStatementId) or a StatementResult
+ *       filtered by agent, verb, activity, registration, since and until.
+ *       Learners only see statements about themselves.
+ * @access Private
+ */
+router.get('/xapi/statements', xapiVersion, validateFields([
+  { in: 'query', field: 'statementId', type: 'uuid' },
+  { in: 'query', field: 'voidedStatementId', type: 'uuid' },
+  { in: 'query', field: 'agent', type: 'string' },
+  { in: 'query', field: 'verb', type: 'string' },
+  { in: 'query', field: 'activity', type: 'string' },
+  { in: 'query', field: 'registration', type: 'uuid' },
+  { in: 'query', field: 'since', type: 'date' },
+  { in: 'query', field: 'until', type: 'date' },
+  { in: 'query', field: 'limit', type: 'int', min: 0, max: 500 },
+  { in: 'query', field: 'offset', type: 'int', min: 0 },
+  { in: 'query', field: 'ascending', type: 'boolean' }
+]), async (req, res) => {
+  try {
+    const result = await xapiService.getStatements(req.tenantId || 'default', req.user, req.query);
+
+    res.set('X-Experience-API-Consistent-Through', new Date().toISOString());
+    res.json(result.statement || result);
+  } catch (error) {
+    sendTrainingError(res, error, 'Failed to get statements');
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * LUXGEN CANDIDATE ACCESS EXPIRY RUNNER
+ * Revokes candidate data grants past their expiry, then exits. Schedule it
+ * with cron and set CANDIDATE_ACCESS_EXPIRY_ENABLED=false on the API processes.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const candidateAccessService = require('../services/CandidateAccessService');
+
+async function revokeCandidateAccess() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/luxgen');
+    console.log('✅ Connected to MongoDB');
+
+    const revoked = await candidateAccessService.revokeExpired();
+    console.log(`🔒 Revoked ${revoked} expired candidate access grants`);
+    return revoked;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  revokeCandidateAccess()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Candidate access revocation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = revokeCandidateAccess;
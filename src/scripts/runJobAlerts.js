@@ -0,0 +1,37 @@
+/**
+ * LUXGEN JOB ALERT RUNNER
+ * Sends every job alert digest that is due, then exits. Schedule it with
+ * cron and set JOB_ALERTS_ENABLED=false on the API processes.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const jobAlertService = require('../services/JobAlertService');
+
+async function runJobAlerts() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/luxgen');
+    console.log('✅ Connected to MongoDB');
+
+    const stats = await jobAlertService.runDue();
+    console.log(`📬 Job alerts: ${stats.sent} sent, ${stats.empty} with no new jobs, ${stats.failed} failed`);
+    return stats;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  runJobAlerts()
+    .then((stats) => {
+      process.exit(stats.failed ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error('💥 Job alert run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = runJobAlerts;
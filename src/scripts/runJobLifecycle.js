@@ -0,0 +1,38 @@
+/**
+ * LUXGEN JOB LIFECYCLE RUNNER
+ * Publishes scheduled jobs, closes expired ones and sends renewal
+ * reminders, then exits. Schedule it with cron and set
+ * JOB_LIFECYCLE_ENABLED=false on the API processes.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const jobLifecycleService = require('../services/JobLifecycleService');
+
+async function runJobLifecycle() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/luxgen');
+    console.log('✅ Connected to MongoDB');
+
+    const stats = await jobLifecycleService.runDue();
+    console.log(`📋 Jobs: ${stats.published} published, ${stats.expired} expired, ${stats.reminded} renewal reminders sent`);
+    return stats;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  runJobLifecycle()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Job lifecycle run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = runJobLifecycle;
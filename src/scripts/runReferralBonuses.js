@@ -0,0 +1,38 @@
+/**
+ * LUXGEN REFERRAL BONUS RUNNER
+ * Marks referral bonuses eligible (or ineligible) once the hire's probation
+ * period ends, then exits. Schedule it with cron and set
+ * REFERRAL_BONUS_ENABLED=false on the API processes.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const referralService = require('../services/ReferralService');
+
+async function runReferralBonuses() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/luxgen');
+    console.log('✅ Connected to MongoDB');
+
+    const stats = await referralService.runDue();
+    console.log(`🎁 Referral bonuses: ${stats.eligible} eligible, ${stats.ineligible} ineligible`);
+    return stats;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  runReferralBonuses()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Referral bonus run failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = runReferralBonuses;
@@ -0,0 +1,252 @@
+/**
+ * LUXGEN AI METERING SERVICE
+ * Usage metering and plan-based limits for AI requests
+ *
+ * Features:
+ * - Requests and tokens recorded per tenant, user, day, content type and provider
+ * - Per-minute and per-hour request limits per user, set by the tenant's plan
+ * - Monthly request and token quotas per tenant, aligned to the subscription start date
+ * - Usage reports for billing
+ */
+
+const logger = require('../utils/logger');
+const aiRepository = require('../repositories/AIRepository');
+const AIRateLimitCounter = require('../models/AIRateLimitCounter');
+const { RateLimitError, QuotaExceededError } = require('../utils/errors');
+
+// null = unlimited; tenants can override any value in settings.ai.limits
+const AI_PLAN_LIMITS = {
+  free: { perMinute: 60, perHour: 1000, monthlyRequests: 5000, monthlyTokens: 2000000 },
+  professional: { perMinute: 120, perHour: 2000, monthlyRequests: 50000, monthlyTokens: 25000000 },
+  enterprise: { perMinute: 300, perHour: 5000, monthlyRequests: null, monthlyTokens: null }
+};
+
+const WINDOWS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Same day-of-month `months` after `date`, clamped to the month's length
+ * (Jan 31 + 1 month -> Feb 28/29)
+ */
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+};
+
+class AIMeteringService {
+  /**
+   * Plan limits with the tenant's overrides applied
+   */
+  getLimits(plan, aiSettings = {}) {
+    const limits = { ...(AI_PLAN_LIMITS[plan] || AI_PLAN_LIMITS.free) };
+    const overrides = aiSettings.limits || {};
+    Object.keys(limits).forEach(name => {
+      if (overrides[name] !== null && overrides[name] !== undefined) {
+        limits[name] = overrides[name];
+      }
+    });
+    return limits;
+  }
+
+  /**
+   * Current monthly billing period, starting on the subscription's start day
+   */
+  getBillingPeriod(tenant, now = new Date()) {
+    const anchor = new Date((tenant && tenant.subscription && tenant.subscription.startDate) ||
+      (tenant && tenant.createdAt) || Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    let months = (now.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + now.getUTCMonth() - anchor.getUTCMonth();
+    if (addMonths(anchor, months) > now) {
+      months -= 1;
+    }
+    months = Math.max(months, 0);
+    return { start: addMonths(anchor, months), end: addMonths(anchor, months + 1) };
+  }
+
+  /**
+   * CHECK LIMITS
+   * Call before every AI request. Counts the request against the user's
+   * rate windows and throws QuotaExceededError (403) or RateLimitError (429)
+   * when it is not allowed. Returns the tenant context for the request.
+   */
+  async checkLimits({ userId, tenantId }) {
+    const context = await aiRepository.resolveTenant(tenantId);
+    const limits = this.getLimits(context.plan, context.aiSettings);
+    const now = new Date();
+
+    this.assertSubscriptionActive(context.tenant, now);
+
+    if (limits.monthlyRequests !== null || limits.monthlyTokens !== null) {
+      const period = this.getBillingPeriod(context.tenant, now);
+      const usage = await aiRepository.sumTenantUsage(context.keys, this.periodRange(period));
+      if (limits.monthlyRequests !== null && usage.totalRequests >= limits.monthlyRequests) {
+        throw new QuotaExceededError(`Monthly AI request quota of ${limits.monthlyRequests} reached; it resets on ${period.end.toISOString()}`);
+      }
+      if (limits.monthlyTokens !== null && usage.totalTokens >= limits.monthlyTokens) {
+        throw new QuotaExceededError(`Monthly AI token quota of ${limits.monthlyTokens} reached; it resets on ${period.end.toISOString()}`);
+      }
+    }
+
+    const key = this.rateLimitKey(context.keys[0], userId);
+    for (const window of Object.keys(WINDOWS)) {
+      const limit = window === 'minute' ? limits.perMinute : limits.perHour;
+      if (limit === null) {
+        continue;
+      }
+      const count = await this.hit(key, window, now);
+      if (count > limit) {
+        const windowStart = this.windowStart(window, now);
+        const error = new RateLimitError(`AI rate limit exceeded: ${limit} requests per ${window}`);
+        error.retryAfter = Math.ceil((windowStart.getTime() + WINDOWS[window] - now.getTime()) / 1000);
+        throw error;
+      }
+    }
+
+    return { ...context, limits };
+  }
+
+  assertSubscriptionActive(tenant, now = new Date()) {
+    // Callers without a tenant record (e.g. legacy) run on the default plan
+    if (!tenant || !tenant.subscription) {
+      return;
+    }
+    const { status, endDate } = tenant.subscription;
+    if (status !== 'active' || (endDate && new Date(endDate) < now)) {
+      throw new QuotaExceededError('AI features require an active subscription');
+    }
+  }
+
+  /**
+   * RECORD USAGE
+   * Never throws, so metering cannot break a completed request
+   */
+  async recordUsage({ userId, tenantId }, action, details = {}) {
+    try {
+      await aiRepository.incrementUsage({ userId, tenantId }, action, details);
+    } catch (error) {
+      logger.error('Failed to record AI usage:', error.message);
+    }
+  }
+
+  /**
+   * Rate limit windows and monthly quota for a user, without counting a request
+   */
+  async getRateLimitStatus({ userId, tenantId }) {
+    const context = await aiRepository.resolveTenant(tenantId);
+    const limits = this.getLimits(context.plan, context.aiSettings);
+    const now = new Date();
+    const key = this.rateLimitKey(context.keys[0], userId);
+
+    const counters = await AIRateLimitCounter.find({
+      key,
+      $or: Object.keys(WINDOWS).map(window => ({ window, windowStart: this.windowStart(window, now) }))
+    }).lean();
+    const countFor = (window) => {
+      const counter = counters.find(item => item.window === window);
+      return counter ? counter.count : 0;
+    };
+
+    const period = this.getBillingPeriod(context.tenant, now);
+    const monthly = await aiRepository.sumTenantUsage(context.keys, this.periodRange(period));
+
+    return {
+      plan: context.plan,
+      requestsPerMinute: limits.perMinute,
+      requestsPerHour: limits.perHour,
+      currentUsage: {
+        minute: countFor('minute'),
+        hour: countFor('hour')
+      },
+      resetTime: new Date(this.windowStart('minute', now).getTime() + WINDOWS.minute),
+      hourResetTime: new Date(this.windowStart('hour', now).getTime() + WINDOWS.hour),
+      monthly: {
+        periodStart: period.start,
+        periodEnd: period.end,
+        requests: { used: monthly.totalRequests, limit: limits.monthlyRequests },
+        tokens: { used: monthly.totalTokens, limit: limits.monthlyTokens }
+      }
+    };
+  }
+
+  /**
+   * TENANT USAGE REPORT
+   * Defaults to the current billing period
+   */
+  async getTenantUsageReport(tenantId, { from, to, groupBy = 'day' } = {}) {
+    try {
+      const context = await aiRepository.resolveTenant(tenantId);
+      if (!context.tenant) {
+        throw new Error('Tenant not found');
+      }
+
+      const period = this.getBillingPeriod(context.tenant);
+      const range = from || to
+        ? { from: from && toDay(new Date(from)), to: to && toDay(new Date(to)) }
+        : this.periodRange(period);
+
+      const report = await aiRepository.getTenantUsageBreakdown(context.keys, range, groupBy);
+      return {
+        tenantId: context.tenant._id,
+        plan: context.plan,
+        limits: this.getLimits(context.plan, context.aiSettings),
+        billingPeriod: period,
+        range,
+        ...report
+      };
+
+    } catch (error) {
+      logger.error('Error building AI usage report:', error.message);
+      throw new Error(`Failed to get AI usage report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Increment a fixed-window counter and return its new value
+   */
+  async hit(key, window, now) {
+    const windowStart = this.windowStart(window, now);
+    const update = () => AIRateLimitCounter.findOneAndUpdate(
+      { key, window, windowStart },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(windowStart.getTime() + WINDOWS[window] * 2) }
+      },
+      { new: true, upsert: true }
+    ).lean();
+
+    let counter;
+    try {
+      counter = await update();
+    } catch (error) {
+      // Two instances upserting the same new window: the loser retries as an update
+      if (error.code !== 11000) {
+        throw error;
+      }
+      counter = await update();
+    }
+    return counter.count;
+  }
+
+  windowStart(window, now) {
+    return new Date(Math.floor(now.getTime() / WINDOWS[window]) * WINDOWS[window]);
+  }
+
+  rateLimitKey(tenantKey, userId) {
+    return `${tenantKey}:${userId}`;
+  }
+
+  /**
+   * Billing period -> inclusive day range; usage is stored per UTC day
+   */
+  periodRange(period) {
+    return { from: toDay(period.start), to: toDay(new Date(period.end.getTime() - 1)) };
+  }
+}
+
+module.exports = new AIMeteringService();
@@ -0,0 +1,823 @@
+/**
+ * LUXGEN ASSESSMENT SERVICE
+ * Delivery and grading of TrainingAssessment attempts.
+ *
+ * Features:
+ * - Server-timed attempts: the deadline is set when the attempt starts and
+ *   overdue attempts are submitted with the answers saved in time
+ * - Question and option order shuffled per attempt
+ * - Attempt limit from TrainingAssessment.attempts; an open attempt resumes
+ * - Auto-grading of multiple-choice and true/false questions
+ * - Typo-tolerant short-answer grading against accepted answers, with
+ *   partial credit for keywords
+ * - Essays (and questions with nothing to grade against) go to a manual
+ *   grading queue for trainers
+ * - Final scores recorded on the learner's course via completeAssessment,
+ *   which may complete (and certify) the enrollment
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AssessmentAttempt = require('../models/AssessmentAttempt');
+const TrainingAssessment = require('../models/TrainingAssessment');
+const TrainingCourse = require('../models/TrainingCourse');
+const trainingService = require('./TrainingService');
+const { ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+// Allowance for network latency on answers sent right at the deadline
+const SUBMIT_GRACE_MS = 30 * 1000;
+const EXPIRY_BATCH_SIZE = 100;
+const MAX_ANSWER_LENGTH = 20000;
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+const ACTIVE_ENROLLMENT_STATUSES = ['enrolled', 'in-progress'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const isManager = user => ['admin', 'trainer'].includes(user.role);
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Lower case, accents and punctuation removed, single spaces
+ */
+const normalizeText = value => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Edit distance counting a swap of adjacent characters as one edit
+ * (optimal string alignment), the most common typo in short answers
+ */
+const editDistance = (a, b) => {
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i += 1) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * 0-1 similarity of two normalized strings (1 = identical)
+ */
+const similarity = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  return length ? 1 - editDistance(a, b) / length : 1;
+};
+
+/**
+ * Whether a normalized answer contains the keyword, allowing typos within
+ * the threshold on any run of words as long as the keyword
+ */
+const containsKeyword = (text, keyword, threshold) => {
+  if (` ${text} `.includes(` ${keyword} `)) {
+    return true;
+  }
+  const words = text.split(' ');
+  const size = keyword.split(' ').length;
+  for (let i = 0; i + size <= words.length; i += 1) {
+    if (similarity(words.slice(i, i + size).join(' '), keyword) >= threshold) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const isBlank = answer => answer === undefined || answer === null ||
+  (typeof answer === 'string' && !answer.trim()) ||
+  (Array.isArray(answer) && !answer.length);
+
+class AssessmentService {
+  // ==================== ASSESSMENTS ====================
+
+  async getAssessment(tenantId, assessmentId) {
+    const assessment = mongoose.Types.ObjectId.isValid(assessmentId)
+      ? await TrainingAssessment.findOne({ _id: assessmentId, tenantId, isActive: true, isPublished: true }).lean()
+      : null;
+    if (!assessment) {
+      throw new NotFoundError('Assessment not found');
+    }
+    return assessment;
+  }
+
+  /**
+   * Published assessments (optionally those of one course) with the
+   * learner's attempts used, best score and any open attempt
+   */
+  async listAssessments(tenantKey, user, { courseId, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const filter = { tenantId, isActive: true, isPublished: true };
+    if (courseId) {
+      const course = await trainingService.getCourseDocument(tenantKey, courseId);
+      filter._id = { $in: course.assessments.map(item => item.assessmentId).filter(Boolean) };
+    }
+
+    const [assessments, total] = await Promise.all([
+      TrainingAssessment.find(filter)
+        .select('title description timeLimit passingScore attempts questions.points')
+        .sort({ createdAt: -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      TrainingAssessment.countDocuments(filter)
+    ]);
+
+    await this.finalizeExpired(tenantId, { userId: user._id });
+    const attempts = await AssessmentAttempt.find({
+      assessmentId: { $in: assessments.map(assessment => assessment._id) },
+      userId: user._id
+    })
+      .select('assessmentId status score passed expiresAt')
+      .lean();
+
+    return {
+      assessments: assessments.map(assessment => {
+        const own = attempts.filter(attempt => String(attempt.assessmentId) === String(assessment._id));
+        const scored = own.filter(attempt => attempt.status === 'graded');
+        const open = own.find(attempt => attempt.status === 'in-progress');
+        return {
+          id: assessment._id,
+          title: assessment.title,
+          description: assessment.description,
+          timeLimit: assessment.timeLimit,
+          passingScore: assessment.passingScore,
+          questionCount: assessment.questions.length,
+          totalPoints: assessment.questions.reduce((sum, question) => sum + (question.points || 0), 0),
+          attemptsAllowed: assessment.attempts,
+          attemptsUsed: own.length,
+          bestScore: scored.length ? Math.max(...scored.map(attempt => attempt.score)) : null,
+          passed: scored.some(attempt => attempt.passed),
+          pendingReview: own.some(attempt => attempt.status === 'pending-review'),
+          openAttempt: open ? { id: open._id, expiresAt: open.expiresAt } : null
+        };
+      }),
+      total
+    };
+  }
+
+  // ==================== DELIVERY ====================
+
+  /**
+   * Start an attempt, or resume the learner's open one. With a courseId the
+   * learner must be actively enrolled and the course must include the
+   * assessment.
+   */
+  async startAttempt(tenantKey, assessmentId, user, { courseId } = {}) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const assessment = await this.getAssessment(tenantId, assessmentId);
+    if (!assessment.questions.length) {
+      throw new ValidationError('This assessment has no questions');
+    }
+
+    const open = await AssessmentAttempt.findOne({ assessmentId: assessment._id, userId: user._id, status: 'in-progress' });
+    if (open) {
+      if (!this.isOverdue(open)) {
+        return { attempt: this.toAttemptView(open, assessment), resumed: true };
+      }
+      await this.finalize(open, assessment, { autoSubmitted: true });
+    }
+
+    if (courseId) {
+      const course = await trainingService.getCourseDocument(tenantKey, courseId);
+      if (!course.assessments.some(item => String(item.assessmentId) === String(assessment._id))) {
+        throw new NotFoundError('Assessment not found in this course');
+      }
+      course.getActiveEnrollment(user._id);
+    }
+
+    const used = await AssessmentAttempt.countDocuments({ assessmentId: assessment._id, userId: user._id });
+    if (used >= assessment.attempts) {
+      throw new ConflictError(`All ${assessment.attempts} attempt(s) for this assessment have been used`);
+    }
+
+    const now = new Date();
+    const questions = assessment.randomizeQuestions === false ? assessment.questions : shuffle(assessment.questions);
+    let attempt;
+    try {
+      attempt = await AssessmentAttempt.create({
+        tenantId,
+        assessmentId: assessment._id,
+        courseId: courseId || undefined,
+        userId: user._id,
+        attemptNumber: used + 1,
+        startedAt: now,
+        expiresAt: new Date(now.getTime() + assessment.timeLimit * 60 * 1000),
+        questions: questions.map(question => {
+          const optionIds = (question.options || []).map(option => option._id);
+          return {
+            questionId: question._id,
+            // True/false options keep their natural order
+            optionOrder: assessment.randomizeOptions === false || question.type === 'true-false' ? optionIds : shuffle(optionIds),
+            maxPoints: question.points || 0
+          };
+        })
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('An attempt for this assessment was just started');
+      }
+      throw error;
+    }
+
+    logger.info('Assessment attempt started', {
+      attemptId: String(attempt._id),
+      assessmentId: String(assessment._id),
+      userId: String(user._id),
+      attemptNumber: attempt.attemptNumber
+    });
+    return { attempt: this.toAttemptView(attempt, assessment), resumed: false };
+  }
+
+  isOverdue(attempt, now = new Date()) {
+    return now.getTime() > attempt.expiresAt.getTime() + SUBMIT_GRACE_MS;
+  }
+
+  /**
+   * Attempt as delivered. Correct answers are never included; results per
+   * question are shown to the learner once the attempt is graded, and to
+   * reviewers together with the answer key.
+   */
+  toAttemptView(attempt, assessment, { reviewer = false } = {}) {
+    const questions = new Map(assessment.questions.map(question => [String(question._id), question]));
+    const showResults = reviewer || attempt.status === 'graded';
+    const now = new Date();
+
+    return {
+      id: attempt._id,
+      assessmentId: attempt.assessmentId,
+      title: assessment.title,
+      courseId: attempt.courseId,
+      userId: reviewer ? attempt.userId : undefined,
+      attemptNumber: attempt.attemptNumber,
+      attemptsAllowed: assessment.attempts,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      expiresAt: attempt.expiresAt,
+      timeRemainingSeconds: attempt.status === 'in-progress'
+        ? Math.max(0, Math.floor((attempt.expiresAt - now) / 1000))
+        : 0,
+      submittedAt: attempt.submittedAt,
+      autoSubmitted: attempt.autoSubmitted,
+      gradedAt: attempt.gradedAt,
+      score: attempt.status === 'graded' ? attempt.score : undefined,
+      pointsEarned: attempt.status === 'graded' ? attempt.pointsEarned : undefined,
+      pointsPossible: attempt.pointsPossible,
+      passingScore: assessment.passingScore,
+      passed: attempt.status === 'graded' ? attempt.passed : undefined,
+      questions: attempt.questions.map((item, index) => {
+        const question = questions.get(String(item.questionId));
+        if (!question) {
+          return { number: index + 1, questionId: item.questionId, removed: true };
+        }
+        const options = new Map((question.options || []).map(option => [String(option._id), option]));
+        const view = {
+          number: index + 1,
+          questionId: item.questionId,
+          type: question.type,
+          question: question.question,
+          points: item.maxPoints,
+          options: item.optionOrder
+            .filter(id => options.has(String(id)))
+            .map(id => ({ id, text: options.get(String(id)).text })),
+          answer: item.answer
+        };
+        if (showResults) {
+          Object.assign(view, {
+            status: item.status,
+            pointsAwarded: item.pointsAwarded,
+            feedback: item.feedback,
+            explanation: question.explanation
+          });
+        }
+        if (reviewer) {
+          Object.assign(view, {
+            gradingNotes: item.gradingNotes,
+            correctOptions: (question.options || []).filter(option => option.isCorrect).map(option => option._id),
+            correctAnswer: question.correctAnswer,
+            grading: question.grading
+          });
+        }
+        return view;
+      })
+    };
+  }
+
+  async getAttemptDocument(tenantKey, attemptId) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const attempt = mongoose.Types.ObjectId.isValid(attemptId)
+      ? await AssessmentAttempt.findOne({ _id: attemptId, tenantId })
+      : null;
+    if (!attempt) {
+      throw new NotFoundError('Assessment attempt not found');
+    }
+    return attempt;
+  }
+
+  /**
+   * Load an attempt and its assessment; the attempt must belong to the user
+   */
+  async getOwnAttempt(tenantKey, attemptId, user) {
+    const attempt = await this.getAttemptDocument(tenantKey, attemptId);
+    if (String(attempt.userId) !== String(user._id)) {
+      throw new NotFoundError('Assessment attempt not found');
+    }
+    const assessment = await TrainingAssessment.findById(attempt.assessmentId).lean();
+    if (!assessment) {
+      throw new NotFoundError('Assessment not found');
+    }
+    return { attempt, assessment };
+  }
+
+  /**
+   * The learner's own attempt; reviewers may open any attempt they can grade
+   */
+  async getAttempt(tenantKey, attemptId, user) {
+    const attempt = await this.getAttemptDocument(tenantKey, attemptId);
+    const assessment = await TrainingAssessment.findById(attempt.assessmentId).lean();
+    if (!assessment) {
+      throw new NotFoundError('Assessment not found');
+    }
+
+    if (String(attempt.userId) !== String(user._id)) {
+      if (!isManager(user)) {
+        throw new NotFoundError('Assessment attempt not found');
+      }
+      await this.assertCanGrade(attempt, assessment, user);
+      return this.toAttemptView(attempt, assessment, { reviewer: true });
+    }
+
+    if (attempt.status === 'in-progress' && this.isOverdue(attempt)) {
+      await this.finalize(attempt, assessment, { autoSubmitted: true });
+    }
+    return this.toAttemptView(attempt, assessment);
+  }
+
+  /**
+   * Validate and store answers on an open attempt
+   * @param {Array} answers - [{ questionId, answer }]; option id(s) for
+   *        multiple-choice, true/false for true-false, text otherwise
+   */
+  applyAnswers(attempt, assessment, answers, now = new Date()) {
+    const questions = new Map(assessment.questions.map(question => [String(question._id), question]));
+
+    answers.forEach(({ questionId, answer }) => {
+      const item = attempt.questions.find(entry => String(entry.questionId) === String(questionId));
+      const question = item && questions.get(String(questionId));
+      if (!question) {
+        throw new ValidationError('Question is not part of this attempt', { questionId });
+      }
+
+      let value = answer;
+      if (isBlank(answer)) {
+        value = undefined;
+      } else if (question.type === 'multiple-choice') {
+        value = (Array.isArray(answer) ? answer : [answer]).map(String);
+        const offered = new Set(item.optionOrder.map(String));
+        if (value.some(id => !offered.has(id))) {
+          throw new ValidationError('Answer must be one or more of the question options', { questionId });
+        }
+      } else if (question.type === 'true-false') {
+        if (![true, false, 'true', 'false'].includes(answer)) {
+          throw new ValidationError('Answer must be true or false', { questionId });
+        }
+        value = answer === true || answer === 'true';
+      } else {
+        if (typeof answer !== 'string' || answer.length > MAX_ANSWER_LENGTH) {
+          throw new ValidationError(`Answer must be text of at most ${MAX_ANSWER_LENGTH} characters`, { questionId });
+        }
+        value = answer;
+      }
+
+      item.answer = value;
+      item.answeredAt = value === undefined ? undefined : now;
+    });
+    attempt.markModified('questions');
+  }
+
+  /**
+   * Save answers without submitting. Past the deadline the attempt is
+   * submitted with the answers saved before it.
+   */
+  async saveAnswers(tenantKey, attemptId, user, answers) {
+    const { attempt, assessment } = await this.getOwnAttempt(tenantKey, attemptId, user);
+    if (attempt.status !== 'in-progress') {
+      throw new ConflictError('This attempt has already been submitted');
+    }
+    if (this.isOverdue(attempt)) {
+      await this.finalize(attempt, assessment, { autoSubmitted: true });
+      throw new ConflictError('Time is up; the attempt was submitted with the answers saved before the deadline');
+    }
+
+    this.applyAnswers(attempt, assessment, answers);
+    await this.saveAttempt(attempt);
+    return this.toAttemptView(attempt, assessment);
+  }
+
+  /**
+   * Submit an attempt with any final answers and grade it. Answers sent
+   * after the deadline are ignored.
+   */
+  async submitAttempt(tenantKey, attemptId, user, answers = []) {
+    const { attempt, assessment } = await this.getOwnAttempt(tenantKey, attemptId, user);
+    if (attempt.status !== 'in-progress') {
+      throw new ConflictError('This attempt has already been submitted');
+    }
+
+    const late = this.isOverdue(attempt);
+    if (!late) {
+      this.applyAnswers(attempt, assessment, answers);
+    }
+    await this.finalize(attempt, assessment, { autoSubmitted: late });
+    return { attempt: this.toAttemptView(attempt, assessment), late };
+  }
+
+  async saveAttempt(attempt) {
+    try {
+      return await attempt.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw new ConflictError('This attempt was updated by another request; reload it and try again');
+      }
+      throw error;
+    }
+  }
+
+  // ==================== GRADING ====================
+
+  /**
+   * Grade one answer in place: status, pointsAwarded and gradingNotes.
+   * Questions that cannot be graded automatically are left pending-review.
+   */
+  gradeAnswer(question, item) {
+    const points = item.maxPoints;
+    const mark = (status, awarded, notes) => {
+      item.status = status;
+      item.pointsAwarded = awarded;
+      item.gradingNotes = notes;
+    };
+
+    if (isBlank(item.answer)) {
+      return mark('unanswered', 0);
+    }
+
+    switch (question.type) {
+      case 'multiple-choice': {
+        const correct = (question.options || []).filter(option => option.isCorrect).map(option => String(option._id));
+        if (!correct.length) {
+          return mark('pending-review', undefined, 'No option is marked correct');
+        }
+        const chosen = new Set(item.answer.map(String));
+        const exact = chosen.size === correct.length && correct.every(id => chosen.has(id));
+        return exact ? mark('correct', points) : mark('incorrect', 0);
+      }
+
+      case 'true-false': {
+        let expected = normalizeText(question.correctAnswer);
+        if (!['true', 'false'].includes(expected)) {
+          const option = (question.options || []).find(entry => entry.isCorrect);
+          expected = option ? normalizeText(option.text) : '';
+        }
+        if (!['true', 'false'].includes(expected)) {
+          return mark('pending-review', undefined, 'No correct answer is set');
+        }
+        return (expected === 'true') === item.answer ? mark('correct', points) : mark('incorrect', 0);
+      }
+
+      case 'short-answer':
+        return this.gradeShortAnswer(question, item, mark);
+
+      default:
+        return mark('pending-review');
+    }
+  }
+
+  gradeShortAnswer(question, item, mark) {
+    const grading = question.grading || {};
+    const threshold = typeof grading.fuzzyThreshold === 'number' ? grading.fuzzyThreshold : DEFAULT_FUZZY_THRESHOLD;
+    const text = normalizeText(item.answer);
+    const points = item.maxPoints;
+
+    // correctAnswer may list alternatives separated by "|"
+    const accepted = [...String(question.correctAnswer || '').split('|'), ...(grading.acceptedAnswers || [])]
+      .map(normalizeText)
+      .filter(Boolean);
+    const best = accepted.reduce((max, candidate) => Math.max(max, similarity(text, candidate)), 0);
+    if (accepted.length && best >= threshold) {
+      return mark('correct', points, `Matched an accepted answer (similarity ${round2(best)})`);
+    }
+
+    const keywords = [...new Set((grading.keywords || []).map(normalizeText).filter(Boolean))];
+    if (keywords.length) {
+      const found = keywords.filter(keyword => containsKeyword(text, keyword, threshold));
+      const needed = Math.min(grading.minKeywords || keywords.length, keywords.length);
+      const awarded = round2(points * Math.min(1, found.length / needed));
+      const notes = `Keywords found: ${found.join(', ') || 'none'} (${found.length} of ${needed} needed)`;
+      if (awarded >= points) {
+        return mark('correct', points, notes);
+      }
+      return awarded > 0 ? mark('partial', awarded, notes) : mark('incorrect', 0, notes);
+    }
+
+    if (accepted.length) {
+      return mark('incorrect', 0, `Closest accepted answer similarity ${round2(best)}`);
+    }
+    return mark('pending-review', undefined, 'No accepted answers or keywords are set');
+  }
+
+  computeScore(attempt, assessment, now = new Date()) {
+    const pointsPossible = attempt.questions.reduce((sum, item) => sum + item.maxPoints, 0);
+    const pointsEarned = attempt.questions.reduce((sum, item) => sum + (item.pointsAwarded || 0), 0);
+    attempt.pointsPossible = pointsPossible;
+    attempt.pointsEarned = round2(pointsEarned);
+    attempt.score = pointsPossible ? round2((pointsEarned / pointsPossible) * 100) : 0;
+    attempt.passingScore = assessment.passingScore;
+    attempt.passed = attempt.score >= assessment.passingScore;
+    attempt.status = 'graded';
+    attempt.gradedAt = now;
+  }
+
+  /**
+   * Grade a submitted attempt. Attempts with answers needing a trainer wait
+   * in the review queue; fully graded ones are recorded on the course.
+   */
+  async finalize(attempt, assessment, { autoSubmitted = false, now = new Date() } = {}) {
+    const questions = new Map(assessment.questions.map(question => [String(question._id), question]));
+    attempt.questions.forEach(item => {
+      const question = questions.get(String(item.questionId));
+      if (!question) {
+        // Removed from the assessment after the attempt started
+        item.maxPoints = 0;
+        item.status = 'unanswered';
+        item.pointsAwarded = 0;
+        return;
+      }
+      this.gradeAnswer(question, item);
+    });
+    attempt.markModified('questions');
+
+    attempt.submittedAt = now;
+    attempt.autoSubmitted = autoSubmitted;
+    attempt.pointsPossible = attempt.questions.reduce((sum, item) => sum + item.maxPoints, 0);
+    if (attempt.questions.some(item => item.status === 'pending-review')) {
+      attempt.status = 'pending-review';
+    } else {
+      this.computeScore(attempt, assessment, now);
+    }
+    await this.saveAttempt(attempt);
+
+    logger.info('Assessment attempt submitted', {
+      attemptId: String(attempt._id),
+      status: attempt.status,
+      score: attempt.score,
+      autoSubmitted
+    });
+    if (attempt.status === 'graded') {
+      await this.recordResult(attempt);
+    }
+    return attempt;
+  }
+
+  /**
+   * Submit overdue attempts of a tenant (optionally one learner's)
+   */
+  async finalizeExpired(tenantId, { userId, now = new Date() } = {}) {
+    const filter = {
+      tenantId,
+      status: 'in-progress',
+      expiresAt: { $lt: new Date(now.getTime() - SUBMIT_GRACE_MS) }
+    };
+    if (userId) {
+      filter.userId = userId;
+    }
+    const attempts = await AssessmentAttempt.find(filter).limit(EXPIRY_BATCH_SIZE);
+    if (!attempts.length) {
+      return 0;
+    }
+
+    const assessments = await TrainingAssessment.find({ _id: { $in: attempts.map(attempt => attempt.assessmentId) } }).lean();
+    const byId = new Map(assessments.map(assessment => [String(assessment._id), assessment]));
+    let finalized = 0;
+    for (const attempt of attempts) {
+      const assessment = byId.get(String(attempt.assessmentId));
+      if (!assessment) {
+        continue;
+      }
+      try {
+        await this.finalize(attempt, assessment, { autoSubmitted: true, now });
+        finalized += 1;
+      } catch (error) {
+        // Submitted by the learner in the meantime
+        if (!(error instanceof ConflictError)) {
+          throw error;
+        }
+      }
+    }
+    return finalized;
+  }
+
+  /**
+   * Pass the score to TrainingCourse.completeAssessment on the attempt's
+   * course, or on every course the learner is active in that includes the
+   * assessment. A lower score never replaces a better earlier one.
+   */
+  async recordResult(attempt) {
+    const filter = {
+      tenantId: attempt.tenantId,
+      'assessments.assessmentId': attempt.assessmentId,
+      enrollments: { $elemMatch: { userId: attempt.userId, status: { $in: ACTIVE_ENROLLMENT_STATUSES } } }
+    };
+    if (attempt.courseId) {
+      filter._id = attempt.courseId;
+    }
+    const courseIds = await TrainingCourse.find(filter).distinct('_id');
+
+    let recorded = false;
+    for (const courseId of courseIds) {
+      try {
+        const { course } = await trainingService.updateCourse(attempt.tenantId, courseId, (course) => {
+          const enrollment = course.getActiveEnrollment(attempt.userId);
+          const previous = enrollment.completedAssessments
+            .find(item => String(item.assessmentId) === String(attempt.assessmentId));
+          if (previous && previous.score >= attempt.score) {
+            return null;
+          }
+          return course.completeAssessment(attempt.userId, attempt.assessmentId, attempt.score);
+        });
+        recorded = true;
+        await trainingService.certifyIfComplete(course, attempt.userId);
+      } catch (error) {
+        logger.error('Failed to record assessment result on course:', {
+          attemptId: String(attempt._id),
+          courseId: String(courseId),
+          error: error.message
+        });
+      }
+    }
+
+    if (recorded) {
+      attempt.recordedAt = new Date();
+      await this.saveAttempt(attempt);
+    }
+    return recorded;
+  }
+
+  // ==================== MANUAL GRADING ====================
+
+  /**
+   * Admins grade everything; trainers grade assessments they created and
+   * attempts taken on courses they teach
+   */
+  async assertCanGrade(attempt, assessment, user) {
+    if (user.role === 'admin') {
+      return;
+    }
+    if (user.role === 'trainer') {
+      if (String(assessment.createdBy) === String(user._id)) {
+        return;
+      }
+      const course = attempt.courseId
+        ? await TrainingCourse.findById(attempt.courseId).select('createdBy instructors').lean()
+        : null;
+      if (course && trainingService.canManage(course, user)) {
+        return;
+      }
+    }
+    throw new AuthorizationError('Only the assessment author, course instructors or an admin can grade this attempt');
+  }
+
+  /**
+   * Submitted attempts waiting for a trainer, oldest first
+   */
+  async listReviewQueue(tenantKey, user, { courseId, assessmentId, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    await this.finalizeExpired(tenantId);
+
+    const filter = { tenantId, status: 'pending-review' };
+    if (courseId) {
+      filter.courseId = new mongoose.Types.ObjectId(courseId);
+    }
+    if (assessmentId) {
+      filter.assessmentId = new mongoose.Types.ObjectId(assessmentId);
+    }
+    if (user.role !== 'admin') {
+      const [courseIds, assessmentIds] = await Promise.all([
+        TrainingCourse.find({ tenantId, $or: [{ createdBy: user._id }, { 'instructors.instructorId': user._id }] }).distinct('_id'),
+        TrainingAssessment.find({ tenantId, createdBy: user._id }).distinct('_id')
+      ]);
+      filter.$or = [{ courseId: { $in: courseIds } }, { assessmentId: { $in: assessmentIds } }];
+    }
+
+    const [attempts, total] = await Promise.all([
+      AssessmentAttempt.find(filter)
+        .populate('userId', 'firstName lastName email')
+        .populate('assessmentId', 'title questions')
+        .sort({ submittedAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AssessmentAttempt.countDocuments(filter)
+    ]);
+
+    return {
+      attempts: attempts.map(attempt => {
+        const assessment = attempt.assessmentId || { questions: [] };
+        const questions = new Map(assessment.questions.map(question => [String(question._id), question]));
+        return {
+          id: attempt._id,
+          assessment: { id: assessment._id, title: assessment.title },
+          courseId: attempt.courseId,
+          learner: attempt.userId,
+          attemptNumber: attempt.attemptNumber,
+          submittedAt: attempt.submittedAt,
+          autoSubmitted: attempt.autoSubmitted,
+          pending: attempt.questions
+            .filter(item => item.status === 'pending-review')
+            .map(item => {
+              const question = questions.get(String(item.questionId)) || {};
+              return {
+                questionId: item.questionId,
+                type: question.type,
+                question: question.question,
+                answer: item.answer,
+                maxPoints: item.maxPoints,
+                gradingNotes: item.gradingNotes
+              };
+            })
+        };
+      }),
+      total
+    };
+  }
+
+  /**
+   * Grade one answer of an attempt awaiting review. Auto-graded answers may
+   * be overridden too. Once nothing is left pending the attempt is scored
+   * and recorded on the course.
+   */
+  async gradeResponse(tenantKey, attemptId, questionId, grader, { points, feedback } = {}) {
+    const attempt = await this.getAttemptDocument(tenantKey, attemptId);
+    const assessment = await TrainingAssessment.findById(attempt.assessmentId).lean();
+    if (!assessment) {
+      throw new NotFoundError('Assessment not found');
+    }
+    await this.assertCanGrade(attempt, assessment, grader);
+
+    if (attempt.status !== 'pending-review') {
+      throw new ConflictError(attempt.status === 'graded'
+        ? 'This attempt has already been graded'
+        : 'This attempt has not been submitted yet');
+    }
+    const item = attempt.questions.find(entry => String(entry.questionId) === String(questionId));
+    if (!item) {
+      throw new NotFoundError('Question not found in this attempt');
+    }
+    if (points > item.maxPoints) {
+      throw new ValidationError(`Points cannot exceed ${item.maxPoints} for this question`);
+    }
+
+    const now = new Date();
+    const awarded = round2(points);
+    if (awarded >= item.maxPoints) {
+      item.status = 'correct';
+    } else {
+      item.status = awarded > 0 ? 'partial' : 'incorrect';
+    }
+    item.pointsAwarded = awarded;
+    item.feedback = feedback;
+    item.gradedBy = grader._id;
+    item.gradedAt = now;
+    attempt.markModified('questions');
+
+    const complete = !attempt.questions.some(entry => entry.status === 'pending-review');
+    if (complete) {
+      this.computeScore(attempt, assessment, now);
+    }
+    await this.saveAttempt(attempt);
+
+    if (complete) {
+      logger.info('Assessment attempt graded', { attemptId: String(attempt._id), score: attempt.score, gradedBy: String(grader._id) });
+      await this.recordResult(attempt);
+    }
+    return this.toAttemptView(attempt, assessment, { reviewer: true });
+  }
+}
+
+module.exports = new AssessmentService();
@@ -0,0 +1,306 @@
+/**
+ * LUXGEN AUDIT LOG SERVICE
+ * Writes and queries tenant-scoped audit entries
+ *
+ * Features:
+ * - Before/after diffs with sensitive fields redacted
+ * - Filtering by category, user, risk level, action and date range
+ * - Cursor pagination (stable under concurrent inserts)
+ * - Streaming CSV / NDJSON export for compliance reviews
+ */
+
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+
+const AuditLog = require('../models/AuditLog');
+const Tenant = require('../models/Tenant');
+
+const SENSITIVE_KEYS = /password|token|secret|apikey|api_key|otp|ssn|creditcard/i;
+const IGNORED_DIFF_KEYS = ['updatedAt', '__v'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const TENANT_CACHE_LIMIT = 500;
+
+const CSV_COLUMNS = [
+  { header: 'timestamp', value: log => log.createdAt && log.createdAt.toISOString() },
+  { header: 'action', value: log => log.action },
+  { header: 'category', value: log => log.category },
+  { header: 'userId', value: log => log.userId },
+  { header: 'resourceType', value: log => log.resourceType },
+  { header: 'resourceId', value: log => log.resourceId },
+  { header: 'method', value: log => log.request && log.request.method },
+  { header: 'url', value: log => log.request && log.request.url },
+  { header: 'ipAddress', value: log => log.request && log.request.ipAddress },
+  { header: 'statusCode', value: log => log.response && log.response.statusCode },
+  { header: 'responseTime', value: log => log.response && log.response.responseTime },
+  { header: 'riskLevel', value: log => log.security && log.security.riskLevel },
+  { header: 'changes', value: log => log.details && log.details.changes && JSON.stringify(log.details.changes) }
+];
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditLogService {
+  constructor() {
+    this.tenantIdCache = new Map();
+  }
+
+  /**
+   * RECORD AUDIT ENTRY
+   * Resolves the tenant (id or slug) and writes the entry; entries whose
+   * tenant cannot be resolved are dropped, since tenantId is required
+   */
+  async record(entry) {
+    const tenantId = await this.resolveTenantId(entry.tenant);
+    if (!tenantId) {
+      return null;
+    }
+
+    return AuditLog.logAction({
+      tenantId,
+      userId: entry.userId || undefined,
+      action: entry.action,
+      category: entry.category,
+      subcategory: entry.subcategory,
+      resourceType: entry.resourceType,
+      resourceId: entry.resourceId || undefined,
+      details: {
+        description: entry.description,
+        changes: entry.changes || undefined,
+        metadata: entry.metadata
+      },
+      request: entry.request,
+      response: entry.response,
+      security: {
+        flags: entry.flags || []
+      }
+    });
+  }
+
+  /**
+   * Changed paths between two document snapshots, with sensitive values
+   * redacted. Creations and deletions record the whole (redacted) document.
+   */
+  diff(before, after) {
+    if (!before && !after) {
+      return null;
+    }
+    if (!before || !after) {
+      return {
+        before: before ? this.redact(before) : null,
+        after: after ? this.redact(after) : null
+      };
+    }
+
+    // Compare raw values so changes to sensitive fields are still noted
+    const beforeFlat = this.flatten(before);
+    const afterFlat = this.flatten(after);
+    const changes = { before: {}, after: {} };
+
+    new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)]).forEach(key => {
+      if (IGNORED_DIFF_KEYS.includes(key.split('.').pop())) {
+        return;
+      }
+      if (JSON.stringify(beforeFlat[key]) !== JSON.stringify(afterFlat[key])) {
+        const sensitive = key.split('.').some(segment => SENSITIVE_KEYS.test(segment));
+        changes.before[key] = sensitive ? '[REDACTED]' : beforeFlat[key];
+        changes.after[key] = sensitive ? '[REDACTED]' : afterFlat[key];
+      }
+    });
+
+    return Object.keys(changes.after).length ? changes : null;
+  }
+
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (!value || typeof value !== 'object' || value instanceof Date || value._bsontype) {
+      return value;
+    }
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = SENSITIVE_KEYS.test(key) ? '[REDACTED]' : this.redact(value[key]);
+    });
+    return copy;
+  }
+
+  /**
+   * Flatten nested objects into dotted paths; arrays are compared whole
+   */
+  flatten(value, prefix = '', result = {}) {
+    Object.keys(value).forEach(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const item = value[key];
+      if (item && typeof item === 'object' && !Array.isArray(item) &&
+        !(item instanceof Date) && !item._bsontype) {
+        this.flatten(item, path, result);
+      } else {
+        result[path] = item;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * QUERY AUDIT LOG
+   * Newest first; pass the returned nextCursor to fetch the next page
+   */
+  async queryLogs(tenantId, filters = {}) {
+    try {
+      const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const query = this.buildQuery(tenantId, filters);
+
+      if (filters.cursor) {
+        const { createdAt, id } = this.decodeCursor(filters.cursor);
+        query.$and = (query.$and || []).concat({
+          $or: [
+            { createdAt: { $lt: createdAt } },
+            { createdAt, _id: { $lt: id } }
+          ]
+        });
+      }
+
+      const logs = await AuditLog.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate('userId', 'firstName lastName email')
+        .lean();
+
+      const hasMore = logs.length > limit;
+      const page = hasMore ? logs.slice(0, limit) : logs;
+      const last = page[page.length - 1];
+
+      return {
+        logs: page,
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? this.encodeCursor(last) : null
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error querying audit log:', error);
+      throw new Error(`Failed to query audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * EXPORT AUDIT LOG
+   * Streams every matching entry as CSV or NDJSON
+   */
+  exportLogs(tenantId, filters = {}, format = 'csv') {
+    if (!['csv', 'ndjson'].includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const cursor = AuditLog.find(this.buildQuery(tenantId, filters))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor();
+
+    async function* generateRows() {
+      if (format === 'csv') {
+        yield `${CSV_COLUMNS.map(column => column.header).join(',')}\n`;
+      }
+      for await (const log of cursor) {
+        yield format === 'csv'
+          ? `${CSV_COLUMNS.map(column => escapeCsv(column.value(log))).join(',')}\n`
+          : `${JSON.stringify(log)}\n`;
+      }
+    }
+
+    return {
+      filename: `audit-log-${tenantId}-${new Date().toISOString().slice(0, 10)}.${format}`,
+      contentType: format === 'csv' ? 'text/csv' : 'application/x-ndjson',
+      stream: Readable.from(generateRows())
+    };
+  }
+
+  buildQuery(tenantId, filters = {}) {
+    const query = { tenantId: new mongoose.Types.ObjectId(tenantId.toString()) };
+
+    const listFilter = (value) => {
+      const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+      return values.length === 1 ? values[0] : { $in: values };
+    };
+
+    if (filters.category) {
+      query.category = listFilter(filters.category);
+    }
+    if (filters.riskLevel) {
+      query['security.riskLevel'] = listFilter(filters.riskLevel);
+    }
+    if (filters.action) {
+      query.action = listFilter(filters.action);
+    }
+    if (filters.resourceType) {
+      query.resourceType = filters.resourceType;
+    }
+    if (filters.userId) {
+      if (!mongoose.Types.ObjectId.isValid(filters.userId)) {
+        throw new Error('Invalid user ID');
+      }
+      query.userId = new mongoose.Types.ObjectId(filters.userId);
+    }
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) {
+        query.createdAt.$gte = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        query.createdAt.$lte = new Date(filters.endDate);
+      }
+    }
+
+    return query;
+  }
+
+  encodeCursor(log) {
+    return Buffer.from(`${log.createdAt.toISOString()}|${log._id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid cursor');
+    }
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  }
+
+  /**
+   * Users and requests carry the tenant as an id string or a slug
+   */
+  async resolveTenantId(tenant) {
+    if (!tenant) {
+      return null;
+    }
+    const key = tenant.toString();
+    if (/^[0-9a-fA-F]{24}$/.test(key)) {
+      return new mongoose.Types.ObjectId(key);
+    }
+    if (this.tenantIdCache.has(key)) {
+      return this.tenantIdCache.get(key);
+    }
+
+    const found = await Tenant.findOne({ slug: key }).select('_id').lean();
+    if (!found) {
+      return null;
+    }
+    if (this.tenantIdCache.size >= TENANT_CACHE_LIMIT) {
+      this.tenantIdCache.clear();
+    }
+    this.tenantIdCache.set(key, found._id);
+    return found._id;
+  }
+}
+
+module.exports = new AuditLogService();
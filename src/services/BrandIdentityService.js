@@ -11,9 +11,25 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const sharp = require('sharp');
 const mongoose = require('mongoose');
 
+// sharp is loaded on first use; without it assets are stored as uploaded
+let sharpModule;
+const loadSharp = () => {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+      console.warn('⚠️ sharp is not installed; brand assets will be stored without resizing');
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+};
+
 class BrandIdentityService {
   constructor() {
     this.brandCache = new Map();
@@ -382,6 +398,10 @@ ${brandIdentity.customJS || ''}
   }
 
   async processLogo(buffer, outputPath) {
+    const sharp = loadSharp();
+    if (!sharp) {
+      return this.processGenericAsset(buffer, outputPath);
+    }
     return await sharp(buffer)
       .resize(200, 200, { fit: 'inside', withoutEnlargement: true })
       .png()
@@ -389,6 +409,10 @@ ${brandIdentity.customJS || ''}
   }
 
   async processFavicon(buffer, outputPath) {
+    const sharp = loadSharp();
+    if (!sharp) {
+      return this.processGenericAsset(buffer, outputPath);
+    }
     return await sharp(buffer)
       .resize(32, 32)
       .png()
@@ -396,6 +420,10 @@ ${brandIdentity.customJS || ''}
   }
 
   async processBackground(buffer, outputPath) {
+    const sharp = loadSharp();
+    if (!sharp) {
+      return this.processGenericAsset(buffer, outputPath);
+    }
     return await sharp(buffer)
       .resize(1920, 1080, { fit: 'cover' })
       .jpeg({ quality: 80 })
@@ -0,0 +1,459 @@
+/**
+ * LUXGEN CANDIDATE ACCESS SERVICE
+ * Field-level protection of candidate personal data in the ATS.
+ *
+ * Features:
+ * - Redaction of contact details, salary, date of birth and visa status
+ *   unless the viewer holds an unexpired grant
+ * - Access request, approval and denial with a configurable grant duration
+ * - Pending request queue for admins
+ * - Automatic revocation of grants at expiry
+ * - Audit entry for every read that returns sensitive fields
+ */
+
+const CandidateProfile = require('../models/CandidateProfile');
+const auditLogService = require('./AuditLogService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRANT_DAYS = 30;
+const MAX_GRANT_DAYS = 90;
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Sensitive field group -> profile paths it covers. Paths under an array
+// (experience) are redacted on every element.
+const SENSITIVE_FIELDS = {
+  contact: [
+    'personalInfo.email',
+    'personalInfo.phone',
+    'personalInfo.alternateEmail',
+    'personalInfo.location.address',
+    'personalInfo.location.postalCode',
+    'personalInfo.socialProfiles',
+    // Populated account
+    'userId.email'
+  ],
+  salary: [
+    'professionalSummary.jobPreferences.salaryExpectation',
+    'experience.salary',
+    'preferences.jobAlerts.criteria.salaryRange'
+  ],
+  dateOfBirth: ['personalInfo.dateOfBirth'],
+  visaStatus: ['personalInfo.visaStatus']
+};
+
+const isAdmin = user => Boolean(user) && (user.role === 'admin' || (Array.isArray(user.roles) && user.roles.includes('admin')));
+
+const userKey = user => String(user._id || user.id);
+
+/**
+ * Remove a dotted path from a plain object, descending into arrays.
+ * Returns true when something was removed.
+ */
+const removePath = (value, segments) => {
+  if (Array.isArray(value)) {
+    return value.map(item => removePath(item, segments)).some(Boolean);
+  }
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const [head, ...rest] = segments;
+  if (!rest.length) {
+    const present = value[head] !== undefined && value[head] !== null;
+    delete value[head];
+    return present;
+  }
+  return removePath(value[head], rest);
+};
+
+class CandidateAccessService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ==================== GRANTS ====================
+
+  grantDays() {
+    const days = parseInt(process.env.CANDIDATE_ACCESS_GRANT_DAYS, 10);
+    return days > 0 ? Math.min(days, MAX_GRANT_DAYS) : DEFAULT_GRANT_DAYS;
+  }
+
+  /**
+   * The viewer's unexpired grant on a profile, if any
+   */
+  activeGrant(profile, user, now = new Date()) {
+    const viewers = (profile.permissions && profile.permissions.viewers) || [];
+    return viewers.find(viewer =>
+      viewer.userId && String(viewer.userId._id || viewer.userId) === userKey(user) &&
+      (!viewer.expiresAt || new Date(viewer.expiresAt) > now)
+    ) || null;
+  }
+
+  /**
+   * Admins always see sensitive fields; everyone else needs an unexpired grant
+   */
+  canViewSensitive(profile, user, now = new Date()) {
+    return isAdmin(user) || Boolean(this.activeGrant(profile, user, now));
+  }
+
+  async getProfile(candidateId, tenantId) {
+    const profile = await CandidateProfile.findOne({ userId: candidateId, tenantId });
+    if (!profile) {
+      throw new NotFoundError('Candidate not found');
+    }
+    return profile;
+  }
+
+  // ==================== REDACTION ====================
+
+  /**
+   * Strip sensitive fields from a profile the viewer may not see in full.
+   * @param {Object} profile - Profile document or plain object
+   * @param {Object} user - Viewer
+   * @returns {Object} { data, hasFullAccess, redactedFields, sensitiveFields,
+   *   grantExpiresAt } - sensitiveFields lists the groups included in data
+   */
+  present(profile, user, now = new Date()) {
+    const data = typeof profile.toObject === 'function' ? profile.toObject() : JSON.parse(JSON.stringify(profile));
+    const grant = this.activeGrant(profile, user, now);
+    const hasFullAccess = isAdmin(user) || Boolean(grant);
+
+    if (hasFullAccess) {
+      if (!isAdmin(user)) {
+        // Other viewers and requests are admin business
+        delete data.permissions;
+      }
+      return {
+        data,
+        hasFullAccess,
+        redactedFields: [],
+        sensitiveFields: Object.keys(SENSITIVE_FIELDS),
+        grantExpiresAt: grant ? grant.expiresAt || null : null
+      };
+    }
+
+    const redactedFields = Object.keys(SENSITIVE_FIELDS).filter(group =>
+      SENSITIVE_FIELDS[group].map(path => removePath(data, path.split('.'))).some(Boolean)
+    );
+    delete data.permissions;
+
+    return { data, hasFullAccess, redactedFields, sensitiveFields: [], grantExpiresAt: null };
+  }
+
+  // ==================== AUDIT ====================
+
+  /**
+   * Record a read that returned sensitive fields. Failures are logged and do
+   * not fail the read.
+   */
+  async auditSensitiveRead(profile, user, { request, grant, fields } = {}) {
+    try {
+      await auditLogService.record({
+        tenant: user.tenantId || profile.tenantId,
+        userId: user._id,
+        action: 'candidate.sensitive_read',
+        category: 'data_access',
+        subcategory: 'read',
+        resourceType: 'candidate_profile',
+        resourceId: profile._id,
+        description: `Viewed sensitive fields of candidate ${profile.userId && (profile.userId._id || profile.userId)}`,
+        metadata: {
+          candidateId: profile.userId && (profile.userId._id || profile.userId),
+          fields,
+          basis: grant ? 'grant' : 'admin',
+          grantExpiresAt: grant ? grant.expiresAt : undefined
+        },
+        request
+      });
+    } catch (error) {
+      logger.error('Failed to audit sensitive candidate read', { profileId: String(profile._id), error: error.message });
+    }
+  }
+
+  async auditAccessChange(profile, action, { userId, description, metadata, request } = {}) {
+    try {
+      await auditLogService.record({
+        tenant: profile.tenantId,
+        userId,
+        action,
+        category: 'data_access',
+        subcategory: action.split('.').pop(),
+        resourceType: 'candidate_profile',
+        resourceId: profile._id,
+        description,
+        metadata,
+        request
+      });
+    } catch (error) {
+      logger.error('Failed to audit candidate access change', { action, profileId: String(profile._id), error: error.message });
+    }
+  }
+
+  /**
+   * Present a profile to a viewer, auditing the read when sensitive fields
+   * are included
+   */
+  async read(profile, user, { request } = {}) {
+    const view = this.present(profile, user);
+    if (view.hasFullAccess) {
+      await this.auditSensitiveRead(profile, user, {
+        request,
+        grant: this.activeGrant(profile, user),
+        fields: view.sensitiveFields
+      });
+    }
+    return view;
+  }
+
+  // ==================== REQUESTS ====================
+
+  async requestAccess(candidateId, tenantId, user, reason) {
+    const profile = await this.getProfile(candidateId, tenantId);
+
+    if (this.activeGrant(profile, user)) {
+      throw new ConflictError('You already have access to this candidate\'s information');
+    }
+
+    const pending = profile.permissions.accessRequests.some(request =>
+      request.requestedBy && String(request.requestedBy) === userKey(user) && request.status === 'pending'
+    );
+    if (pending) {
+      throw new ConflictError('You already have a pending request for this candidate');
+    }
+
+    profile.permissions.accessRequests.push({
+      requestedBy: user._id,
+      requestedAt: new Date(),
+      reason,
+      status: 'pending'
+    });
+    await profile.save();
+
+    const request = profile.permissions.accessRequests[profile.permissions.accessRequests.length - 1];
+    await this.auditAccessChange(profile, 'candidate.access_requested', {
+      userId: user._id,
+      description: 'Requested access to sensitive candidate fields',
+      metadata: { requestId: request._id, reason }
+    });
+    return request;
+  }
+
+  /**
+   * Approve or deny a pending request. Approval replaces any earlier grant
+   * the requester held on this profile.
+   * @param {Object} options - approved, durationDays, note
+   */
+  async decideRequest(candidateId, tenantId, requestId, admin, { approved, durationDays, note } = {}) {
+    const profile = await this.getProfile(candidateId, tenantId);
+
+    const request = profile.permissions.accessRequests.id(requestId);
+    if (!request) {
+      throw new NotFoundError('Access request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new ConflictError('This request has already been processed');
+    }
+
+    const days = durationDays === undefined || durationDays === null ? this.grantDays() : parseInt(durationDays, 10);
+    if (approved && !(days >= 1 && days <= MAX_GRANT_DAYS)) {
+      throw new ValidationError(`Grant duration must be between 1 and ${MAX_GRANT_DAYS} days`);
+    }
+
+    const now = new Date();
+    request.status = approved ? 'approved' : 'denied';
+    request.approvedBy = admin._id;
+    request.approvedAt = now;
+    request.decisionNote = note;
+
+    let grant = null;
+    if (approved) {
+      profile.permissions.viewers = profile.permissions.viewers.filter(viewer =>
+        !viewer.userId || String(viewer.userId) !== String(request.requestedBy)
+      );
+      profile.permissions.viewers.push({
+        userId: request.requestedBy,
+        role: 'trainer',
+        grantedAt: now,
+        grantedBy: admin._id,
+        requestId: request._id,
+        expiresAt: new Date(now.getTime() + days * DAY_MS)
+      });
+      grant = profile.permissions.viewers[profile.permissions.viewers.length - 1];
+    }
+    await profile.save();
+
+    await this.auditAccessChange(profile, approved ? 'candidate.access_granted' : 'candidate.access_denied', {
+      userId: admin._id,
+      description: `${approved ? 'Approved' : 'Denied'} access request ${request._id}`,
+      metadata: {
+        requestId: request._id,
+        requestedBy: request.requestedBy,
+        expiresAt: grant ? grant.expiresAt : undefined,
+        note
+      }
+    });
+
+    return { request, grant };
+  }
+
+  /**
+   * Remove a viewer's grant before it expires
+   */
+  async revokeAccess(candidateId, tenantId, viewerId, admin) {
+    const profile = await this.getProfile(candidateId, tenantId);
+    const result = await CandidateProfile.updateOne(
+      { _id: profile._id, 'permissions.viewers.userId': viewerId },
+      { $pull: { 'permissions.viewers': { userId: viewerId } } }
+    );
+    if (!result.modifiedCount) {
+      throw new NotFoundError('Access grant not found');
+    }
+
+    await this.auditAccessChange(profile, 'candidate.access_revoked', {
+      userId: admin._id,
+      description: `Revoked access for user ${viewerId}`,
+      metadata: { viewerId, automatic: false }
+    });
+  }
+
+  /**
+   * Access requests across a tenant's candidates, oldest first
+   * @param {Object} options - status (default pending), page, limit
+   */
+  async listRequests(tenantId, { status = 'pending', page = 1, limit = 20 } = {}) {
+    const [result] = await CandidateProfile.aggregate([
+      { $match: { tenantId, 'permissions.accessRequests.status': status } },
+      { $unwind: '$permissions.accessRequests' },
+      { $match: { 'permissions.accessRequests.status': status } },
+      { $sort: { 'permissions.accessRequests.requestedAt': 1, _id: 1 } },
+      {
+        $facet: {
+          requests: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'permissions.accessRequests.requestedBy',
+                foreignField: '_id',
+                as: 'requester'
+              }
+            },
+            {
+              $project: {
+                _id: '$permissions.accessRequests._id',
+                candidateId: '$userId',
+                candidateName: { $concat: ['$personalInfo.firstName', ' ', '$personalInfo.lastName'] },
+                requestedBy: {
+                  _id: '$permissions.accessRequests.requestedBy',
+                  firstName: { $arrayElemAt: ['$requester.firstName', 0] },
+                  lastName: { $arrayElemAt: ['$requester.lastName', 0] },
+                  email: { $arrayElemAt: ['$requester.email', 0] }
+                },
+                requestedAt: '$permissions.accessRequests.requestedAt',
+                reason: '$permissions.accessRequests.reason',
+                status: '$permissions.accessRequests.status',
+                approvedBy: '$permissions.accessRequests.approvedBy',
+                approvedAt: '$permissions.accessRequests.approvedAt'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    return {
+      requests: result.requests,
+      total: result.total.length ? result.total[0].count : 0
+    };
+  }
+
+  // ==================== EXPIRY ====================
+
+  /**
+   * Remove every grant whose expiresAt has passed and audit each removal
+   * @returns {number} Grants revoked
+   */
+  async revokeExpired(now = new Date()) {
+    let revoked = 0;
+    let lastId = null;
+
+    for (;;) {
+      const filter = { 'permissions.viewers.expiresAt': { $lte: now } };
+      if (lastId) {
+        filter._id = { $gt: lastId };
+      }
+      const profiles = await CandidateProfile.find(filter)
+        .select('tenantId userId permissions.viewers')
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+      if (!profiles.length) {
+        break;
+      }
+
+      for (const profile of profiles) {
+        const expired = profile.permissions.viewers.filter(viewer => viewer.expiresAt && new Date(viewer.expiresAt) <= now);
+        const result = await CandidateProfile.updateOne(
+          { _id: profile._id },
+          { $pull: { 'permissions.viewers': { expiresAt: { $lte: now } } } }
+        );
+        if (!result.modifiedCount) {
+          continue;
+        }
+        revoked += expired.length;
+        for (const viewer of expired) {
+          await this.auditAccessChange(profile, 'candidate.access_revoked', {
+            description: `Access for user ${viewer.userId} expired`,
+            metadata: { viewerId: viewer.userId, expiresAt: viewer.expiresAt, automatic: true }
+          });
+        }
+      }
+
+      lastId = profiles[profiles.length - 1]._id;
+      if (profiles.length < BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (revoked) {
+      logger.info('Expired candidate access grants revoked', { revoked });
+    }
+    return revoked;
+  }
+
+  // ==================== SCHEDULER ====================
+
+  start({ intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    if (this.timer) {
+      return;
+    }
+    const tick = () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      this.revokeExpired()
+        .catch(error => logger.error('Candidate access revocation failed', { error: error.message }))
+        .finally(() => {
+          this.running = false;
+        });
+    };
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+    logger.info('Candidate access expiry scheduler started', { intervalMs });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new CandidateAccessService();
@@ -0,0 +1,461 @@
+/**
+ * LUXGEN CERTIFICATE SERVICE
+ * Completion certificates for training enrollments.
+ *
+ * Features:
+ * - Issued once per completed enrollment (course settings.issueCertificates),
+ *   marking the enrollment certified
+ * - Hard-to-guess public certificate IDs
+ * - PDF rendering in the tenant's brand identity (logo, colors, typography)
+ *   with a QR code linking to the verification endpoint
+ * - Public verification returning holder, course, issuer and dates
+ * - Optional expiry (settings.certificateValidityMonths) and revocation
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const TrainingCertificate = require('../models/TrainingCertificate');
+const TrainingCourse = require('../models/TrainingCourse');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const brandIdentityService = require('./BrandIdentityService');
+const { ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Crockford base32: no I, L, O or U to misread when typed from paper
+const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ID_GROUPS = 3;
+const ID_GROUP_LENGTH = 4;
+const ISSUE_RETRIES = 3;
+
+const DEFAULT_THEME = {
+  primary: '#2942E1',
+  text: '#000000',
+  muted: '#666666',
+  background: '#FFFFFF',
+  headingFont: 'Helvetica-Bold',
+  bodyFont: 'Helvetica'
+};
+
+const formatDate = date => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * '#RGB', '#RRGGBB' or 'rgb(a)(r,g,b[,a])' as '#RRGGBB'
+ */
+const toHex = (value) => {
+  const color = String(value || '').trim();
+  if (/^#[0-9a-f]{6}$/i.test(color)) {
+    return color.toUpperCase();
+  }
+  if (/^#[0-9a-f]{3}$/i.test(color)) {
+    return `#${color.slice(1).split('').map(c => c + c).join('')}`.toUpperCase();
+  }
+  const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (rgb) {
+    return `#${rgb.slice(1, 4).map(c => Math.min(255, Number(c)).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+  }
+  return null;
+};
+
+/**
+ * Closest built-in PDF font for a brand font family
+ */
+const pdfFont = (family, bold) => {
+  const name = String(family || '').toLowerCase();
+  let base = 'Helvetica';
+  if (/courier|mono/.test(name)) {
+    base = 'Courier';
+  } else if (/georgia|times|garamond|serif/.test(name) && !/sans/.test(name)) {
+    base = 'Times';
+  }
+  if (base === 'Times') {
+    return bold ? 'Times-Bold' : 'Times-Roman';
+  }
+  return bold ? `${base}-Bold` : base;
+};
+
+const isRasterImage = buffer => buffer.length > 4 && (
+  buffer.readUInt32BE(0) === 0x89504E47 || // PNG
+  (buffer[0] === 0xFF && buffer[1] === 0xD8) // JPEG
+);
+
+class CertificateService {
+  // ==================== ISSUANCE ====================
+
+  generateCertificateId() {
+    const bytes = crypto.randomBytes(ID_GROUPS * ID_GROUP_LENGTH);
+    const chars = Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+    const groups = [];
+    for (let i = 0; i < chars.length; i += ID_GROUP_LENGTH) {
+      groups.push(chars.slice(i, i + ID_GROUP_LENGTH));
+    }
+    return `LXC-${groups.join('-')}`;
+  }
+
+  /**
+   * Issue the certificate for a completed enrollment, or return the one
+   * already issued. Returns null while the enrollment is not complete or
+   * when the course does not issue certificates.
+   */
+  async issueForCourse(course, userId, now = new Date()) {
+    const enrollment = course.getEnrollment(userId);
+    if (!enrollment || !['completed', 'certified'].includes(enrollment.status)) {
+      return null;
+    }
+    const existing = await TrainingCertificate.findOne({ courseId: course._id, userId, status: 'valid' });
+    if (existing) {
+      await this.markCertified(course, enrollment, existing);
+      return existing;
+    }
+    if (course.settings && course.settings.issueCertificates === false) {
+      return null;
+    }
+
+    const [user, tenant] = await Promise.all([
+      User.findById(userId).select('firstName lastName email').lean(),
+      Tenant.findById(course.tenantId).select('name').lean()
+    ]);
+    const required = new Set(course.assessments.filter(a => a.assessmentId).map(a => String(a.assessmentId)));
+    const scores = enrollment.completedAssessments
+      .filter(item => item.passed && required.has(String(item.assessmentId)) && typeof item.score === 'number')
+      .map(item => item.score);
+
+    let expiresAt;
+    const validityMonths = course.settings && course.settings.certificateValidityMonths;
+    if (validityMonths) {
+      expiresAt = new Date(now);
+      expiresAt.setUTCMonth(expiresAt.getUTCMonth() + validityMonths);
+    }
+
+    let certificate;
+    for (let attempt = 1; !certificate; attempt += 1) {
+      try {
+        certificate = await TrainingCertificate.create({
+          certificateId: this.generateCertificateId(),
+          tenantId: course.tenantId,
+          courseId: course._id,
+          userId,
+          holderName: user ? [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email : 'Unknown learner',
+          courseTitle: course.title,
+          courseCode: course.courseCode,
+          issuerName: tenant ? tenant.name : undefined,
+          score: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : undefined,
+          completedAt: enrollment.completionDate || now,
+          issuedAt: now,
+          expiresAt
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // Issued by a concurrent request
+        if (error.keyPattern && error.keyPattern.courseId) {
+          certificate = await TrainingCertificate.findOne({ courseId: course._id, userId, status: 'valid' });
+          if (certificate) {
+            break;
+          }
+        }
+        if (attempt >= ISSUE_RETRIES) {
+          throw new ConflictError('Could not allocate a certificate ID');
+        }
+      }
+    }
+
+    await this.markCertified(course, enrollment, certificate);
+    logger.info('Training certificate issued', {
+      certificateId: certificate.certificateId,
+      courseId: String(course._id),
+      userId: String(userId)
+    });
+    return certificate;
+  }
+
+  /**
+   * Record the certificate on the enrollment. Updated in place so a
+   * concurrent course save fails its version check and retries.
+   */
+  async markCertified(course, enrollment, certificate) {
+    if (enrollment.certificateId === certificate.certificateId) {
+      return;
+    }
+    await TrainingCourse.updateOne(
+      { _id: course._id, enrollments: { $elemMatch: { userId: enrollment.userId, status: { $in: ['completed', 'certified'] } } } },
+      {
+        $set: {
+          'enrollments.$.status': 'certified',
+          'enrollments.$.certificateId': certificate.certificateId,
+          'enrollments.$.certificateIssuedAt': certificate.issuedAt
+        },
+        $inc: { __v: 1 }
+      }
+    );
+    enrollment.status = 'certified';
+    enrollment.certificateId = certificate.certificateId;
+    enrollment.certificateIssuedAt = certificate.issuedAt;
+  }
+
+  async revoke(certificate, admin, reason, now = new Date()) {
+    if (certificate.status === 'revoked') {
+      throw new ConflictError('Certificate is already revoked');
+    }
+    certificate.status = 'revoked';
+    certificate.revokedAt = now;
+    certificate.revokedBy = admin._id;
+    certificate.revocationReason = reason;
+    await certificate.save();
+
+    // The learner may be certified again later
+    await TrainingCourse.updateOne(
+      { _id: certificate.courseId, enrollments: { $elemMatch: { userId: certificate.userId, certificateId: certificate.certificateId } } },
+      {
+        $set: { 'enrollments.$.status': 'completed' },
+        $unset: { 'enrollments.$.certificateId': '', 'enrollments.$.certificateIssuedAt': '' },
+        $inc: { __v: 1 }
+      }
+    );
+    logger.info('Training certificate revoked', { certificateId: certificate.certificateId, revokedBy: String(admin._id) });
+    return certificate;
+  }
+
+  // ==================== VERIFICATION ====================
+
+  verificationUrl(certificateId) {
+    const base = process.env.CERTIFICATE_VERIFY_URL ||
+      `${process.env.API_URL || `http://localhost:${process.env.PORT || 4004}`}/api/v1/training/certificates/verify`;
+    return `${base.replace(/\/$/, '')}/${encodeURIComponent(certificateId)}`;
+  }
+
+  statusOf(certificate, now = new Date()) {
+    if (certificate.status === 'revoked') {
+      return 'revoked';
+    }
+    return certificate.expiresAt && certificate.expiresAt < now ? 'expired' : 'valid';
+  }
+
+  toView(certificate) {
+    return {
+      certificateId: certificate.certificateId,
+      status: this.statusOf(certificate),
+      holderName: certificate.holderName,
+      courseId: certificate.courseId,
+      courseTitle: certificate.courseTitle,
+      courseCode: certificate.courseCode,
+      issuerName: certificate.issuerName,
+      score: certificate.score,
+      completedAt: certificate.completedAt,
+      issuedAt: certificate.issuedAt,
+      expiresAt: certificate.expiresAt,
+      revokedAt: certificate.revokedAt,
+      verificationUrl: this.verificationUrl(certificate.certificateId),
+      downloadUrl: `/api/v1/training/certificates/${encodeURIComponent(certificate.certificateId)}/pdf`
+    };
+  }
+
+  /**
+   * Public check of a certificate ID. Only what is printed on the
+   * certificate is disclosed.
+   * @returns {Object|null} null when no certificate has this ID
+   */
+  async verify(certificateId, now = new Date()) {
+    const certificate = await TrainingCertificate.findOneAndUpdate(
+      { certificateId: String(certificateId).toUpperCase() },
+      { $inc: { verificationCount: 1 }, $set: { lastVerifiedAt: now } },
+      { new: true }
+    ).lean();
+    if (!certificate) {
+      return null;
+    }
+
+    const status = this.statusOf(certificate, now);
+    return {
+      valid: status === 'valid',
+      status,
+      certificateId: certificate.certificateId,
+      holder: { name: certificate.holderName },
+      course: { title: certificate.courseTitle, code: certificate.courseCode },
+      issuer: { name: certificate.issuerName },
+      completedAt: certificate.completedAt,
+      issuedAt: certificate.issuedAt,
+      expiresAt: certificate.expiresAt,
+      revokedAt: certificate.revokedAt
+    };
+  }
+
+  // ==================== PDF ====================
+
+  /**
+   * Colors, fonts and logo for the tenant's certificates. Reads both the
+   * token-based brand identity (colors.palette, typography.definitions) and
+   * the simple format (colors.primary, typography.primary.fontFamily).
+   */
+  async loadTheme(tenantId) {
+    const key = String(tenantId);
+    let brand = {};
+    try {
+      brand = await brandIdentityService.getTenantBrandIdentity(key);
+    } catch (error) {
+      logger.warn('Brand identity unavailable for certificate, using defaults', { tenantId: key, error: error.message });
+    }
+
+    const colors = brand.colors || {};
+    const palette = colors.palette || {};
+    const resolve = value => toHex(palette[value] || value);
+    const body = (colors.consumption && colors.consumption.body && colors.consumption.body.standard) || {};
+    const typography = brand.typography || {};
+    const definitions = (typography.definitions && typography.definitions.utility) || {};
+    const heading = (typography.primary && typography.primary.fontFamily) ||
+      (definitions['landing-heading'] && definitions['landing-heading'].family);
+    const text = (typography.secondary && typography.secondary.fontFamily) ||
+      (definitions['landing-body'] && definitions['landing-body'].family);
+
+    let tenantColor;
+    if (!colors.primary && !body.accent) {
+      const tenant = await Tenant.findById(tenantId).select('settings.branding').lean();
+      tenantColor = tenant && tenant.settings && tenant.settings.branding && tenant.settings.branding.primaryColor;
+    }
+
+    return {
+      primary: resolve(colors.primary || body.accent || tenantColor) || DEFAULT_THEME.primary,
+      text: resolve((colors.text && colors.text.primary) || body.body) || DEFAULT_THEME.text,
+      muted: resolve((colors.text && colors.text.secondary) || body['body-deemphasized']) || DEFAULT_THEME.muted,
+      background: resolve(colors.background && colors.background.primary) || DEFAULT_THEME.background,
+      headingFont: heading ? pdfFont(heading, true) : DEFAULT_THEME.headingFont,
+      bodyFont: text ? pdfFont(text, false) : DEFAULT_THEME.bodyFont,
+      logo: await this.loadLogo(key, brand)
+    };
+  }
+
+  /**
+   * PNG or JPEG logo: the uploaded brand logo, else the brand's (or the
+   * default brand's) logo-seo.png. Vector logos cannot be embedded.
+   */
+  async loadLogo(tenantId, brand) {
+    const basePath = brandIdentityService.basePath;
+    const candidates = [];
+    const uploaded = brand.assets && brand.assets.logo;
+    if (uploaded && uploaded.startsWith('/brand-identity/')) {
+      candidates.push(path.join(basePath, uploaded.slice('/brand-identity/'.length)));
+    }
+    candidates.push(
+      path.join(basePath, 'brand', tenantId, 'assets', 'logo-seo.png'),
+      path.join(basePath, 'brand', 'default', 'assets', 'logo-seo.png')
+    );
+
+    for (const file of candidates) {
+      if (!path.resolve(file).startsWith(path.resolve(basePath))) {
+        continue;
+      }
+      try {
+        const buffer = await fs.readFile(file);
+        if (isRasterImage(buffer)) {
+          return buffer;
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Could not read brand logo for certificate', { file, error: error.message });
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Landscape A4 certificate as a PDF buffer
+   */
+  async renderPdf(certificate) {
+    const theme = await this.loadTheme(certificate.tenantId);
+    const verificationUrl = this.verificationUrl(certificate.certificateId);
+    const qr = await QRCode.toBuffer(verificationUrl, {
+      margin: 1,
+      width: 240,
+      errorCorrectionLevel: 'M',
+      color: { dark: `${theme.text}FF`, light: `${theme.background}FF` }
+    });
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 0,
+      info: {
+        Title: `Certificate ${certificate.certificateId}`,
+        Author: certificate.issuerName || 'LuxGen',
+        Subject: `${certificate.courseTitle} - ${certificate.holderName}`
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 160;
+    const center = (text, y, { font, size, color, spacing = 0 }) => {
+      doc.font(font).fontSize(size).fillColor(color)
+        .text(text, 80, y, { width: contentWidth, align: 'center', characterSpacing: spacing });
+    };
+
+    doc.rect(0, 0, width, height).fill(theme.background);
+    doc.lineWidth(4).strokeColor(theme.primary).rect(24, 24, width - 48, height - 48).stroke();
+    doc.lineWidth(0.75).rect(34, 34, width - 68, height - 68).stroke();
+
+    let y = 64;
+    if (theme.logo) {
+      try {
+        doc.image(theme.logo, (width - 180) / 2, y, { fit: [180, 56], align: 'center', valign: 'center' });
+        y += 72;
+      } catch (error) {
+        logger.warn('Brand logo could not be embedded in certificate', { error: error.message });
+      }
+    }
+
+    center('CERTIFICATE OF COMPLETION', y + 10, { font: theme.headingFont, size: 28, color: theme.primary, spacing: 2 });
+    center('This certifies that', y + 70, { font: theme.bodyFont, size: 14, color: theme.muted });
+    center(certificate.holderName, y + 98, { font: theme.headingFont, size: 34, color: theme.text });
+    doc.lineWidth(1).strokeColor(theme.primary)
+      .moveTo(width / 2 - 150, y + 146).lineTo(width / 2 + 150, y + 146).stroke();
+    center('has successfully completed', y + 160, { font: theme.bodyFont, size: 14, color: theme.muted });
+    center(certificate.courseTitle, y + 186, { font: theme.headingFont, size: 22, color: theme.primary });
+
+    const details = [`Completed ${formatDate(certificate.completedAt || certificate.issuedAt)}`];
+    if (typeof certificate.score === 'number') {
+      details.push(`Score ${certificate.score}%`);
+    }
+    if (certificate.expiresAt) {
+      details.push(`Valid until ${formatDate(certificate.expiresAt)}`);
+    }
+    center(details.join('   |   '), y + 230, { font: theme.bodyFont, size: 11, color: theme.muted });
+    if (certificate.issuerName) {
+      center(`Issued by ${certificate.issuerName} on ${formatDate(certificate.issuedAt)}`, y + 250, {
+        font: theme.bodyFont,
+        size: 11,
+        color: theme.muted
+      });
+    }
+
+    const qrSize = 88;
+    const qrX = width - 60 - qrSize;
+    const qrY = height - 60 - qrSize - 16;
+    doc.image(qr, qrX, qrY, { width: qrSize, height: qrSize });
+    doc.font(theme.bodyFont).fontSize(7).fillColor(theme.muted)
+      .text('Scan to verify', qrX - 20, qrY + qrSize + 4, { width: qrSize + 40, align: 'center' });
+
+    doc.font(theme.bodyFont).fontSize(9).fillColor(theme.muted)
+      .text(`Certificate ID: ${certificate.certificateId}`, 60, height - 92)
+      .text(`Verify at ${verificationUrl}`, 60, height - 78, { width: qrX - 90 });
+
+    doc.end();
+    return finished;
+  }
+}
+
+module.exports = new CertificateService();
@@ -0,0 +1,875 @@
+/**
+ * LUXGEN CONTENT PACKAGE SERVICE
+ * SCORM packages imported into training courses and their run-time tracking.
+ *
+ * Features:
+ * - SCORM 1.2 and SCORM 2004 zip import: the default organization of
+ *   imsmanifest.xml becomes one course module per SCO
+ * - Package files served under expiring launch tokens, so a SCO's relative
+ *   links keep working inside an iframe
+ * - Run-time API backend (initialize, get values, commit, finish) with the
+ *   data model checks and error codes of each SCORM version
+ * - SCO completion and score recorded as module progress on the learner's
+ *   course enrollment
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const { XMLParser } = require('fast-xml-parser');
+const ContentPackage = require('../models/ContentPackage');
+const ScormAttempt = require('../models/ScormAttempt');
+const TrainingModule = require('../models/TrainingModule');
+const trainingService = require('./TrainingService');
+const { parseZip } = require('../utils/zipArchive');
+const scormDataModel = require('../utils/scormDataModel');
+const { ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const ROUTE_BASE = '/api/v1/training';
+const MANIFEST = 'imsmanifest.xml';
+const DEFAULT_MODULE_DURATION = 30;
+const DEFAULT_LAUNCH_TTL_HOURS = 8;
+const MAX_PACKAGE_FILES = 10000;
+const DEFAULT_MAX_EXTRACTED_MB = 1024;
+
+const manifestParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: name => ['organization', 'item', 'resource', 'file'].includes(name)
+});
+
+const isSet = value => value !== undefined && value !== null;
+
+const text = (node) => {
+  if (!isSet(node)) {
+    return '';
+  }
+  return String(typeof node === 'object' ? node['#text'] || '' : node).trim();
+};
+
+const toNumber = (node) => {
+  const value = text(node);
+  return value !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined;
+};
+
+// Manifest hrefs are URLs, archive entries plain names
+const safeDecodeURI = (value) => {
+  try {
+    return decodeURI(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Package-relative path of an archive entry, or null when it would land
+ * outside the package directory
+ */
+const normalizeEntryName = (name) => {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../') || /^[a-zA-Z]:/.test(normalized)) {
+    return null;
+  }
+  return normalized;
+};
+
+/**
+ * Append an item's parameters to the launch query as SCORM describes:
+ * "?a=1" joins an existing query with "&", "#frag" is appended as is
+ */
+const joinParameters = (query, parameters) => {
+  const extra = String(parameters || '').trim();
+  if (!extra) {
+    return query;
+  }
+  if (extra.startsWith('#')) {
+    return `${query}${extra}`;
+  }
+  const stripped = extra.replace(/^[?&]/, '');
+  return query ? `${query}&${stripped}` : `?${stripped}`;
+};
+
+class ContentPackageService {
+  constructor() {
+    this.basePath = process.env.CONTENT_PACKAGE_PATH || path.join(__dirname, '../../uploads/content-packages');
+  }
+
+  // ==================== MANIFEST ====================
+
+  /**
+   * Archive entries relative to the package root. The manifest is expected
+   * at the root; packages zipped with their enclosing folder are accepted.
+   * @returns {Map<string, Buffer>}
+   */
+  extract(buffer) {
+    let entries;
+    try {
+      entries = parseZip(buffer, {
+        maxEntries: MAX_PACKAGE_FILES,
+        maxTotalSize: (parseInt(process.env.CONTENT_PACKAGE_MAX_EXTRACTED_MB, 10) || DEFAULT_MAX_EXTRACTED_MB) * 1024 * 1024
+      });
+    } catch (error) {
+      throw new ValidationError(`Invalid package archive: ${error.message}`);
+    }
+
+    const names = [...entries.keys()].filter(name => !name.startsWith('__MACOSX/'));
+    let root = '';
+    if (!entries.has(MANIFEST)) {
+      const nested = names.filter(name => /^[^/]+\/imsmanifest\.xml$/.test(name));
+      if (nested.length !== 1) {
+        throw new ValidationError('imsmanifest.xml was not found at the root of the package');
+      }
+      root = nested[0].slice(0, -MANIFEST.length);
+    }
+
+    const files = new Map();
+    for (const name of names) {
+      if (!name.startsWith(root)) {
+        continue;
+      }
+      const relative = normalizeEntryName(name.slice(root.length));
+      if (!relative) {
+        throw new ValidationError('The package contains a file outside its root', { file: name });
+      }
+      files.set(relative, entries.get(name));
+    }
+    return files;
+  }
+
+  detectVersion(manifest, schemaVersion, resources) {
+    if (/1\.2/.test(schemaVersion)) {
+      return '1.2';
+    }
+    if (/2004|CAM 1\.3/i.test(schemaVersion)) {
+      return '2004';
+    }
+    // SCORM 2004 spells the attribute adlcp:scormType, SCORM 1.2 adlcp:scormtype
+    if (resources.some(resource => isSet(resource['@scormType']))) {
+      return '2004';
+    }
+    if (resources.some(resource => isSet(resource['@scormtype']))) {
+      return '1.2';
+    }
+    return null;
+  }
+
+  /**
+   * Version, title and SCOs of the manifest's default organization
+   */
+  parseManifest(xml) {
+    let document;
+    try {
+      document = manifestParser.parse(xml, true);
+    } catch (error) {
+      throw new ValidationError('imsmanifest.xml is not well-formed XML', { reason: error.message });
+    }
+
+    const manifest = document.manifest;
+    if (!manifest || typeof manifest !== 'object') {
+      throw new ValidationError('imsmanifest.xml has no manifest element');
+    }
+
+    const resourceList = (manifest.resources && manifest.resources.resource) || [];
+    const schemaVersion = text(manifest.metadata && manifest.metadata.schemaversion);
+    const version = this.detectVersion(manifest, schemaVersion, resourceList);
+    if (!version) {
+      throw new ValidationError('Only SCORM 1.2 and SCORM 2004 packages can be imported');
+    }
+
+    const organizations = manifest.organizations || {};
+    const organizationList = organizations.organization || [];
+    const organization = organizationList.find(item => item['@identifier'] === organizations['@default']) || organizationList[0];
+    if (!organization) {
+      throw new ValidationError('The manifest has no organization');
+    }
+
+    const resourceBase = `${manifest['@base'] || ''}${(manifest.resources && manifest.resources['@base']) || ''}`;
+    const resources = new Map(resourceList.map(resource => [resource['@identifier'], resource]));
+    const scos = [];
+
+    const walk = (items) => {
+      for (const item of items || []) {
+        const resourceId = item['@identifierref'];
+        if (resourceId) {
+          const resource = resources.get(resourceId);
+          if (!resource) {
+            throw new ValidationError(`Item "${item['@identifier']}" references unknown resource "${resourceId}"`);
+          }
+          // Assets launch but cannot report progress, so only SCOs become modules
+          const scormType = String(resource['@scormType'] || resource['@scormtype'] || '').toLowerCase();
+          if (scormType === 'sco' && resource['@href']) {
+            scos.push(this.toSco(item, resource, resourceBase, version));
+          }
+        }
+        walk(item.item);
+      }
+    };
+    walk(organization.item);
+
+    if (!scos.length) {
+      throw new ValidationError('The package has no SCOs to launch');
+    }
+    return {
+      version,
+      schemaVersion: schemaVersion || undefined,
+      identifier: manifest['@identifier'],
+      title: text(organization.title) || manifest['@identifier'] || 'SCORM package',
+      scos
+    };
+  }
+
+  toSco(item, resource, resourceBase, version) {
+    const location = `${resourceBase}${resource['@base'] || ''}${resource['@href']}`;
+    const cut = location.search(/[?#]/);
+    const file = cut === -1 ? location : location.slice(0, cut);
+    const query = cut === -1 ? '' : location.slice(cut);
+    const href = normalizeEntryName(safeDecodeURI(file));
+    if (!href) {
+      throw new ValidationError(`Resource "${resource['@identifier']}" points outside the package`);
+    }
+
+    const sco = {
+      identifier: item['@identifier'],
+      resourceId: resource['@identifier'],
+      title: (text(item.title) || item['@identifier']).slice(0, 200),
+      href,
+      parameters: joinParameters(query, item['@parameters']) || undefined,
+      launchData: text(item.datafromlms || item.dataFromLMS) || undefined,
+      maxTimeAllowed: text(item.maxtimeallowed) || undefined,
+      timeLimitAction: text(item.timelimitaction || item.timeLimitAction) || undefined
+    };
+
+    if (version === '1.2') {
+      sco.masteryScore = toNumber(item.masteryscore);
+      return sco;
+    }
+
+    // 3rd edition holds the threshold as text, 4th edition as attributes
+    const threshold = item.completionThreshold;
+    if (threshold && typeof threshold === 'object' && isSet(threshold['@completedByMeasure'])) {
+      sco.completionThreshold = threshold['@completedByMeasure'] === 'true'
+        ? toNumber(threshold['@minProgressMeasure'] || '1.0')
+        : undefined;
+    } else {
+      sco.completionThreshold = toNumber(threshold);
+    }
+
+    const objectives = item.sequencing && item.sequencing.objectives;
+    const primary = objectives && objectives.primaryObjective;
+    if (primary && primary['@satisfiedByMeasure'] === 'true') {
+      const measure = toNumber(primary.minNormalizedMeasure);
+      sco.scaledPassingScore = isSet(measure) ? measure : 1;
+    }
+    return sco;
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Import a SCORM zip into a course: files go to disk, every SCO becomes a
+   * module appended to the course and the package is listed as a material
+   * @param {Object} file - Uploaded file ({ buffer, originalname })
+   */
+  async importPackage(tenantKey, courseId, user, file, { title } = {}) {
+    const course = await trainingService.getCourseDocument(tenantKey, courseId);
+    if (!trainingService.canManage(course, user)) {
+      throw new AuthorizationError('Only the course instructors or an admin can import content');
+    }
+
+    const files = this.extract(file.buffer);
+    const manifest = this.parseManifest(files.get(MANIFEST).toString('utf8'));
+    const missing = manifest.scos.filter(sco => !files.has(sco.href)).map(sco => sco.href);
+    if (missing.length) {
+      throw new ValidationError('Launch files are missing from the package', { missing });
+    }
+
+    const packageId = new mongoose.Types.ObjectId();
+    const storageKey = `${course.tenantId}/${packageId}`;
+    const packageTitle = (title || manifest.title).slice(0, 200);
+    let modules = [];
+
+    try {
+      await this.writeFiles(storageKey, files);
+
+      modules = await TrainingModule.insertMany(manifest.scos.map(sco => ({
+        title: sco.title,
+        description: `SCORM ${manifest.version} content from "${packageTitle}"`.slice(0, 1000),
+        content: `${ROUTE_BASE}/content-packages/${packageId}/scos/${encodeURIComponent(sco.identifier)}/launch`,
+        contentPackage: { packageId, scoId: sco.identifier },
+        duration: DEFAULT_MODULE_DURATION,
+        difficulty: ['beginner', 'intermediate', 'advanced'].includes(course.level) ? course.level : 'beginner',
+        category: course.category || 'e-learning',
+        tags: ['scorm'],
+        isPublished: true,
+        createdBy: user._id,
+        tenantId: course.tenantId
+      })));
+      manifest.scos.forEach((sco, index) => {
+        sco.moduleId = modules[index]._id;
+      });
+
+      const contentPackage = await ContentPackage.create({
+        _id: packageId,
+        tenantId: course.tenantId,
+        courseId: course._id,
+        title: packageTitle,
+        version: manifest.version,
+        identifier: manifest.identifier,
+        schemaVersion: manifest.schemaVersion,
+        scos: manifest.scos,
+        storageKey,
+        originalName: file.originalname,
+        fileCount: files.size,
+        size: [...files.values()].reduce((total, content) => total + content.length, 0),
+        createdBy: user._id
+      });
+
+      await trainingService.updateCourse(tenantKey, courseId, (course) => {
+        let order = course.modules.reduce((max, item) => Math.max(max, item.order), 0);
+        for (const module of modules) {
+          order += 1;
+          course.modules.push({ moduleId: module._id, order, isRequired: true, estimatedDuration: module.duration });
+        }
+        course.materials.push({
+          title: packageTitle,
+          type: 'content-package',
+          packageId,
+          description: `SCORM ${manifest.version} package, ${modules.length} module(s)`,
+          order: course.materials.length
+        });
+        return course.save();
+      });
+
+      logger.info('SCORM package imported:', {
+        packageId: String(packageId),
+        courseId: String(course._id),
+        version: manifest.version,
+        scos: modules.length
+      });
+      return this.toPackageView(contentPackage);
+    } catch (error) {
+      await fs.rm(path.join(this.basePath, storageKey), { recursive: true, force: true }).catch(() => {});
+      if (modules.length) {
+        await TrainingModule.deleteMany({ _id: { $in: modules.map(module => module._id) } });
+      }
+      await ContentPackage.deleteOne({ _id: packageId });
+      throw error;
+    }
+  }
+
+  async writeFiles(storageKey, files) {
+    for (const [name, content] of files) {
+      const target = this.resolveFile(storageKey, name);
+      if (!target) {
+        throw new ValidationError('The package contains a file outside its root', { file: name });
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content);
+    }
+  }
+
+  toPackageView(contentPackage) {
+    return {
+      id: contentPackage._id,
+      courseId: contentPackage.courseId,
+      title: contentPackage.title,
+      standard: contentPackage.standard,
+      version: contentPackage.version,
+      identifier: contentPackage.identifier,
+      status: contentPackage.status,
+      fileCount: contentPackage.fileCount,
+      size: contentPackage.size,
+      scos: contentPackage.scos.map(sco => ({
+        identifier: sco.identifier,
+        title: sco.title,
+        moduleId: sco.moduleId,
+        launchPath: `${ROUTE_BASE}/content-packages/${contentPackage._id}/scos/${encodeURIComponent(sco.identifier)}/launch`
+      })),
+      createdAt: contentPackage.createdAt
+    };
+  }
+
+  async listPackages(tenantKey, courseId, user) {
+    const course = await trainingService.getCourseDocument(tenantKey, courseId);
+    const enrolled = Boolean(course.getEnrollment(user._id));
+    if (!enrolled && !trainingService.canManage(course, user)) {
+      throw new AuthorizationError('Only enrolled learners and the course instructors can see its content');
+    }
+    const packages = await ContentPackage.find({ tenantId: course.tenantId, courseId: course._id, status: 'active' })
+      .sort({ createdAt: -1 })
+      .lean();
+    return packages.map(contentPackage => this.toPackageView(contentPackage));
+  }
+
+  async getSco(tenantKey, packageId, scoId) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const contentPackage = mongoose.Types.ObjectId.isValid(packageId)
+      ? await ContentPackage.findOne({ _id: packageId, tenantId, status: 'active' })
+      : null;
+    if (!contentPackage) {
+      throw new NotFoundError('Content package not found');
+    }
+    const sco = contentPackage.getSco(scoId);
+    if (!sco) {
+      throw new NotFoundError('SCO not found in this package');
+    }
+    return { contentPackage, sco };
+  }
+
+  // ==================== FILES ====================
+
+  sign(value) {
+    const secret = process.env.CONTENT_LAUNCH_SECRET || process.env.JWT_SECRET || 'your-jwt-secret';
+    return crypto.createHmac('sha256', secret).update(`content-launch:${value}`).digest('base64url');
+  }
+
+  /**
+   * Path segment granting read access to a package's files until it
+   * expires. It carries no user, so it cannot act as an API credential.
+   */
+  createLaunchToken(packageId, expiresAt) {
+    const expires = Math.floor(expiresAt.getTime() / 1000).toString(36);
+    return `${expires}.${this.sign(`${packageId}.${expires}`)}`;
+  }
+
+  verifyLaunchToken(packageId, token) {
+    const [expires, signature] = String(token || '').split('.');
+    if (!expires || !signature) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(`${packageId}.${expires}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return false;
+    }
+    return parseInt(expires, 36) * 1000 > Date.now();
+  }
+
+  /**
+   * Absolute path of a package file, or null when it is outside the package
+   */
+  resolveFile(storageKey, relativePath) {
+    const root = path.resolve(this.basePath, storageKey);
+    const target = path.resolve(root, relativePath);
+    return target.startsWith(`${root}${path.sep}`) ? target : null;
+  }
+
+  /**
+   * Launch URL of a SCO. Enrolled learners start the module (prerequisites
+   * apply); course managers who are not enrolled get an untracked preview.
+   */
+  async launch(tenantKey, packageId, scoId, user) {
+    const { contentPackage, sco } = await this.getSco(tenantKey, packageId, scoId);
+    const course = await trainingService.getCourseDocument(tenantKey, contentPackage.courseId);
+    const preview = !course.getEnrollment(user._id) && trainingService.canManage(course, user);
+    if (!preview) {
+      await trainingService.startModule(tenantKey, course._id, sco.moduleId, user);
+    }
+
+    const ttlHours = parseFloat(process.env.CONTENT_LAUNCH_TTL_HOURS) || DEFAULT_LAUNCH_TTL_HOURS;
+    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+    const token = this.createLaunchToken(contentPackage._id, expiresAt);
+    const href = sco.href.split('/').map(encodeURIComponent).join('/');
+    const scoPath = `${ROUTE_BASE}/content-packages/${contentPackage._id}/scos/${encodeURIComponent(sco.identifier)}`;
+
+    return {
+      packageId: contentPackage._id,
+      scoId: sco.identifier,
+      moduleId: sco.moduleId,
+      title: sco.title,
+      version: contentPackage.version,
+      preview,
+      launchUrl: `${ROUTE_BASE}/content-packages/${contentPackage._id}/files/${token}/${href}${sco.parameters || ''}`,
+      runtimeUrl: preview ? null : `${scoPath}/runtime`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Package file behind a launch URL
+   * @returns {Promise<string>} Absolute file path
+   */
+  async resolveLaunchFile(packageId, token, relativePath) {
+    if (!mongoose.Types.ObjectId.isValid(packageId) || !this.verifyLaunchToken(packageId, token)) {
+      throw new AuthorizationError('The launch link is invalid or has expired');
+    }
+    const contentPackage = await ContentPackage.findOne({ _id: packageId, status: 'active' }).select('storageKey').lean();
+    if (!contentPackage) {
+      throw new NotFoundError('Content package not found');
+    }
+
+    const filePath = this.resolveFile(contentPackage.storageKey, relativePath || '');
+    const stats = filePath ? await fs.stat(filePath).catch(() => null) : null;
+    if (!stats || !stats.isFile()) {
+      throw new NotFoundError('File not found in this package');
+    }
+    return filePath;
+  }
+
+  // ==================== RUNTIME ====================
+
+  /**
+   * Score on the 0-100 scale of course progress from a SCORM or xAPI score
+   * ({ scaled, raw, min, max }); scaled wins, raw is placed between min and max
+   */
+  scorePercent(score = {}) {
+    let percent;
+    if (isSet(score.scaled)) {
+      percent = score.scaled * 100;
+    } else if (isSet(score.raw)) {
+      const min = isSet(score.min) ? score.min : 0;
+      const max = isSet(score.max) ? score.max : 100;
+      percent = max > min ? ((score.raw - min) / (max - min)) * 100 : score.raw;
+    } else {
+      return undefined;
+    }
+    return Math.round(Math.min(100, Math.max(0, percent)));
+  }
+
+  /**
+   * Derive the normalized status and score from the SCO's values, applying
+   * the mastery score (1.2), completion threshold and scaled passing score
+   * (2004) from the manifest the way the LMS must
+   */
+  evaluate(attempt, sco) {
+    const numberOf = (element) => {
+      const value = attempt.getValue(element);
+      return isSet(value) && value !== '' ? Number(value) : undefined;
+    };
+
+    if (attempt.version === '1.2') {
+      let status = attempt.getValue('cmi.core.lesson_status') || 'not attempted';
+      const raw = numberOf('cmi.core.score.raw');
+      if (isSet(sco.masteryScore) && isSet(raw) && ['completed', 'passed', 'failed'].includes(status)) {
+        status = raw >= sco.masteryScore ? 'passed' : 'failed';
+        attempt.setValue('cmi.core.lesson_status', status);
+      }
+      attempt.completionStatus = {
+        passed: 'completed',
+        completed: 'completed',
+        failed: 'completed',
+        incomplete: 'incomplete',
+        browsed: 'incomplete'
+      }[status] || 'not attempted';
+      attempt.successStatus = ['passed', 'failed'].includes(status) ? status : 'unknown';
+      attempt.score = {
+        raw,
+        min: numberOf('cmi.core.score.min'),
+        max: numberOf('cmi.core.score.max')
+      };
+    } else {
+      let completion = attempt.getValue('cmi.completion_status') || 'unknown';
+      const progress = numberOf('cmi.progress_measure');
+      if (isSet(sco.completionThreshold) && isSet(progress)) {
+        completion = progress >= sco.completionThreshold ? 'completed' : 'incomplete';
+        attempt.setValue('cmi.completion_status', completion);
+      }
+      let success = attempt.getValue('cmi.success_status') || 'unknown';
+      const scaled = numberOf('cmi.score.scaled');
+      if (isSet(sco.scaledPassingScore) && isSet(scaled)) {
+        success = scaled >= sco.scaledPassingScore ? 'passed' : 'failed';
+        attempt.setValue('cmi.success_status', success);
+      }
+      attempt.completionStatus = completion;
+      attempt.successStatus = success;
+      attempt.score = {
+        scaled,
+        raw: numberOf('cmi.score.raw'),
+        min: numberOf('cmi.score.min'),
+        max: numberOf('cmi.score.max')
+      };
+    }
+    attempt.scorePercent = this.scorePercent(attempt.score);
+    return attempt;
+  }
+
+  /**
+   * Completed and not failed; SCOs that only report success count once passed
+   */
+  isComplete(attempt) {
+    if (attempt.successStatus === 'failed') {
+      return false;
+    }
+    return attempt.completionStatus === 'completed' ||
+      (attempt.successStatus === 'passed' && attempt.completionStatus !== 'incomplete');
+  }
+
+  /**
+   * Everything GetValue can read: stored values, the read-only elements the
+   * LMS supplies, _children and _count. Write-only elements are left out.
+   */
+  toRuntimeView(attempt, sco, user) {
+    const version = attempt.version;
+    const { formatDuration } = scormDataModel;
+    const values = {};
+    const optional = value => (isSet(value) ? String(value) : '');
+
+    if (version === '1.2') {
+      Object.assign(values, {
+        'cmi.core.student_id': String(user._id),
+        'cmi.core.student_name': [user.lastName, user.firstName].filter(Boolean).join(', '),
+        'cmi.core.credit': 'credit',
+        'cmi.core.entry': attempt.entry || '',
+        'cmi.core.total_time': formatDuration(version, attempt.totalSeconds),
+        'cmi.core.lesson_mode': 'normal',
+        'cmi.core.lesson_status': 'not attempted',
+        'cmi.core.lesson_location': '',
+        'cmi.core.score.raw': '',
+        'cmi.core.score.min': '',
+        'cmi.core.score.max': '',
+        'cmi.suspend_data': '',
+        'cmi.launch_data': optional(sco.launchData),
+        'cmi.comments': '',
+        'cmi.comments_from_lms': '',
+        'cmi.student_data.mastery_score': optional(sco.masteryScore),
+        'cmi.student_data.max_time_allowed': optional(sco.maxTimeAllowed),
+        'cmi.student_data.time_limit_action': optional(sco.timeLimitAction)
+      });
+    } else {
+      Object.assign(values, {
+        'cmi._version': '1.0',
+        'cmi.learner_id': String(user._id),
+        'cmi.learner_name': [user.firstName, user.lastName].filter(Boolean).join(' '),
+        'cmi.credit': 'credit',
+        'cmi.entry': attempt.entry || '',
+        'cmi.mode': 'normal',
+        'cmi.total_time': formatDuration(version, attempt.totalSeconds),
+        'cmi.completion_status': 'unknown',
+        'cmi.success_status': 'unknown',
+        'cmi.location': '',
+        'cmi.suspend_data': '',
+        'cmi.launch_data': optional(sco.launchData),
+        'cmi.completion_threshold': optional(sco.completionThreshold),
+        'cmi.scaled_passing_score': optional(sco.scaledPassingScore),
+        'cmi.max_time_allowed': optional(sco.maxTimeAllowed),
+        'cmi.time_limit_action': sco.timeLimitAction || 'continue,no message'
+      });
+    }
+
+    for (const { element, value } of attempt.data) {
+      if (scormDataModel.accessOf(version, element) !== 'wo') {
+        values[element] = value;
+      }
+    }
+    for (const [container, children] of Object.entries(scormDataModel.CHILDREN[version])) {
+      values[`${container}._children`] = children;
+    }
+    const elements = attempt.data.map(item => item.element);
+    for (const collection of scormDataModel.COLLECTIONS[version]) {
+      values[`${collection}._count`] = String(scormDataModel.collectionCount(elements, collection));
+    }
+
+    return {
+      attemptId: attempt._id,
+      version,
+      values,
+      completionStatus: attempt.completionStatus,
+      successStatus: attempt.successStatus,
+      scorePercent: attempt.scorePercent,
+      sessionCount: attempt.sessionCount,
+      sessionOpen: Boolean(attempt.sessionStartedAt && !attempt.finishedAt),
+      completedAt: attempt.completedAt
+    };
+  }
+
+  async saveAttempt(attempt) {
+    try {
+      return await attempt.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw new ConflictError('The run-time data was changed by another session; reload the SCO');
+      }
+      if (error.code === 11000) {
+        throw new ConflictError('The SCO was initialized concurrently; try again');
+      }
+      throw error;
+    }
+  }
+
+  async getAttemptDocument(contentPackage, scoId, userId) {
+    const attempt = await ScormAttempt.findOne({ packageId: contentPackage._id, scoId, userId });
+    if (!attempt) {
+      throw new NotFoundError('The SCO has not been initialized');
+    }
+    return attempt;
+  }
+
+  /**
+   * LMSInitialize / Initialize: open a session and return the values the
+   * SCO can read. Suspended sessions resume with their data.
+   */
+  async initialize(tenantKey, packageId, scoId, user) {
+    const { contentPackage, sco } = await this.getSco(tenantKey, packageId, scoId);
+    await trainingService.startModule(tenantKey, contentPackage.courseId, sco.moduleId, user);
+
+    const attempt = await ScormAttempt.findOne({ packageId: contentPackage._id, scoId, userId: user._id }) ||
+      new ScormAttempt({
+        tenantId: contentPackage.tenantId,
+        packageId: contentPackage._id,
+        courseId: contentPackage.courseId,
+        moduleId: sco.moduleId,
+        scoId,
+        userId: user._id,
+        version: contentPackage.version
+      });
+
+    if (!attempt.sessionCount) {
+      attempt.entry = 'ab-initio';
+    } else {
+      attempt.entry = attempt.exit === 'suspend' ? 'resume' : '';
+    }
+    // A session that never finished (closed window) still counts its time
+    attempt.totalSeconds += attempt.sessionSeconds;
+    attempt.sessionSeconds = 0;
+    attempt.sessionCount += 1;
+    attempt.sessionStartedAt = new Date();
+    attempt.finishedAt = undefined;
+    attempt.exit = undefined;
+
+    await this.saveAttempt(attempt);
+    return this.toRuntimeView(attempt, sco, user);
+  }
+
+  async getRuntime(tenantKey, packageId, scoId, user) {
+    const { contentPackage, sco } = await this.getSco(tenantKey, packageId, scoId);
+    const attempt = await this.getAttemptDocument(contentPackage, scoId, user._id);
+    return this.toRuntimeView(attempt, sco, user);
+  }
+
+  /**
+   * LMSCommit / Commit, and LMSFinish / Terminate when finish is set: store
+   * the values the SCO set since the last commit. Values are checked
+   * against the data model first and nothing is stored if any is refused;
+   * details.errors carries the SCORM error code per element.
+   * @param {Object<string, string>} values - Element to value
+   */
+  async commit(tenantKey, packageId, scoId, user, values = {}, { finish = false } = {}) {
+    const { contentPackage, sco } = await this.getSco(tenantKey, packageId, scoId);
+    const attempt = await this.getAttemptDocument(contentPackage, scoId, user._id);
+    if (!attempt.sessionStartedAt || attempt.finishedAt) {
+      throw new ConflictError('The SCO session is not open; initialize it first');
+    }
+
+    const version = attempt.version;
+    const setElements = new Set(attempt.data.map(item => item.element));
+    const accepted = [];
+    const errors = [];
+    for (const [element, raw] of Object.entries(values)) {
+      const value = isSet(raw) ? String(raw) : '';
+      const error = scormDataModel.validateValue(version, element, value, setElements);
+      if (error) {
+        errors.push({ element, ...error });
+      } else {
+        setElements.add(element);
+        accepted.push([element, value]);
+      }
+    }
+    if (errors.length) {
+      throw new ValidationError('Some run-time values were refused', { errors });
+    }
+
+    for (const [element, value] of accepted) {
+      if (element === 'cmi.core.session_time' || element === 'cmi.session_time') {
+        attempt.sessionSeconds = scormDataModel.parseDuration(version, value);
+      } else if (element === 'cmi.core.exit' || element === 'cmi.exit') {
+        attempt.exit = value;
+      } else {
+        attempt.setValue(element, value);
+      }
+    }
+
+    const now = new Date();
+    if (finish) {
+      // A SCO that never reported a status was at least opened
+      if (version === '1.2' && !attempt.getValue('cmi.core.lesson_status')) {
+        attempt.setValue('cmi.core.lesson_status', 'incomplete');
+      }
+      attempt.totalSeconds += attempt.sessionSeconds;
+      attempt.sessionSeconds = 0;
+      attempt.finishedAt = now;
+    }
+    attempt.lastCommittedAt = now;
+    this.evaluate(attempt, sco);
+
+    await this.saveAttempt(attempt);
+    await this.recordProgress(tenantKey, attempt, user);
+    return this.toRuntimeView(attempt, sco, user);
+  }
+
+  /**
+   * Complete the SCO's module on the enrollment once the SCO is completed
+   * (and not failed), and again whenever the score improves. The run-time
+   * data is kept even when the enrollment no longer takes progress.
+   */
+  async recordProgress(tenantKey, attempt, user) {
+    if (!attempt.moduleId || !this.isComplete(attempt)) {
+      return false;
+    }
+    const score = attempt.scorePercent;
+    const improved = isSet(score) && (!isSet(attempt.recordedScore) || score > attempt.recordedScore);
+    if (attempt.completedAt && !improved) {
+      return false;
+    }
+
+    try {
+      await trainingService.completeModule(tenantKey, attempt.courseId, attempt.moduleId, user, { score });
+    } catch (error) {
+      logger.warn('SCORM completion not recorded on the enrollment:', {
+        attemptId: String(attempt._id),
+        courseId: String(attempt.courseId),
+        error: error.message
+      });
+      return false;
+    }
+
+    attempt.completedAt = attempt.completedAt || new Date();
+    attempt.recordedScore = score;
+    await ScormAttempt.updateOne(
+      { _id: attempt._id },
+      { $set: { completedAt: attempt.completedAt, recordedScore: score } }
+    );
+    return true;
+  }
+
+  /**
+   * Learner attempts on a package, for the course instructors
+   */
+  async listAttempts(tenantKey, packageId, user) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const contentPackage = mongoose.Types.ObjectId.isValid(packageId)
+      ? await ContentPackage.findOne({ _id: packageId, tenantId }).lean()
+      : null;
+    if (!contentPackage) {
+      throw new NotFoundError('Content package not found');
+    }
+    const course = await trainingService.getCourseDocument(tenantKey, contentPackage.courseId);
+    if (!trainingService.canManage(course, user)) {
+      throw new AuthorizationError('Only the course instructors or an admin can see learner attempts');
+    }
+
+    const attempts = await ScormAttempt.find({ packageId: contentPackage._id })
+      .select('-data')
+      .populate('userId', 'firstName lastName email')
+      .sort({ updatedAt: -1 })
+      .lean();
+    return attempts.map(attempt => ({
+      id: attempt._id,
+      scoId: attempt.scoId,
+      learner: attempt.userId,
+      completionStatus: attempt.completionStatus,
+      successStatus: attempt.successStatus,
+      scorePercent: attempt.scorePercent,
+      totalSeconds: attempt.totalSeconds + (attempt.sessionSeconds || 0),
+      sessionCount: attempt.sessionCount,
+      lastCommittedAt: attempt.lastCommittedAt,
+      completedAt: attempt.completedAt
+    }));
+  }
+}
+
+module.exports = new ContentPackageService();
@@ -0,0 +1,627 @@
+/**
+ * LUXGEN HIRING PIPELINE SERVICE
+ * Configurable interview processes for the ATS
+ *
+ * Features:
+ * - Tenant default and per-job pipelines, falling back to the built-in process
+ * - Enforced stage transitions and required fields per stage
+ * - Candidate emails and hiring manager notifications on entering a stage
+ * - Stage history with durations and time-to-hire reporting
+ */
+
+const mongoose = require('mongoose');
+
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const jobLifecycleService = require('./JobLifecycleService');
+const referralService = require('./ReferralService');
+const HiringPipeline = require('../models/HiringPipeline');
+const JobApplication = require('../models/JobApplication');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const Notification = require('../models/Notification');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TERMINAL = [];
+const LEAVE = ['rejected', 'withdrawn'];
+
+// Scorecard used when a pipeline does not define its own
+const DEFAULT_COMPETENCIES = [
+  { key: 'technical', name: 'Technical skills', weight: 2 },
+  { key: 'problem-solving', name: 'Problem solving', weight: 1.5 },
+  { key: 'communication', name: 'Communication', weight: 1 },
+  { key: 'collaboration', name: 'Collaboration and team fit', weight: 1 }
+];
+
+/**
+ * Built-in process used until a tenant defines its own; stage keys match
+ * the application statuses
+ */
+const DEFAULT_PIPELINE = {
+  _id: null,
+  name: 'Standard hiring process',
+  isDefault: true,
+  scorecard: { competencies: DEFAULT_COMPETENCIES },
+  stages: [
+    { key: 'applied', name: 'Applied', status: 'applied', allowedTransitions: ['under-review', 'shortlisted', ...LEAVE] },
+    { key: 'under-review', name: 'Under review', status: 'under-review', allowedTransitions: ['shortlisted', ...LEAVE] },
+    { key: 'shortlisted', name: 'Shortlisted', status: 'shortlisted', allowedTransitions: ['interview-scheduled', 'assessment', ...LEAVE] },
+    {
+      key: 'interview-scheduled',
+      name: 'Interview scheduled',
+      status: 'interview-scheduled',
+      allowedTransitions: ['interviewed', ...LEAVE],
+      actions: [{
+        type: 'email_candidate',
+        subject: 'Your interview for {{jobTitle}}',
+        message: 'Hi {{candidateName}},\n\nWe would like to invite you to interview for {{jobTitle}} at {{companyName}}. We will be in touch with the details shortly.'
+      }]
+    },
+    { key: 'interviewed', name: 'Interviewed', status: 'interviewed', allowedTransitions: ['interview-scheduled', 'assessment', 'reference-check', 'offer-extended', ...LEAVE] },
+    { key: 'assessment', name: 'Assessment', status: 'assessment', allowedTransitions: ['interview-scheduled', 'reference-check', 'offer-extended', ...LEAVE] },
+    { key: 'reference-check', name: 'Reference check', status: 'reference-check', allowedTransitions: ['offer-extended', ...LEAVE] },
+    {
+      key: 'offer-extended',
+      name: 'Offer extended',
+      status: 'offer-extended',
+      allowedTransitions: ['offer-accepted', 'offer-declined', 'withdrawn'],
+      requiredFields: [{ name: 'offerAmount', label: 'Offer amount', type: 'number' }],
+      actions: [{
+        type: 'notify_hiring_manager',
+        subject: 'Offer extended for {{jobTitle}}',
+        message: 'An offer of {{offerAmount}} was extended to {{candidateName}} for {{jobTitle}}.'
+      }]
+    },
+    {
+      key: 'offer-accepted',
+      name: 'Hired',
+      status: 'offer-accepted',
+      allowedTransitions: TERMINAL,
+      actions: [{
+        type: 'notify_hiring_manager',
+        subject: '{{candidateName}} accepted the offer for {{jobTitle}}',
+        message: '{{candidateName}} accepted the offer for {{jobTitle}}.'
+      }]
+    },
+    { key: 'offer-declined', name: 'Offer declined', status: 'offer-declined', allowedTransitions: TERMINAL },
+    {
+      key: 'rejected',
+      name: 'Rejected',
+      status: 'rejected',
+      allowedTransitions: TERMINAL,
+      requiredFields: [{ name: 'reason', label: 'Rejection reason', type: 'string' }],
+      actions: [{
+        type: 'email_candidate',
+        subject: 'Your application for {{jobTitle}}',
+        message: 'Hi {{candidateName}},\n\nThank you for your interest in {{jobTitle}} at {{companyName}}. After careful consideration we have decided not to move forward with your application.'
+      }]
+    },
+    { key: 'withdrawn', name: 'Withdrawn', status: 'withdrawn', allowedTransitions: TERMINAL }
+  ]
+};
+
+// Status -> process timestamp stamped when an application reaches it
+const STATUS_TIMESTAMPS = {
+  'under-review': 'reviewedAt',
+  shortlisted: 'shortlistedAt',
+  'interview-scheduled': 'interviewScheduledAt',
+  interviewed: 'interviewedAt',
+  assessment: 'assessedAt',
+  'reference-check': 'referenceCheckedAt',
+  'offer-extended': 'offerExtendedAt',
+  'offer-accepted': 'offerAcceptedAt',
+  rejected: 'rejectedAt',
+  withdrawn: 'withdrawnAt'
+};
+
+const toDays = (ms) => (typeof ms === 'number' ? Math.round((ms / DAY_MS) * 10) / 10 : null);
+
+const interpolate = (template, values) => String(template || '')
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : ''));
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+class HiringPipelineService {
+  /**
+   * PIPELINES
+   */
+  listPipelines(tenantId) {
+    return HiringPipeline.find({ tenantId }).sort({ jobId: 1, createdAt: 1 }).lean();
+  }
+
+  /**
+   * The pipeline that applies to a job: the job's own, else the tenant
+   * default, else the built-in process
+   */
+  async getPipelineForJob(tenantId, jobId) {
+    const pipelines = await HiringPipeline.find({
+      tenantId,
+      jobId: { $in: jobId ? [jobId, null] : [null] }
+    }).lean();
+
+    return pipelines.find(pipeline => pipeline.jobId && String(pipeline.jobId) === String(jobId)) ||
+      pipelines.find(pipeline => !pipeline.jobId) ||
+      DEFAULT_PIPELINE;
+  }
+
+  async createPipeline(tenantId, { name, description, jobId, stages, scorecard }, userId) {
+    if (jobId) {
+      const job = mongoose.Types.ObjectId.isValid(jobId) ? await Job.findOne({ _id: jobId, tenantId }).select('_id').lean() : null;
+      if (!job) {
+        throw new NotFoundError('Job not found');
+      }
+    }
+
+    const existing = await HiringPipeline.findOne({ tenantId, jobId: jobId || null }).select('_id').lean();
+    if (existing) {
+      throw new ValidationError(jobId ? 'This job already has a pipeline' : 'The tenant already has a default pipeline');
+    }
+
+    const pipeline = new HiringPipeline({
+      tenantId,
+      jobId: jobId || null,
+      name,
+      description,
+      stages: this.validateStages(stages),
+      scorecard: { competencies: this.validateCompetencies(scorecard) },
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await pipeline.save();
+
+    logger.info(`Hiring pipeline "${name}" created for tenant ${tenantId}${jobId ? ` (job ${jobId})` : ''}`);
+    return pipeline.toObject();
+  }
+
+  /**
+   * Applications in a stage that no longer exists can move to any stage
+   */
+  async updatePipeline(tenantId, pipelineId, { name, description, stages, scorecard }, userId) {
+    const pipeline = await this.findPipeline(tenantId, pipelineId);
+
+    if (name !== undefined) pipeline.name = name;
+    if (description !== undefined) pipeline.description = description;
+    if (stages !== undefined) pipeline.stages = this.validateStages(stages);
+    if (scorecard !== undefined) pipeline.scorecard = { competencies: this.validateCompetencies(scorecard) };
+    pipeline.updatedBy = userId;
+
+    await pipeline.save();
+    return pipeline.toObject();
+  }
+
+  /**
+   * Applications on a deleted pipeline fall back to the job's or tenant's pipeline
+   */
+  async deletePipeline(tenantId, pipelineId) {
+    const pipeline = await this.findPipeline(tenantId, pipelineId);
+    await HiringPipeline.deleteOne({ _id: pipeline._id });
+    return { success: true };
+  }
+
+  async findPipeline(tenantId, pipelineId) {
+    const pipeline = mongoose.Types.ObjectId.isValid(pipelineId)
+      ? await HiringPipeline.findOne({ _id: pipelineId, tenantId })
+      : null;
+    if (!pipeline) {
+      throw new NotFoundError('Pipeline not found');
+    }
+    return pipeline;
+  }
+
+  /**
+   * Unique keys, transitions to existing stages only, unique field names
+   */
+  validateStages(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new ValidationError('A pipeline needs at least one stage');
+    }
+
+    const normalized = stages.map((stage, index) => ({
+      ...stage,
+      key: String(stage.key || '').trim().toLowerCase(),
+      order: typeof stage.order === 'number' ? stage.order : index,
+      allowedTransitions: (stage.allowedTransitions || []).map(key => String(key).trim().toLowerCase()),
+      requiredFields: stage.requiredFields || [],
+      actions: stage.actions || []
+    }));
+
+    const keys = normalized.map(stage => stage.key);
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+      throw new ValidationError(`Duplicate stage key: ${duplicate}`);
+    }
+
+    normalized.forEach(stage => {
+      const unknown = stage.allowedTransitions.filter(key => !keys.includes(key) || key === stage.key);
+      if (unknown.length) {
+        throw new ValidationError(`Stage "${stage.key}" has invalid transitions: ${unknown.join(', ')}`);
+      }
+      const fields = stage.requiredFields.map(field => field.name);
+      if (new Set(fields).size !== fields.length) {
+        throw new ValidationError(`Stage "${stage.key}" lists a required field twice`);
+      }
+    });
+
+    return normalized.sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Scorecard competencies; an empty or missing list means the defaults
+   */
+  validateCompetencies(scorecard) {
+    const competencies = (scorecard && scorecard.competencies) || [];
+    const keys = competencies.map(competency => String(competency.key || '').trim().toLowerCase());
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+      throw new ValidationError(`Duplicate competency key: ${duplicate}`);
+    }
+    return competencies;
+  }
+
+  getCompetencies(pipeline) {
+    const competencies = pipeline.scorecard && pipeline.scorecard.competencies;
+    return competencies && competencies.length ? competencies : DEFAULT_COMPETENCIES;
+  }
+
+  /**
+   * APPLICATIONS
+   * Put a new application into the first stage of its job's pipeline
+   */
+  async initializeApplication(application, job) {
+    const pipeline = await this.getPipelineForJob(application.tenantId, job._id);
+    const stage = pipeline.stages[0];
+    const now = new Date();
+
+    application.pipeline = { pipelineId: pipeline._id, stage: stage.key, stageEnteredAt: now };
+    application.status = stage.status;
+    application.stageHistory = [{ stage: stage.key, stageName: stage.name, status: stage.status, enteredAt: now }];
+    return pipeline;
+  }
+
+  /**
+   * Pipeline an application follows: the one it started on, if it still exists
+   */
+  async getApplicationPipeline(application) {
+    if (application.pipeline && application.pipeline.pipelineId) {
+      const pipeline = await HiringPipeline.findById(application.pipeline.pipelineId).lean();
+      if (pipeline) {
+        return pipeline;
+      }
+    }
+    return this.getPipelineForJob(application.tenantId, application.jobId);
+  }
+
+  /**
+   * Current stage; applications created before pipelines existed are
+   * placed by their status
+   */
+  getCurrentStage(pipeline, application) {
+    const key = application.pipeline && application.pipeline.stage;
+    if (key) {
+      return pipeline.stages.find(stage => stage.key === key) || null;
+    }
+    return pipeline.stages.find(stage => stage.key === application.status) ||
+      pipeline.stages.find(stage => stage.status === application.status) ||
+      null;
+  }
+
+  /**
+   * MOVE APPLICATION
+   * Validates the transition and required fields, records the stage history,
+   * saves the application and runs the stage's actions.
+   * `target` is a stage key, or { status } for callers using legacy statuses.
+   */
+  async moveApplication(tenantId, applicationId, target, { data = {}, notes, userId } = {}) {
+    const application = mongoose.Types.ObjectId.isValid(applicationId)
+      ? await JobApplication.findOne({ _id: applicationId, tenantId })
+      : null;
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+
+    const pipeline = await this.getApplicationPipeline(application);
+    const current = this.getCurrentStage(pipeline, application);
+    const next = this.resolveTargetStage(pipeline, current, target);
+
+    if (current && current.key === next.key) {
+      throw new ValidationError(`Application is already in stage "${next.name}"`);
+    }
+    if (current && !(current.allowedTransitions || []).includes(next.key)) {
+      const allowed = (current.allowedTransitions || []).join(', ') || 'none (final stage)';
+      throw new ValidationError(`Cannot move from "${current.name}" to "${next.name}". Allowed: ${allowed}`);
+    }
+
+    const values = this.validateRequiredFields(next, data);
+    const now = new Date();
+
+    if (!application.stageHistory.length) {
+      // Backfill the stage the application was in before pipelines existed
+      application.stageHistory.push({
+        stage: current ? current.key : application.status,
+        stageName: current ? current.name : application.status,
+        status: application.status,
+        enteredAt: (application.process && application.process.appliedAt) || application.createdAt
+      });
+    }
+    const open = application.stageHistory[application.stageHistory.length - 1];
+    if (!open.exitedAt) {
+      open.exitedAt = now;
+      open.durationMs = now - new Date(open.enteredAt);
+    }
+
+    application.stageHistory.push({
+      stage: next.key,
+      stageName: next.name,
+      status: next.status,
+      enteredAt: now,
+      movedBy: userId,
+      data: values,
+      notes
+    });
+    application.pipeline = { pipelineId: pipeline._id, stage: next.key, stageEnteredAt: now };
+    application.status = next.status;
+    if (STATUS_TIMESTAMPS[next.status]) {
+      application.process[STATUS_TIMESTAMPS[next.status]] = now;
+    }
+    if (notes) {
+      application.communications.push({
+        type: 'note',
+        content: notes,
+        sentBy: userId,
+        direction: 'outbound'
+      });
+    }
+
+    await application.save();
+
+    const actions = await this.runStageActions(application, next, values);
+
+    if (next.status === 'offer-accepted') {
+      try {
+        await jobLifecycleService.handleOfferAccepted(application);
+      } catch (error) {
+        logger.error('Failed to update job after accepted offer', { applicationId: application._id, error: error.message });
+      }
+    }
+    if (application.referral) {
+      try {
+        await referralService.handleStatusChange(application, now);
+      } catch (error) {
+        logger.error('Failed to update referral bonus', { applicationId: application._id, error: error.message });
+      }
+    }
+    return { application, stage: next, actions };
+  }
+
+  resolveTargetStage(pipeline, current, target) {
+    if (typeof target === 'string') {
+      const stage = pipeline.stages.find(item => item.key === target);
+      if (!stage) {
+        throw new ValidationError(`Unknown stage: ${target}`);
+      }
+      return stage;
+    }
+
+    // Legacy status: prefer a stage reachable from the current one
+    const candidates = pipeline.stages.filter(stage => stage.status === target.status);
+    if (candidates.length === 0) {
+      throw new ValidationError(`No stage in pipeline "${pipeline.name}" uses status ${target.status}`);
+    }
+    return candidates.find(stage => current && (current.allowedTransitions || []).includes(stage.key)) || candidates[0];
+  }
+
+  /**
+   * Required fields present and of the right type; returns coerced values
+   */
+  validateRequiredFields(stage, data) {
+    const values = { ...data };
+    const errors = [];
+
+    (stage.requiredFields || []).forEach(field => {
+      const value = data[field.name];
+      const label = field.label || field.name;
+      if (value === undefined || value === null || value === '') {
+        errors.push(`${label} is required`);
+        return;
+      }
+      if (field.type === 'number') {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+          errors.push(`${label} must be a number`);
+        }
+        values[field.name] = number;
+      } else if (field.type === 'date') {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          errors.push(`${label} must be a date`);
+        }
+        values[field.name] = date;
+      } else if (field.type === 'boolean') {
+        values[field.name] = value === true || value === 'true';
+      } else {
+        values[field.name] = String(value);
+      }
+    });
+
+    if (errors.length) {
+      throw new ValidationError(`Stage "${stage.name}" requires: ${errors.join('; ')}`, errors);
+    }
+    return values;
+  }
+
+  /**
+   * Run a stage's actions. Failures are reported, not thrown: the move has
+   * already been saved.
+   */
+  async runStageActions(application, stage, values) {
+    if (!stage.actions || stage.actions.length === 0) {
+      return [];
+    }
+
+    const [job, candidate] = await Promise.all([
+      Job.findById(application.jobId).select('title company postedBy').lean(),
+      User.findById(application.candidateId).select('firstName lastName email').lean()
+    ]);
+
+    const personalInfo = (application.candidateProfile && application.candidateProfile.personalInfo) || {};
+    const candidateName = personalInfo.fullName ||
+      [candidate && candidate.firstName, candidate && candidate.lastName].filter(Boolean).join(' ') ||
+      'there';
+    const context = {
+      ...values,
+      candidateName,
+      jobTitle: job ? job.title : 'the position',
+      companyName: job && job.company ? job.company.name : '',
+      stageName: stage.name
+    };
+
+    const results = [];
+    for (const action of stage.actions) {
+      try {
+        if (action.type === 'email_candidate') {
+          results.push(await this.emailCandidate(personalInfo.email || (candidate && candidate.email), action, context));
+        } else if (action.type === 'notify_hiring_manager') {
+          results.push(await this.notifyHiringManager(application, job, action, context));
+        }
+      } catch (error) {
+        logger.error(`Pipeline action ${action.type} failed for application ${application._id}:`, error.message);
+        results.push({ type: action.type, status: 'failed', error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async emailCandidate(email, action, context) {
+    if (!email) {
+      return { type: 'email_candidate', status: 'skipped', reason: 'Candidate has no email address' };
+    }
+    const subject = interpolate(action.subject || 'Update on your application for {{jobTitle}}', context);
+    const text = interpolate(action.message || 'Your application for {{jobTitle}} moved to {{stageName}}.', context);
+
+    const result = await emailService.sendEmail(email, subject, `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`, text);
+    if (result && result.success === false) {
+      return { type: 'email_candidate', status: 'failed', error: result.error };
+    }
+    return { type: 'email_candidate', status: 'sent', to: email };
+  }
+
+  async notifyHiringManager(application, job, action, context) {
+    if (!job || !job.postedBy) {
+      return { type: 'notify_hiring_manager', status: 'skipped', reason: 'Job has no hiring manager' };
+    }
+
+    // Notifications need the tenant's id; ATS records may carry a slug
+    const manager = await User.findById(job.postedBy).select('tenantId').lean();
+    const tenantObjectId = await this.resolveTenantObjectId([application.tenantId, manager && manager.tenantId]);
+    if (!tenantObjectId) {
+      return { type: 'notify_hiring_manager', status: 'skipped', reason: 'Tenant not found' };
+    }
+
+    await Notification.create({
+      tenantId: tenantObjectId,
+      userId: job.postedBy,
+      type: 'custom',
+      title: interpolate(action.subject || '{{candidateName}} moved to {{stageName}}', context).slice(0, 255),
+      message: interpolate(action.message || '{{candidateName}} moved to {{stageName}} for {{jobTitle}}.', context),
+      data: { applicationId: application._id, jobId: application.jobId, stage: application.pipeline.stage }
+    });
+    return { type: 'notify_hiring_manager', status: 'sent', to: job.postedBy };
+  }
+
+  async resolveTenantObjectId(keys) {
+    for (const key of keys.filter(Boolean).map(String)) {
+      const tenant = await Tenant.findOne(/^[0-9a-fA-F]{24}$/.test(key) ? { _id: key } : { slug: key }).select('_id').lean();
+      if (tenant) {
+        return tenant._id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * TIME TO HIRE REPORT
+   * Average days spent in each stage and from application to hire
+   */
+  async getTimeToHireReport(tenantId, { jobId, from, to } = {}) {
+    try {
+      const match = { tenantId };
+      if (jobId) {
+        match.jobId = new mongoose.Types.ObjectId(String(jobId));
+      }
+      if (from || to) {
+        match['process.appliedAt'] = {};
+        if (from) match['process.appliedAt'].$gte = new Date(from);
+        if (to) match['process.appliedAt'].$lte = new Date(to);
+      }
+
+      const [stages, hires] = await Promise.all([
+        JobApplication.aggregate([
+          { $match: match },
+          { $unwind: '$stageHistory' },
+          {
+            $group: {
+              _id: '$stageHistory.stage',
+              stageName: { $last: '$stageHistory.stageName' },
+              entered: { $sum: 1 },
+              exited: { $sum: { $cond: [{ $ifNull: ['$stageHistory.exitedAt', false] }, 1, 0] } },
+              averageMs: { $avg: '$stageHistory.durationMs' },
+              maxMs: { $max: '$stageHistory.durationMs' }
+            }
+          },
+          { $sort: { entered: -1 } }
+        ]),
+        JobApplication.aggregate([
+          { $match: { ...match, status: 'offer-accepted' } },
+          {
+            $project: {
+              jobId: 1,
+              appliedAt: '$process.appliedAt',
+              hiredAt: { $ifNull: ['$process.offerAcceptedAt', '$updatedAt'] }
+            }
+          },
+          { $project: { jobId: 1, durationMs: { $subtract: ['$hiredAt', '$appliedAt'] } } },
+          {
+            $group: {
+              _id: null,
+              hires: { $sum: 1 },
+              averageMs: { $avg: '$durationMs' },
+              minMs: { $min: '$durationMs' },
+              maxMs: { $max: '$durationMs' }
+            }
+          }
+        ])
+      ]);
+
+      const hired = hires[0] || { hires: 0 };
+      return {
+        filters: { jobId: jobId || null, from: from || null, to: to || null },
+        timeToHire: {
+          hires: hired.hires,
+          averageDays: toDays(hired.averageMs),
+          fastestDays: toDays(hired.minMs),
+          slowestDays: toDays(hired.maxMs)
+        },
+        stages: stages.map(stage => ({
+          stage: stage._id,
+          stageName: stage.stageName,
+          entered: stage.entered,
+          exited: stage.exited,
+          averageDays: toDays(stage.averageMs),
+          longestDays: toDays(stage.maxMs)
+        }))
+      };
+
+    } catch (error) {
+      logger.error('Error building time-to-hire report:', error.message);
+      throw new Error(`Failed to build time-to-hire report: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new HiringPipelineService();
@@ -0,0 +1,534 @@
+/**
+ * LUXGEN INTERVIEW SERVICE
+ * Interview scheduling and scorecards for the ATS
+ *
+ * Features:
+ * - Schedule, reschedule and cancel interviews with a lead interviewer and panel
+ * - Availability checks against other interviews and training sessions
+ * - iCalendar invites (and updates/cancellations) for the candidate and panel
+ * - Per-interviewer scorecards on the pipeline's competencies, rolled up
+ *   into the application's ATS analysis and score
+ */
+
+const mongoose = require('mongoose');
+
+const logger = require('../utils/logger');
+const emailService = require('./emailService');
+const hiringPipelineService = require('./HiringPipelineService');
+const matchScoringService = require('./MatchScoringService');
+const JobApplication = require('../models/JobApplication');
+const TrainingSession = require('../models/TrainingSession');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { buildEvent } = require('../utils/icalendar');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../utils/errors');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_DURATION_MINUTES = 60;
+const ACTIVE_INTERVIEW_STATUSES = ['scheduled', 'rescheduled'];
+const BUSY_SESSION_STATUSES = ['scheduled', 'in-progress', 'postponed'];
+
+// Recommendation -> score contribution (0-100)
+const RECOMMENDATION_SCORES = {
+  strong_no: 0,
+  no: 25,
+  yes: 75,
+  strong_yes: 100
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const fullName = (user) => (user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : '');
+
+// 1-5 rating -> 0-100
+const ratingToScore = (rating) => ((rating - 1) / 4) * 100;
+
+class InterviewService {
+  /**
+   * AVAILABILITY
+   * Busy slots of the given users between `from` and `to`: interviews they
+   * lead or sit on, and training sessions they teach
+   */
+  async getBusySlots(userIds, from, to, { excludeInterviewId } = {}) {
+    const ids = userIds.map(id => new mongoose.Types.ObjectId(String(id)));
+
+    const [applications, sessions] = await Promise.all([
+      JobApplication.find({
+        interviews: {
+          $elemMatch: {
+            $or: [{ interviewer: { $in: ids } }, { panel: { $in: ids } }],
+            status: { $in: ACTIVE_INTERVIEW_STATUSES },
+            scheduledAt: { $lt: to },
+            endAt: { $gt: from }
+          }
+        }
+      }).select('jobId interviews').lean(),
+      TrainingSession.find({
+        'trainers.trainerId': { $in: ids },
+        status: { $in: BUSY_SESSION_STATUSES },
+        scheduledAt: { $lt: to },
+        endAt: { $gt: from }
+      }).select('title scheduledAt endAt trainers').lean()
+    ]);
+
+    const wanted = new Set(ids.map(String));
+    const slots = [];
+
+    applications.forEach(application => {
+      application.interviews.forEach(interview => {
+        if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status) ||
+          (excludeInterviewId && String(interview._id) === String(excludeInterviewId)) ||
+          !(interview.scheduledAt < to && interview.endAt > from)) {
+          return;
+        }
+        [interview.interviewer, ...(interview.panel || [])]
+          .filter(id => id && wanted.has(String(id)))
+          .forEach(userId => slots.push({
+            userId,
+            type: 'interview',
+            applicationId: application._id,
+            interviewId: interview._id,
+            start: interview.scheduledAt,
+            end: interview.endAt
+          }));
+      });
+    });
+
+    sessions.forEach(session => {
+      session.trainers
+        .filter(trainer => wanted.has(String(trainer.trainerId)))
+        .forEach(trainer => slots.push({
+          userId: trainer.trainerId,
+          type: 'training_session',
+          sessionId: session._id,
+          title: session.title,
+          start: session.scheduledAt,
+          end: session.endAt
+        }));
+    });
+
+    return slots.sort((a, b) => a.start - b.start);
+  }
+
+  async assertAvailable(userIds, start, end, options) {
+    const conflicts = await this.getBusySlots(userIds, start, end, options);
+    if (conflicts.length) {
+      const error = new ConflictError(`${conflicts.length} scheduling conflict(s) for the interview panel`);
+      error.details = conflicts;
+      throw error;
+    }
+  }
+
+  /**
+   * SCHEDULE INTERVIEW
+   */
+  async scheduleInterview(tenantId, applicationId, details, userId) {
+    const application = await this.findApplication(tenantId, applicationId);
+    const slot = this.buildSlot(details);
+    const panel = this.panelIds(details.interviewer, details.panel);
+
+    await this.assertUsersExist(panel);
+    await this.assertAvailable(panel, slot.scheduledAt, slot.endAt);
+
+    application.interviews.push({
+      ...slot,
+      type: details.type,
+      interviewer: details.interviewer,
+      panel: panel.slice(1),
+      notes: details.notes,
+      status: 'scheduled',
+      sequence: 0,
+      scheduledBy: userId
+    });
+    const interview = application.interviews[application.interviews.length - 1];
+    await application.save();
+
+    const invites = await this.sendInvites(application, interview, 'REQUEST');
+    logger.info(`Interview ${interview._id} scheduled for application ${application._id}`);
+    return { interview: interview.toObject(), invites };
+  }
+
+  /**
+   * RESCHEDULE INTERVIEW
+   * Moves the interview and/or changes the panel; invites go out again with
+   * the same UID so calendars update the existing event
+   */
+  async rescheduleInterview(tenantId, applicationId, interviewId, details, userId) {
+    const application = await this.findApplication(tenantId, applicationId);
+    const interview = this.findInterview(application, interviewId);
+    if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+      throw new ValidationError(`Cannot reschedule a ${interview.status} interview`);
+    }
+
+    const slot = this.buildSlot({
+      scheduledAt: details.scheduledAt || interview.scheduledAt,
+      durationMinutes: details.durationMinutes || interview.durationMinutes,
+      timezone: details.timezone || interview.timezone,
+      location: details.location !== undefined ? details.location : interview.location,
+      meetingUrl: details.meetingUrl !== undefined ? details.meetingUrl : interview.meetingUrl
+    });
+    const panel = this.panelIds(
+      details.interviewer || interview.interviewer,
+      details.panel !== undefined ? details.panel : interview.panel
+    );
+
+    await this.assertUsersExist(panel);
+    await this.assertAvailable(panel, slot.scheduledAt, slot.endAt, { excludeInterviewId: interview._id });
+
+    const previousPanel = this.panelIds(interview.interviewer, interview.panel).map(String);
+    Object.assign(interview, slot);
+    interview.interviewer = panel[0];
+    interview.panel = panel.slice(1);
+    interview.status = 'rescheduled';
+    interview.sequence = (interview.sequence || 0) + 1;
+    if (details.notes) {
+      interview.notes = details.notes;
+    }
+    application.communications.push({
+      type: 'note',
+      content: `Interview rescheduled to ${slot.scheduledAt.toISOString()}`,
+      sentBy: userId,
+      direction: 'outbound'
+    });
+    await application.save();
+
+    const invites = await this.sendInvites(application, interview, 'REQUEST');
+    // Interviewers dropped from the panel get a cancellation
+    const removed = previousPanel.filter(id => !panel.map(String).includes(id));
+    if (removed.length) {
+      invites.push(...await this.sendInvites(application, interview, 'CANCEL', { panelIds: removed, includeCandidate: false }));
+    }
+    return { interview: interview.toObject(), invites };
+  }
+
+  /**
+   * CANCEL INTERVIEW
+   */
+  async cancelInterview(tenantId, applicationId, interviewId, { reason } = {}, userId) {
+    const application = await this.findApplication(tenantId, applicationId);
+    const interview = this.findInterview(application, interviewId);
+    if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+      throw new ValidationError(`Cannot cancel a ${interview.status} interview`);
+    }
+
+    interview.status = 'cancelled';
+    interview.cancelledAt = new Date();
+    interview.cancellationReason = reason;
+    interview.sequence = (interview.sequence || 0) + 1;
+    application.communications.push({
+      type: 'note',
+      content: `Interview cancelled${reason ? `: ${reason}` : ''}`,
+      sentBy: userId,
+      direction: 'outbound'
+    });
+    await application.save();
+
+    const invites = await this.sendInvites(application, interview, 'CANCEL');
+    return { interview: interview.toObject(), invites };
+  }
+
+  /**
+   * SUBMIT SCORECARD
+   * One scorecard per interviewer; submitting again replaces it. Every
+   * competency of the pipeline's scorecard must be rated 1-5.
+   */
+  async submitScorecard(tenantId, applicationId, interviewId, { competencies = [], recommendation, notes }, user) {
+    const application = await this.findApplication(tenantId, applicationId);
+    const interview = this.findInterview(application, interviewId);
+    const userId = String(user.id || user._id);
+
+    const panel = this.panelIds(interview.interviewer, interview.panel).map(String);
+    if (!panel.includes(userId)) {
+      throw new AuthorizationError('Only the interview panel can submit scorecards');
+    }
+    if (interview.status === 'cancelled') {
+      throw new ValidationError('Cannot score a cancelled interview');
+    }
+
+    const pipeline = await hiringPipelineService.getApplicationPipeline(application);
+    const definitions = hiringPipelineService.getCompetencies(pipeline);
+    const ratings = new Map(competencies.map(item => [String(item.key).toLowerCase(), item]));
+
+    const missing = definitions.filter(definition => !ratings.has(definition.key));
+    if (missing.length) {
+      throw new ValidationError(`Missing ratings for: ${missing.map(definition => definition.name).join(', ')}`);
+    }
+    const unknown = [...ratings.keys()].filter(key => !definitions.some(definition => definition.key === key));
+    if (unknown.length) {
+      throw new ValidationError(`Unknown competencies: ${unknown.join(', ')}`);
+    }
+
+    // Definitions are copied so later scorecard changes keep history intact
+    const scored = definitions.map(definition => {
+      const rating = Number(ratings.get(definition.key).rating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw new ValidationError(`${definition.name} must be rated 1-5`);
+      }
+      return {
+        key: definition.key,
+        name: definition.name,
+        weight: typeof definition.weight === 'number' ? definition.weight : 1,
+        rating,
+        notes: ratings.get(definition.key).notes
+      };
+    });
+
+    // Weighted average; plain average when every weight is zero
+    const totalWeight = scored.reduce((sum, item) => sum + item.weight, 0);
+    const weighted = totalWeight > 0
+      ? scored.reduce((sum, item) => sum + item.rating * item.weight, 0) / totalWeight
+      : scored.reduce((sum, item) => sum + item.rating, 0) / scored.length;
+    const overallRating = Math.round(weighted * 100) / 100;
+
+    interview.scorecards = interview.scorecards.filter(card => String(card.interviewer) !== userId);
+    interview.scorecards.push({
+      interviewer: userId,
+      competencies: scored,
+      overallRating,
+      recommendation,
+      notes,
+      submittedAt: new Date()
+    });
+
+    // Complete once every panel member has scored
+    if (panel.every(id => interview.scorecards.some(card => String(card.interviewer) === id))) {
+      interview.status = 'completed';
+      interview.conductedAt = interview.conductedAt || interview.scheduledAt;
+    }
+    const cards = interview.scorecards;
+    interview.rating = Math.round((cards.reduce((sum, card) => sum + card.overallRating, 0) / cards.length) * 100) / 100;
+
+    this.rollUpScorecards(application);
+    await application.save();
+
+    return {
+      scorecard: interview.scorecards[interview.scorecards.length - 1].toObject(),
+      interview: { _id: interview._id, status: interview.status, rating: interview.rating },
+      analysis: application.atsData.aiAnalysis.interview,
+      score: application.atsData.score
+    };
+  }
+
+  /**
+   * Aggregate every scorecard of the application into
+   * atsData.aiAnalysis.interview and refresh atsData.score
+   */
+  rollUpScorecards(application) {
+    const cards = application.interviews
+      .filter(interview => interview.status !== 'cancelled')
+      .reduce((all, interview) => all.concat(interview.scorecards || []), []);
+    if (cards.length === 0) {
+      return null;
+    }
+
+    const recommendations = { strong_no: 0, no: 0, yes: 0, strong_yes: 0 };
+    const competencies = new Map();
+    let ratingTotal = 0;
+    let scoreTotal = 0;
+
+    cards.forEach(card => {
+      ratingTotal += card.overallRating;
+      // Without a recommendation the card counts by its rating alone
+      const ratingScore = ratingToScore(card.overallRating);
+      scoreTotal += card.recommendation
+        ? (ratingScore + RECOMMENDATION_SCORES[card.recommendation]) / 2
+        : ratingScore;
+      if (card.recommendation) {
+        recommendations[card.recommendation] += 1;
+      }
+      card.competencies.forEach(item => {
+        const entry = competencies.get(item.key) || { key: item.key, name: item.name, total: 0, ratings: 0 };
+        entry.total += item.rating;
+        entry.ratings += 1;
+        competencies.set(item.key, entry);
+      });
+    });
+
+    const interview = {
+      score: Math.round(scoreTotal / cards.length),
+      scorecards: cards.length,
+      averageRating: Math.round((ratingTotal / cards.length) * 100) / 100,
+      recommendations,
+      competencies: [...competencies.values()].map(entry => ({
+        key: entry.key,
+        name: entry.name,
+        averageRating: Math.round((entry.total / entry.ratings) * 100) / 100,
+        ratings: entry.ratings
+      })),
+      updatedAt: new Date()
+    };
+
+    application.atsData.aiAnalysis.interview = interview;
+    application.atsData.score = matchScoringService.combinedScore({
+      overallFit: application.atsData.aiAnalysis.overallFit,
+      interview
+    });
+    return interview;
+  }
+
+  /**
+   * CALENDAR INVITES
+   */
+  async buildInvite(application, interview, method = 'REQUEST', panelIds = null) {
+    const panelUserIds = panelIds || this.panelIds(interview.interviewer, interview.panel);
+    const [job, users] = await Promise.all([
+      Job.findById(application.jobId).select('title company').lean(),
+      User.find({ _id: { $in: panelUserIds.concat(application.candidateId) } })
+        .select('firstName lastName email')
+        .lean()
+    ]);
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    const candidateUser = usersById.get(String(application.candidateId));
+    const personalInfo = (application.candidateProfile && application.candidateProfile.personalInfo) || {};
+
+    const candidate = {
+      name: personalInfo.fullName || fullName(candidateUser),
+      email: personalInfo.email || (candidateUser && candidateUser.email)
+    };
+    const panel = panelUserIds
+      .map(id => usersById.get(String(id)))
+      .filter(Boolean)
+      .map(user => ({ userId: user._id, name: fullName(user), email: user.email }));
+
+    const jobTitle = job ? job.title : 'Interview';
+    const summary = `${interview.type ? `${interview.type} interview` : 'Interview'}: ${candidate.name || 'Candidate'} - ${jobTitle}`;
+    const description = [
+      `Interview for ${jobTitle}${job && job.company ? ` at ${job.company.name}` : ''}.`,
+      interview.meetingUrl ? `Join: ${interview.meetingUrl}` : null,
+      interview.timezone ? `Time zone: ${interview.timezone}` : null
+    ].filter(Boolean).join('\n');
+
+    const ics = buildEvent({
+      uid: `interview-${interview._id}@luxgen`,
+      sequence: interview.sequence || 0,
+      method,
+      start: interview.scheduledAt,
+      end: interview.endAt,
+      summary,
+      description,
+      location: interview.location || interview.meetingUrl,
+      url: interview.meetingUrl,
+      organizer: panel[0],
+      attendees: [
+        ...panel.map(member => ({ ...member, role: 'REQ-PARTICIPANT' })),
+        { ...candidate, role: 'REQ-PARTICIPANT' }
+      ]
+    });
+
+    return { ics, summary, description, candidate, panel, jobTitle };
+  }
+
+  /**
+   * Email the invite to the candidate and panel (or the given panel
+   * members only). Returns one result per recipient; failures are
+   * reported, not thrown.
+   */
+  async sendInvites(application, interview, method, { panelIds = null, includeCandidate = true } = {}) {
+    const invite = await this.buildInvite(application, interview, method, panelIds);
+    const cancelled = method === 'CANCEL';
+    const when = `${interview.scheduledAt.toUTCString()}${interview.timezone ? ` (${interview.timezone})` : ''}`;
+
+    const recipients = invite.panel
+      .map(member => ({ ...member, role: 'interviewer' }));
+    if (includeCandidate && invite.candidate.email) {
+      recipients.push({ ...invite.candidate, role: 'candidate' });
+    }
+
+    const subject = `${cancelled ? 'Cancelled' : interview.sequence ? 'Updated' : 'Invitation'}: ${invite.summary}`;
+    const results = [];
+    for (const recipient of recipients) {
+      if (!recipient.email) {
+        results.push({ to: recipient.userId, role: recipient.role, status: 'skipped', reason: 'No email address' });
+        continue;
+      }
+      const html = `<p>Hi ${escapeHtml(recipient.name || 'there')},</p>` +
+        `<p>${cancelled ? 'The following interview has been cancelled' : 'You are invited to the following interview'}: ` +
+        `<strong>${escapeHtml(invite.jobTitle)}</strong>, ${escapeHtml(when)}.</p>` +
+        `<p>${escapeHtml(invite.description).replace(/\n/g, '<br>')}</p>`;
+      try {
+        const sent = await emailService.sendCalendarInvite(recipient.email, subject, html, invite.ics, method);
+        if (!sent.success) {
+          throw new Error(sent.error || 'Email was not sent');
+        }
+        results.push({ to: recipient.email, role: recipient.role, status: 'sent' });
+      } catch (error) {
+        logger.error(`Failed to send interview invite to ${recipient.email}:`, error.message);
+        results.push({ to: recipient.email, role: recipient.role, status: 'failed', error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * The invite (.ics) of an interview, for download
+   */
+  async getInviteFile(tenantId, applicationId, interviewId) {
+    const application = await this.findApplication(tenantId, applicationId);
+    const interview = this.findInterview(application, interviewId);
+    const { ics } = await this.buildInvite(application, interview, interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST');
+    return ics;
+  }
+
+  /**
+   * HELPERS
+   */
+  async findApplication(tenantId, applicationId) {
+    const application = mongoose.Types.ObjectId.isValid(applicationId)
+      ? await JobApplication.findOne({ _id: applicationId, tenantId })
+      : null;
+    if (!application) {
+      throw new NotFoundError('Application not found');
+    }
+    return application;
+  }
+
+  findInterview(application, interviewId) {
+    const interview = mongoose.Types.ObjectId.isValid(interviewId) ? application.interviews.id(interviewId) : null;
+    if (!interview) {
+      throw new NotFoundError('Interview not found');
+    }
+    return interview;
+  }
+
+  buildSlot({ scheduledAt, durationMinutes, timezone, location, meetingUrl }) {
+    const start = new Date(scheduledAt);
+    if (isNaN(start.getTime())) {
+      throw new ValidationError('scheduledAt must be a valid date');
+    }
+    if (start < new Date()) {
+      throw new ValidationError('Interviews cannot be scheduled in the past');
+    }
+    const duration = parseInt(durationMinutes, 10) || DEFAULT_DURATION_MINUTES;
+    return {
+      scheduledAt: start,
+      endAt: new Date(start.getTime() + duration * MINUTE_MS),
+      durationMinutes: duration,
+      timezone,
+      location,
+      meetingUrl
+    };
+  }
+
+  /**
+   * Lead interviewer first, then the rest of the panel, without duplicates
+   */
+  panelIds(interviewer, panel = []) {
+    const ids = [interviewer, ...(panel || [])].filter(Boolean).map(String);
+    return [...new Set(ids)];
+  }
+
+  async assertUsersExist(userIds) {
+    if (userIds.length === 0) {
+      throw new ValidationError('An interviewer is required');
+    }
+    const found = await User.countDocuments({ _id: { $in: userIds } });
+    if (found !== userIds.length) {
+      throw new ValidationError('One or more interviewers do not exist');
+    }
+  }
+}
+
+module.exports = new InterviewService();
@@ -0,0 +1,460 @@
+/**
+ * LUXGEN JOB ALERT SERVICE
+ * Sends candidates a periodic digest of newly posted jobs that match the
+ * saved search in CandidateProfile.preferences.jobAlerts.
+ *
+ * Features:
+ * - Saved search criteria evaluated with the same filters as GET /jobs
+ * - Daily, weekly or monthly schedule with an in-process runner
+ * - Deduplication against every job already sent to the candidate
+ * - Tenant branded digest email
+ * - One-click unsubscribe (RFC 8058 List-Unsubscribe headers and a link)
+ */
+
+const jwt = require('jsonwebtoken');
+const Job = require('../models/Job');
+const CandidateProfile = require('../models/CandidateProfile');
+const JobAlertDigest = require('../models/JobAlertDigest');
+const Tenant = require('../models/Tenant');
+const jobSearchService = require('./JobSearchService');
+const emailService = require('./emailService');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCY_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  monthly: 30 * DAY_MS
+};
+const DEFAULT_FREQUENCY = 'weekly';
+const MAX_JOBS_PER_DIGEST = 20;
+const BATCH_SIZE = 100;
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const UNSUBSCRIBE_TOKEN_TYPE = 'job-alert-unsubscribe';
+const DEFAULT_BRANDING = { primaryColor: '#3B82F6', secondaryColor: '#1E40AF' };
+
+const escapeHtml = value => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class JobAlertService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ==================== SETTINGS ====================
+
+  async getProfile(userId) {
+    const profile = await CandidateProfile.findOne({ userId });
+    if (!profile) {
+      throw new NotFoundError('Candidate profile not found');
+    }
+    return profile;
+  }
+
+  toSettings(profile) {
+    const alerts = (profile.preferences && profile.preferences.jobAlerts) || {};
+    const criteria = alerts.criteria || {};
+    return {
+      enabled: Boolean(alerts.enabled),
+      frequency: alerts.frequency || DEFAULT_FREQUENCY,
+      criteria: {
+        keywords: criteria.keywords || [],
+        locations: criteria.locations || [],
+        jobTypes: criteria.jobTypes || [],
+        salaryRange: criteria.salaryRange || {}
+      },
+      lastSentAt: alerts.lastSentAt || null,
+      nextRunAt: alerts.enabled ? alerts.nextRunAt || null : null,
+      unsubscribedAt: alerts.unsubscribedAt || null
+    };
+  }
+
+  async getSettings(userId) {
+    return this.toSettings(await this.getProfile(userId));
+  }
+
+  /**
+   * Update the saved search and schedule. Enabling alerts or changing the
+   * frequency restarts the schedule from now.
+   */
+  async updateSettings(userId, { enabled, frequency, criteria } = {}) {
+    const profile = await this.getProfile(userId);
+    const alerts = profile.get('preferences.jobAlerts') || {};
+    const wasEnabled = Boolean(alerts.enabled);
+    const previousFrequency = alerts.frequency || DEFAULT_FREQUENCY;
+
+    if (frequency !== undefined && !FREQUENCY_MS[frequency]) {
+      throw new ValidationError('Invalid job alert frequency', { frequency });
+    }
+    if (enabled !== undefined) {
+      profile.set('preferences.jobAlerts.enabled', Boolean(enabled));
+    }
+    if (frequency !== undefined) {
+      profile.set('preferences.jobAlerts.frequency', frequency);
+    }
+    if (criteria !== undefined) {
+      profile.set('preferences.jobAlerts.criteria', this.normalizeCriteria(criteria));
+    }
+
+    const settings = this.toSettings(profile);
+    if (settings.enabled && (!wasEnabled || settings.frequency !== previousFrequency || !alerts.nextRunAt)) {
+      profile.set('preferences.jobAlerts.frequency', settings.frequency);
+      profile.set('preferences.jobAlerts.nextRunAt', this.nextRunAfter(new Date(), settings.frequency));
+      profile.set('preferences.jobAlerts.unsubscribedAt', undefined);
+      if (!wasEnabled) {
+        // Only jobs posted from now on; nothing from before the alert existed
+        profile.set('preferences.jobAlerts.lastSentAt', new Date());
+      }
+    }
+
+    await profile.save();
+    logger.info('Job alert settings updated', { userId, enabled: settings.enabled, frequency: settings.frequency });
+    return this.toSettings(profile);
+  }
+
+  normalizeCriteria(criteria = {}) {
+    const list = value => (Array.isArray(value) ? value : value ? [value] : [])
+      .map(v => String(v).trim())
+      .filter(Boolean);
+    const salaryRange = criteria.salaryRange || {};
+    const min = Number(salaryRange.min);
+    const max = Number(salaryRange.max);
+
+    if (Number.isFinite(min) && Number.isFinite(max) && min > max) {
+      throw new ValidationError('salaryRange.min must not exceed salaryRange.max', { salaryRange });
+    }
+
+    return {
+      keywords: list(criteria.keywords),
+      locations: list(criteria.locations),
+      jobTypes: list(criteria.jobTypes),
+      salaryRange: {
+        min: Number.isFinite(min) ? min : undefined,
+        max: Number.isFinite(max) ? max : undefined
+      }
+    };
+  }
+
+  // ==================== MATCHING ====================
+
+  /**
+   * Translate saved criteria into GET /jobs search parameters.
+   */
+  toSearchParams(criteria = {}) {
+    const salaryRange = criteria.salaryRange || {};
+    return {
+      search: criteria.keywords && criteria.keywords.length ? criteria.keywords : undefined,
+      location: criteria.locations,
+      jobType: criteria.jobTypes,
+      salaryMin: salaryRange.min,
+      salaryMax: salaryRange.max
+    };
+  }
+
+  /**
+   * Jobs published after `since` that match the candidate's criteria and
+   * have not been sent to them before, newest first.
+   */
+  async findMatchingJobs(profile, { since, limit = MAX_JOBS_PER_DIGEST } = {}) {
+    const criteria = profile.get('preferences.jobAlerts.criteria') || {};
+    const filter = jobSearchService.buildFilter(profile.tenantId, this.toSearchParams(criteria));
+
+    // Jobs can be drafted long before they are published
+    filter.$and = [...(filter.$and || []), {
+      $or: [
+        { publishedAt: { $gt: since } },
+        { publishedAt: null, createdAt: { $gt: since } }
+      ]
+    }, {
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }];
+
+    const candidates = await Job.find(filter)
+      .select('title company location jobType experienceLevel salary publishedAt createdAt')
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(limit * 2)
+      .lean();
+    if (!candidates.length) {
+      return [];
+    }
+
+    const alreadySent = await JobAlertDigest.distinct('jobIds', {
+      candidateProfileId: profile._id,
+      status: 'sent',
+      jobIds: { $in: candidates.map(job => job._id) }
+    });
+    const sent = new Set(alreadySent.map(String));
+    return candidates.filter(job => !sent.has(String(job._id))).slice(0, limit);
+  }
+
+  /**
+   * Preview what the next digest would contain.
+   */
+  async preview(userId) {
+    const profile = await this.getProfile(userId);
+    const settings = this.toSettings(profile);
+    const since = this.windowStart(profile, new Date());
+    const jobs = await this.findMatchingJobs(profile, { since });
+    return { settings, since, jobs };
+  }
+
+  // ==================== SCHEDULING ====================
+
+  nextRunAfter(date, frequency) {
+    return new Date(date.getTime() + (FREQUENCY_MS[frequency] || FREQUENCY_MS[DEFAULT_FREQUENCY]));
+  }
+
+  windowStart(profile, now) {
+    const alerts = profile.get('preferences.jobAlerts') || {};
+    return alerts.lastSentAt || new Date(now.getTime() - (FREQUENCY_MS[alerts.frequency] || FREQUENCY_MS[DEFAULT_FREQUENCY]));
+  }
+
+  /**
+   * Send every digest that is due. Each profile is claimed by moving its
+   * nextRunAt forward first, so concurrent runners never send twice.
+   */
+  async runDue({ now = new Date(), batchSize = BATCH_SIZE } = {}) {
+    const stats = { processed: 0, sent: 0, empty: 0, failed: 0 };
+
+    for (;;) {
+      const due = await CandidateProfile.find({
+        status: 'active',
+        'preferences.jobAlerts.enabled': true,
+        $or: [
+          { 'preferences.jobAlerts.nextRunAt': { $lte: now } },
+          { 'preferences.jobAlerts.nextRunAt': null }
+        ]
+      }).limit(batchSize);
+      if (!due.length) {
+        break;
+      }
+
+      for (const profile of due) {
+        const alerts = profile.get('preferences.jobAlerts');
+        const claimed = await CandidateProfile.updateOne(
+          { _id: profile._id, 'preferences.jobAlerts.nextRunAt': alerts.nextRunAt || null },
+          { $set: { 'preferences.jobAlerts.nextRunAt': this.nextRunAfter(now, alerts.frequency) } }
+        );
+        if (!claimed.modifiedCount) {
+          continue;
+        }
+
+        stats.processed++;
+        try {
+          const result = await this.sendDigest(profile, { now });
+          stats[result.status === 'sent' ? 'sent' : 'empty']++;
+        } catch (error) {
+          stats.failed++;
+          logger.error('Failed to send job alert digest', { profileId: profile._id, error: error.message });
+        }
+      }
+
+      if (due.length < batchSize) {
+        break;
+      }
+    }
+
+    logger.info('Job alert run complete', stats);
+    return stats;
+  }
+
+  /**
+   * Start the in-process runner. Safe to call more than once.
+   */
+  start({ intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    if (this.timer) {
+      return;
+    }
+    const tick = () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      this.runDue()
+        .catch(error => logger.error('Job alert run failed', { error: error.message }))
+        .finally(() => {
+          this.running = false;
+        });
+    };
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+    logger.info('Job alert scheduler started', { intervalMs });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ==================== DELIVERY ====================
+
+  /**
+   * Build and send one digest. Returns { status: 'sent' | 'empty' }.
+   */
+  async sendDigest(profile, { now = new Date() } = {}) {
+    const alerts = profile.get('preferences.jobAlerts') || {};
+    const email = profile.get('personalInfo.email');
+    if (!email) {
+      return { status: 'empty', reason: 'No email address' };
+    }
+
+    const jobs = await this.findMatchingJobs(profile, { since: this.windowStart(profile, now) });
+    if (!jobs.length) {
+      await CandidateProfile.updateOne({ _id: profile._id }, { $set: { 'preferences.jobAlerts.lastSentAt': now } });
+      return { status: 'empty' };
+    }
+
+    const brand = await this.getBranding(profile.tenantId);
+    const unsubscribeUrl = this.unsubscribeUrl(profile);
+    const { subject, html } = this.renderDigest({ profile, jobs, brand, unsubscribeUrl });
+    const digest = {
+      tenantId: profile.tenantId,
+      userId: profile.userId,
+      candidateProfileId: profile._id,
+      email,
+      frequency: alerts.frequency || DEFAULT_FREQUENCY,
+      jobIds: jobs.map(job => job._id),
+      sentAt: now
+    };
+
+    try {
+      const result = await emailService.sendEmail(email, subject, html, null, {
+        list: {
+          unsubscribe: { url: unsubscribeUrl, comment: 'Unsubscribe from job alerts' }
+        },
+        headers: {
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Email was not sent');
+      }
+      await JobAlertDigest.create({ ...digest, status: 'sent', messageId: result.messageId });
+    } catch (error) {
+      await JobAlertDigest.create({ ...digest, status: 'failed', error: error.message });
+      throw error;
+    }
+
+    await CandidateProfile.updateOne({ _id: profile._id }, { $set: { 'preferences.jobAlerts.lastSentAt': now } });
+    logger.info('Job alert digest sent', { profileId: profile._id, jobs: jobs.length });
+    return { status: 'sent', jobs: jobs.length };
+  }
+
+  async getBranding(tenantKey) {
+    const key = String(tenantKey || '');
+    const tenant = key
+      ? await Tenant.findOne(/^[0-9a-fA-F]{24}$/.test(key) ? { _id: key } : { slug: key })
+        .select('name slug settings.branding')
+        .lean()
+      : null;
+    const branding = (tenant && tenant.settings && tenant.settings.branding) || {};
+    return {
+      name: (tenant && tenant.name) || process.env.APP_NAME || 'LuxGen',
+      logo: branding.logo || null,
+      primaryColor: branding.primaryColor || DEFAULT_BRANDING.primaryColor,
+      secondaryColor: branding.secondaryColor || DEFAULT_BRANDING.secondaryColor
+    };
+  }
+
+  renderDigest({ profile, jobs, brand, unsubscribeUrl }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const firstName = profile.get('personalInfo.firstName') || 'there';
+    const subject = `${jobs.length} new job${jobs.length === 1 ? '' : 's'} matching your alert - ${brand.name}`;
+
+    const jobRows = jobs.map(job => {
+      const location = job.location && job.location.remote
+        ? 'Remote'
+        : [job.location && job.location.city, job.location && job.location.country].filter(Boolean).join(', ');
+      const salary = job.salary && job.salary.min
+        ? `${job.salary.currency || 'USD'} ${job.salary.min.toLocaleString('en-US')}${job.salary.max ? ` - ${job.salary.max.toLocaleString('en-US')}` : ''}`
+        : '';
+      const details = [job.company && job.company.name, location, job.jobType, salary].filter(Boolean).map(escapeHtml).join(' &middot; ');
+      return `
+          <tr>
+            <td style="padding: 16px 0; border-bottom: 1px solid #e5e7eb;">
+              <a href="${frontendUrl}/jobs/${job._id}" style="color: ${escapeHtml(brand.primaryColor)}; font-size: 16px; font-weight: bold; text-decoration: none;">${escapeHtml(job.title)}</a>
+              <div style="color: #6b7280; font-size: 14px; margin-top: 4px;">${details}</div>
+            </td>
+          </tr>`;
+    }).join('');
+
+    const header = brand.logo
+      ? `<img src="${escapeHtml(brand.logo)}" alt="${escapeHtml(brand.name)}" style="max-height: 48px;">`
+      : `<h1 style="margin: 0; font-size: 24px;">${escapeHtml(brand.name)}</h1>`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: ${escapeHtml(brand.primaryColor)}; padding: 24px; text-align: center; color: white;">
+          ${header}
+        </div>
+        <div style="padding: 24px; background: #ffffff;">
+          <p style="color: #111827; font-size: 16px;">Hi ${escapeHtml(firstName)},</p>
+          <p style="color: #374151;">Here are the latest jobs matching your alert.</p>
+          <table style="width: 100%; border-collapse: collapse;">${jobRows}
+          </table>
+          <div style="text-align: center; margin-top: 24px;">
+            <a href="${frontendUrl}/jobs" style="background: ${escapeHtml(brand.secondaryColor)}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Browse all jobs</a>
+          </div>
+        </div>
+        <div style="padding: 16px; text-align: center; color: #9ca3af; font-size: 12px;">
+          You are receiving this because you turned on job alerts with ${escapeHtml(brand.name)}.
+          <a href="${unsubscribeUrl}" style="color: #6b7280;">Unsubscribe</a>
+        </div>
+      </div>
+    `;
+
+    return { subject, html };
+  }
+
+  // ==================== UNSUBSCRIBE ====================
+
+  /**
+   * Tokens carry no userId, so they can never pass authenticateToken.
+   */
+  createUnsubscribeToken(profile) {
+    return jwt.sign(
+      { profileId: String(profile._id), type: UNSUBSCRIBE_TOKEN_TYPE },
+      process.env.JWT_SECRET || 'your-jwt-secret'
+    );
+  }
+
+  unsubscribeUrl(profile) {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 4004}`;
+    return `${apiUrl}/api/v1/jobs/alerts/unsubscribe?token=${encodeURIComponent(this.createUnsubscribeToken(profile))}`;
+  }
+
+  async unsubscribe(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-jwt-secret');
+    } catch (error) {
+      throw new ValidationError('Invalid unsubscribe link');
+    }
+    if (decoded.type !== UNSUBSCRIBE_TOKEN_TYPE || !decoded.profileId) {
+      throw new ValidationError('Invalid unsubscribe link');
+    }
+
+    const profile = await CandidateProfile.findByIdAndUpdate(decoded.profileId, {
+      $set: {
+        'preferences.jobAlerts.enabled': false,
+        'preferences.jobAlerts.unsubscribedAt': new Date()
+      },
+      $unset: { 'preferences.jobAlerts.nextRunAt': 1 }
+    }, { new: true });
+    if (!profile) {
+      throw new NotFoundError('Job alert subscription not found');
+    }
+
+    logger.info('Job alerts unsubscribed', { profileId: profile._id });
+    return { tenantId: profile.tenantId };
+  }
+}
+
+module.exports = new JobAlertService();
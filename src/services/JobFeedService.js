@@ -0,0 +1,398 @@
+/**
+ * LUXGEN JOB FEED SERVICE
+ * Publishes a tenant's open jobs to external aggregators.
+ *
+ * Features:
+ * - XML job feed in the format read by the major aggregators
+ * - schema.org JobPosting JSON-LD
+ * - RSS 2.0
+ * - Tenant branding on every feed
+ * - Signed referral links so applications from feeds are attributed
+ */
+
+const jwt = require('jsonwebtoken');
+const Job = require('../models/Job');
+const Tenant = require('../models/Tenant');
+const { NotFoundError } = require('../utils/errors');
+
+const FEED_FORMATS = ['xml', 'jsonld', 'rss'];
+const MAX_FEED_JOBS = 1000;
+const REFERRAL_TOKEN_TYPE = 'job-feed-referral';
+const REFERRAL_TTL = '30d';
+
+// Job.jobType -> aggregator XML <jobtype>
+const XML_JOB_TYPES = {
+  'full-time': 'fulltime',
+  'part-time': 'parttime',
+  contract: 'contract',
+  internship: 'internship',
+  freelance: 'contract'
+};
+
+// Job.jobType -> schema.org employmentType
+const SCHEMA_EMPLOYMENT_TYPES = {
+  'full-time': 'FULL_TIME',
+  'part-time': 'PART_TIME',
+  contract: 'CONTRACTOR',
+  internship: 'INTERN',
+  freelance: 'CONTRACTOR'
+};
+
+// Job.salary.period -> schema.org unitText / XML wording
+const SALARY_UNITS = {
+  hourly: { schema: 'HOUR', label: 'per hour' },
+  monthly: { schema: 'MONTH', label: 'per month' },
+  yearly: { schema: 'YEAR', label: 'per year' }
+};
+
+const escapeXml = value => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA cannot contain "]]>", so split it across two sections
+const cdata = value => `<![CDATA[${String(value === undefined || value === null ? '' : value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+class JobFeedService {
+  // ==================== TENANT AND JOBS ====================
+
+  /**
+   * Resolve an active tenant by slug or id.
+   */
+  async getTenant(tenantKey) {
+    const key = String(tenantKey || '');
+    const tenant = await Tenant.findOne({
+      ...(/^[0-9a-fA-F]{24}$/.test(key) ? { _id: key } : { slug: key.toLowerCase() }),
+      status: 'active',
+      isActive: true
+    }).select('name slug domain settings.branding').lean();
+
+    if (!tenant) {
+      throw new NotFoundError('Careers feed not found');
+    }
+    return tenant;
+  }
+
+  /**
+   * Jobs stored under either tenant key (slug or id string)
+   */
+  tenantKeys(tenant) {
+    return [tenant.slug, String(tenant._id)];
+  }
+
+  /**
+   * Open, public, unexpired jobs for a tenant, newest first.
+   */
+  listJobs(tenant) {
+    const now = new Date();
+    return Job.find({
+      tenantId: { $in: this.tenantKeys(tenant) },
+      status: 'active',
+      visibility: 'public',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    })
+      .select('-analytics')
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(MAX_FEED_JOBS)
+      .lean();
+  }
+
+  async getFeedJob(tenant, jobId) {
+    const jobs = await Job.find({
+      _id: jobId,
+      tenantId: { $in: this.tenantKeys(tenant) },
+      status: 'active',
+      visibility: 'public',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).limit(1).lean();
+
+    if (!jobs.length) {
+      throw new NotFoundError('Job not found');
+    }
+    return jobs[0];
+  }
+
+  // ==================== LINKS AND BRANDING ====================
+
+  apiUrl() {
+    return process.env.API_URL || `http://localhost:${process.env.PORT || 4004}`;
+  }
+
+  feedUrl(tenant, format) {
+    const file = { xml: 'jobs.xml', jsonld: 'jobs.jsonld', rss: 'rss.xml' }[format];
+    return `${this.apiUrl()}/api/v1/careers/${tenant.slug}/${file}`;
+  }
+
+  /**
+   * Public link used in feeds. It goes through the referral redirect so the
+   * application can be attributed to the feed.
+   */
+  jobUrl(tenant, job, format) {
+    return `${this.apiUrl()}/api/v1/careers/${tenant.slug}/jobs/${job._id}/apply?feed=${format}`;
+  }
+
+  careersUrl(tenant) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/careers/${tenant.slug}`;
+  }
+
+  getBranding(tenant) {
+    const branding = (tenant.settings && tenant.settings.branding) || {};
+    return {
+      name: tenant.name,
+      slug: tenant.slug,
+      url: this.careersUrl(tenant),
+      logo: branding.logo || null,
+      favicon: branding.favicon || null,
+      primaryColor: branding.primaryColor || '#3B82F6',
+      secondaryColor: branding.secondaryColor || '#1E40AF'
+    };
+  }
+
+  /**
+   * Feed index for a tenant: branding plus the feed URLs.
+   */
+  describe(tenant) {
+    return {
+      tenant: this.getBranding(tenant),
+      feeds: FEED_FORMATS.reduce((feeds, format) => ({ ...feeds, [format]: this.feedUrl(tenant, format) }), {})
+    };
+  }
+
+  // ==================== REFERRALS ====================
+
+  createReferralToken(job, { feed, channel } = {}) {
+    return jwt.sign(
+      { jobId: String(job._id), type: REFERRAL_TOKEN_TYPE, feed, channel },
+      process.env.JWT_SECRET || 'your-jwt-secret',
+      { expiresIn: REFERRAL_TTL }
+    );
+  }
+
+  /**
+   * Where a feed click lands: the job page on the frontend with a referral
+   * token the apply form sends back as `ref`.
+   */
+  referralRedirectUrl(job, { feed, channel } = {}) {
+    const params = new URLSearchParams({
+      ref: this.createReferralToken(job, { feed: FEED_FORMATS.includes(feed) ? feed : undefined, channel }),
+      utm_medium: 'job-feed'
+    });
+    if (channel) {
+      params.set('utm_source', channel);
+    }
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/jobs/${job._id}?${params}`;
+  }
+
+  /**
+   * Returns the referral details for a valid token issued for `jobId`, or
+   * null. Attribution never blocks an application.
+   */
+  verifyReferral(token, jobId) {
+    if (!token) {
+      return null;
+    }
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-jwt-secret');
+      if (decoded.type !== REFERRAL_TOKEN_TYPE || decoded.jobId !== String(jobId)) {
+        return null;
+      }
+      return { feed: decoded.feed || null, channel: decoded.channel || null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ==================== RENDERING ====================
+
+  formatLocation(job) {
+    const location = job.location || {};
+    const companyLocation = (job.company && job.company.location) || {};
+    return {
+      city: location.city || companyLocation.city || '',
+      state: location.state || companyLocation.state || '',
+      country: location.country || companyLocation.country || '',
+      remote: Boolean(location.remote),
+      hybrid: Boolean(location.hybrid)
+    };
+  }
+
+  formatSalary(job) {
+    const salary = job.salary || {};
+    if (!salary.min && !salary.max) {
+      return '';
+    }
+    const unit = SALARY_UNITS[salary.period] || SALARY_UNITS.yearly;
+    const amount = value => `${salary.currency || 'USD'} ${Number(value).toLocaleString('en-US')}`;
+    const range = salary.min && salary.max && salary.min !== salary.max
+      ? `${amount(salary.min)} - ${amount(salary.max)}`
+      : amount(salary.min || salary.max);
+    return `${range} ${unit.label}`;
+  }
+
+  /**
+   * XML job feed (<source><job>...</job></source>)
+   */
+  toXml(tenant, jobs) {
+    const items = jobs.map(job => {
+      const location = this.formatLocation(job);
+      const remoteType = location.remote ? 'Fully remote' : location.hybrid ? 'Hybrid remote' : '';
+      const experienceYears = job.requirements && job.requirements.experience && job.requirements.experience.years;
+      const fields = [
+        ['title', job.title],
+        ['date', new Date(job.publishedAt || job.createdAt).toUTCString()],
+        ['referencenumber', String(job._id)],
+        ['url', this.jobUrl(tenant, job, 'xml')],
+        ['company', (job.company && job.company.name) || tenant.name],
+        ['sourcename', tenant.name],
+        ['city', location.city],
+        ['state', location.state],
+        ['country', location.country],
+        ['description', job.description],
+        ['salary', this.formatSalary(job)],
+        ['jobtype', XML_JOB_TYPES[job.jobType]],
+        ['experience', experienceYears ? `${experienceYears}+ years` : ''],
+        ['remotetype', remoteType],
+        ['expirationdate', job.expiresAt ? new Date(job.expiresAt).toUTCString() : '']
+      ];
+      const body = fields
+        .filter(([, value]) => value)
+        .map(([name, value]) => `    <${name}>${cdata(value)}</${name}>`)
+        .join('\n');
+      return `  <job>\n${body}\n  </job>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<source>',
+      `  <publisher>${escapeXml(tenant.name)}</publisher>`,
+      `  <publisherurl>${escapeXml(this.careersUrl(tenant))}</publisherurl>`,
+      `  <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+      ...items,
+      '</source>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * schema.org JobPosting for one job
+   */
+  toJobPosting(tenant, job) {
+    const location = this.formatLocation(job);
+    const branding = this.getBranding(tenant);
+    const salary = job.salary || {};
+    const posting = {
+      '@context': 'https://schema.org',
+      '@type': 'JobPosting',
+      identifier: {
+        '@type': 'PropertyValue',
+        name: tenant.name,
+        value: String(job._id)
+      },
+      title: job.title,
+      description: job.description,
+      datePosted: new Date(job.publishedAt || job.createdAt).toISOString(),
+      employmentType: SCHEMA_EMPLOYMENT_TYPES[job.jobType],
+      url: this.jobUrl(tenant, job, 'jsonld'),
+      hiringOrganization: {
+        '@type': 'Organization',
+        name: (job.company && job.company.name) || tenant.name,
+        sameAs: (job.company && job.company.website) || branding.url,
+        logo: (job.company && job.company.logo) || branding.logo || undefined
+      },
+      jobLocation: {
+        '@type': 'Place',
+        address: {
+          '@type': 'PostalAddress',
+          addressLocality: location.city || undefined,
+          addressRegion: location.state || undefined,
+          addressCountry: location.country || undefined
+        }
+      }
+    };
+
+    if (job.expiresAt) {
+      posting.validThrough = new Date(job.expiresAt).toISOString();
+    }
+    if (location.remote) {
+      posting.jobLocationType = 'TELECOMMUTE';
+      if (location.country) {
+        posting.applicantLocationRequirements = { '@type': 'Country', name: location.country };
+      }
+    }
+    if (salary.min || salary.max) {
+      posting.baseSalary = {
+        '@type': 'MonetaryAmount',
+        currency: salary.currency || 'USD',
+        value: {
+          '@type': 'QuantitativeValue',
+          minValue: salary.min || undefined,
+          maxValue: salary.max || undefined,
+          unitText: (SALARY_UNITS[salary.period] || SALARY_UNITS.yearly).schema
+        }
+      };
+    }
+    if (job.requirements && job.requirements.skills && job.requirements.skills.length) {
+      posting.skills = job.requirements.skills.join(', ');
+    }
+
+    return posting;
+  }
+
+  toJsonLd(tenant, jobs) {
+    return {
+      '@context': 'https://schema.org',
+      '@graph': jobs.map(job => {
+        const { '@context': _context, ...posting } = this.toJobPosting(tenant, job);
+        return posting;
+      })
+    };
+  }
+
+  /**
+   * RSS 2.0 channel
+   */
+  toRss(tenant, jobs) {
+    const branding = this.getBranding(tenant);
+    const items = jobs.map(job => {
+      const location = this.formatLocation(job);
+      const place = location.remote ? 'Remote' : [location.city, location.country].filter(Boolean).join(', ');
+      const link = this.jobUrl(tenant, job, 'rss');
+      return [
+        '    <item>',
+        `      <title>${escapeXml(place ? `${job.title} (${place})` : job.title)}</title>`,
+        `      <link>${escapeXml(link)}</link>`,
+        `      <guid isPermaLink="false">${escapeXml(String(job._id))}</guid>`,
+        `      <pubDate>${new Date(job.publishedAt || job.createdAt).toUTCString()}</pubDate>`,
+        job.jobType ? `      <category>${escapeXml(job.jobType)}</category>` : null,
+        `      <description>${cdata(job.description)}</description>`,
+        '    </item>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXml(`${tenant.name} careers`)}</title>`,
+      `    <link>${escapeXml(branding.url)}</link>`,
+      `    <description>${escapeXml(`Open positions at ${tenant.name}`)}</description>`,
+      `    <atom:link href="${escapeXml(this.feedUrl(tenant, 'rss'))}" rel="self" type="application/rss+xml"/>`,
+      `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+      branding.logo ? [
+        '    <image>',
+        `      <url>${escapeXml(branding.logo)}</url>`,
+        `      <title>${escapeXml(`${tenant.name} careers`)}</title>`,
+        `      <link>${escapeXml(branding.url)}</link>`,
+        '    </image>'
+      ].join('\n') : null,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+}
+
+module.exports = new JobFeedService();
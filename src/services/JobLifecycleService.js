@@ -0,0 +1,398 @@
+/**
+ * LUXGEN JOB LIFECYCLE SERVICE
+ * Moves job postings through draft, scheduled, active, paused, closed and
+ * filled so stale postings do not stay open.
+ *
+ * Features:
+ * - Enforced status transitions recorded in Job.statusHistory
+ * - Publish-at scheduling and expire-at closing
+ * - Renewal reminders to the poster before a posting expires
+ * - Automatic close once the final headcount accepts an offer
+ * - In-process runner for the time based transitions
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_REMINDER_DAYS = 3;
+const DEFAULT_RENEWAL_DAYS = 30;
+const BATCH_SIZE = 100;
+
+// Status -> statuses it may move to
+const TRANSITIONS = {
+  draft: ['scheduled', 'active', 'closed'],
+  scheduled: ['draft', 'active', 'closed'],
+  active: ['paused', 'closed', 'filled'],
+  paused: ['active', 'closed', 'filled'],
+  closed: ['active', 'draft'],
+  // Reopen after raising the headcount
+  filled: ['active']
+};
+
+const CLOSED_STATUSES = ['closed', 'filled'];
+
+class JobLifecycleService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ==================== STATUS ====================
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Whether a job accepts applications right now. Covers postings past
+   * expiresAt that the runner has not closed yet.
+   */
+  isOpen(job, now = new Date()) {
+    return job.status === 'active' && !(job.expiresAt && new Date(job.expiresAt) <= now);
+  }
+
+  /**
+   * Change a job's status and record it in statusHistory. The update only
+   * applies if the status is still what `job` says, so a concurrent change
+   * (e.g. the runner expiring the job) is never overwritten.
+   * @param {Object} job - Job document or lean object
+   * @param {string} to - Target status
+   * @param {Object} options - reason, userId, automatic, closeReason, and
+   *   extra `set` / `inc` updates applied with the status change
+   * @returns {Object} Updated job, or null when an automatic change lost the race
+   */
+  async changeStatus(job, to, { reason, userId, automatic = false, closeReason, set = {}, inc } = {}) {
+    const from = job.status;
+    if (from === to) {
+      throw new ValidationError(`Job is already ${to}`);
+    }
+    if (!this.canTransition(from, to)) {
+      const allowed = (TRANSITIONS[from] || []).join(', ') || 'none';
+      throw new ValidationError(`Cannot change job status from "${from}" to "${to}". Allowed: ${allowed}`);
+    }
+
+    const now = new Date();
+    const update = {
+      $set: { status: to, ...set },
+      $push: {
+        statusHistory: { from, to, reason, changedBy: userId, automatic, changedAt: now }
+      }
+    };
+    if (inc) {
+      update.$inc = inc;
+    }
+
+    if (to === 'active') {
+      if (!job.publishedAt) {
+        update.$set.publishedAt = now;
+      }
+      update.$unset = { 'lifecycle.closedAt': 1, 'lifecycle.closeReason': 1 };
+    }
+    if (CLOSED_STATUSES.includes(to)) {
+      update.$set['lifecycle.closedAt'] = now;
+      update.$set['lifecycle.closeReason'] = to === 'filled' ? 'filled' : closeReason || 'manual';
+    }
+
+    const updated = await Job.findOneAndUpdate({ _id: job._id, status: from }, update, { new: true });
+    if (!updated) {
+      if (automatic) {
+        return null;
+      }
+      throw new ConflictError('Job status was changed by someone else; reload and try again');
+    }
+
+    logger.info('Job status changed', { jobId: job._id, from, to, automatic, reason });
+    return updated;
+  }
+
+  /**
+   * Load a job the user may manage: its poster or an admin.
+   */
+  async getManagedJob(tenantId, jobId, user) {
+    const job = mongoose.Types.ObjectId.isValid(jobId) ? await Job.findOne({ _id: jobId, tenantId }) : null;
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+    const isAdmin = user.role === 'admin' || (user.roles || []).includes('admin');
+    if (String(job.postedBy) !== String(user.id) && !isAdmin) {
+      throw new AuthorizationError('Not authorized to manage this job');
+    }
+    return job;
+  }
+
+  async updateStatus(tenantId, jobId, status, { reason } = {}, user) {
+    const job = await this.getManagedJob(tenantId, jobId, user);
+    if (status === 'scheduled' && !(job.publishAt && job.publishAt > new Date())) {
+      throw new ValidationError('Set a future publishAt to schedule a job');
+    }
+    if (status === 'active') {
+      if (job.expiresAt && job.expiresAt <= new Date()) {
+        throw new ValidationError('Job has expired; renew it to reopen');
+      }
+      if (job.status === 'filled' && ((job.analytics && job.analytics.hired) || 0) >= (job.headcount || 1)) {
+        throw new ValidationError('Raise the headcount before reopening a filled job');
+      }
+    }
+    return this.changeStatus(job, status, { reason, userId: user.id });
+  }
+
+  // ==================== SCHEDULING ====================
+
+  /**
+   * Set when a job goes live and when it expires. A publishAt in the
+   * future schedules a draft; one in the past publishes it now.
+   */
+  async schedule(tenantId, jobId, { publishAt, expiresAt } = {}, user) {
+    const job = await this.getManagedJob(tenantId, jobId, user);
+    const now = new Date();
+    const publishDate = publishAt ? new Date(publishAt) : null;
+    const expiryDate = expiresAt ? new Date(expiresAt) : null;
+
+    if (expiryDate && expiryDate <= now) {
+      throw new ValidationError('expiresAt must be in the future');
+    }
+    if (publishDate && expiryDate && expiryDate <= publishDate) {
+      throw new ValidationError('expiresAt must be after publishAt');
+    }
+
+    const set = {};
+    if (expiryDate) {
+      set.expiresAt = expiryDate;
+      set['lifecycle.renewalReminderSentAt'] = null;
+    }
+    if (!publishDate) {
+      await Job.updateOne({ _id: job._id }, { $set: set });
+      return Job.findById(job._id);
+    }
+
+    if (!['draft', 'scheduled'].includes(job.status)) {
+      throw new ValidationError(`Only draft or scheduled jobs can be scheduled (job is ${job.status})`);
+    }
+    set.publishAt = publishDate;
+    if (publishDate > now) {
+      if (job.status === 'scheduled') {
+        await Job.updateOne({ _id: job._id }, { $set: set });
+        return Job.findById(job._id);
+      }
+      return this.changeStatus(job, 'scheduled', { reason: `Scheduled for ${publishDate.toISOString()}`, userId: user.id, set });
+    }
+    return this.changeStatus(job, 'active', { reason: 'Published', userId: user.id, set });
+  }
+
+  /**
+   * Push a job's expiry back. A job closed because it expired reopens.
+   */
+  async renew(tenantId, jobId, { expiresAt, days } = {}, user) {
+    const job = await this.getManagedJob(tenantId, jobId, user);
+    const now = new Date();
+    const expiryDate = expiresAt
+      ? new Date(expiresAt)
+      : new Date(Math.max(now.getTime(), job.expiresAt ? job.expiresAt.getTime() : 0) + (days || DEFAULT_RENEWAL_DAYS) * DAY_MS);
+
+    if (expiryDate <= now) {
+      throw new ValidationError('expiresAt must be in the future');
+    }
+    if (job.status === 'filled') {
+      throw new ValidationError('Filled jobs cannot be renewed; raise the headcount and reopen the job instead');
+    }
+
+    const set = {
+      expiresAt: expiryDate,
+      'lifecycle.renewedAt': now,
+      'lifecycle.renewalReminderSentAt': null
+    };
+    const inc = { 'lifecycle.renewalCount': 1 };
+    if (job.status === 'closed' && job.lifecycle && job.lifecycle.closeReason === 'expired') {
+      return this.changeStatus(job, 'active', { reason: 'Renewed', userId: user.id, set, inc });
+    }
+
+    return Job.findOneAndUpdate({ _id: job._id }, { $set: set, $inc: inc }, { new: true });
+  }
+
+  // ==================== HEADCOUNT ====================
+
+  /**
+   * Called when an application reaches offer-accepted. Closes the job as
+   * filled once accepted offers reach its headcount.
+   */
+  async handleOfferAccepted(application) {
+    const job = await Job.findById(application.jobId);
+    if (!job) {
+      return null;
+    }
+
+    const hired = await JobApplication.countDocuments({ jobId: job._id, status: 'offer-accepted' });
+    await Job.updateOne({ _id: job._id }, { $set: { 'analytics.hired': hired } });
+
+    const headcount = job.headcount || 1;
+    if (hired < headcount || !this.canTransition(job.status, 'filled')) {
+      return null;
+    }
+    return this.changeStatus(job, 'filled', {
+      automatic: true,
+      reason: `Final headcount filled (${hired}/${headcount})`
+    });
+  }
+
+  // ==================== RUNNER ====================
+
+  /**
+   * Publish scheduled jobs, close expired ones and send renewal reminders.
+   */
+  async runDue({ now = new Date() } = {}) {
+    const stats = {
+      published: await this.publishDue(now),
+      expired: await this.expireDue(now),
+      reminded: await this.sendRenewalReminders(now)
+    };
+    if (stats.published || stats.expired || stats.reminded) {
+      logger.info('Job lifecycle run complete', stats);
+    }
+    return stats;
+  }
+
+  async publishDue(now) {
+    let count = 0;
+    for (;;) {
+      const due = await Job.find({ status: 'scheduled', publishAt: { $lte: now } }).limit(BATCH_SIZE);
+      for (const job of due) {
+        if (job.expiresAt && job.expiresAt <= now) {
+          await this.changeStatus(job, 'closed', { automatic: true, closeReason: 'expired', reason: 'Expired before it was published' });
+          continue;
+        }
+        const published = await this.changeStatus(job, 'active', { automatic: true, reason: 'Scheduled publish', set: { publishedAt: now } });
+        count += published ? 1 : 0;
+      }
+      if (due.length < BATCH_SIZE) {
+        return count;
+      }
+    }
+  }
+
+  async expireDue(now) {
+    let count = 0;
+    for (;;) {
+      const due = await Job.find({ status: { $in: ['active', 'paused'] }, expiresAt: { $lte: now } }).limit(BATCH_SIZE);
+      for (const job of due) {
+        const closed = await this.changeStatus(job, 'closed', { automatic: true, closeReason: 'expired', reason: 'Posting expired' });
+        count += closed ? 1 : 0;
+      }
+      if (due.length < BATCH_SIZE) {
+        return count;
+      }
+    }
+  }
+
+  async sendRenewalReminders(now) {
+    const days = parseInt(process.env.JOB_RENEWAL_REMINDER_DAYS, 10) || DEFAULT_REMINDER_DAYS;
+    let count = 0;
+    // Released after a failed send; retried on the next run, not this one
+    const failed = [];
+    for (;;) {
+      const due = await Job.find({
+        _id: { $nin: failed },
+        status: 'active',
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+        'lifecycle.renewalReminderSentAt': null
+      }).limit(BATCH_SIZE);
+
+      for (const job of due) {
+        // Claim first so concurrent runners send one reminder
+        const claimed = await Job.updateOne(
+          { _id: job._id, 'lifecycle.renewalReminderSentAt': null },
+          { $set: { 'lifecycle.renewalReminderSentAt': now } }
+        );
+        if (!claimed.modifiedCount) {
+          continue;
+        }
+        try {
+          if (await this.sendRenewalReminder(job)) {
+            count++;
+          }
+        } catch (error) {
+          logger.error('Failed to send job renewal reminder', { jobId: job._id, error: error.message });
+          // Release the claim so the next run retries
+          failed.push(job._id);
+          await Job.updateOne(
+            { _id: job._id, 'lifecycle.renewalReminderSentAt': now },
+            { $set: { 'lifecycle.renewalReminderSentAt': null } }
+          );
+        }
+      }
+      if (due.length < BATCH_SIZE) {
+        return count;
+      }
+    }
+  }
+
+  /**
+   * Email the poster. Returns false when they have no email address;
+   * throws when the mail was not sent.
+   */
+  async sendRenewalReminder(job) {
+    const poster = await User.findById(job.postedBy).select('email firstName name').lean();
+    if (!poster || !poster.email) {
+      return false;
+    }
+
+    const jobUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/jobs/${job._id}`;
+    const expires = job.expiresAt.toUTCString();
+    const title = String(job.title).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const subject = `Your job posting "${job.title}" expires soon`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #111827;">Your posting expires soon</h2>
+        <p style="color: #374151;"><strong>${title}</strong> will close on ${expires}.</p>
+        <p style="color: #374151;">Renew it to keep receiving applications, or let it close if the role is no longer open.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${jobUrl}" style="background: #3B82F6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Review posting</a>
+        </div>
+      </div>
+    `;
+
+    const result = await emailService.sendEmail(poster.email, subject, html);
+    if (!result.success) {
+      throw new Error(result.error || 'Email was not sent');
+    }
+    return true;
+  }
+
+  /**
+   * Start the in-process runner. Safe to call more than once.
+   */
+  start({ intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    if (this.timer) {
+      return;
+    }
+    const tick = () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      this.runDue()
+        .catch(error => logger.error('Job lifecycle run failed', { error: error.message }))
+        .finally(() => {
+          this.running = false;
+        });
+    };
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+    logger.info('Job lifecycle scheduler started', { intervalMs });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new JobLifecycleService();
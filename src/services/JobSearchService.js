@@ -0,0 +1,354 @@
+/**
+ * LUXGEN JOB SEARCH SERVICE
+ * Builds the Job queries behind the public job board so every consumer
+ * filters listings the same way.
+ *
+ * Features:
+ * - Filter building for GET /jobs query parameters
+ * - Multi-value criteria (several locations, job types or keywords)
+ * - Salary filtering by range overlap
+ * - "Jobs near me" radius filtering on location.geo
+ * - Faceted search with per-facet counts for the job board sidebar
+ * - Sort building with whitelisted fields and text relevance
+ */
+
+const Job = require('../models/Job');
+const { ValidationError } = require('../utils/errors');
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 50;
+const FACET_LIMIT = 20;
+
+// Facets whose own filter is left out when counting them, so selecting one
+// value still shows the counts for the alternatives
+const FACETS = ['jobType', 'experienceLevel', 'location', 'company', 'remote', 'salary'];
+
+// Upper bound null means "and above"
+const SALARY_BUCKETS = [
+  [0, 25000],
+  [25000, 50000],
+  [50000, 75000],
+  [75000, 100000],
+  [100000, 150000],
+  [150000, 200000],
+  [200000, null]
+];
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  salary: 'salary.min',
+  title: 'title',
+  company: 'company.name'
+};
+
+const escapeRegExp = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Accepts an array, a single value or (with split) a comma separated string
+ * and returns the trimmed, non-empty values.
+ */
+const toList = (value, { split = true } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : split ? String(value).split(',') : [value];
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Great-circle distance in kilometres.
+ */
+const distanceKm = (a, b) => {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+class JobSearchService {
+  // ==================== FILTERS ====================
+
+  /**
+   * Build the Job filter for a tenant's public listings.
+   * @param {string} tenantId - Tenant key
+   * @param {Object} params - See buildConditions
+   */
+  buildFilter(tenantId, params = {}) {
+    const conditions = this.buildConditions(params);
+    return this.combine(this.baseFilter(tenantId, conditions), Object.values(conditions));
+  }
+
+  /**
+   * Build one standalone condition per filter so they can be combined with
+   * or without individual facets.
+   * @param {Object} params - search, location, jobType, experienceLevel,
+   *   remote, salaryMin, salaryMax, company, skills, lat, lng, radiusKm.
+   *   jobType, experienceLevel and skills accept arrays or comma separated
+   *   lists; location accepts an array; search accepts an array of keywords.
+   * @returns {Object} Condition name -> query; `text` is kept apart because
+   *   $text must sit at the top level of the first $match
+   */
+  buildConditions(params = {}) {
+    const conditions = {};
+
+    // Text search
+    const keywords = toList(params.search);
+    if (keywords.length) {
+      conditions.text = { $text: { $search: Array.isArray(params.search) ? keywords.join(' ') : String(params.search) } };
+    }
+
+    // Location filter; a single location may itself contain commas ("Austin, TX")
+    const locations = toList(params.location, { split: false });
+    if (locations.length) {
+      conditions.location = {
+        $or: locations.flatMap(location => {
+          const pattern = new RegExp(escapeRegExp(location), 'i');
+          return [
+            { 'location.city': pattern },
+            { 'location.state': pattern },
+            { 'location.country': pattern },
+            { 'company.location.city': pattern },
+            { 'company.location.country': pattern }
+          ];
+        })
+      };
+    }
+
+    // Job type filter
+    const jobTypes = toList(params.jobType);
+    if (jobTypes.length) {
+      conditions.jobType = { jobType: jobTypes.length === 1 ? jobTypes[0] : { $in: jobTypes } };
+    }
+
+    // Experience level filter
+    const experienceLevels = toList(params.experienceLevel);
+    if (experienceLevels.length) {
+      conditions.experienceLevel = { experienceLevel: experienceLevels.length === 1 ? experienceLevels[0] : { $in: experienceLevels } };
+    }
+
+    // Remote work filter
+    if (params.remote !== undefined && params.remote !== null && params.remote !== '') {
+      conditions.remote = { 'location.remote': params.remote === true || params.remote === 'true' };
+    }
+
+    // Salary filter
+    const salary = this.salaryOverlap(parseInt(params.salaryMin, 10), parseInt(params.salaryMax, 10));
+    if (salary) {
+      conditions.salary = salary;
+    }
+
+    // Company filter
+    if (params.company) {
+      conditions.company = { 'company.name': new RegExp(escapeRegExp(params.company), 'i') };
+    }
+
+    // Skills filter
+    const skills = toList(params.skills);
+    if (skills.length) {
+      conditions.skills = { 'requirements.skills': { $in: skills } };
+    }
+
+    // Jobs near me
+    const near = this.nearPoint(params);
+    if (near) {
+      conditions.near = {
+        'location.geo': {
+          $geoWithin: { $centerSphere: [[near.lng, near.lat], near.radiusKm / EARTH_RADIUS_KM] }
+        }
+      };
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Jobs whose advertised range overlaps [min, max]. A job that only states
+   * one bound is treated as that single figure.
+   */
+  salaryOverlap(min, max) {
+    const clauses = [];
+    if (!Number.isNaN(min)) {
+      clauses.push({
+        $or: [
+          { 'salary.max': { $gte: min } },
+          { 'salary.max': null, 'salary.min': { $gte: min } }
+        ]
+      });
+    }
+    if (!Number.isNaN(max)) {
+      clauses.push({
+        $or: [
+          { 'salary.min': { $lte: max } },
+          { 'salary.min': null, 'salary.max': { $lte: max } }
+        ]
+      });
+    }
+    if (!clauses.length) {
+      return null;
+    }
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  nearPoint(params) {
+    const lat = parseFloat(params.lat);
+    const lng = parseFloat(params.lng);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) {
+      return null;
+    }
+    const radiusKm = parseFloat(params.radiusKm);
+    return { lat, lng, radiusKm: radiusKm > 0 ? radiusKm : DEFAULT_RADIUS_KM };
+  }
+
+  baseFilter(tenantId, conditions) {
+    return {
+      tenantId,
+      status: 'active',
+      visibility: 'public',
+      ...(conditions.text || {})
+    };
+  }
+
+  combine(filter, conditions) {
+    const clauses = conditions.filter(condition => condition && !condition.$text);
+    return clauses.length ? { ...filter, $and: [...(filter.$and || []), ...clauses] } : filter;
+  }
+
+  /**
+   * Build the sort for a listing query. Unknown fields fall back to newest
+   * first; 'relevance' needs a text search and a `score` field.
+   */
+  buildSort(sortBy = 'createdAt', sortOrder = 'desc') {
+    if (sortBy === 'relevance') {
+      return { score: -1, createdAt: -1 };
+    }
+    return { [SORT_FIELDS[sortBy] || 'createdAt']: sortOrder === 'asc' ? 1 : -1 };
+  }
+
+  // ==================== FACETED SEARCH ====================
+
+  /**
+   * Search with facet counts. Each facet is counted with every filter
+   * except its own.
+   * @param {string} tenantId - Tenant key
+   * @param {Object} params - Filters, see buildConditions
+   * @param {Object} options - page, limit, sortBy, sortOrder
+   * @returns {Object} { jobs, total, facets }
+   */
+  async search(tenantId, params = {}, { page = 1, limit = 20, sortBy, sortOrder = 'desc' } = {}) {
+    const conditions = this.buildConditions(params);
+    const facetConditions = {};
+    const baseConditions = [];
+    Object.entries(conditions).forEach(([name, condition]) => {
+      if (FACETS.includes(name)) {
+        facetConditions[name] = condition;
+      } else {
+        baseConditions.push(condition);
+      }
+    });
+
+    const hasText = Boolean(conditions.text);
+    const effectiveSortBy = sortBy || (hasText ? 'relevance' : 'createdAt');
+    if (effectiveSortBy === 'relevance' && !hasText) {
+      throw new ValidationError('Sorting by relevance requires a search term');
+    }
+
+    const matchExcept = (excluded) => {
+      const match = this.combine({}, Object.entries(facetConditions)
+        .filter(([name]) => name !== excluded)
+        .map(([, condition]) => condition));
+      return { $match: match };
+    };
+    const countBy = (excluded, groupId) => [
+      matchExcept(excluded),
+      { $group: { _id: groupId, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_LIMIT }
+    ];
+
+    const pipeline = [
+      { $match: this.combine(this.baseFilter(tenantId, conditions), baseConditions) },
+      ...(hasText ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          jobs: [
+            matchExcept(null),
+            { $sort: { ...this.buildSort(effectiveSortBy, sortOrder), _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit }
+          ],
+          total: [matchExcept(null), { $count: 'count' }],
+          jobType: countBy('jobType', '$jobType'),
+          experienceLevel: countBy('experienceLevel', '$experienceLevel'),
+          location: countBy('location', { city: '$location.city', country: '$location.country' }),
+          company: countBy('company', '$company.name'),
+          remote: countBy('remote', { $ifNull: ['$location.remote', false] }),
+          salary: [matchExcept('salary'), { $group: this.salaryBucketGroup() }]
+        }
+      }
+    ];
+
+    const [result] = await Job.aggregate(pipeline);
+    const jobs = await Job.populate(result.jobs, { path: 'postedBy', select: 'name email' });
+    const near = this.nearPoint(params);
+    if (near) {
+      jobs.forEach(job => {
+        const coordinates = job.location && job.location.geo && job.location.geo.coordinates;
+        job.distanceKm = coordinates ? Math.round(distanceKm(near, { lng: coordinates[0], lat: coordinates[1] }) * 10) / 10 : null;
+      });
+    }
+
+    return {
+      jobs,
+      total: result.total.length ? result.total[0].count : 0,
+      facets: this.formatFacets(result)
+    };
+  }
+
+  /**
+   * One $sum per salary bucket using the same overlap rule as the filter.
+   */
+  salaryBucketGroup() {
+    const upper = { $ifNull: ['$salary.max', '$salary.min'] };
+    const lower = { $ifNull: ['$salary.min', '$salary.max'] };
+    const group = { _id: null };
+    SALARY_BUCKETS.forEach(([min, max], index) => {
+      const overlap = [{ $ne: [upper, null] }, { $gte: [upper, min] }];
+      if (max !== null) {
+        overlap.push({ $lte: [lower, max] });
+      }
+      group[`bucket${index}`] = { $sum: { $cond: [{ $and: overlap }, 1, 0] } };
+    });
+    return group;
+  }
+
+  formatFacets(result) {
+    const values = items => items
+      .filter(item => item._id !== null && item._id !== undefined && item._id !== '')
+      .map(item => ({ value: item._id, count: item.count }));
+    const salaryCounts = result.salary[0] || {};
+
+    return {
+      jobType: values(result.jobType),
+      experienceLevel: values(result.experienceLevel),
+      location: result.location
+        .filter(item => item._id.city)
+        .map(item => ({
+          value: item._id.city,
+          label: [item._id.city, item._id.country].filter(Boolean).join(', '),
+          country: item._id.country || null,
+          count: item.count
+        })),
+      company: values(result.company),
+      remote: values(result.remote),
+      salary: SALARY_BUCKETS.map(([min, max], index) => ({
+        value: max === null ? `${min}+` : `${min}-${max}`,
+        min,
+        max,
+        count: salaryCounts[`bucket${index}`] || 0
+      }))
+    };
+  }
+}
+
+module.exports = new JobSearchService();
@@ -0,0 +1,356 @@
+/**
+ * LUXGEN KNOWLEDGE BASE SERVICE
+ * Per-tenant document store for retrieval-augmented generation
+ *
+ * Features:
+ * - Ingest training modules, courses, uploaded files and pasted text
+ * - Chunking with overlap and a BM25 index stored in MongoDB
+ * - Top-k passage retrieval with numbered citations for prompts
+ */
+
+const mongoose = require('mongoose');
+
+const logger = require('../utils/logger');
+const aiRepository = require('../repositories/AIRepository');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const TrainingModule = require('../models/TrainingModule');
+const TrainingCourse = require('../models/TrainingCourse');
+const { tokenize, termFrequencies, chunkText, bm25Score } = require('../utils/textIndex');
+
+const DEFAULT_RESULTS = 5;
+const MAX_RESULTS = 20;
+const MAX_CANDIDATES = 2000;
+const MAX_DOCUMENT_CHARACTERS = 2 * 1024 * 1024;
+const CHUNK_INSERT_BATCH = 500;
+
+class KnowledgeBaseService {
+  /**
+   * ADD DOCUMENT
+   * Chunks and indexes text. A document with the same source type and
+   * refId is replaced, so re-ingesting a module updates it.
+   */
+  async addDocument(tenantId, { title, content, source = { type: 'text' }, metadata = {}, createdBy }) {
+    try {
+      const text = String(content || '');
+      if (!text.trim()) {
+        throw new Error('Document content is empty');
+      }
+      if (text.length > MAX_DOCUMENT_CHARACTERS) {
+        throw new Error(`Document exceeds ${MAX_DOCUMENT_CHARACTERS} characters`);
+      }
+
+      const { keys } = await aiRepository.resolveTenant(tenantId);
+      const tenantKey = keys[0];
+
+      if (source.refId) {
+        const existing = await KnowledgeDocument.find({
+          tenantId: { $in: keys },
+          'source.type': source.type,
+          'source.refId': String(source.refId)
+        }).select('_id').lean();
+        await this.deleteDocuments(existing.map(document => document._id));
+      }
+
+      const chunks = chunkText(text);
+      const document = new KnowledgeDocument({
+        tenantId: tenantKey,
+        title,
+        source: { ...source, refId: source.refId && String(source.refId) },
+        chunkCount: chunks.length,
+        characterCount: text.length,
+        metadata,
+        createdBy: createdBy && String(createdBy)
+      });
+
+      let termCount = 0;
+      const chunkDocuments = chunks.map((chunk, index) => {
+        // Titles are indexed with every passage so they match queries too
+        const terms = tokenize(`${title}\n${chunk}`);
+        termCount += terms.length;
+        return {
+          tenantId: tenantKey,
+          documentId: document._id,
+          index,
+          text: chunk,
+          terms: [...new Set(terms)],
+          termFrequencies: termFrequencies(terms),
+          length: terms.length
+        };
+      });
+      document.termCount = termCount;
+
+      await document.save();
+      for (let start = 0; start < chunkDocuments.length; start += CHUNK_INSERT_BATCH) {
+        await KnowledgeChunk.insertMany(chunkDocuments.slice(start, start + CHUNK_INSERT_BATCH));
+      }
+
+      logger.info(`Knowledge document "${title}" indexed for tenant ${tenantKey}: ${chunks.length} chunks`);
+      return document.toJSON();
+
+    } catch (error) {
+      logger.error('Error adding knowledge document:', error.message);
+      throw new Error(`Failed to add knowledge document: ${error.message}`);
+    }
+  }
+
+  /**
+   * Index a training module's description, objectives and content
+   */
+  async ingestTrainingModule(tenantId, moduleId, options = {}) {
+    const { tenant, keys } = await aiRepository.resolveTenant(tenantId);
+    if (!tenant || !mongoose.Types.ObjectId.isValid(moduleId)) {
+      throw new Error('Training module not found');
+    }
+
+    const trainingModule = await TrainingModule.findOne({ _id: moduleId, tenantId: tenant._id }).lean();
+    if (!trainingModule) {
+      throw new Error('Training module not found');
+    }
+
+    const content = [
+      trainingModule.description,
+      trainingModule.objectives && trainingModule.objectives.length
+        ? `Objectives:\n${trainingModule.objectives.map(objective => `- ${objective}`).join('\n')}`
+        : '',
+      trainingModule.content,
+      (trainingModule.resources || [])
+        .filter(resource => resource.description)
+        .map(resource => `${resource.name}: ${resource.description}`)
+        .join('\n')
+    ].filter(Boolean).join('\n\n');
+
+    return this.addDocument(keys[0], {
+      title: trainingModule.title,
+      content,
+      source: { type: 'training_module', refId: trainingModule._id },
+      metadata: { category: trainingModule.category, tags: trainingModule.tags, difficulty: trainingModule.difficulty },
+      createdBy: options.createdBy
+    });
+  }
+
+  /**
+   * Index a course overview and, by default, every module it contains
+   */
+  async ingestTrainingCourse(tenantId, courseId, options = {}) {
+    const { tenant, keys } = await aiRepository.resolveTenant(tenantId);
+    if (!tenant || !mongoose.Types.ObjectId.isValid(courseId)) {
+      throw new Error('Training course not found');
+    }
+
+    const course = await TrainingCourse.findOne({ _id: courseId, tenantId: tenant._id }).lean();
+    if (!course) {
+      throw new Error('Training course not found');
+    }
+
+    const content = [
+      course.description || course.shortDescription,
+      course.learningObjectives && course.learningObjectives.length
+        ? `Learning objectives:\n${course.learningObjectives.map(objective => `- ${objective}`).join('\n')}`
+        : '',
+      (course.materials || [])
+        .map(material => [material.title, material.description].filter(Boolean).join(': '))
+        .join('\n')
+    ].filter(Boolean).join('\n\n');
+
+    const documents = [await this.addDocument(keys[0], {
+      title: course.title,
+      content: content || course.title,
+      source: { type: 'training_course', refId: course._id },
+      metadata: { category: course.category, tags: course.tags, level: course.level, courseCode: course.courseCode },
+      createdBy: options.createdBy
+    })];
+
+    if (options.includeModules !== false) {
+      for (const entry of course.modules || []) {
+        try {
+          documents.push(await this.ingestTrainingModule(tenantId, entry.moduleId, options));
+        } catch (error) {
+          logger.warn(`Skipped module ${entry.moduleId} of course ${course._id}: ${error.message}`);
+        }
+      }
+    }
+
+    return documents;
+  }
+
+  /**
+   * SEARCH
+   * Top passages for a query, ranked by BM25
+   */
+  async search(tenantId, query, { limit = DEFAULT_RESULTS, documentIds } = {}) {
+    try {
+      const queryTerms = [...new Set(tokenize(query))];
+      if (queryTerms.length === 0) {
+        return [];
+      }
+
+      const { keys } = await aiRepository.resolveTenant(tenantId);
+      const scope = { tenantId: { $in: keys } };
+      if (documentIds && documentIds.length) {
+        scope.documentId = { $in: documentIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+      }
+
+      const candidates = await KnowledgeChunk.find({ ...scope, terms: { $in: queryTerms } })
+        .select('documentId index text termFrequencies length terms')
+        .limit(MAX_CANDIDATES)
+        .lean();
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      const stats = await this.getIndexStats(scope);
+      // Every chunk containing a query term is a candidate, so this is exact
+      // unless the candidate cap was hit
+      stats.documentFrequency = {};
+      candidates.forEach(chunk => {
+        chunk.terms.forEach(term => {
+          if (queryTerms.includes(term)) {
+            stats.documentFrequency[term] = (stats.documentFrequency[term] || 0) + 1;
+          }
+        });
+      });
+
+      const ranked = candidates
+        .map(chunk => ({ chunk, score: bm25Score(queryTerms, chunk, stats) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, Math.min(parseInt(limit, 10) || DEFAULT_RESULTS, MAX_RESULTS));
+
+      const documents = await KnowledgeDocument.find({
+        _id: { $in: [...new Set(ranked.map(item => item.chunk.documentId.toString()))] }
+      }).select('title source').lean();
+      const documentsById = new Map(documents.map(document => [document._id.toString(), document]));
+
+      return ranked.map(({ chunk, score }) => {
+        const document = documentsById.get(chunk.documentId.toString()) || {};
+        return {
+          chunkId: chunk._id,
+          documentId: chunk.documentId,
+          chunkIndex: chunk.index,
+          title: document.title,
+          source: document.source,
+          text: chunk.text,
+          score: Math.round(score * 1000) / 1000
+        };
+      });
+
+    } catch (error) {
+      logger.error('Error searching knowledge base:', error.message);
+      throw new Error(`Failed to search knowledge base: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieved passages -> prompt context with numbered sources, plus the
+   * citation list returned to the caller
+   */
+  buildContext(passages) {
+    const citations = passages.map((passage, index) => ({
+      index: index + 1,
+      documentId: passage.documentId,
+      chunkIndex: passage.chunkIndex,
+      title: passage.title,
+      source: passage.source,
+      score: passage.score
+    }));
+
+    const context = passages
+      .map((passage, index) => `[${index + 1}] ${passage.title}\n${passage.text}`)
+      .join('\n\n');
+
+    return { context, citations };
+  }
+
+  async getIndexStats(scope) {
+    const [totals] = await KnowledgeDocument.aggregate([
+      { $match: { tenantId: scope.tenantId, ...(scope.documentId ? { _id: scope.documentId } : {}) } },
+      { $group: { _id: null, documents: { $sum: 1 }, chunks: { $sum: '$chunkCount' }, terms: { $sum: '$termCount' } } }
+    ]);
+
+    const totalChunks = totals ? totals.chunks : 0;
+    return {
+      documents: totals ? totals.documents : 0,
+      totalChunks,
+      averageLength: totalChunks ? totals.terms / totalChunks : 0
+    };
+  }
+
+  /**
+   * LIST DOCUMENTS
+   */
+  async listDocuments(tenantId, { page = 1, limit = 20 } = {}) {
+    const { keys } = await aiRepository.resolveTenant(tenantId);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const query = { tenantId: { $in: keys } };
+
+    const [documents, total] = await Promise.all([
+      KnowledgeDocument.find(query)
+        .sort({ updatedAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      KnowledgeDocument.countDocuments(query)
+    ]);
+
+    return {
+      documents,
+      pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    };
+  }
+
+  /**
+   * REMOVE DOCUMENT
+   */
+  async removeDocument(tenantId, documentId) {
+    const { keys } = await aiRepository.resolveTenant(tenantId);
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      throw new Error('Knowledge document not found');
+    }
+    const document = await KnowledgeDocument.findOne({ _id: documentId, tenantId: { $in: keys } }).select('_id').lean();
+    if (!document) {
+      throw new Error('Knowledge document not found');
+    }
+    await this.deleteDocuments([document._id]);
+    return { success: true };
+  }
+
+  /**
+   * CLEAR
+   * Remove every document of the tenant
+   */
+  async clear(tenantId) {
+    const { keys } = await aiRepository.resolveTenant(tenantId);
+    const [chunks, documents] = await Promise.all([
+      KnowledgeChunk.deleteMany({ tenantId: { $in: keys } }),
+      KnowledgeDocument.deleteMany({ tenantId: { $in: keys } })
+    ]);
+    return { documentsDeleted: documents.deletedCount, chunksDeleted: chunks.deletedCount };
+  }
+
+  async getStats(tenantId) {
+    const { keys } = await aiRepository.resolveTenant(tenantId);
+    const stats = await this.getIndexStats({ tenantId: { $in: keys } });
+    const latest = await KnowledgeDocument.findOne({ tenantId: { $in: keys } })
+      .sort({ updatedAt: -1 })
+      .select('updatedAt')
+      .lean();
+
+    return {
+      totalDocuments: stats.documents,
+      totalChunks: stats.totalChunks,
+      averageChunkLength: Math.round(stats.averageLength),
+      lastUpdated: latest ? latest.updatedAt : null
+    };
+  }
+
+  async deleteDocuments(documentIds) {
+    if (!documentIds.length) {
+      return;
+    }
+    await KnowledgeChunk.deleteMany({ documentId: { $in: documentIds } });
+    await KnowledgeDocument.deleteMany({ _id: { $in: documentIds } });
+  }
+}
+
+module.exports = new KnowledgeBaseService();
@@ -0,0 +1,734 @@
+/**
+ * LUXGEN LEARNING PATH SERVICE
+ * Curricula of courses and modules with prerequisite graphs.
+ *
+ * Features:
+ * - Paths built from courses and modules with prerequisites between them;
+ *   course and module prerequisites inside the path join the graph
+ * - Cycle detection whenever a path is saved
+ * - Items unlock as their prerequisites are completed, based on the
+ *   learner's course enrollments; locked items cannot be started
+ * - Learners join published paths; trainers assign them with due dates
+ * - "What next" ranking of unlocked items using progress, skill gaps
+ *   against CandidateProfile.skills, prerequisite scores, what an item
+ *   unlocks and due dates
+ */
+
+const mongoose = require('mongoose');
+const LearningPath = require('../models/LearningPath');
+const TrainingCourse = require('../models/TrainingCourse');
+const TrainingModule = require('../models/TrainingModule');
+const CandidateProfile = require('../models/CandidateProfile');
+const User = require('../models/User');
+const trainingService = require('./TrainingService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_RECOMMENDATIONS = 5;
+const FINISHED_STATUSES = ['completed', 'certified'];
+const CLOSED_STATUSES = ['dropped', 'rejected'];
+const LEVEL_RANK = { beginner: 1, intermediate: 2, advanced: 3, expert: 4, native: 4 };
+// Prerequisite average below which a learner is advised to review first
+const LOW_SCORE = 70;
+// Due dates further away than this do not add urgency
+const URGENCY_WINDOW_DAYS = 30;
+// Recommendation score weights (sum to 100)
+const WEIGHTS = { inProgress: 30, skillGap: 25, unlocks: 20, readiness: 15, urgency: 10 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeSkill = name => String(name || '').trim().toLowerCase();
+
+const average = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const isManager = user => ['admin', 'trainer'].includes(user.role);
+
+class LearningPathService {
+  // ==================== PATHS ====================
+
+  canManage(path, user) {
+    return user.role === 'admin' || (user.role === 'trainer' && String(path.createdBy) === String(user._id));
+  }
+
+  assertCanManage(path, user) {
+    if (!this.canManage(path, user)) {
+      throw new AuthorizationError('Only the path author or an admin can manage this learning path');
+    }
+  }
+
+  async getPathDocument(tenantKey, pathId) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const path = mongoose.Types.ObjectId.isValid(pathId)
+      ? await LearningPath.findOne({ _id: pathId, tenantId })
+      : null;
+    if (!path) {
+      throw new NotFoundError('Learning path not found');
+    }
+    return path;
+  }
+
+  /**
+   * Learners see published paths and paths they follow
+   */
+  assertCanView(path, user) {
+    if (isManager(user) || path.status === 'published' || path.getLearner(user._id)) {
+      return;
+    }
+    throw new NotFoundError('Learning path not found');
+  }
+
+  /**
+   * Items from a request body. Keys default to the type and referenced id;
+   * order defaults to the position in the list.
+   */
+  normalizeItems(items = []) {
+    return items.map((item, index) => ({
+      key: item.key || `${item.type}-${item.type === 'module' ? item.moduleId : item.courseId}`,
+      type: item.type,
+      courseId: item.courseId,
+      moduleId: item.type === 'module' ? item.moduleId : undefined,
+      title: item.title,
+      isRequired: item.isRequired !== false,
+      prerequisites: [...new Set(item.prerequisites || [])],
+      skills: (item.skills || []).map(skill => (typeof skill === 'string' ? { name: skill } : skill)),
+      order: typeof item.order === 'number' ? item.order : index
+    }));
+  }
+
+  /**
+   * Courses and modules referenced by the items, with the learner's
+   * enrollment on each course when a userId is given
+   */
+  async loadReferences(tenantId, items, userId = null) {
+    const courseIds = [...new Set(items.map(item => String(item.courseId)))];
+    const moduleIds = [...new Set(items.filter(item => item.moduleId).map(item => String(item.moduleId)))];
+
+    const projection = { tenantId: 1, title: 1, tags: 1, prerequisites: 1, isActive: 1, 'modules.moduleId': 1 };
+    if (userId) {
+      projection.enrollments = { $elemMatch: { userId } };
+    }
+    const [courses, modules] = await Promise.all([
+      courseIds.length ? TrainingCourse.find({ _id: { $in: courseIds }, tenantId }).select(projection).lean() : [],
+      moduleIds.length ? TrainingModule.find({ _id: { $in: moduleIds }, tenantId }).select('title tags prerequisites').lean() : []
+    ]);
+    return {
+      courses: new Map(courses.map(course => [String(course._id), course])),
+      modules: new Map(modules.map(module => [String(module._id), module]))
+    };
+  }
+
+  /**
+   * item key -> keys it depends on: the item's own prerequisites plus
+   * course prerequisites and (within the same course) module prerequisites
+   * that are part of the path
+   */
+  buildGraph(items, refs) {
+    const courseKeys = new Map();
+    const moduleKeys = new Map();
+    items.forEach(item => {
+      if (item.type === 'course') {
+        courseKeys.set(String(item.courseId), item.key);
+      } else {
+        moduleKeys.set(`${item.courseId}:${item.moduleId}`, item.key);
+      }
+    });
+
+    return new Map(items.map(item => {
+      const depends = new Set(item.prerequisites);
+      if (item.type === 'course') {
+        const course = refs.courses.get(String(item.courseId));
+        ((course && course.prerequisites) || [])
+          .filter(prerequisite => prerequisite.courseId && prerequisite.type !== 'skill')
+          .forEach(prerequisite => {
+            const key = courseKeys.get(String(prerequisite.courseId));
+            if (key && key !== item.key) {
+              depends.add(key);
+            }
+          });
+      } else {
+        const module = refs.modules.get(String(item.moduleId));
+        ((module && module.prerequisites) || []).forEach(moduleId => {
+          const key = moduleKeys.get(`${item.courseId}:${moduleId}`);
+          if (key && key !== item.key) {
+            depends.add(key);
+          }
+        });
+      }
+      return [item.key, [...depends]];
+    }));
+  }
+
+  /**
+   * Referenced courses and modules exist in the tenant, modules belong to
+   * their course, and the full prerequisite graph is acyclic
+   */
+  async validateItems(tenantId, items) {
+    const refs = await this.loadReferences(tenantId, items);
+
+    items.forEach(item => {
+      const course = refs.courses.get(String(item.courseId));
+      if (!course) {
+        throw new ValidationError(`Course for item "${item.key}" not found`, { key: item.key, courseId: item.courseId });
+      }
+      if (item.type === 'module') {
+        const module = refs.modules.get(String(item.moduleId));
+        if (!module || !course.modules.some(entry => String(entry.moduleId) === String(item.moduleId))) {
+          throw new ValidationError(`Module for item "${item.key}" not found in its course`, { key: item.key, moduleId: item.moduleId });
+        }
+        item.title = item.title || module.title;
+      } else {
+        item.title = item.title || course.title;
+      }
+    });
+
+    const cycle = LearningPath.findCycle(this.buildGraph(items, refs));
+    if (cycle) {
+      throw new ValidationError('Learning path prerequisites form a cycle', { cycle });
+    }
+    return refs;
+  }
+
+  async createPath(tenantKey, user, data) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const items = this.normalizeItems(data.items);
+    await this.validateItems(tenantId, items);
+    if (data.status === 'published' && !items.length) {
+      throw new ValidationError('Add at least one item before publishing');
+    }
+
+    const path = new LearningPath({
+      tenantId,
+      title: data.title,
+      description: data.description,
+      category: data.category,
+      level: data.level,
+      status: data.status,
+      allowSelfEnrollment: data.allowSelfEnrollment,
+      items,
+      createdBy: user._id
+    });
+    await path.save();
+
+    logger.info('Learning path created', { pathId: String(path._id), items: items.length, createdBy: String(user._id) });
+    return this.toPathView(path, user);
+  }
+
+  /**
+   * Update path details; `items`, when given, replaces the whole curriculum
+   */
+  async updatePath(tenantKey, pathId, user, data) {
+    const path = await this.getPathDocument(tenantKey, pathId);
+    this.assertCanManage(path, user);
+
+    ['title', 'description', 'category', 'level', 'status', 'allowSelfEnrollment'].forEach(field => {
+      if (data[field] !== undefined) {
+        path[field] = data[field];
+      }
+    });
+    if (data.items) {
+      const items = this.normalizeItems(data.items);
+      await this.validateItems(path.tenantId, items);
+      path.items = items;
+    }
+    if (path.status === 'published' && !path.items.length) {
+      throw new ValidationError('Add at least one item before publishing');
+    }
+    path.updatedBy = user._id;
+    await path.save();
+    return this.toPathView(path, user);
+  }
+
+  toPathView(path, user) {
+    const data = typeof path.toObject === 'function' ? path.toObject() : { ...path };
+    const learner = (data.learners || []).find(entry => String(entry.userId) === String(user._id));
+    const view = {
+      id: data._id,
+      title: data.title,
+      description: data.description,
+      category: data.category,
+      level: data.level,
+      status: data.status,
+      allowSelfEnrollment: data.allowSelfEnrollment,
+      items: (data.items || []).slice().sort((a, b) => a.order - b.order),
+      learnerCount: (data.learners || []).length,
+      createdBy: data.createdBy,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt,
+      enrollment: learner
+        ? { joinedAt: learner.joinedAt, dueDate: learner.dueDate, completedAt: learner.completedAt }
+        : null
+    };
+    if (!this.canManage(data, user)) {
+      delete view.createdBy;
+    }
+    return view;
+  }
+
+  /**
+   * @param {Object} filters - status (managers only), mine, page, limit
+   */
+  async listPaths(tenantKey, user, { status, mine, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const filter = { tenantId };
+    if (mine) {
+      filter['learners.userId'] = user._id;
+      filter.status = { $ne: 'archived' };
+    } else if (isManager(user)) {
+      filter.status = status || { $ne: 'archived' };
+    } else {
+      filter.$or = [{ status: 'published' }, { 'learners.userId': user._id, status: { $ne: 'archived' } }];
+    }
+
+    const [paths, total] = await Promise.all([
+      LearningPath.find(filter)
+        .select({ learners: 0 })
+        .sort({ createdAt: -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LearningPath.countDocuments(filter)
+    ]);
+
+    const followed = new Map((await LearningPath.find({ _id: { $in: paths.map(path => path._id) }, 'learners.userId': user._id })
+      .select({ learners: { $elemMatch: { userId: user._id } } })
+      .lean())
+      .map(path => [String(path._id), path.learners]));
+
+    return {
+      paths: paths.map(path => {
+        const view = this.toPathView({ ...path, learners: followed.get(String(path._id)) || [] }, user);
+        delete view.items;
+        delete view.learnerCount;
+        return { ...view, itemCount: path.items.length };
+      }),
+      total
+    };
+  }
+
+  async getPath(tenantKey, pathId, user) {
+    const path = await this.getPathDocument(tenantKey, pathId);
+    this.assertCanView(path, user);
+    const view = this.toPathView(path, user);
+    if (view.enrollment) {
+      view.progress = await this.evaluate(path, user._id);
+    }
+    return view;
+  }
+
+  // ==================== LEARNERS ====================
+
+  async joinPath(tenantKey, pathId, user) {
+    const path = await this.getPathDocument(tenantKey, pathId);
+    if (path.status !== 'published') {
+      throw new NotFoundError('Learning path not found');
+    }
+    await this.addLearner(path, user);
+    return this.getProgress(tenantKey, path, user._id);
+  }
+
+  async addLearner(path, user) {
+    if (path.getLearner(user._id)) {
+      return;
+    }
+    if (!path.allowSelfEnrollment) {
+      throw new AuthorizationError('This learning path is assigned by trainers');
+    }
+    const joinedAt = new Date();
+    await LearningPath.updateOne(
+      { _id: path._id, 'learners.userId': { $ne: user._id } },
+      { $push: { learners: { userId: user._id, joinedAt } } }
+    );
+    path.learners.push({ userId: user._id, joinedAt });
+  }
+
+  /**
+   * Assign a published path to learners (e.g. onboarding). Learners already
+   * on the path get the new due date.
+   */
+  async assignPath(tenantKey, pathId, manager, { userIds, dueDate }) {
+    const path = await this.getPathDocument(tenantKey, pathId);
+    this.assertCanManage(path, manager);
+    if (path.status !== 'published') {
+      throw new ValidationError('Publish the learning path before assigning it');
+    }
+
+    const ids = [...new Set(userIds.map(String))];
+    const users = await User.find({ _id: { $in: ids }, tenantId: String(tenantKey) }).select('_id').lean();
+    const found = new Set(users.map(user => String(user._id)));
+    const unknown = ids.filter(id => !found.has(id));
+    if (unknown.length) {
+      throw new ValidationError('Some learners were not found in this tenant', { userIds: unknown });
+    }
+
+    const now = new Date();
+    let added = 0;
+    ids.forEach(id => {
+      const learner = path.getLearner(id);
+      if (learner) {
+        learner.dueDate = dueDate;
+        return;
+      }
+      path.learners.push({ userId: id, assignedBy: manager._id, joinedAt: now, dueDate });
+      added += 1;
+    });
+    await path.save();
+
+    logger.info('Learning path assigned', { pathId: String(path._id), added, updated: ids.length - added });
+    return { added, updated: ids.length - added };
+  }
+
+  // ==================== PROGRESS ====================
+
+  /**
+   * Item states for one learner. An item is completed once its course is
+   * completed (or its module completed within the course), locked while a
+   * prerequisite inside the path, or a course prerequisite outside it, is
+   * not met, and otherwise in-progress or available.
+   */
+  async evaluate(path, userId) {
+    const refs = await this.loadReferences(path.tenantId, path.items, userId);
+    const edges = this.buildGraph(path.items, refs);
+    const states = new Map();
+
+    path.items.forEach(item => {
+      const course = refs.courses.get(String(item.courseId));
+      const enrollment = course && course.enrollments && course.enrollments[0];
+      const open = enrollment && !CLOSED_STATUSES.includes(enrollment.status);
+      const state = { status: 'available', enrollmentStatus: open ? enrollment.status : undefined };
+
+      if (item.type === 'course' && open) {
+        if (FINISHED_STATUSES.includes(enrollment.status)) {
+          const scores = (enrollment.completedAssessments || []).map(entry => entry.score);
+          state.status = 'completed';
+          state.completedAt = enrollment.completionDate;
+          state.score = average(scores.filter(score => typeof score === 'number'));
+        } else {
+          state.status = 'in-progress';
+          state.failedAssessments = (enrollment.completedAssessments || []).filter(entry => !entry.passed).length;
+        }
+      } else if (item.type === 'module' && open) {
+        const done = (enrollment.completedModules || []).find(entry => String(entry.moduleId) === String(item.moduleId));
+        const started = (enrollment.startedModules || []).some(entry => String(entry.moduleId) === String(item.moduleId));
+        if (done) {
+          state.status = 'completed';
+          state.completedAt = done.completedAt;
+          state.score = typeof done.score === 'number' ? done.score : null;
+        } else if (started) {
+          state.status = 'in-progress';
+        }
+      }
+      states.set(item.key, state);
+    });
+
+    for (const item of path.items) {
+      const state = states.get(item.key);
+      if (state.status !== 'available') {
+        continue;
+      }
+      state.missingPrerequisites = edges.get(item.key).filter(key => states.get(key).status !== 'completed');
+      if (state.missingPrerequisites.length) {
+        state.status = 'locked';
+        continue;
+      }
+      const course = refs.courses.get(String(item.courseId));
+      if (item.type === 'course' && course && (course.prerequisites || []).length) {
+        // Prerequisites outside the path still gate enrollment
+        const blockedBy = await trainingService.findUnmetPrerequisites(course, userId);
+        if (blockedBy.length) {
+          state.status = 'locked';
+          state.blockedBy = blockedBy;
+        }
+      }
+    }
+
+    const required = path.items.filter(item => item.isRequired);
+    const completedRequired = required.filter(item => states.get(item.key).status === 'completed').length;
+    return {
+      edges,
+      states,
+      refs,
+      completedRequired,
+      totalRequired: required.length,
+      progress: required.length ? Math.round((completedRequired / required.length) * 100) : 0,
+      completed: required.length > 0 && completedRequired === required.length
+    };
+  }
+
+  /**
+   * Path progress for a learner; others need to manage the path
+   * @param {Object|string} pathOrId - Loaded path or its ID
+   */
+  async getProgress(tenantKey, pathOrId, learnerId, requester = null) {
+    const path = typeof pathOrId === 'object' && pathOrId.items
+      ? pathOrId
+      : await this.getPathDocument(tenantKey, pathOrId);
+    if (requester && String(requester._id) !== String(learnerId)) {
+      this.assertCanManage(path, requester);
+    }
+    const learner = path.getLearner(learnerId);
+    if (!learner) {
+      throw new NotFoundError('Learner is not following this learning path');
+    }
+
+    const evaluation = await this.evaluate(path, learnerId);
+    if (evaluation.completed && !learner.completedAt) {
+      learner.completedAt = new Date();
+      await LearningPath.updateOne(
+        { _id: path._id, learners: { $elemMatch: { userId: learner.userId, completedAt: null } } },
+        { $set: { 'learners.$.completedAt': learner.completedAt } }
+      );
+      logger.info('Learning path completed', { pathId: String(path._id), userId: String(learnerId) });
+    }
+
+    return {
+      pathId: path._id,
+      title: path.title,
+      progress: evaluation.progress,
+      completedRequired: evaluation.completedRequired,
+      totalRequired: evaluation.totalRequired,
+      joinedAt: learner.joinedAt,
+      dueDate: learner.dueDate,
+      completedAt: learner.completedAt,
+      items: path.items
+        .slice()
+        .sort((a, b) => a.order - b.order)
+        .map(item => {
+          const state = evaluation.states.get(item.key);
+          return {
+            key: item.key,
+            type: item.type,
+            title: item.title,
+            courseId: item.courseId,
+            moduleId: item.moduleId,
+            isRequired: item.isRequired,
+            prerequisites: evaluation.edges.get(item.key),
+            status: state.status,
+            enrollmentStatus: state.enrollmentStatus,
+            missingPrerequisites: state.missingPrerequisites && state.missingPrerequisites.length ? state.missingPrerequisites : undefined,
+            blockedBy: state.blockedBy,
+            score: state.score,
+            completedAt: state.completedAt
+          };
+        })
+    };
+  }
+
+  /**
+   * Start an unlocked item: enroll in its course and, for modules, start the
+   * module. Learners join the path on their first start when they may.
+   */
+  async startItem(tenantKey, pathId, key, user) {
+    const path = await this.getPathDocument(tenantKey, pathId);
+    if (path.status !== 'published') {
+      throw new NotFoundError('Learning path not found');
+    }
+    const item = path.getItem(key);
+    if (!item) {
+      throw new NotFoundError('Learning path item not found');
+    }
+    await this.addLearner(path, user);
+
+    const { states } = await this.evaluate(path, user._id);
+    const state = states.get(key);
+    if (state.status === 'locked') {
+      throw new ValidationError('Complete the prerequisites first', {
+        prerequisites: state.missingPrerequisites,
+        blockedBy: state.blockedBy
+      });
+    }
+
+    if (state.status !== 'completed') {
+      let enrollmentStatus = state.enrollmentStatus;
+      if (!enrollmentStatus) {
+        ({ status: enrollmentStatus } = await trainingService.enroll(tenantKey, item.courseId, user));
+      }
+      if (item.type === 'module' && ['enrolled', 'in-progress'].includes(enrollmentStatus)) {
+        await trainingService.startModule(tenantKey, item.courseId, item.moduleId, user);
+      }
+    }
+    return this.getProgress(tenantKey, path, user._id);
+  }
+
+  // ==================== RECOMMENDATIONS ====================
+
+  /**
+   * skill name -> level rank from the learner's candidate profile
+   */
+  async loadSkills(tenantKey, userId) {
+    const profile = await CandidateProfile.findOne({ userId, tenantId: String(tenantKey) }).select('skills').lean();
+    const skills = new Map();
+    const add = (name, level) => {
+      const rank = LEVEL_RANK[level] || 1;
+      const key = normalizeSkill(name);
+      if (key && rank > (skills.get(key) || 0)) {
+        skills.set(key, rank);
+      }
+    };
+    if (profile && profile.skills) {
+      (profile.skills.technical || []).forEach(skill => add(skill.name, skill.level));
+      (profile.skills.soft || []).forEach(skill => add(skill.name, skill.level));
+      (profile.skills.languages || []).forEach(skill => add(skill.name, skill.proficiency));
+    }
+    return skills;
+  }
+
+  /**
+   * Keys of every item that depends on `key`, directly or not
+   */
+  dependents(edges, key) {
+    const reverse = new Map();
+    edges.forEach((depends, item) => depends.forEach(dep => {
+      reverse.set(dep, [...(reverse.get(dep) || []), item]);
+    }));
+    const seen = new Set();
+    const queue = [...(reverse.get(key) || [])];
+    while (queue.length) {
+      const next = queue.shift();
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(...(reverse.get(next) || []));
+      }
+    }
+    return seen;
+  }
+
+  /**
+   * Rank one unlocked item. Each factor is 0-1 and weighted by WEIGHTS.
+   */
+  scoreItem(item, state, { edges, states, refs }, skills, learner, now) {
+    const reasons = [];
+    const factors = {};
+
+    factors.inProgress = state.status === 'in-progress' ? 1 : 0;
+    if (factors.inProgress) {
+      reasons.push(state.failedAssessments
+        ? 'Already started; an assessment still needs a passing score'
+        : 'Already started; finish what you began');
+    }
+
+    // Skill gap against the learner's profile
+    let taught = item.skills || [];
+    if (!taught.length) {
+      const source = item.type === 'module' ? refs.modules.get(String(item.moduleId)) : refs.courses.get(String(item.courseId));
+      taught = ((source && source.tags) || []).map(name => ({ name }));
+    }
+    const missing = [];
+    const improving = [];
+    const gaps = taught.map(skill => {
+      const have = skills.get(normalizeSkill(skill.name)) || 0;
+      const need = LEVEL_RANK[skill.level] || 1;
+      if (!have) {
+        missing.push(skill.name);
+      } else if (have < need) {
+        improving.push(skill.name);
+      }
+      return Math.max(0, need - have) / need;
+    });
+    factors.skillGap = average(gaps) || 0;
+    if (missing.length) {
+      reasons.push(`Builds skills missing from your profile: ${missing.join(', ')}`);
+    }
+    if (improving.length) {
+      reasons.push(`Raises your level in ${improving.join(', ')}`);
+    }
+    if (taught.length && !missing.length && !improving.length) {
+      reasons.push('Your profile already covers these skills');
+    }
+
+    // Items this one unlocks
+    const unlocks = [...this.dependents(edges, item.key)].filter(key => states.get(key).status !== 'completed');
+    factors.unlocks = edges.size > 1 ? unlocks.length / (edges.size - 1) : 0;
+    if (unlocks.length) {
+      reasons.push(`Unlocks ${unlocks.length} more item${unlocks.length === 1 ? '' : 's'}`);
+    }
+
+    // Readiness from prerequisite scores; neutral without scores
+    const scores = edges.get(item.key)
+      .map(key => states.get(key).score)
+      .filter(score => typeof score === 'number');
+    const prerequisiteScore = average(scores);
+    factors.readiness = prerequisiteScore === null ? 0.5 : prerequisiteScore / 100;
+    if (prerequisiteScore !== null) {
+      reasons.push(prerequisiteScore < LOW_SCORE
+        ? `Prerequisite scores average ${Math.round(prerequisiteScore)}%; consider reviewing them first`
+        : `Strong prerequisite scores (${Math.round(prerequisiteScore)}%)`);
+    }
+
+    // Due date of an assigned path
+    factors.urgency = 0;
+    if (item.isRequired && learner.dueDate) {
+      const daysLeft = (new Date(learner.dueDate) - now) / DAY_MS;
+      factors.urgency = Math.min(1, Math.max(0, 1 - daysLeft / URGENCY_WINDOW_DAYS));
+      if (factors.urgency > 0) {
+        reasons.push(daysLeft <= 0 ? 'Path is past its due date' : `Path is due in ${Math.ceil(daysLeft)} day(s)`);
+      }
+    }
+
+    let score = Object.keys(WEIGHTS).reduce((sum, factor) => sum + WEIGHTS[factor] * factors[factor], 0);
+    if (!item.isRequired) {
+      score *= 0.8;
+    }
+    return { score: Math.round(score), reasons, skills: { missing, improving } };
+  }
+
+  /**
+   * Unlocked items ranked across the learner's paths (or one path)
+   * @param {Object} options - pathId, limit
+   */
+  async recommendNext(tenantKey, user, { pathId, limit = DEFAULT_RECOMMENDATIONS } = {}) {
+    let paths;
+    if (pathId) {
+      const path = await this.getPathDocument(tenantKey, pathId);
+      if (!path.getLearner(user._id)) {
+        throw new NotFoundError('Join the learning path to get recommendations');
+      }
+      paths = [path];
+    } else {
+      const tenantId = await trainingService.resolveTenantId(tenantKey);
+      paths = await LearningPath.find({ tenantId, status: 'published', 'learners.userId': user._id });
+    }
+
+    const skills = await this.loadSkills(tenantKey, user._id);
+    const now = new Date();
+    const best = new Map();
+
+    for (const path of paths) {
+      const learner = path.getLearner(user._id);
+      const evaluation = await this.evaluate(path, user._id);
+      path.items.forEach(item => {
+        const state = evaluation.states.get(item.key);
+        if (!['available', 'in-progress'].includes(state.status)) {
+          return;
+        }
+        const ranked = this.scoreItem(item, state, evaluation, skills, learner, now);
+        const target = item.type === 'module' ? `${item.courseId}:${item.moduleId}` : String(item.courseId);
+        const current = best.get(target);
+        if (!current || ranked.score > current.score) {
+          best.set(target, {
+            pathId: path._id,
+            pathTitle: path.title,
+            key: item.key,
+            type: item.type,
+            title: item.title,
+            courseId: item.courseId,
+            moduleId: item.moduleId,
+            isRequired: item.isRequired,
+            status: state.status,
+            order: item.order,
+            ...ranked
+          });
+        }
+      });
+    }
+
+    return [...best.values()]
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, limit)
+      .map(recommendation => {
+        delete recommendation.order;
+        return recommendation;
+      });
+  }
+}
+
+module.exports = new LearningPathService();
@@ -0,0 +1,577 @@
+/**
+ * LUXGEN MATCH SCORING SERVICE
+ * Candidate-to-job match scoring for the ATS
+ *
+ * Features:
+ * - Skills, experience and education sub-scores (0-100) with a weighted overall fit
+ * - Skill synonyms (js = javascript, k8s = kubernetes, ...) and skill recency
+ * - Years of experience from merged employment periods (overlaps count once)
+ * - Plain-language strengths, weaknesses and red flags explaining every score
+ */
+
+const mongoose = require('mongoose');
+
+const logger = require('../utils/logger');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const CandidateProfile = require('../models/CandidateProfile');
+
+const WEIGHTS = {
+  skills: 0.5,
+  experience: 0.3,
+  education: 0.2
+};
+
+// Share of atsData.score taken by interview scorecards once there are any
+const INTERVIEW_WEIGHT = 0.6;
+
+// Canonical skill -> aliases
+const SKILL_SYNONYMS = {
+  javascript: ['js', 'ecmascript', 'es6', 'es2015'],
+  typescript: ['ts'],
+  'node.js': ['node', 'nodejs', 'node js'],
+  react: ['reactjs', 'react.js', 'react js'],
+  'react native': ['react-native'],
+  vue: ['vuejs', 'vue.js', 'vue js'],
+  angular: ['angularjs', 'angular.js'],
+  'next.js': ['nextjs'],
+  express: ['expressjs', 'express.js'],
+  python: ['py', 'python3'],
+  golang: ['go', 'go lang'],
+  'c#': ['csharp', 'c sharp'],
+  'c++': ['cpp', 'cplusplus'],
+  ruby: ['ruby on rails', 'rails', 'ror'],
+  postgresql: ['postgres', 'psql'],
+  mongodb: ['mongo', 'mongoose'],
+  mysql: ['mariadb'],
+  sql: ['structured query language'],
+  kubernetes: ['k8s'],
+  docker: ['containers', 'containerization'],
+  aws: ['amazon web services'],
+  gcp: ['google cloud', 'google cloud platform'],
+  azure: ['microsoft azure'],
+  'ci/cd': ['cicd', 'ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'],
+  rest: ['rest api', 'restful', 'restful api', 'rest apis'],
+  graphql: ['gql'],
+  html: ['html5'],
+  css: ['css3'],
+  'machine learning': ['ml'],
+  'artificial intelligence': ['ai'],
+  'natural language processing': ['nlp'],
+  'user experience': ['ux', 'ux design'],
+  'user interface': ['ui', 'ui design'],
+  agile: ['scrum', 'kanban'],
+  'project management': ['pmp']
+};
+
+// Alias -> canonical
+const SKILL_ALIASES = new Map();
+Object.entries(SKILL_SYNONYMS).forEach(([canonical, aliases]) => {
+  SKILL_ALIASES.set(canonical, canonical);
+  aliases.forEach(alias => SKILL_ALIASES.set(alias, canonical));
+});
+
+// Typical minimum years when a job gives only its experience level
+const LEVEL_YEARS = {
+  entry: 0,
+  junior: 1,
+  mid: 3,
+  senior: 5,
+  lead: 7,
+  executive: 10
+};
+
+const EDUCATION_RANK = {
+  'high-school': 1,
+  associate: 2,
+  bachelor: 3,
+  master: 4,
+  phd: 5
+};
+
+const PROFICIENCY = {
+  beginner: 0.6,
+  intermediate: 0.85,
+  advanced: 1,
+  expert: 1
+};
+
+// Applications that are no longer in play keep their last scores
+const CLOSED_STATUSES = ['rejected', 'withdrawn', 'offer-declined'];
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const normalizeSkill = (name) => {
+  const key = String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (SKILL_ALIASES.has(key)) {
+    return SKILL_ALIASES.get(key);
+  }
+  // "Ember.js" and "ember" are the same skill
+  const withoutSuffix = key.replace(/[\s.-]?js$/, '');
+  return SKILL_ALIASES.get(withoutSuffix) || withoutSuffix || key;
+};
+
+/**
+ * Degree text ("BSc Computer Science", "MBA", "Ph.D.") -> education level
+ */
+const educationLevel = (degree) => {
+  const text = String(degree || '').toLowerCase();
+  if (/ph\.?\s?d|doctor/.test(text)) return 'phd';
+  if (/master|mba|m\.?sc|\bm\.?s\b|\bm\.?a\b|\bm\.?eng|\bmtech/.test(text)) return 'master';
+  if (/bachelor|b\.?sc|\bb\.?s\b|\bb\.?a\b|\bb\.?eng|\bb\.?tech|undergraduate/.test(text)) return 'bachelor';
+  if (/associate/.test(text)) return 'associate';
+  if (/high school|secondary|diploma|ged/.test(text)) return 'high-school';
+  return null;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+class MatchScoringService {
+  /**
+   * SCORE MATCH
+   * Compare a job's requirements with a candidate. Pure: no database access.
+   */
+  scoreMatch(job, candidate, now = new Date()) {
+    const skills = this.scoreSkills(job, candidate, now);
+    const experience = this.scoreExperience(job, candidate);
+    const education = this.scoreEducation(job, candidate);
+
+    const overallFit = Math.round(
+      skills.score * WEIGHTS.skills +
+      experience.score * WEIGHTS.experience +
+      education.score * WEIGHTS.education
+    );
+
+    const explanation = { strengths: [], weaknesses: [], redFlags: [], recommendations: [] };
+    [skills, experience, education].forEach(part => {
+      Object.keys(explanation).forEach(key => explanation[key].push(...(part[key] || [])));
+    });
+
+    return {
+      skillsMatch: skills.score,
+      experienceMatch: experience.score,
+      educationMatch: education.score,
+      overallFit,
+      matchedSkills: skills.matched,
+      missingSkills: skills.missing,
+      experienceYears: experience.years,
+      requiredExperienceYears: experience.required,
+      ...explanation,
+      scoredAt: now
+    };
+  }
+
+  /**
+   * Each required skill earns up to one point: proficiency x recency
+   */
+  scoreSkills(job, candidate, now) {
+    const required = [...new Set(((job.requirements && job.requirements.skills) || []).map(normalizeSkill).filter(Boolean))];
+    if (required.length === 0) {
+      return { score: 100, matched: [], missing: [], strengths: [], weaknesses: [] };
+    }
+
+    const matched = [];
+    const missing = [];
+    const stale = [];
+    let points = 0;
+
+    required.forEach(skill => {
+      const evidence = candidate.skills.filter(item => item.name === skill);
+      if (evidence.length === 0) {
+        missing.push(skill);
+        return;
+      }
+      const best = Math.max(...evidence.map(item => this.proficiency(item) * this.recency(item.lastUsed, now)));
+      const lastUsed = evidence.reduce((latest, item) => (item.lastUsed && (!latest || item.lastUsed > latest) ? item.lastUsed : latest), null);
+      if (lastUsed && now - lastUsed > 3 * YEAR_MS) {
+        stale.push(`${skill} (last used ${lastUsed.getFullYear()})`);
+      }
+      matched.push(skill);
+      points += best;
+    });
+
+    const result = {
+      score: Math.round((points / required.length) * 100),
+      matched,
+      missing,
+      strengths: [],
+      weaknesses: [],
+      recommendations: []
+    };
+    if (matched.length) {
+      result.strengths.push(`Matches ${matched.length} of ${required.length} required skills: ${matched.join(', ')}`);
+    }
+    if (missing.length) {
+      result.weaknesses.push(`Missing required skills: ${missing.join(', ')}`);
+      result.recommendations.push(`Ask about transferable experience for ${missing.join(', ')}`);
+    }
+    if (stale.length) {
+      result.weaknesses.push(`Skills not used recently: ${stale.join(', ')}`);
+    }
+    return result;
+  }
+
+  /**
+   * Years against the requirement (or the level's typical minimum);
+   * more experience than required is not penalized
+   */
+  scoreExperience(job, candidate) {
+    const requirement = job.requirements && job.requirements.experience;
+    const required = requirement && typeof requirement.years === 'number'
+      ? requirement.years
+      : LEVEL_YEARS[job.experienceLevel] || 0;
+    const years = round(candidate.experienceYears);
+
+    const result = { score: 100, years, required, strengths: [], weaknesses: [], redFlags: [] };
+    if (required > 0) {
+      result.score = Math.round(Math.min(years / required, 1) * 100);
+    }
+
+    const summary = `${years} ${years === 1 ? 'year' : 'years'} of experience (${required} required)`;
+    if (required > 0 && years >= required) {
+      result.strengths.push(summary);
+    } else if (required > 0) {
+      result.weaknesses.push(summary);
+      if (years < required / 2) {
+        result.redFlags.push('Less than half of the required experience');
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Full marks at or above the required level, partial credit one level
+   * below; a different field of study costs a little
+   */
+  scoreEducation(job, candidate) {
+    const requirement = (job.requirements && job.requirements.education) || {};
+    const requiredRank = EDUCATION_RANK[requirement.level];
+    const result = { score: 100, strengths: [], weaknesses: [], redFlags: [] };
+    if (!requiredRank) {
+      return result;
+    }
+
+    const best = candidate.education.reduce((top, item) => (item.rank > (top ? top.rank : 0) ? item : top), null);
+    if (!best) {
+      result.score = 0;
+      result.redFlags.push(`No education listed (${requirement.level} required)`);
+      return result;
+    }
+
+    if (best.rank >= requiredRank) {
+      result.score = 100;
+      result.strengths.push(`Holds a ${best.level} degree (${requirement.level} required)`);
+    } else if (best.rank === requiredRank - 1) {
+      result.score = 60;
+      result.weaknesses.push(`Highest degree is ${best.level} (${requirement.level} required)`);
+    } else {
+      result.score = 25;
+      result.weaknesses.push(`Highest degree is ${best.level} (${requirement.level} required)`);
+    }
+
+    if (requirement.field) {
+      const fieldTerms = String(requirement.field).toLowerCase().split(/[^a-z0-9]+/).filter(term => term.length > 2);
+      const relevant = candidate.education.some(item => fieldTerms.some(term => item.field.includes(term)));
+      if (!relevant && fieldTerms.length) {
+        result.score = Math.round(result.score * 0.8);
+        result.weaknesses.push(`No degree in ${requirement.field}`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * SKILLS
+   * Canonical skill name ("JS", "Node" -> "javascript", "node.js")
+   */
+  normalizeSkill(name) {
+    return normalizeSkill(name);
+  }
+
+  /**
+   * Canonical names of the skills with known synonyms
+   */
+  getKnownSkills() {
+    return Object.keys(SKILL_SYNONYMS);
+  }
+
+  proficiency(skill) {
+    if (skill.level && PROFICIENCY[skill.level]) {
+      return PROFICIENCY[skill.level];
+    }
+    if (typeof skill.years === 'number') {
+      return skill.years >= 3 ? 1 : skill.years >= 1 ? 0.85 : 0.75;
+    }
+    // Mentioned in experience or projects only
+    return 0.8;
+  }
+
+  recency(lastUsed, now) {
+    if (!lastUsed) {
+      return 0.9;
+    }
+    const years = (now - lastUsed) / YEAR_MS;
+    if (years <= 1) return 1;
+    if (years <= 3) return 0.8;
+    if (years <= 5) return 0.6;
+    return 0.4;
+  }
+
+  /**
+   * Profile (or the application's snapshot) -> { skills, experienceYears, education }
+   * with canonical skill names
+   */
+  normalizeCandidate(profile, snapshot = {}, now = new Date()) {
+    const source = profile || {};
+    const skills = [];
+    const addSkill = (name, details = {}) => {
+      if (name) {
+        skills.push({ name: normalizeSkill(name), ...details });
+      }
+    };
+    const endOf = (item) => (item.isCurrent || !item.endDate ? now : new Date(item.endDate));
+
+    const technical = (source.skills && source.skills.technical) || [];
+    technical.forEach(skill => addSkill(skill.name, {
+      level: skill.level,
+      years: skill.years,
+      lastUsed: skill.lastUsed ? new Date(skill.lastUsed) : null
+    }));
+    (source.experience || []).forEach(item => {
+      [...(item.skills || []), ...(item.technologies || [])].forEach(name => addSkill(name, { lastUsed: endOf(item) }));
+    });
+    (source.projects || []).forEach(item => {
+      (item.technologies || []).forEach(name => addSkill(name, { lastUsed: item.endDate ? new Date(item.endDate) : null }));
+    });
+    (source.certifications || []).forEach(item => {
+      (item.skills || []).forEach(name => addSkill(name, { lastUsed: item.issueDate ? new Date(item.issueDate) : null }));
+    });
+    // Older applications only carry the snapshot's flat skill list
+    if (!profile) {
+      (snapshot.skills || []).forEach(skill => addSkill(skill.name, { level: skill.level, years: skill.years }));
+      (snapshot.experience || []).forEach(item => (item.skills || []).forEach(name => addSkill(name, { lastUsed: endOf(item) })));
+    }
+
+    const periods = (source.experience || (!profile && snapshot.experience) || [])
+      .filter(item => item.startDate)
+      .map(item => [new Date(item.startDate).getTime(), endOf(item).getTime()]);
+    let experienceYears = this.mergedYears(periods);
+    const declared = snapshot.professionalInfo && snapshot.professionalInfo.totalExperience;
+    if (!periods.length && typeof declared === 'number') {
+      experienceYears = declared;
+    }
+
+    const education = (source.education || (!profile && snapshot.education) || [])
+      .map(item => {
+        const level = educationLevel(item.degree);
+        return level && !item.isCurrent
+          ? { level, rank: EDUCATION_RANK[level], field: String(item.field || '').toLowerCase() }
+          : null;
+      })
+      .filter(Boolean);
+
+    return { skills, experienceYears, education };
+  }
+
+  /**
+   * Total years covered by possibly overlapping [start, end] periods
+   */
+  mergedYears(periods) {
+    const sorted = periods.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+    let total = 0;
+    let current = null;
+    sorted.forEach(([start, end]) => {
+      if (current && start <= current[1]) {
+        current[1] = Math.max(current[1], end);
+        return;
+      }
+      if (current) {
+        total += current[1] - current[0];
+      }
+      current = [start, end];
+    });
+    if (current) {
+      total += current[1] - current[0];
+    }
+    return total / YEAR_MS;
+  }
+
+  /**
+   * SCORE APPLICATION
+   * Writes atsData.aiAnalysis and atsData.score on the application document;
+   * the caller saves it
+   */
+  async scoreApplication(application, { job, profile } = {}) {
+    const scoredJob = job || await Job.findById(application.jobId).lean();
+    if (!scoredJob) {
+      throw new Error('Job not found');
+    }
+    const scoredProfile = profile !== undefined
+      ? profile
+      : await CandidateProfile.findOne({ userId: application.candidateId }).lean();
+
+    const candidate = this.normalizeCandidate(scoredProfile, application.candidateProfile || {});
+    const analysis = this.scoreMatch(scoredJob, candidate);
+
+    // Keep the interview roll-up; it is only recomputed from scorecards
+    const current = typeof application.toObject === 'function' ? application.toObject() : application;
+    const interview = current.atsData && current.atsData.aiAnalysis && current.atsData.aiAnalysis.interview;
+    if (interview && interview.scorecards) {
+      analysis.interview = interview;
+    }
+
+    application.atsData = application.atsData || {};
+    application.atsData.aiAnalysis = analysis;
+    application.atsData.score = this.combinedScore(analysis);
+    return analysis;
+  }
+
+  /**
+   * atsData.score: the match score until interviewers have submitted
+   * scorecards, then weighted towards the interview results
+   */
+  combinedScore(analysis) {
+    const interview = analysis.interview;
+    if (!interview || !interview.scorecards) {
+      return analysis.overallFit || 0;
+    }
+    return Math.round((analysis.overallFit || 0) * (1 - INTERVIEW_WEIGHT) + interview.score * INTERVIEW_WEIGHT);
+  }
+
+  /**
+   * RESCORE CANDIDATE
+   * Re-scores every open application of a candidate, then refreshes the
+   * profile's summary scores. Called when the profile changes.
+   */
+  async rescoreCandidate(profile) {
+    try {
+      const applications = await JobApplication.find({
+        candidateId: profile.userId,
+        tenantId: profile.tenantId,
+        status: { $nin: CLOSED_STATUSES }
+      }).select('jobId candidateId candidateProfile atsData').populate('jobId').lean();
+
+      for (const application of applications) {
+        if (!application.jobId) {
+          continue;
+        }
+        const analysis = await this.scoreApplication(application, { job: application.jobId, profile });
+        await JobApplication.updateOne(
+          { _id: application._id },
+          { $set: { 'atsData.aiAnalysis': analysis, 'atsData.score': this.combinedScore(analysis) } }
+        );
+      }
+
+      return this.refreshCandidateScores(profile.userId, profile.tenantId);
+
+    } catch (error) {
+      logger.error('Error rescoring candidate:', error.message);
+      throw new Error(`Failed to rescore candidate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Profile scores mirror the candidate's best-fitting open application
+   */
+  async refreshCandidateScores(userId, tenantId) {
+    const best = await JobApplication.findOne({
+      candidateId: userId,
+      tenantId,
+      status: { $nin: CLOSED_STATUSES },
+      'atsData.aiAnalysis.scoredAt': { $exists: true }
+    }).sort({ 'atsData.score': -1 }).select('atsData').lean();
+
+    const analysis = best ? best.atsData.aiAnalysis : {};
+    const scores = {
+      'atsData.overallScore': analysis.overallFit || 0,
+      'atsData.skillsScore': analysis.skillsMatch || 0,
+      'atsData.experienceScore': analysis.experienceMatch || 0,
+      'atsData.educationScore': analysis.educationMatch || 0,
+      'atsData.aiInsights.strengths': analysis.strengths || [],
+      'atsData.aiInsights.weaknesses': analysis.weaknesses || [],
+      'atsData.aiInsights.riskFactors': analysis.redFlags || []
+    };
+
+    // updateOne skips the profile's save hooks, so this cannot retrigger scoring
+    await CandidateProfile.updateOne({ userId, tenantId }, { $set: scores });
+    return scores;
+  }
+
+  /**
+   * RANK APPLICANTS
+   * Applicants for a job, best match first; ties go to the earlier applicant.
+   * Stores each open application's position in atsData.ranking.
+   */
+  async rankApplicants(jobId, tenantId, { rescore = false, status, page = 1, limit = 20 } = {}) {
+    try {
+      const job = mongoose.Types.ObjectId.isValid(jobId)
+        ? await Job.findOne({ _id: jobId, tenantId }).lean()
+        : null;
+      if (!job) {
+        throw new Error('Job not found');
+      }
+
+      const open = { jobId: job._id, tenantId, status: { $nin: CLOSED_STATUSES } };
+
+      const unscored = rescore ? open : { ...open, 'atsData.aiAnalysis.scoredAt': { $exists: false } };
+      const toScore = await JobApplication.find(unscored).select('jobId candidateId candidateProfile atsData').lean();
+      if (toScore.length) {
+        const profiles = await CandidateProfile.find({ userId: { $in: toScore.map(item => item.candidateId) } }).lean();
+        const profilesByUser = new Map(profiles.map(profile => [profile.userId.toString(), profile]));
+
+        await JobApplication.bulkWrite(await Promise.all(toScore.map(async application => {
+          const analysis = await this.scoreApplication(application, {
+            job,
+            profile: profilesByUser.get(application.candidateId.toString()) || null
+          });
+          return {
+            updateOne: {
+              filter: { _id: application._id },
+              update: { $set: { 'atsData.aiAnalysis': analysis, 'atsData.score': this.combinedScore(analysis) } }
+            }
+          };
+        })));
+      }
+
+      const ordered = await JobApplication.find(open)
+        .sort({ 'atsData.score': -1, 'process.appliedAt': 1 })
+        .select('_id')
+        .lean();
+      if (ordered.length) {
+        await JobApplication.bulkWrite(ordered.map((application, index) => ({
+          updateOne: { filter: { _id: application._id }, update: { $set: { 'atsData.ranking': index + 1 } } }
+        })));
+      }
+
+      const filter = { jobId: job._id, tenantId };
+      if (status) {
+        filter.status = status;
+      }
+      const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+      const [applications, total] = await Promise.all([
+        JobApplication.find(filter)
+          .populate('candidateId', 'name email')
+          .sort({ 'atsData.score': -1, 'process.appliedAt': 1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize)
+          .select('candidateId status atsData process source')
+          .lean(),
+        JobApplication.countDocuments(filter)
+      ]);
+
+      return {
+        job: { _id: job._id, title: job.title, experienceLevel: job.experienceLevel, requirements: job.requirements },
+        applications,
+        pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+      };
+
+    } catch (error) {
+      logger.error('Error ranking applicants:', error.message);
+      throw new Error(`Failed to rank applicants: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MatchScoringService();
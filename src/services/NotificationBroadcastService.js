@@ -0,0 +1,375 @@
+/**
+ * LUXGEN NOTIFICATION BROADCAST SERVICE
+ * Tenant-wide and segment notifications
+ *
+ * Features:
+ * - Audience: whole tenant, or filtered by role, group membership or user
+ * - One Notification document per recipient
+ * - Fan-out over in_app, email and webhook channels
+ * - Per-recipient, per-channel delivery status plus broadcast totals
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const Notification = require('../models/Notification');
+const NotificationBroadcast = require('../models/NotificationBroadcast');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const emailService = require('./emailService');
+
+const BROADCAST_CHANNELS = ['in_app', 'email', 'webhook'];
+const INSERT_BATCH_SIZE = 500;
+const EMAIL_CONCURRENCY = 5;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_REPORTED_FAILURES = 100;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class NotificationBroadcastService {
+  /**
+   * SEND BROADCAST
+   * Creates the in-app notifications before returning; email and webhook
+   * delivery continue in the background and are tracked on the broadcast
+   */
+  async sendBroadcast(tenant, payload, options = {}) {
+    try {
+      const type = payload.type || 'custom';
+      if (!Notification.schema.path('type').enumValues.includes(type)) {
+        throw new Error(`Invalid notification type: ${type}`);
+      }
+
+      const channels = (payload.delivery && payload.delivery.channels) || ['in_app'];
+      const unsupported = channels.filter(channel => !BROADCAST_CHANNELS.includes(channel));
+      if (unsupported.length) {
+        throw new Error(`Unsupported delivery channels: ${unsupported.join(', ')}`);
+      }
+
+      // Only the tenant's configured endpoint; a URL from the request would
+      // let callers make the server post to arbitrary hosts
+      const webhookUrl = channels.includes('webhook')
+        ? tenant.settings && tenant.settings.notifications && tenant.settings.notifications.webhookUrl
+        : undefined;
+      if (channels.includes('webhook') && !webhookUrl) {
+        throw new Error('Webhook channel requires the tenant notification webhook URL to be configured');
+      }
+
+      const segment = payload.segment || {};
+      const recipients = await this.resolveRecipients(tenant, segment);
+      if (recipients.length === 0) {
+        throw new Error('No recipients match the requested segment');
+      }
+
+      console.log(`📣 Broadcasting ${type} to ${recipients.length} users of tenant:`, tenant._id.toString());
+
+      const broadcast = await NotificationBroadcast.create({
+        tenantId: tenant._id,
+        type,
+        title: payload.title,
+        message: payload.message,
+        priority: payload.priority,
+        importance: payload.importance,
+        segment: {
+          roles: segment.roles || [],
+          groupIds: segment.groupIds || [],
+          userIds: segment.userIds || []
+        },
+        channels,
+        webhookUrl,
+        status: 'sending',
+        recipientCount: recipients.length,
+        createdBy: options.createdBy
+      });
+
+      await this.createNotifications(broadcast, recipients, payload);
+
+      setImmediate(() => {
+        this.deliver(broadcast, recipients).catch(error => {
+          console.error('❌ Broadcast delivery crashed:', error);
+        });
+      });
+
+      return broadcast;
+
+    } catch (error) {
+      console.error('❌ Error sending broadcast:', error);
+      throw new Error(`Failed to send broadcast: ${error.message}`);
+    }
+  }
+
+  /**
+   * Active users of the tenant matching every given segment filter
+   */
+  async resolveRecipients(tenant, segment) {
+    const query = {
+      tenantId: { $in: [tenant._id.toString(), tenant.slug].filter(Boolean) },
+      isActive: true
+    };
+
+    if (segment.roles && segment.roles.length) {
+      query.role = { $in: segment.roles };
+    }
+
+    let userIds = null;
+    if (segment.groupIds && segment.groupIds.length) {
+      const groups = await Group.find({
+        _id: { $in: segment.groupIds },
+        tenantId: tenant._id,
+        isDeleted: false
+      }).select('members').lean();
+
+      userIds = groups.flatMap(group => group.members
+        .filter(member => member.status === 'active')
+        .map(member => member.userId.toString()));
+    }
+    if (segment.userIds && segment.userIds.length) {
+      const requested = segment.userIds.map(id => id.toString());
+      userIds = userIds ? userIds.filter(id => requested.includes(id)) : requested;
+    }
+    if (userIds) {
+      query._id = { $in: [...new Set(userIds)].map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    return User.find(query).select('_id email firstName').lean();
+  }
+
+  async createNotifications(broadcast, recipients, payload) {
+    const now = new Date();
+    const deleteAfterDays = payload.deleteAfterDays || 30;
+    const expiresAt = payload.expiresAt
+      ? new Date(payload.expiresAt)
+      : new Date(now.getTime() + deleteAfterDays * 24 * 60 * 60 * 1000);
+
+    const documents = recipients.map(recipient => ({
+      tenantId: broadcast.tenantId,
+      userId: recipient._id,
+      broadcastId: broadcast._id,
+      type: broadcast.type,
+      title: broadcast.title,
+      message: broadcast.message,
+      priority: broadcast.priority,
+      importance: broadcast.importance,
+      delivery: {
+        channels: broadcast.channels,
+        sentAt: now,
+        // The notification document itself is the in-app delivery
+        deliveredAt: broadcast.channels.includes('in_app') ? now : undefined,
+        channelStatus: broadcast.channels.map(channel => (channel === 'in_app'
+          ? { channel, status: 'delivered', attempts: 1, sentAt: now }
+          : { channel, status: 'pending' }))
+      },
+      action: payload.action,
+      data: payload.data || {},
+      expiresAt,
+      deleteAfterDays
+    }));
+
+    for (let start = 0; start < documents.length; start += INSERT_BATCH_SIZE) {
+      await Notification.insertMany(documents.slice(start, start + INSERT_BATCH_SIZE));
+    }
+
+    if (broadcast.channels.includes('in_app')) {
+      broadcast.channelStats.set('in_app', { sent: recipients.length });
+    }
+  }
+
+  /**
+   * Deliver the external channels and record the outcome
+   */
+  async deliver(broadcast, recipients) {
+    try {
+      if (broadcast.channels.includes('email')) {
+        broadcast.channelStats.set('email', await this.deliverEmail(broadcast, recipients));
+      }
+      if (broadcast.channels.includes('webhook')) {
+        broadcast.channelStats.set('webhook', await this.deliverWebhook(broadcast, recipients));
+      }
+
+      const stats = [...broadcast.channelStats.values()];
+      const sent = stats.reduce((sum, channel) => sum + channel.sent, 0);
+      const failed = stats.reduce((sum, channel) => sum + channel.failed, 0);
+      if (failed === 0) {
+        broadcast.status = 'completed';
+      } else {
+        broadcast.status = sent > 0 ? 'partially_failed' : 'failed';
+      }
+
+      console.log(`✅ Broadcast ${broadcast._id} ${broadcast.status}`);
+    } catch (error) {
+      console.error('❌ Broadcast delivery failed:', error);
+      broadcast.status = 'failed';
+      broadcast.error = error.message;
+    }
+
+    broadcast.completedAt = new Date();
+    broadcast.markModified('channelStats');
+    await broadcast.save();
+    return broadcast;
+  }
+
+  async deliverEmail(broadcast, recipients) {
+    const stats = { sent: 0, failed: 0, skipped: 0 };
+    const html = `<h2>${escapeHtml(broadcast.title)}</h2><p>${escapeHtml(broadcast.message).replace(/\n/g, '<br>')}</p>`;
+    const updates = [];
+
+    const sendTo = async (recipient) => {
+      const update = { 'delivery.channelStatus.$[channel].attempts': 1 };
+      if (!recipient.email) {
+        stats.skipped += 1;
+        update['delivery.channelStatus.$[channel].status'] = 'skipped';
+        update['delivery.channelStatus.$[channel].error'] = 'User has no email address';
+      } else {
+        try {
+          const result = await emailService.sendEmail(recipient.email, broadcast.title, html, broadcast.message);
+          if (!result.success) {
+            throw new Error(result.error || 'Email was not sent');
+          }
+          stats.sent += 1;
+          update['delivery.channelStatus.$[channel].status'] = 'sent';
+          update['delivery.channelStatus.$[channel].sentAt'] = new Date();
+        } catch (error) {
+          stats.failed += 1;
+          update['delivery.channelStatus.$[channel].status'] = 'failed';
+          update['delivery.channelStatus.$[channel].error'] = error.message;
+        }
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { broadcastId: broadcast._id, userId: recipient._id },
+          update: { $set: update },
+          arrayFilters: [{ 'channel.channel': 'email' }]
+        }
+      });
+    };
+
+    // Small worker pool so a large tenant does not open hundreds of SMTP sends at once
+    const queue = [...recipients];
+    const workers = Array.from({ length: Math.min(EMAIL_CONCURRENCY, queue.length) }, async () => {
+      while (queue.length) {
+        await sendTo(queue.shift());
+      }
+    });
+    await Promise.all(workers);
+
+    for (let start = 0; start < updates.length; start += INSERT_BATCH_SIZE) {
+      await Notification.bulkWrite(updates.slice(start, start + INSERT_BATCH_SIZE), { ordered: false });
+    }
+
+    return stats;
+  }
+
+  /**
+   * One signed POST per broadcast; its outcome applies to every recipient
+   */
+  async deliverWebhook(broadcast, recipients) {
+    const body = JSON.stringify({
+      event: 'notification.broadcast',
+      broadcastId: broadcast._id.toString(),
+      tenantId: broadcast.tenantId.toString(),
+      type: broadcast.type,
+      title: broadcast.title,
+      message: broadcast.message,
+      priority: broadcast.priority,
+      recipients: recipients.map(recipient => recipient._id.toString()),
+      sentAt: new Date().toISOString()
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      headers['X-LuxGen-Signature'] = crypto
+        .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+        .update(body)
+        .digest('hex');
+    }
+
+    let status = 'sent';
+    let errorMessage;
+    try {
+      const response = await fetch(broadcast.webhookUrl, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message;
+    }
+
+    await Notification.updateMany(
+      { broadcastId: broadcast._id },
+      {
+        $set: {
+          'delivery.channelStatus.$[channel].status': status,
+          'delivery.channelStatus.$[channel].attempts': 1,
+          'delivery.channelStatus.$[channel].sentAt': new Date(),
+          'delivery.channelStatus.$[channel].error': errorMessage
+        }
+      },
+      { arrayFilters: [{ 'channel.channel': 'webhook' }] }
+    );
+
+    return status === 'sent'
+      ? { sent: recipients.length, failed: 0, skipped: 0 }
+      : { sent: 0, failed: recipients.length, skipped: 0 };
+  }
+
+  /**
+   * GET BROADCAST
+   * Broadcast totals plus the recipients whose delivery failed
+   */
+  async getBroadcast(tenantId, broadcastId) {
+    try {
+      const broadcast = await NotificationBroadcast.findOne({ _id: broadcastId, tenantId });
+      if (!broadcast) {
+        throw new Error('Broadcast not found');
+      }
+
+      const failures = await Notification.find({
+        broadcastId: broadcast._id,
+        'delivery.channelStatus.status': 'failed'
+      })
+        .select('userId delivery.channelStatus')
+        .populate('userId', 'firstName lastName email')
+        .limit(MAX_REPORTED_FAILURES)
+        .lean();
+
+      return {
+        broadcast,
+        failures: failures.map(notification => ({
+          user: notification.userId,
+          channels: notification.delivery.channelStatus.filter(channel => channel.status === 'failed')
+        }))
+      };
+
+    } catch (error) {
+      console.error('❌ Error getting broadcast:', error);
+      throw new Error(`Failed to get broadcast: ${error.message}`);
+    }
+  }
+
+  /**
+   * LIST BROADCASTS
+   */
+  async listBroadcasts(tenantId, limit = 20) {
+    try {
+      return await NotificationBroadcast.find({ tenantId })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+    } catch (error) {
+      console.error('❌ Error listing broadcasts:', error);
+      throw new Error(`Failed to list broadcasts: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new NotificationBroadcastService();
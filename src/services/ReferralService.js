@@ -0,0 +1,598 @@
+/**
+ * LUXGEN REFERRAL SERVICE
+ * Employee referral program for the job board.
+ *
+ * Features:
+ * - Referral links per job per employee, with click and application counts
+ * - Attribution of applications that arrive through a link
+ * - Referral status for the referrer without candidate-sensitive data
+ * - Per-tenant bonus rules: amount, probation period, eligible job types and
+ *   prior-application exclusion
+ * - Bonus tracking from hire through probation to payout
+ * - In-process runner that settles bonuses once probation ends
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ReferralLink = require('../models/ReferralLink');
+const JobApplication = require('../models/JobApplication');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Tenant = require('../models/Tenant');
+const jobLifecycleService = require('./JobLifecycleService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const DEFAULT_RULES = {
+  enabled: true,
+  bonusAmount: 0,
+  currency: 'USD',
+  probationDays: 90,
+  eligibleJobTypes: [],
+  priorApplicationDays: 180
+};
+
+// Application status -> what the referrer sees. Pipeline detail, scores and
+// rejection reasons stay with the hiring team.
+const REFERRER_STATUSES = {
+  applied: 'in-review',
+  'under-review': 'in-review',
+  shortlisted: 'interviewing',
+  'interview-scheduled': 'interviewing',
+  interviewed: 'interviewing',
+  assessment: 'interviewing',
+  'reference-check': 'interviewing',
+  'offer-extended': 'offer',
+  'offer-accepted': 'hired',
+  'offer-declined': 'closed',
+  rejected: 'closed',
+  withdrawn: 'closed'
+};
+
+const CLOSED_STATUSES = ['offer-declined', 'rejected', 'withdrawn'];
+const OPEN_BONUS_STATUSES = ['pending', 'probation', 'eligible'];
+
+const idOf = value => (value && value._id ? value._id : value);
+
+const tenantQuery = key => (/^[0-9a-fA-F]{24}$/.test(key) ? { _id: key } : { slug: key });
+
+class ReferralService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // ==================== RULES ====================
+
+  async getRules(tenantKey) {
+    const key = String(tenantKey || '');
+    const tenant = key
+      ? await Tenant.findOne(tenantQuery(key)).select('settings.referrals').lean()
+      : null;
+    const rules = (tenant && tenant.settings && tenant.settings.referrals) || {};
+    return {
+      ...DEFAULT_RULES,
+      ...rules,
+      eligibleJobTypes: rules.eligibleJobTypes || []
+    };
+  }
+
+  async updateRules(tenantKey, updates = {}) {
+    const tenant = await Tenant.findOne(tenantQuery(String(tenantKey || '')));
+    if (!tenant) {
+      throw new NotFoundError('Tenant not found');
+    }
+
+    const current = (tenant.settings && tenant.settings.referrals) || {};
+    const rules = { ...DEFAULT_RULES, ...(current.toObject ? current.toObject() : current) };
+    Object.keys(DEFAULT_RULES).forEach(field => {
+      if (updates[field] !== undefined) {
+        rules[field] = updates[field];
+      }
+    });
+    if (!(rules.bonusAmount >= 0) || !(rules.probationDays >= 0) || !(rules.priorApplicationDays >= 0)) {
+      throw new ValidationError('Bonus amount, probation and prior application days cannot be negative');
+    }
+
+    tenant.set('settings.referrals', rules);
+    await tenant.save();
+    return this.getRules(tenantKey);
+  }
+
+  // ==================== LINKS ====================
+
+  /**
+   * The employee's link for a job, created on first request
+   */
+  async getOrCreateLink(tenantId, jobId, user) {
+    const rules = await this.getRules(tenantId);
+    if (!rules.enabled) {
+      throw new ValidationError('The referral program is not enabled');
+    }
+
+    const job = mongoose.Types.ObjectId.isValid(jobId) ? await Job.findOne({ _id: jobId, tenantId }) : null;
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+    if (!jobLifecycleService.isOpen(job)) {
+      throw new ValidationError('Referrals can only be made for open jobs');
+    }
+
+    const filter = { tenantId, jobId: job._id, referrerId: user._id };
+    let link = await ReferralLink.findOne(filter);
+    if (!link) {
+      try {
+        link = await ReferralLink.create({ ...filter, code: crypto.randomBytes(9).toString('base64url') });
+      } catch (error) {
+        // Concurrent request created it first
+        if (error.code !== 11000) {
+          throw error;
+        }
+        link = await ReferralLink.findOne(filter);
+      }
+    }
+    if (link.disabledAt) {
+      throw new ConflictError('Your referral link for this job has been disabled');
+    }
+    return { link, job };
+  }
+
+  async disableLink(tenantId, linkId, user) {
+    const link = mongoose.Types.ObjectId.isValid(linkId) ? await ReferralLink.findOne({ _id: linkId, tenantId }) : null;
+    if (!link || (String(link.referrerId) !== String(user._id) && user.role !== 'admin')) {
+      throw new NotFoundError('Referral link not found');
+    }
+    if (!link.disabledAt) {
+      link.disabledAt = new Date();
+      await link.save();
+    }
+    return link;
+  }
+
+  /**
+   * Short URL to share; counts the click and redirects to landingUrl
+   */
+  shareUrl(link) {
+    const base = process.env.API_URL || `http://localhost:${process.env.PORT || 4004}`;
+    return `${base}/api/v1/referrals/r/${link.code}`;
+  }
+
+  /**
+   * Job page on the frontend; the apply form sends the code back as
+   * `referralCode`
+   */
+  landingUrl(link) {
+    const params = new URLSearchParams({ referral: link.code, utm_medium: 'referral' });
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/jobs/${idOf(link.jobId)}?${params}`;
+  }
+
+  /**
+   * @param {Object} link - Link, optionally with jobId populated
+   * @param {Object} job - Job, when jobId is not populated
+   */
+  describeLink(link, job = link.jobId) {
+    return {
+      _id: link._id,
+      jobId: idOf(link.jobId),
+      jobTitle: job && job.title,
+      code: link.code,
+      url: this.shareUrl(link),
+      landingUrl: this.landingUrl(link),
+      clicks: link.clicks,
+      applications: link.applications,
+      disabled: Boolean(link.disabledAt),
+      createdAt: link.createdAt
+    };
+  }
+
+  async trackClick(code) {
+    const link = await ReferralLink.findOneAndUpdate(
+      { code, disabledAt: null },
+      { $inc: { clicks: 1 }, $set: { lastClickedAt: new Date() } },
+      { new: true }
+    );
+    if (!link) {
+      throw new NotFoundError('Referral link not found');
+    }
+    return link;
+  }
+
+  // ==================== ATTRIBUTION ====================
+
+  /**
+   * Attribute a new (unsaved) application to the referrer behind `code`.
+   * Unknown codes, disabled links and self-referrals are ignored; attribution
+   * never blocks an application.
+   * @returns {Object|null} The referral link used
+   */
+  async attribute(application, job, code) {
+    if (!code || typeof code !== 'string') {
+      return null;
+    }
+    const link = await ReferralLink.findOne({
+      code,
+      jobId: job._id,
+      tenantId: application.tenantId,
+      disabledAt: null
+    });
+    if (!link || String(link.referrerId) === String(application.candidateId)) {
+      return null;
+    }
+
+    const rules = await this.getRules(application.tenantId);
+    if (!rules.enabled) {
+      return null;
+    }
+
+    const now = new Date();
+    application.source = 'referral';
+    application.referral = link.referrerId;
+    application.referralDetails = {
+      linkId: link._id,
+      code: link.code,
+      referredAt: now,
+      bonus: await this.initialBonus(application, job, rules, now)
+    };
+    return link;
+  }
+
+  /**
+   * Bonus state at application time; rules that already rule the bonus out
+   * are recorded with their reason
+   */
+  async initialBonus(application, job, rules, now) {
+    if (!(rules.bonusAmount > 0)) {
+      return { status: 'ineligible', reason: 'No referral bonus is configured' };
+    }
+    if (rules.eligibleJobTypes.length && !rules.eligibleJobTypes.includes(job.jobType)) {
+      return { status: 'ineligible', reason: `${job.jobType} jobs are not eligible for a referral bonus` };
+    }
+    if (rules.priorApplicationDays > 0) {
+      const prior = await JobApplication.exists({
+        tenantId: application.tenantId,
+        candidateId: application.candidateId,
+        _id: { $ne: application._id },
+        createdAt: { $gte: new Date(now.getTime() - rules.priorApplicationDays * DAY_MS) }
+      });
+      if (prior) {
+        return { status: 'ineligible', reason: `Candidate applied within the previous ${rules.priorApplicationDays} days` };
+      }
+    }
+    return { status: 'pending' };
+  }
+
+  /**
+   * Count a saved application against its referral link
+   */
+  async recordApplication(application) {
+    const linkId = application.referralDetails && application.referralDetails.linkId;
+    if (linkId) {
+      await ReferralLink.updateOne({ _id: linkId }, { $inc: { applications: 1 } });
+    }
+  }
+
+  // ==================== BONUS ====================
+
+  /**
+   * Follow an application's status: an accepted offer starts probation with
+   * the tenant's current rules, a closed application forfeits the bonus
+   */
+  async handleStatusChange(application, now = new Date()) {
+    const bonus = application.referralDetails && application.referralDetails.bonus;
+    if (!application.referral || !bonus) {
+      return null;
+    }
+
+    if (application.status === 'offer-accepted' && bonus.status === 'pending') {
+      const rules = await this.getRules(application.tenantId);
+      return this.setBonus(application, 'pending', {
+        status: 'probation',
+        amount: rules.bonusAmount,
+        currency: rules.currency,
+        probationDays: rules.probationDays,
+        hiredAt: now,
+        eligibleAt: new Date(now.getTime() + rules.probationDays * DAY_MS)
+      });
+    }
+
+    if (CLOSED_STATUSES.includes(application.status) && ['pending', 'probation'].includes(bonus.status)) {
+      return this.setBonus(application, bonus.status, {
+        status: 'ineligible',
+        reason: `Application ${application.status}`,
+        decidedAt: now
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Atomically move the bonus out of `from`; returns null when another
+   * process got there first
+   */
+  async setBonus(application, from, changes) {
+    const $set = {};
+    Object.entries(changes).forEach(([field, value]) => {
+      $set[`referralDetails.bonus.${field}`] = value;
+    });
+    const updated = await JobApplication.findOneAndUpdate(
+      { _id: application._id, 'referralDetails.bonus.status': from },
+      { $set },
+      { new: true }
+    );
+    if (updated && application.referralDetails && application.referralDetails.bonus) {
+      Object.assign(application.referralDetails.bonus, changes);
+    }
+    return updated;
+  }
+
+  /**
+   * Admin decision on a bonus: mark an eligible bonus paid, or forfeit an
+   * open one (e.g. the hire left during probation)
+   */
+  async decideBonus(tenantId, applicationId, action, admin, { reason } = {}) {
+    const application = mongoose.Types.ObjectId.isValid(applicationId)
+      ? await JobApplication.findOne({ _id: applicationId, tenantId, referral: { $ne: null } })
+      : null;
+    const bonus = application && application.referralDetails && application.referralDetails.bonus;
+    if (!bonus || !bonus.status) {
+      throw new NotFoundError('Referral not found');
+    }
+
+    const now = new Date();
+    let updated = null;
+    if (action === 'paid') {
+      if (bonus.status !== 'eligible') {
+        throw new ConflictError(`Only eligible bonuses can be paid (current: ${bonus.status})`);
+      }
+      updated = await this.setBonus(application, 'eligible', { status: 'paid', paidAt: now, decidedAt: now, decidedBy: admin._id });
+    } else if (action === 'forfeit') {
+      if (!reason) {
+        throw new ValidationError('A reason is required to forfeit a bonus');
+      }
+      if (!OPEN_BONUS_STATUSES.includes(bonus.status)) {
+        throw new ConflictError(`The bonus is already ${bonus.status}`);
+      }
+      updated = await this.setBonus(application, bonus.status, { status: 'ineligible', reason, decidedAt: now, decidedBy: admin._id });
+    } else {
+      throw new ValidationError(`Unknown bonus action: ${action}`);
+    }
+
+    if (!updated) {
+      throw new ConflictError('The bonus was changed by another request; reload and try again');
+    }
+    return updated;
+  }
+
+  /**
+   * Settle bonuses whose probation has ended. The hire must still stand and
+   * the referrer must still be an active user.
+   * @returns {Object} { eligible, ineligible }
+   */
+  async runDue(now = new Date()) {
+    const stats = { eligible: 0, ineligible: 0 };
+    const seen = new Set();
+
+    for (;;) {
+      const applications = await JobApplication.find({
+        'referralDetails.bonus.status': 'probation',
+        'referralDetails.bonus.eligibleAt': { $lte: now },
+        _id: { $nin: [...seen] }
+      })
+        .select('tenantId status referral referralDetails')
+        .limit(BATCH_SIZE);
+      if (!applications.length) {
+        break;
+      }
+
+      for (const application of applications) {
+        seen.add(application._id);
+        const referrer = await User.findById(application.referral).select('isActive').lean();
+        let changes = { status: 'eligible', decidedAt: now };
+        if (application.status !== 'offer-accepted') {
+          changes = { status: 'ineligible', reason: `Application ${application.status} during probation`, decidedAt: now };
+        } else if (!referrer || !referrer.isActive) {
+          changes = { status: 'ineligible', reason: 'Referrer is no longer active', decidedAt: now };
+        }
+        if (await this.setBonus(application, 'probation', changes)) {
+          stats[changes.status] += 1;
+        }
+      }
+
+      if (applications.length < BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (stats.eligible || stats.ineligible) {
+      logger.info('Referral bonuses settled', stats);
+    }
+    return stats;
+  }
+
+  // ==================== REPORTING ====================
+
+  /**
+   * What the referrer may see about one referral: the candidate's name, the
+   * job, a coarse status and the bonus. No contact details, salary, scores
+   * or hiring notes.
+   */
+  toReferrerView(application) {
+    // jobId and candidateId are expected to be populated
+    const candidate = application.candidateId || {};
+    const job = application.jobId || {};
+    const bonus = (application.referralDetails && application.referralDetails.bonus) || {};
+    return {
+      _id: application._id,
+      job: { _id: idOf(job), title: job.title },
+      candidate: {
+        name: [candidate.firstName, candidate.lastName && `${candidate.lastName[0]}.`].filter(Boolean).join(' ') || null
+      },
+      status: REFERRER_STATUSES[application.status] || 'in-review',
+      referredAt: application.referralDetails && application.referralDetails.referredAt,
+      bonus: {
+        status: bonus.status || null,
+        reason: bonus.status === 'ineligible' ? bonus.reason : undefined,
+        amount: bonus.amount,
+        currency: bonus.currency,
+        eligibleAt: bonus.eligibleAt,
+        paidAt: bonus.paidAt
+      }
+    };
+  }
+
+  /**
+   * The signed-in employee's links and referrals
+   */
+  async listForReferrer(tenantId, userId, { page = 1, limit = 20 } = {}) {
+    const filter = { tenantId, referral: userId };
+    const [applications, total, links] = await Promise.all([
+      JobApplication.find(filter)
+        .select('jobId candidateId status referralDetails createdAt')
+        .populate('jobId', 'title')
+        .populate('candidateId', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      JobApplication.countDocuments(filter),
+      ReferralLink.find({ tenantId, referrerId: userId })
+        .populate('jobId', 'title')
+        .sort({ createdAt: -1 })
+        .lean()
+    ]);
+
+    return {
+      referrals: applications.map(application => this.toReferrerView(application)),
+      total,
+      links: links.map(link => this.describeLink(link))
+    };
+  }
+
+  /**
+   * Per-referrer totals for HR
+   * @param {Object} filters - from, to (referral date), jobId
+   */
+  async report(tenantId, { from, to, jobId } = {}) {
+    const match = { tenantId, referral: { $ne: null } };
+    if (from || to) {
+      match['referralDetails.referredAt'] = {};
+      if (from) {
+        match['referralDetails.referredAt'].$gte = new Date(from);
+      }
+      if (to) {
+        match['referralDetails.referredAt'].$lte = new Date(to);
+      }
+    }
+    if (jobId) {
+      match.jobId = new mongoose.Types.ObjectId(jobId);
+    }
+
+    const bonusIs = status => ({ $eq: ['$referralDetails.bonus.status', status] });
+    const rows = await JobApplication.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$referral',
+          referrals: { $sum: 1 },
+          hired: { $sum: { $cond: [{ $eq: ['$status', 'offer-accepted'] }, 1, 0] } },
+          inProbation: { $sum: { $cond: [bonusIs('probation'), 1, 0] } },
+          eligible: { $sum: { $cond: [bonusIs('eligible'), 1, 0] } },
+          paid: { $sum: { $cond: [bonusIs('paid'), 1, 0] } },
+          amountDue: { $sum: { $cond: [bonusIs('eligible'), '$referralDetails.bonus.amount', 0] } },
+          amountPaid: { $sum: { $cond: [bonusIs('paid'), '$referralDetails.bonus.amount', 0] } }
+        }
+      },
+      { $sort: { hired: -1, referrals: -1 } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'referrer' } },
+      {
+        $project: {
+          _id: 0,
+          referrer: {
+            _id: '$_id',
+            firstName: { $arrayElemAt: ['$referrer.firstName', 0] },
+            lastName: { $arrayElemAt: ['$referrer.lastName', 0] },
+            email: { $arrayElemAt: ['$referrer.email', 0] }
+          },
+          referrals: 1,
+          hired: 1,
+          inProbation: 1,
+          eligible: 1,
+          paid: 1,
+          amountDue: 1,
+          amountPaid: 1
+        }
+      }
+    ]);
+
+    const totals = rows.reduce((sum, row) => {
+      ['referrals', 'hired', 'inProbation', 'eligible', 'paid', 'amountDue', 'amountPaid'].forEach(field => {
+        sum[field] = (sum[field] || 0) + row[field];
+      });
+      return sum;
+    }, {});
+    return { referrers: rows, totals };
+  }
+
+  /**
+   * Bonuses for HR to act on, oldest eligibility first
+   */
+  async listBonuses(tenantId, { status = 'eligible', page = 1, limit = 20 } = {}) {
+    const filter = { tenantId, referral: { $ne: null }, 'referralDetails.bonus.status': status };
+    const [applications, total] = await Promise.all([
+      JobApplication.find(filter)
+        .select('jobId candidateId referral status referralDetails')
+        .populate('jobId', 'title')
+        .populate('candidateId', 'firstName lastName')
+        .populate('referral', 'firstName lastName email')
+        .sort({ 'referralDetails.bonus.eligibleAt': 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      JobApplication.countDocuments(filter)
+    ]);
+
+    return {
+      bonuses: applications.map(application => ({
+        ...this.toReferrerView(application),
+        referrer: application.referral,
+        bonus: application.referralDetails.bonus
+      })),
+      total
+    };
+  }
+
+  // ==================== SCHEDULER ====================
+
+  start({ intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    if (this.timer) {
+      return;
+    }
+    const tick = () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      this.runDue()
+        .catch(error => logger.error('Referral bonus run failed', { error: error.message }))
+        .finally(() => {
+          this.running = false;
+        });
+    };
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+    logger.info('Referral bonus scheduler started', { intervalMs });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,1139 @@
+/**
+ * LUXGEN RESUME PARSER SERVICE
+ * Resume upload and parsing into CandidateProfile details
+ *
+ * Features:
+ * - PDF, DOCX and plain text resumes, parsed offline
+ * - Contact details, work history, education, skills, languages and
+ *   certifications shaped like the CandidateProfile sub-documents
+ * - A 0-1 confidence score for every extracted field
+ * - Optional LLM-assisted extraction when an AI provider is configured
+ * - Drafts the candidate reviews (and corrects) before applying
+ */
+
+const mongoose = require('mongoose');
+
+const logger = require('../utils/logger');
+const aiServiceEnhanced = require('./aiServiceEnhanced');
+const matchScoringService = require('./MatchScoringService');
+const ResumeUpload = require('../models/ResumeUpload');
+const { extractText } = require('../utils/documentText');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+
+const MAX_AI_CHARACTERS = 12000;
+const MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+// Normalized heading -> section
+const SECTION_HEADINGS = {
+  summary: 'summary',
+  profile: 'summary',
+  'professional summary': 'summary',
+  'career summary': 'summary',
+  'about me': 'summary',
+  about: 'summary',
+  objective: 'summary',
+  'career objective': 'summary',
+  experience: 'experience',
+  'work experience': 'experience',
+  'professional experience': 'experience',
+  'relevant experience': 'experience',
+  employment: 'experience',
+  'employment history': 'experience',
+  'work history': 'experience',
+  'career history': 'experience',
+  education: 'education',
+  'education and training': 'education',
+  'academic background': 'education',
+  qualifications: 'education',
+  'academic qualifications': 'education',
+  skills: 'skills',
+  'technical skills': 'skills',
+  'key skills': 'skills',
+  'core skills': 'skills',
+  'core competencies': 'skills',
+  competencies: 'skills',
+  'skills and tools': 'skills',
+  technologies: 'skills',
+  'tech stack': 'skills',
+  certifications: 'certifications',
+  certificates: 'certifications',
+  'certifications and licenses': 'certifications',
+  'licenses and certifications': 'certifications',
+  licenses: 'certifications',
+  languages: 'languages',
+  projects: 'projects',
+  'personal projects': 'projects',
+  references: 'other',
+  interests: 'other',
+  hobbies: 'other',
+  awards: 'other',
+  'honors and awards': 'other',
+  publications: 'other',
+  volunteering: 'other',
+  'volunteer experience': 'other'
+};
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+const MONTH_NAME = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE = `(?:${MONTH_NAME}\\.?,?\\s+(?:19|20)\\d{2}|\\d{1,2}[/.-](?:19|20)\\d{2}|(?:19|20)\\d{2}[/.-]\\d{1,2}|(?:19|20)\\d{2})`;
+const CURRENT = '(?:present|current|now|today|ongoing)';
+const DATE_RANGE_PATTERN = new RegExp(`(${DATE})\\s*(?:-|\\u2013|\\u2014|to|until)\\s*(${DATE}|${CURRENT})`, 'i');
+const DATE_PATTERN = new RegExp(DATE, 'i');
+
+const TITLE_KEYWORDS = /\b(engineer|developer|programmer|manager|analyst|designer|lead|intern|consultant|director|specialist|officer|architect|scientist|administrator|coordinator|head|vp|vice president|president|founder|co-founder|assistant|associate|executive|technician|teacher|trainer|instructor|recruiter|accountant|editor|writer|researcher|supervisor|owner|partner|cto|ceo|cfo|sre|devops)\b/i;
+const COMPANY_SUFFIXES = /\b(inc|ltd|llc|llp|plc|corp|corporation|gmbh|ag|sa|pty|co|company|group|technologies|solutions|labs|systems|studios|partners|consulting|bank)\b\.?/i;
+const DEGREE_PATTERN = /\b(ph\.?\s?d|doctor(?:ate)?|master'?s?|m\.?sc|m\.?s\.?|mba|m\.?a\.?|m\.?eng|m\.?tech|bachelor'?s?|b\.?sc|b\.?s\.?|b\.?a\.?|b\.?eng|b\.?tech|b\.?com|associate'?s?|diploma|high school|ged|a-levels?)\b/i;
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|polytechnic|bootcamp|conservatory|universidad|universit[eéà])\b/i;
+
+// Skills recognized in prose, in addition to the match scorer's vocabulary.
+// Common English words ("rest", "express", "go") are left out.
+const EXTRA_SKILLS = [
+  'java', 'php', 'swift', 'kotlin', 'rust', 'scala', 'perl', 'matlab', 'git', 'linux', 'terraform', 'ansible',
+  'jenkins', 'redis', 'elasticsearch', 'kafka', 'rabbitmq', 'spark', 'hadoop', 'tableau', 'power bi', 'excel',
+  'figma', 'sketch', 'jira', 'salesforce', 'django', 'flask', 'fastapi', 'spring', 'laravel', 'pandas', 'numpy',
+  'tensorflow', 'pytorch', 'scikit-learn', 'webpack', 'jest', 'cypress', 'selenium', 'sass', 'tailwind', 'bootstrap',
+  'jquery', 'redux', 'svelte', 'flutter', 'android', 'ios', 'dynamodb', 'cassandra', 'oracle', 'snowflake', 'bigquery'
+];
+const AMBIGUOUS_SKILLS = ['rest', 'express', 'go', 'agile'];
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA',
+  'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR',
+  'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+];
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const LANGUAGE_PROFICIENCY = {
+  native: 'native',
+  'mother tongue': 'native',
+  bilingual: 'native',
+  fluent: 'advanced',
+  advanced: 'advanced',
+  professional: 'advanced',
+  proficient: 'advanced',
+  'full professional': 'advanced',
+  intermediate: 'intermediate',
+  conversational: 'intermediate',
+  'limited working': 'intermediate',
+  basic: 'beginner',
+  beginner: 'beginner',
+  elementary: 'beginner'
+};
+
+// Shape requested from the LLM
+const AI_SCHEMA = JSON.stringify({
+  personalInfo: {
+    firstName: 'string', lastName: 'string', email: 'string', phone: 'string',
+    location: { city: 'string', state: 'string', country: 'string' },
+    socialProfiles: { linkedin: 'url', github: 'url', website: 'url' }
+  },
+  professionalSummary: { headline: 'string', summary: 'string' },
+  experience: [{ company: 'string', position: 'string', startDate: 'YYYY-MM', endDate: 'YYYY-MM or null', isCurrent: 'boolean', description: 'string', achievements: ['string'] }],
+  education: [{ institution: 'string', degree: 'string', field: 'string', startDate: 'YYYY-MM', endDate: 'YYYY-MM', gpa: 'number' }],
+  skills: [{ name: 'string', level: 'beginner|intermediate|advanced|expert or null' }],
+  languages: [{ name: 'string', proficiency: 'beginner|intermediate|advanced|native' }],
+  certifications: [{ name: 'string', issuer: 'string', issueDate: 'YYYY-MM', expiryDate: 'YYYY-MM', credentialId: 'string' }]
+});
+
+// Confidence given to values the LLM extracted where the heuristics found nothing
+const AI_CONFIDENCE = 0.75;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isBullet = (line) => /^([•▪◦●○■□➢►*-]|\d+[.)])\s+/.test(line);
+const stripBullet = (line) => line.replace(/^([•▪◦●○■□➢►*-]|\d+[.)])\s+/, '').trim();
+
+const titleCase = (text) => text.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * "Mar 2019", "03/2019", "2019-03", "2019" -> Date (UTC, first of the month)
+ */
+const parseDate = (text) => {
+  const value = String(text || '').trim().toLowerCase();
+  let match = value.match(new RegExp(`^(${MONTH_NAME})\\.?,?\\s+((?:19|20)\\d{2})$`, 'i'));
+  if (match) {
+    return new Date(Date.UTC(parseInt(match[2], 10), MONTHS[match[1].slice(0, match[1].startsWith('sept') ? 4 : 3)], 1));
+  }
+  match = value.match(/^(\d{1,2})[/.-]((?:19|20)\d{2})$/);
+  if (match) {
+    const month = parseInt(match[1], 10);
+    return month >= 1 && month <= 12 ? new Date(Date.UTC(parseInt(match[2], 10), month - 1, 1)) : null;
+  }
+  match = value.match(/^((?:19|20)\d{2})(?:[/.-](\d{1,2}))?$/);
+  if (match) {
+    const month = match[2] ? parseInt(match[2], 10) : 1;
+    return month >= 1 && month <= 12 ? new Date(Date.UTC(parseInt(match[1], 10), month - 1, 1)) : null;
+  }
+  return null;
+};
+
+/**
+ * First date range on a line: { startDate, endDate, isCurrent, text }
+ */
+const findDateRange = (line) => {
+  const match = line.match(DATE_RANGE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const isCurrent = new RegExp(`^${CURRENT}$`, 'i').test(match[2]);
+  const startDate = parseDate(match[1]);
+  const endDate = isCurrent ? null : parseDate(match[2]);
+  if (!startDate || (endDate && endDate < startDate)) {
+    return null;
+  }
+  return { startDate, endDate, isCurrent, text: match[0] };
+};
+
+/**
+ * Split a header line into its parts ("Engineer | Acme Corp, London")
+ */
+const splitParts = (text) => text
+  .split(/\s+(?:at|@)\s+|\s*[|–—•·]\s*|\s+-\s+|\t+|,\s*/)
+  .map(part => part.replace(/^[\s,;:()-]+|[\s,;:()-]+$/g, ''))
+  .filter(part => part.length > 1);
+
+class ResumeParserService {
+  /**
+   * PARSE
+   * Text -> { profile, confidence, warnings }
+   */
+  parseText(text) {
+    const sections = this.splitSections(text);
+    const confidence = {};
+    const warnings = [];
+
+    const contact = this.parseContact(sections.header, text, confidence);
+    const profile = {
+      personalInfo: contact.personalInfo,
+      professionalSummary: {},
+      experience: this.parseExperience(sections.experience || [], confidence),
+      education: this.parseEducation(sections.education || [], confidence),
+      skills: {
+        technical: [],
+        soft: [],
+        languages: this.parseLanguages(sections.languages || [], confidence, 'skills.languages')
+      },
+      certifications: this.parseCertifications(sections.certifications || [], confidence)
+    };
+
+    if (contact.headline) {
+      profile.professionalSummary.headline = contact.headline;
+      confidence['professionalSummary.headline'] = 0.5;
+    }
+    if (sections.summary && sections.summary.length) {
+      profile.professionalSummary.summary = sections.summary.map(stripBullet).join(' ').replace(/\s+/g, ' ').trim();
+      confidence['professionalSummary.summary'] = 0.8;
+    }
+
+    const skills = this.parseSkills(sections.skills || [], text, profile.experience);
+    ['technical', 'soft', 'languages'].forEach(group => {
+      skills[group].forEach(({ confidence: score, ...skill }) => {
+        profile.skills[group].push(skill);
+        confidence[`skills.${group}.${profile.skills[group].length - 1}`] = score;
+      });
+    });
+
+    if (!profile.personalInfo.email) {
+      warnings.push('No email address found');
+    }
+    if (!sections.experience) {
+      warnings.push('No work experience section found');
+    } else if (profile.experience.length === 0) {
+      warnings.push('Work experience could not be read; add it manually');
+    }
+    if (!sections.education) {
+      warnings.push('No education section found');
+    }
+
+    return { profile, confidence, warnings };
+  }
+
+  /**
+   * Group lines under the section heading they follow; lines before the
+   * first heading are the header (name and contact details)
+   */
+  splitSections(text) {
+    const sections = { header: [] };
+    let current = 'header';
+
+    text.split('\n').forEach(raw => {
+      const line = raw.replace(/\s+$/, '');
+      if (!line.trim()) {
+        return;
+      }
+      const heading = line.trim()
+        .replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '')
+        .replace(/\s*&\s*/g, ' and ')
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+      if (line.trim().length <= 40 && SECTION_HEADINGS[heading]) {
+        current = SECTION_HEADINGS[heading];
+        sections[current] = sections[current] || [];
+        return;
+      }
+      sections[current] = sections[current] || [];
+      sections[current].push(line.trim());
+    });
+
+    // No headings at all: only the first lines can be contact details
+    if (Object.keys(sections).length === 1) {
+      sections.header = sections.header.slice(0, 6);
+    }
+    return sections;
+  }
+
+  /**
+   * Name, email, phone, location and social profiles
+   */
+  parseContact(header, text, confidence) {
+    const personalInfo = { location: {}, socialProfiles: {} };
+    const headerText = header.join('\n');
+    const used = new Set();
+
+    const emails = (headerText.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g) || text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g) || []);
+    if (emails.length) {
+      personalInfo.email = emails[0].toLowerCase();
+      confidence['personalInfo.email'] = headerText.includes(emails[0]) ? 0.95 : 0.8;
+      if (emails[1] && emails[1].toLowerCase() !== personalInfo.email) {
+        personalInfo.alternateEmail = emails[1].toLowerCase();
+        confidence['personalInfo.alternateEmail'] = 0.6;
+      }
+    }
+
+    const phones = `${headerText}\n${text}`.match(/(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{5,}\d/g) || [];
+    const phone = phones
+      .map(candidate => candidate.trim())
+      .find(candidate => {
+        const digits = candidate.replace(/\D/g, '');
+        return digits.length >= 7 && digits.length <= 15 && !DATE_RANGE_PATTERN.test(candidate) && !/^(19|20)\d{2}$/.test(digits);
+      });
+    if (phone) {
+      personalInfo.phone = phone;
+      confidence['personalInfo.phone'] = phone.startsWith('+') || phone.replace(/\D/g, '').length >= 10 ? 0.85 : 0.6;
+    }
+
+    const urls = text.match(/(?:https?:\/\/)?(?:www\.)?[\w-]+(?:\.[\w-]+)+(?:\/[\w\-./?=&%#]*)?/gi) || [];
+    urls.forEach(url => {
+      if (/@/.test(url) || emails.some(email => email.includes(url))) {
+        return;
+      }
+      const normalized = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+      if (/linkedin\.com\/in\//i.test(url) && !personalInfo.socialProfiles.linkedin) {
+        personalInfo.socialProfiles.linkedin = normalized;
+        confidence['personalInfo.socialProfiles.linkedin'] = 0.9;
+      } else if (/github\.com\/[\w-]+/i.test(url) && !personalInfo.socialProfiles.github) {
+        personalInfo.socialProfiles.github = normalized.replace(/(github\.com\/[\w-]+).*/i, '$1');
+        confidence['personalInfo.socialProfiles.github'] = 0.9;
+      } else if (headerText.includes(url) && /^(https?:\/\/|www\.)/i.test(url) && !personalInfo.socialProfiles.website) {
+        personalInfo.socialProfiles.website = normalized;
+        confidence['personalInfo.socialProfiles.website'] = 0.6;
+      }
+    });
+
+    // Header segments: "Jane Doe", "Senior Engineer", "London, UK", ...
+    const segments = header
+      .reduce((all, line) => all.concat(line.split(/\s*[|•·]\s*|\t+/)), [])
+      .map(segment => segment.trim())
+      .filter(Boolean);
+
+    segments.forEach((segment, index) => {
+      if (/[@\d/]|https?:|www\./i.test(segment)) {
+        used.add(segment);
+        return;
+      }
+      if (!personalInfo.firstName && index < 3 &&
+        /^\p{Lu}[\p{L}'.-]*(\s+\p{Lu}[\p{L}'.-]*){1,3}$/u.test(segment) && !TITLE_KEYWORDS.test(segment)) {
+        const name = segment === segment.toUpperCase() ? titleCase(segment) : segment;
+        const words = name.split(/\s+/);
+        personalInfo.firstName = words[0];
+        personalInfo.lastName = words.slice(1).join(' ');
+        confidence['personalInfo.firstName'] = index === 0 ? 0.85 : 0.6;
+        confidence['personalInfo.lastName'] = index === 0 ? 0.85 : 0.6;
+        used.add(segment);
+        return;
+      }
+      const location = segment.match(/^(\p{Lu}[\p{L} .'-]+),\s*(\p{Lu}[\p{L} .'-]+)(?:,\s*(\p{Lu}[\p{L} .'-]+))?$/u);
+      if (location && !personalInfo.location.city && !TITLE_KEYWORDS.test(segment)) {
+        personalInfo.location.city = location[1].trim();
+        if (location[3]) {
+          personalInfo.location.state = location[2].trim();
+          personalInfo.location.country = location[3].trim();
+        } else if (US_STATES.includes(location[2].trim())) {
+          personalInfo.location.state = location[2].trim();
+        } else {
+          personalInfo.location.country = location[2].trim();
+        }
+        Object.keys(personalInfo.location).forEach(key => {
+          confidence[`personalInfo.location.${key}`] = 0.55;
+        });
+        used.add(segment);
+      }
+    });
+
+    const headline = segments.find(segment => !used.has(segment) && segment.length <= 80 && /\p{L}{3}/u.test(segment));
+    return { personalInfo, headline };
+  }
+
+  /**
+   * Split a section into entries: header lines (title, company, dates)
+   * followed by bullet points or longer description lines
+   */
+  groupEntries(lines) {
+    const entries = [];
+    let current = null;
+
+    lines.forEach(line => {
+      const range = findDateRange(line);
+      const isDetail = isBullet(line) || line.length > 100;
+      if (!isDetail) {
+        if (!current || current.details.length > 0 || (range && current.range)) {
+          current = { header: [], details: [], range: null };
+          entries.push(current);
+        }
+        current.header.push(line);
+        if (range && !current.range) {
+          current.range = range;
+        }
+      } else {
+        if (!current) {
+          current = { header: [], details: [], range: null };
+          entries.push(current);
+        }
+        current.details.push(stripBullet(line));
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Work history
+   */
+  parseExperience(lines, confidence) {
+    const experience = [];
+
+    this.groupEntries(lines).forEach(entry => {
+      const headerText = entry.header.map(line => (entry.range ? line.replace(entry.range.text, ' ') : line)).join('\n');
+      const parts = headerText.split('\n').reduce((all, line) => all.concat(splitParts(line)), [])
+        .filter(part => !DATE_PATTERN.test(part) || /\p{L}{4}/u.test(part.replace(DATE_PATTERN, '')));
+      if (parts.length === 0) {
+        return;
+      }
+
+      const atMatch = headerText.match(/^(.+?)\s+(?:at|@)\s+(.+?)(?:\s*[|,–—\n]|\s+-\s+|$)/m);
+      let position;
+      let company;
+      let positionConfidence;
+      let companyConfidence;
+
+      if (atMatch && TITLE_KEYWORDS.test(atMatch[1])) {
+        position = atMatch[1].trim();
+        company = atMatch[2].trim();
+        positionConfidence = 0.85;
+        companyConfidence = 0.85;
+      } else {
+        const titleIndex = parts.findIndex(part => TITLE_KEYWORDS.test(part));
+        const index = titleIndex === -1 ? 0 : titleIndex;
+        position = parts[index];
+        positionConfidence = titleIndex === -1 ? 0.4 : 0.8;
+        const suffixed = parts.find((part, partIndex) => partIndex !== index && COMPANY_SUFFIXES.test(part));
+        company = suffixed || parts[index + 1] || parts[index - 1];
+        companyConfidence = suffixed ? 0.8 : 0.6;
+      }
+
+      const item = { company: { name: company }, position };
+      const base = `experience.${experience.length}`;
+      confidence[`${base}.position`] = positionConfidence;
+      if (company) {
+        confidence[`${base}.company.name`] = companyConfidence;
+      } else {
+        delete item.company;
+      }
+      if (entry.range) {
+        item.startDate = entry.range.startDate;
+        item.endDate = entry.range.endDate;
+        item.isCurrent = entry.range.isCurrent;
+        confidence[`${base}.startDate`] = 0.9;
+        confidence[`${base}.endDate`] = 0.9;
+      }
+      if (entry.details.length) {
+        item.description = entry.details.join('\n');
+        item.achievements = entry.details.filter(detail => detail.length <= 300);
+        item.skills = this.findKnownSkills(item.description);
+        confidence[`${base}.description`] = 0.7;
+      }
+      experience.push(item);
+    });
+
+    return experience;
+  }
+
+  /**
+   * Degrees and institutions
+   */
+  parseEducation(lines, confidence) {
+    const education = [];
+
+    this.groupEntries(lines).forEach(entry => {
+      const headerText = entry.header.join('\n');
+      const parts = entry.header.reduce((all, line) => all.concat(splitParts(entry.range ? line.replace(entry.range.text, ' ') : line)), []);
+      const degreePart = parts.find(part => DEGREE_PATTERN.test(part));
+      const institutionPart = parts.find(part => part !== degreePart && INSTITUTION_PATTERN.test(part));
+      if (!degreePart && !institutionPart) {
+        return;
+      }
+
+      const item = {};
+      const base = `education.${education.length}`;
+      if (institutionPart || parts.find(part => part !== degreePart && !DATE_PATTERN.test(part))) {
+        const name = institutionPart || parts.find(part => part !== degreePart && !DATE_PATTERN.test(part));
+        item.institution = { name };
+        const type = /university|universidad|universit/i.test(name) ? 'university'
+          : /college/i.test(name) ? 'college'
+            : /bootcamp|academy/i.test(name) ? 'bootcamp'
+              : /coursera|udemy|edx|online/i.test(name) ? 'online'
+                : /school/i.test(name) ? 'school'
+                  : null;
+        if (type) {
+          item.institution.type = type;
+        }
+        confidence[`${base}.institution.name`] = institutionPart ? 0.85 : 0.5;
+      }
+      if (degreePart) {
+        const field = degreePart.match(/\b(?:in|of)\s+([\p{L}&' ]{3,})$/u);
+        item.degree = field ? degreePart.slice(0, field.index).trim() : degreePart;
+        confidence[`${base}.degree`] = 0.8;
+        if (field) {
+          item.field = field[1].trim();
+          confidence[`${base}.field`] = 0.7;
+        }
+      }
+
+      if (entry.range) {
+        item.startDate = entry.range.startDate;
+        item.endDate = entry.range.endDate;
+        item.isCurrent = entry.range.isCurrent;
+        confidence[`${base}.startDate`] = 0.85;
+        confidence[`${base}.endDate`] = 0.85;
+      } else {
+        // A single year is usually the graduation date
+        const single = headerText.match(DATE_PATTERN);
+        if (single && parseDate(single[0])) {
+          item.endDate = parseDate(single[0]);
+          confidence[`${base}.endDate`] = 0.6;
+        }
+      }
+
+      const gpa = `${headerText}\n${entry.details.join('\n')}`.match(/\bGPA[:\s]*([0-4]\.\d{1,2})/i);
+      if (gpa) {
+        item.gpa = parseFloat(gpa[1]);
+        confidence[`${base}.gpa`] = 0.85;
+      }
+      if (entry.details.length) {
+        item.description = entry.details.join('\n');
+      }
+      education.push(item);
+    });
+
+    return education;
+  }
+
+  /**
+   * Listed skills ("Languages: JavaScript, Python (5 years)") plus known
+   * skills mentioned elsewhere. Years and last use come from the work
+   * history entries that mention the skill.
+   */
+  parseSkills(lines, text, experience) {
+    const result = { technical: [], soft: [], languages: [] };
+    const seen = new Set();
+
+    const add = (group, skill) => {
+      const key = `${group}:${matchScoringService.normalizeSkill(skill.name)}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        result[group].push(skill);
+      }
+    };
+
+    lines.forEach(raw => {
+      const line = stripBullet(raw);
+      const labelled = line.match(/^([\p{L} &/-]{2,30}):\s*(.+)$/u);
+      const label = labelled ? labelled[1].toLowerCase() : '';
+      const group = /soft|interpersonal|personal/.test(label) ? 'soft'
+        : /^(spoken|human|foreign) languages?$/.test(label) ? 'languages'
+          : 'technical';
+
+      (labelled ? labelled[2] : line)
+        .split(/\s*[,;|•·]\s*|\t+|\s{2,}/)
+        .map(item => item.trim().replace(/\.$/, ''))
+        .filter(item => item.length > 0 && item.length <= 40 && item.split(/\s+/).length <= 4)
+        .forEach(item => {
+          if (group === 'languages') {
+            const language = this.parseLanguageItem(item);
+            if (language) {
+              add('languages', { ...language, confidence: 0.75 });
+            }
+            return;
+          }
+          const level = SKILL_LEVELS.find(name => new RegExp(`\\b${name}\\b`, 'i').test(item));
+          const years = item.match(/(\d+(?:\.\d+)?)\+?\s*(?:years?|yrs?)/i);
+          const name = item.replace(/\(.*?\)|\b(beginner|intermediate|advanced|expert)\b|\d+(?:\.\d+)?\+?\s*(?:years?|yrs?)/gi, '').replace(/[\s:–-]+$/, '').trim();
+          if (name.length < 1) {
+            return;
+          }
+          const skill = { name, confidence: 0.85 };
+          if (group === 'technical' && years) {
+            skill.years = parseFloat(years[1]);
+          }
+          if (level) {
+            skill.level = level.toLowerCase();
+          }
+          add(group, skill);
+        });
+    });
+
+    // Known skills mentioned in the summary or work history
+    this.findKnownSkills(text).forEach(name => add('technical', { name, confidence: lines.length ? 0.5 : 0.6 }));
+
+    // Experience-derived years and recency
+    const now = new Date();
+    result.technical.forEach(skill => {
+      const key = matchScoringService.normalizeSkill(skill.name);
+      const uses = experience.filter(item => item.startDate &&
+        (item.skills || []).some(name => matchScoringService.normalizeSkill(name) === key));
+      if (uses.length === 0) {
+        return;
+      }
+      if (skill.years === undefined) {
+        const months = uses.reduce((sum, item) => sum + ((item.endDate || now) - item.startDate) / MONTH_MS, 0);
+        skill.years = Math.round((months / 12) * 2) / 2;
+      }
+      skill.lastUsed = uses.reduce((latest, item) => {
+        const end = item.isCurrent ? now : item.endDate || item.startDate;
+        return end > latest ? end : latest;
+      }, new Date(0));
+    });
+
+    return result;
+  }
+
+  /**
+   * Known skills mentioned in free text
+   */
+  findKnownSkills(text) {
+    if (!this.skillPatterns) {
+      const vocabulary = [...new Set([...matchScoringService.getKnownSkills(), ...EXTRA_SKILLS])]
+        .filter(name => !AMBIGUOUS_SKILLS.includes(name));
+      this.skillPatterns = vocabulary.map(name => ({
+        name,
+        pattern: new RegExp(`(^|[^\\w+#.])${escapeRegExp(name)}(?![\\w+#]|\\.\\w)`, 'i')
+      }));
+    }
+    return this.skillPatterns.filter(({ pattern }) => pattern.test(text)).map(({ name }) => name);
+  }
+
+  /**
+   * "Spanish (Fluent)", "French - B2", "English: native"
+   */
+  parseLanguageItem(item) {
+    const match = item.match(/^([\p{L} ]+?)\s*(?:[(:–-]\s*([^)]*)\)?)?$/u);
+    if (!match) {
+      return null;
+    }
+    const level = (match[2] || '').toLowerCase();
+    const proficiency = Object.keys(LANGUAGE_PROFICIENCY).find(key => level.includes(key)) ||
+      (/\bc[12]\b/.test(level) ? 'fluent' : /\bb[12]\b/.test(level) ? 'intermediate' : /\ba[12]\b/.test(level) ? 'basic' : null);
+    const language = { name: titleCase(match[1].trim()) };
+    if (proficiency) {
+      language.proficiency = LANGUAGE_PROFICIENCY[proficiency];
+    }
+    return language;
+  }
+
+  parseLanguages(lines, confidence, path) {
+    return lines
+      .reduce((all, line) => all.concat(stripBullet(line).split(/\s*[,;|•·]\s*/)), [])
+      .map(item => this.parseLanguageItem(item.trim()))
+      .filter(Boolean)
+      .map((language, index) => {
+        confidence[`${path}.${index}`] = language.proficiency ? 0.8 : 0.65;
+        return language;
+      });
+  }
+
+  /**
+   * "AWS Certified Developer - Amazon Web Services, Mar 2022 (ID ABC-123)"
+   */
+  parseCertifications(lines, confidence) {
+    return lines
+      .map(stripBullet)
+      .filter(line => line.length >= 3 && line.length <= 200)
+      .map((line, index) => {
+        const base = `certifications.${index}`;
+        const credential = line.match(/\b(?:credential|license|licence|cert(?:ificate)?)?\s*(?:id|#|no\.?|number)[:\s#]*([A-Z0-9][A-Z0-9-]{3,})/i);
+        const expiry = line.match(new RegExp(`(?:expires?|expiry|valid until)[:\\s]*(${DATE})`, 'i'));
+        let rest = line;
+        [credential, expiry].filter(Boolean).forEach(match => {
+          rest = rest.replace(match[0], ' ');
+        });
+        const issued = rest.match(DATE_PATTERN);
+        if (issued) {
+          rest = rest.replace(issued[0], ' ');
+        }
+
+        const parts = rest.split(/\s+[-–—|]\s+|,\s*|\s*\(\s*|\s*\)\s*/).map(part => part.trim()).filter(part => part.length > 1);
+        const certification = { name: parts[0] || line };
+        confidence[`${base}.name`] = 0.75;
+        if (parts[1]) {
+          certification.issuer = parts[1];
+          confidence[`${base}.issuer`] = 0.6;
+        }
+        if (issued && parseDate(issued[0])) {
+          certification.issueDate = parseDate(issued[0]);
+          confidence[`${base}.issueDate`] = 0.7;
+        }
+        if (expiry && parseDate(expiry[1])) {
+          certification.expiryDate = parseDate(expiry[1]);
+          confidence[`${base}.expiryDate`] = 0.8;
+        }
+        if (credential) {
+          certification.credentialId = credential[1];
+          confidence[`${base}.credentialId`] = 0.8;
+        }
+        return certification;
+      });
+  }
+
+  /**
+   * AI-ASSISTED EXTRACTION
+   * Fill fields the heuristics missed (or found with low confidence)
+   * from the LLM's reading of the resume
+   */
+  async extractWithAI(text, { tenantId, userId }) {
+    const { data } = await aiServiceEnhanced.extractResumeData({
+      text: text.slice(0, MAX_AI_CHARACTERS),
+      schema: AI_SCHEMA,
+      userId,
+      tenantId
+    });
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+
+    const objects = (value) => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+    return this.sanitizeProfile({
+      personalInfo: data.personalInfo,
+      professionalSummary: data.professionalSummary,
+      experience: objects(data.experience).map(item => ({
+        ...item,
+        company: typeof item.company === 'string' ? { name: item.company } : item.company
+      })),
+      education: objects(data.education).map(item => ({
+        ...item,
+        institution: typeof item.institution === 'string' ? { name: item.institution } : item.institution
+      })),
+      skills: {
+        technical: (Array.isArray(data.skills) ? data.skills : []).map(skill => (typeof skill === 'string' ? { name: skill } : skill)),
+        languages: data.languages
+      },
+      certifications: data.certifications
+    });
+  }
+
+  /**
+   * Heuristic fields at or above `threshold` are kept; the rest are taken
+   * from the AI result. Lists the heuristics could not read are replaced.
+   */
+  mergeAIResult(result, aiProfile, threshold = 0.7) {
+    const { profile, confidence } = result;
+
+    const mergeObject = (target, source, path) => {
+      Object.entries(source || {}).forEach(([key, value]) => {
+        const fieldPath = `${path}.${key}`;
+        if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+          target[key] = target[key] || {};
+          mergeObject(target[key], value, fieldPath);
+        } else if (value !== undefined && value !== null && value !== '' &&
+          (target[key] === undefined || (confidence[fieldPath] || 0) < threshold)) {
+          target[key] = value;
+          confidence[fieldPath] = AI_CONFIDENCE;
+        }
+      });
+    };
+    mergeObject(profile.personalInfo, aiProfile.personalInfo, 'personalInfo');
+    mergeObject(profile.professionalSummary, aiProfile.professionalSummary, 'professionalSummary');
+
+    const listConfidence = (path, length) => {
+      const scores = Object.entries(confidence)
+        .filter(([key]) => key.startsWith(`${path}.`) && parseInt(key.slice(path.length + 1), 10) < length)
+        .map(([, score]) => score);
+      return scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+    };
+    const replaceList = (path, getList, setList) => {
+      const current = getList(profile);
+      const replacement = getList(aiProfile);
+      if (!replacement || replacement.length === 0 ||
+        (current.length >= replacement.length && listConfidence(path, current.length) >= threshold)) {
+        return;
+      }
+      Object.keys(confidence).filter(key => key.startsWith(`${path}.`)).forEach(key => delete confidence[key]);
+      setList(replacement);
+      replacement.forEach((item, index) => {
+        confidence[`${path}.${index}`] = AI_CONFIDENCE;
+      });
+    };
+
+    replaceList('experience', p => p.experience, list => { profile.experience = list; });
+    replaceList('education', p => p.education, list => { profile.education = list; });
+    replaceList('certifications', p => p.certifications, list => { profile.certifications = list; });
+    replaceList('skills.languages', p => p.skills.languages, list => { profile.skills.languages = list; });
+
+    // Skills are additive: the AI may spot ones the vocabulary does not know
+    const known = new Set(profile.skills.technical.map(skill => matchScoringService.normalizeSkill(skill.name)));
+    (aiProfile.skills.technical || []).forEach(skill => {
+      if (!known.has(matchScoringService.normalizeSkill(skill.name))) {
+        known.add(matchScoringService.normalizeSkill(skill.name));
+        profile.skills.technical.push(skill);
+        confidence[`skills.technical.${profile.skills.technical.length - 1}`] = AI_CONFIDENCE;
+      }
+    });
+
+    // Warnings about details the AI has now found no longer apply
+    result.warnings = result.warnings.filter(warning =>
+      !(/work experience/i.test(warning) && profile.experience.length) &&
+      !(/education/i.test(warning) && profile.education.length) &&
+      !(/email/i.test(warning) && profile.personalInfo.email));
+
+    return result;
+  }
+
+  /**
+   * Whitelist a (parsed, AI-extracted or candidate-reviewed) profile down
+   * to the CandidateProfile fields the parser fills
+   */
+  sanitizeProfile(input) {
+    let source = input || {};
+    if (typeof input === 'string') {
+      try {
+        source = JSON.parse(input);
+      } catch (error) {
+        throw new ValidationError('profile must be valid JSON');
+      }
+    }
+    const text = (value, max = 500) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : undefined);
+    const date = (value) => {
+      if (!value) return undefined;
+      const parsed = value instanceof Date ? value : parseDate(value) || new Date(value);
+      return isNaN(parsed.getTime()) ? undefined : parsed;
+    };
+    const list = (value) => (Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : []);
+    const strings = (value) => (Array.isArray(value) ? value : []).map(item => text(item, 300)).filter(Boolean);
+    const compact = (object) => {
+      Object.keys(object).forEach(key => {
+        if (object[key] === undefined) {
+          delete object[key];
+        }
+      });
+      return object;
+    };
+    const personal = source.personalInfo || {};
+    const location = personal.location || {};
+    const social = personal.socialProfiles || {};
+    const summary = source.professionalSummary || {};
+    const skills = source.skills || {};
+    const level = (value, allowed) => (allowed.includes(String(value || '').toLowerCase()) ? String(value).toLowerCase() : undefined);
+
+    return {
+      personalInfo: compact({
+        firstName: text(personal.firstName, 100),
+        lastName: text(personal.lastName, 100),
+        email: text(personal.email, 254) && text(personal.email, 254).toLowerCase(),
+        alternateEmail: text(personal.alternateEmail, 254),
+        phone: text(personal.phone, 40),
+        location: compact({
+          address: text(location.address, 200),
+          city: text(location.city, 100),
+          state: text(location.state, 100),
+          country: text(location.country, 100),
+          postalCode: text(location.postalCode, 20)
+        }),
+        socialProfiles: compact({
+          linkedin: text(social.linkedin, 300),
+          github: text(social.github, 300),
+          portfolio: text(social.portfolio, 300),
+          website: text(social.website, 300),
+          twitter: text(social.twitter, 300)
+        })
+      }),
+      professionalSummary: compact({
+        headline: text(summary.headline, 200),
+        summary: text(summary.summary, 5000)
+      }),
+      experience: list(source.experience).map(item => compact({
+        company: item.company && text(item.company.name, 200) ? { name: text(item.company.name, 200) } : undefined,
+        position: text(item.position, 200),
+        startDate: date(item.startDate),
+        endDate: date(item.endDate),
+        isCurrent: typeof item.isCurrent === 'boolean' ? item.isCurrent : undefined,
+        description: text(item.description, 5000),
+        achievements: strings(item.achievements),
+        skills: strings(item.skills)
+      })).filter(item => item.position || item.company),
+      education: list(source.education).map(item => compact({
+        institution: item.institution && text(item.institution.name, 200)
+          ? compact({ name: text(item.institution.name, 200), type: level(item.institution.type, ['university', 'college', 'school', 'bootcamp', 'online']) })
+          : undefined,
+        degree: text(item.degree, 200),
+        field: text(item.field, 200),
+        startDate: date(item.startDate),
+        endDate: date(item.endDate),
+        isCurrent: typeof item.isCurrent === 'boolean' ? item.isCurrent : undefined,
+        gpa: typeof item.gpa === 'number' || /^\d+(\.\d+)?$/.test(item.gpa) ? parseFloat(item.gpa) : undefined,
+        description: text(item.description, 2000)
+      })).filter(item => item.degree || item.institution),
+      skills: {
+        technical: list(skills.technical).map(skill => compact({
+          name: text(skill.name, 100),
+          level: level(skill.level, SKILL_LEVELS),
+          years: typeof skill.years === 'number' && skill.years >= 0 ? skill.years : undefined,
+          lastUsed: date(skill.lastUsed)
+        })).filter(skill => skill.name),
+        soft: list(skills.soft).map(skill => compact({
+          name: text(skill.name, 100),
+          level: level(skill.level, SKILL_LEVELS)
+        })).filter(skill => skill.name),
+        languages: list(skills.languages).map(language => compact({
+          name: text(language.name, 100),
+          proficiency: level(language.proficiency, ['beginner', 'intermediate', 'advanced', 'native'])
+        })).filter(language => language.name)
+      },
+      certifications: list(source.certifications).map(item => compact({
+        name: text(item.name, 200),
+        issuer: text(item.issuer, 200),
+        credentialId: text(item.credentialId, 100),
+        issueDate: date(item.issueDate),
+        expiryDate: date(item.expiryDate),
+        verificationUrl: text(item.verificationUrl, 300)
+      })).filter(item => item.name)
+    };
+  }
+
+  /**
+   * Whether the LLM pass runs: `ai` option, RESUME_PARSER_AI and a live provider
+   */
+  async shouldUseAI(ai) {
+    if (ai === false || process.env.RESUME_PARSER_AI === 'false') {
+      return false;
+    }
+    try {
+      return await aiServiceEnhanced.hasLiveProvider();
+    } catch (error) {
+      logger.warn('AI provider check failed, parsing resume offline:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Extract and parse a resume file
+   */
+  async parseResume(buffer, { mimeType, filename } = {}, { tenantId, userId, ai } = {}) {
+    let extracted;
+    try {
+      extracted = extractText(buffer, { mimeType, filename });
+    } catch (error) {
+      throw new ValidationError(`Could not read resume: ${error.message}`);
+    }
+
+    const result = this.parseText(extracted.text);
+    result.profile = this.sanitizeProfile(result.profile);
+    result.warnings = extracted.warnings.concat(result.warnings);
+    let method = 'heuristic';
+
+    if (extracted.text.length >= 50 && await this.shouldUseAI(ai)) {
+      try {
+        const aiProfile = await this.extractWithAI(extracted.text, { tenantId, userId });
+        if (aiProfile) {
+          this.mergeAIResult(result, aiProfile);
+          method = 'ai-assisted';
+        }
+      } catch (error) {
+        // Quota, rate limit or provider failures fall back to the offline result
+        logger.warn('AI-assisted resume extraction failed:', error.message);
+        result.warnings.push('AI-assisted extraction was unavailable; details were extracted offline');
+      }
+    }
+
+    const scores = Object.values(result.confidence);
+    return {
+      format: extracted.format,
+      text: extracted.text,
+      profile: result.profile,
+      confidence: result.confidence,
+      overallConfidence: scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0,
+      warnings: result.warnings,
+      method
+    };
+  }
+
+  /**
+   * UPLOADS
+   * Store a resume and its parsed profile as a draft for review
+   */
+  async uploadResume(tenantId, userId, file, { ai } = {}) {
+    const parsed = await this.parseResume(file.buffer, { mimeType: file.mimetype, filename: file.originalname }, { tenantId, userId, ai });
+
+    const resume = await ResumeUpload.create({
+      tenantId,
+      userId,
+      file: {
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        format: parsed.format,
+        size: file.size || file.buffer.length,
+        data: file.buffer
+      },
+      text: parsed.text,
+      parsed: {
+        profile: parsed.profile,
+        confidence: parsed.confidence,
+        overallConfidence: parsed.overallConfidence,
+        warnings: parsed.warnings,
+        method: parsed.method,
+        parsedAt: new Date()
+      }
+    });
+
+    logger.info(`Resume ${resume._id} parsed (${parsed.method}, confidence ${parsed.overallConfidence})`);
+    return resume;
+  }
+
+  async getResume(tenantId, userId, resumeId) {
+    const resume = mongoose.Types.ObjectId.isValid(resumeId)
+      ? await ResumeUpload.findOne({ _id: resumeId, tenantId })
+      : null;
+    if (!resume) {
+      throw new NotFoundError('Resume not found');
+    }
+    if (String(resume.userId) !== String(userId)) {
+      throw new AuthorizationError('You can only use your own resume');
+    }
+    return resume;
+  }
+
+  /**
+   * The original file; candidates see their own, recruiters see those
+   * attached to applications in their tenant
+   */
+  async getResumeFile(tenantId, resumeId, user) {
+    const resume = mongoose.Types.ObjectId.isValid(resumeId)
+      ? await ResumeUpload.findOne({ _id: resumeId, tenantId }).select('+file.data')
+      : null;
+    if (!resume) {
+      throw new NotFoundError('Resume not found');
+    }
+    const isOwner = String(resume.userId) === String(user.id);
+    const isRecruiter = ['admin', 'trainer'].includes(user.role) && resume.status === 'applied';
+    if (!isOwner && !isRecruiter) {
+      throw new AuthorizationError('You do not have access to this resume');
+    }
+    return { filename: resume.file.filename, mimeType: resume.file.mimeType, data: resume.file.data };
+  }
+
+  /**
+   * Merge a (reviewed) parsed profile into a CandidateProfile document.
+   * Account email and existing contact details win; lists gain the
+   * entries they do not already have.
+   */
+  applyToProfile(candidateProfile, parsedProfile) {
+    const profile = this.sanitizeProfile(parsedProfile);
+    const personal = profile.personalInfo;
+
+    ['firstName', 'lastName', 'phone', 'alternateEmail'].forEach(field => {
+      if (personal[field] && !candidateProfile.personalInfo[field]) {
+        candidateProfile.personalInfo[field] = personal[field];
+      }
+    });
+    ['location', 'socialProfiles'].forEach(group => {
+      Object.entries(personal[group] || {}).forEach(([field, value]) => {
+        if (!candidateProfile.personalInfo[group][field]) {
+          candidateProfile.personalInfo[group][field] = value;
+        }
+      });
+    });
+    Object.entries(profile.professionalSummary).forEach(([field, value]) => {
+      if (!candidateProfile.professionalSummary[field]) {
+        candidateProfile.professionalSummary[field] = value;
+      }
+    });
+
+    const appendMissing = (target, items, keyOf) => {
+      const existing = new Set(target.map(keyOf));
+      items.forEach(item => {
+        if (!existing.has(keyOf(item))) {
+          existing.add(keyOf(item));
+          target.push(item);
+        }
+      });
+    };
+    const normalized = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+    appendMissing(candidateProfile.experience, profile.experience,
+      item => `${normalized(item.company && item.company.name)}|${normalized(item.position)}`);
+    appendMissing(candidateProfile.education, profile.education,
+      item => `${normalized(item.institution && item.institution.name)}|${normalized(item.degree)}`);
+    appendMissing(candidateProfile.certifications, profile.certifications, item => normalized(item.name));
+    appendMissing(candidateProfile.skills.technical, profile.skills.technical, item => matchScoringService.normalizeSkill(item.name));
+    appendMissing(candidateProfile.skills.soft, profile.skills.soft, item => normalized(item.name));
+    appendMissing(candidateProfile.skills.languages, profile.skills.languages, item => normalized(item.name));
+
+    return candidateProfile;
+  }
+
+  /**
+   * Record that a resume was attached to an application; it no longer expires
+   */
+  async markApplied(resume, applicationId) {
+    resume.status = 'applied';
+    resume.appliedAt = resume.appliedAt || new Date();
+    resume.applications.addToSet(applicationId);
+    resume.expiresAt = undefined;
+    await resume.save();
+    return resume;
+  }
+
+  /**
+   * Review payload
+   */
+  toDraft(resume) {
+    return {
+      resumeId: resume._id,
+      status: resume.status,
+      file: {
+        filename: resume.file.filename,
+        mimeType: resume.file.mimeType,
+        format: resume.file.format,
+        size: resume.file.size
+      },
+      profile: resume.parsed.profile,
+      confidence: resume.parsed.confidence,
+      overallConfidence: resume.parsed.overallConfidence,
+      warnings: resume.parsed.warnings,
+      method: resume.parsed.method,
+      parsedAt: resume.parsed.parsedAt,
+      expiresAt: resume.expiresAt
+    };
+  }
+
+  /**
+   * URL of the stored file, used as the application's resume link
+   */
+  fileUrl(resume) {
+    return `/api/v1/jobs/resumes/${resume._id}/file`;
+  }
+}
+
+module.exports = new ResumeParserService();
@@ -0,0 +1,378 @@
+/**
+ * LUXGEN TENANT BACKUP SERVICE
+ * Point-in-time snapshots of all tenant-scoped data
+ *
+ * Features:
+ * - Versioned, gzip-compressed archives on local disk
+ * - SHA-256 checksums per collection and per archive
+ * - Restore in place or into a fresh tenant
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+
+const Tenant = require('../models/Tenant');
+const {
+  TENANT_COLLECTIONS,
+  buildTenantFilter,
+  getTenantFieldValue,
+  remapObjectIds
+} = require('../utils/tenantCollections');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+class TenantBackupService {
+  constructor() {
+    this.basePath = process.env.BACKUP_PATH || path.join(__dirname, '../../backups');
+    this.brandIdentityPath = path.join(__dirname, '../brand-identity/brand');
+  }
+
+  /**
+   * CREATE TENANT BACKUP
+   * Snapshots the tenant document, every tenant-scoped collection and the
+   * tenant's brand identity into a single archive
+   */
+  async createBackup(tenant, options = {}) {
+    try {
+      console.log('💾 Creating backup for tenant:', tenant._id.toString());
+
+      const backupId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const tenantDoc = await Tenant.collection.findOne({ _id: tenant._id });
+
+      const collections = {};
+      const collectionManifest = {};
+      for (const collection of TENANT_COLLECTIONS) {
+        const documents = await collection.model.collection
+          .find(buildTenantFilter(collection, tenant))
+          .toArray();
+        const serialized = EJSON.serialize(documents, { relaxed: false });
+
+        collections[collection.name] = serialized;
+        collectionManifest[collection.name] = {
+          count: documents.length,
+          checksum: this.checksum(JSON.stringify(serialized))
+        };
+      }
+
+      const brandIdentity = await this.readBrandIdentity(tenant._id.toString());
+
+      const manifest = {
+        backupId,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        createdBy: options.createdBy || 'system',
+        reason: options.reason || 'manual',
+        tenant: {
+          id: tenant._id.toString(),
+          name: tenant.name,
+          slug: tenant.slug
+        },
+        collections: collectionManifest,
+        hasBrandIdentity: Boolean(brandIdentity)
+      };
+
+      const archive = await gzip(JSON.stringify({
+        manifest,
+        tenant: EJSON.serialize(tenantDoc, { relaxed: false }),
+        collections,
+        brandIdentity
+      }));
+
+      const tenantDir = this.getTenantDir(tenant._id.toString());
+      await fs.mkdir(tenantDir, { recursive: true });
+      await fs.writeFile(path.join(tenantDir, `${backupId}.json.gz`), archive);
+
+      const sidecar = {
+        ...manifest,
+        size: archive.length,
+        checksum: this.checksum(archive)
+      };
+      await fs.writeFile(
+        path.join(tenantDir, `${backupId}.manifest.json`),
+        JSON.stringify(sidecar, null, 2)
+      );
+
+      console.log('✅ Backup created successfully:', backupId);
+      return sidecar;
+
+    } catch (error) {
+      console.error('❌ Error creating tenant backup:', error);
+      throw new Error(`Failed to create backup: ${error.message}`);
+    }
+  }
+
+  /**
+   * LIST TENANT BACKUPS
+   * Newest first, read from the manifest sidecars only
+   */
+  async listBackups(tenantId) {
+    try {
+      const tenantDir = this.getTenantDir(tenantId);
+
+      let files;
+      try {
+        files = await fs.readdir(tenantDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+
+      const manifests = await Promise.all(
+        files
+          .filter(file => file.endsWith('.manifest.json'))
+          .map(async file => JSON.parse(await fs.readFile(path.join(tenantDir, file), 'utf8')))
+      );
+
+      return manifests
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(manifest => ({
+          backupId: manifest.backupId,
+          createdAt: manifest.createdAt,
+          createdBy: manifest.createdBy,
+          reason: manifest.reason,
+          formatVersion: manifest.formatVersion,
+          size: manifest.size,
+          sizeFormatted: this.formatSize(manifest.size),
+          checksum: manifest.checksum,
+          documentCount: Object.values(manifest.collections)
+            .reduce((total, collection) => total + collection.count, 0),
+          collections: manifest.collections
+        }));
+
+    } catch (error) {
+      console.error('❌ Error listing tenant backups:', error);
+      throw new Error(`Failed to list backups: ${error.message}`);
+    }
+  }
+
+  /**
+   * READ AND VERIFY BACKUP ARCHIVE
+   */
+  async loadBackup(tenantId, backupId) {
+    if (!BACKUP_ID_PATTERN.test(backupId)) {
+      throw new Error('Invalid backup ID');
+    }
+
+    const tenantDir = this.getTenantDir(tenantId);
+    let sidecar;
+    let archive;
+    try {
+      sidecar = JSON.parse(await fs.readFile(path.join(tenantDir, `${backupId}.manifest.json`), 'utf8'));
+      archive = await fs.readFile(path.join(tenantDir, `${backupId}.json.gz`));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('Backup not found');
+      }
+      throw error;
+    }
+
+    if (this.checksum(archive) !== sidecar.checksum) {
+      throw new Error('Backup archive checksum mismatch');
+    }
+
+    const backup = JSON.parse((await gunzip(archive)).toString('utf8'));
+    if (backup.manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+      throw new Error(`Unsupported backup format version ${backup.manifest.formatVersion}`);
+    }
+
+    Object.entries(backup.manifest.collections).forEach(([name, entry]) => {
+      const serialized = backup.collections[name] || [];
+      if (this.checksum(JSON.stringify(serialized)) !== entry.checksum) {
+        throw new Error(`Checksum mismatch for collection ${name}`);
+      }
+    });
+
+    return backup;
+  }
+
+  /**
+   * RESTORE TENANT FROM BACKUP
+   * mode 'in-place' replaces the tenant's current data with the snapshot;
+   * mode 'new-tenant' creates a fresh tenant and copies the snapshot into it
+   */
+  async restoreBackup(tenant, backupId, options = {}) {
+    try {
+      const mode = options.mode || 'in-place';
+      console.log(`♻️ Restoring backup ${backupId} for tenant ${tenant._id} (${mode})`);
+
+      const backup = await this.loadBackup(tenant._id.toString(), backupId);
+
+      let result;
+      if (mode === 'new-tenant') {
+        result = await this.restoreIntoNewTenant(backup, options.newTenant || {});
+      } else if (mode === 'in-place') {
+        // Keep a safety net in case the wrong backup was picked
+        const safetyBackup = await this.createBackup(tenant, {
+          reason: `pre-restore:${backupId}`,
+          createdBy: options.restoredBy
+        });
+        result = await this.restoreInPlace(tenant, backup);
+        result.safetyBackupId = safetyBackup.backupId;
+      } else {
+        throw new Error(`Unknown restore mode: ${mode}`);
+      }
+
+      console.log('✅ Backup restored successfully:', backupId);
+      return {
+        backupId,
+        mode,
+        restoredAt: new Date().toISOString(),
+        ...result
+      };
+
+    } catch (error) {
+      console.error('❌ Error restoring tenant backup:', error);
+      throw new Error(`Failed to restore backup: ${error.message}`);
+    }
+  }
+
+  async restoreInPlace(tenant, backup) {
+    const tenantDoc = EJSON.deserialize(backup.tenant);
+    if (tenantDoc) {
+      await Tenant.collection.replaceOne({ _id: tenant._id }, tenantDoc, { upsert: true });
+    }
+
+    const collections = {};
+    for (const collection of TENANT_COLLECTIONS) {
+      const documents = EJSON.deserialize(backup.collections[collection.name] || []);
+      const deleted = await collection.model.collection.deleteMany(buildTenantFilter(collection, tenant));
+      const inserted = await this.insertDocuments(collection, documents);
+      collections[collection.name] = { removed: deleted.deletedCount, ...inserted };
+    }
+
+    if (backup.brandIdentity) {
+      await this.writeBrandIdentity(tenant._id.toString(), backup.brandIdentity);
+    }
+
+    return { tenantId: tenant._id.toString(), collections };
+  }
+
+  async restoreIntoNewTenant(backup, newTenant) {
+    const sourceTenant = EJSON.deserialize(backup.tenant);
+    if (!sourceTenant) {
+      throw new Error('Backup does not contain a tenant document');
+    }
+
+    const suffix = crypto.randomBytes(3).toString('hex');
+    const tenantDoc = {
+      ...sourceTenant,
+      _id: new mongoose.Types.ObjectId(),
+      name: newTenant.name || `${sourceTenant.name} (restored)`,
+      slug: newTenant.slug || `${sourceTenant.slug}-restored-${suffix}`,
+      domain: newTenant.domain || `restored-${suffix}.${sourceTenant.domain}`,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    await Tenant.collection.insertOne(tenantDoc);
+
+    // Every restored document gets a fresh _id; references between them
+    // are rewritten through the same map
+    const idMap = new Map([[sourceTenant._id.toString(), tenantDoc._id]]);
+    const deserialized = {};
+    TENANT_COLLECTIONS.forEach(collection => {
+      deserialized[collection.name] = EJSON.deserialize(backup.collections[collection.name] || []);
+      deserialized[collection.name].forEach(document => {
+        idMap.set(document._id.toString(), new mongoose.Types.ObjectId());
+      });
+    });
+
+    const collections = {};
+    for (const collection of TENANT_COLLECTIONS) {
+      const documents = deserialized[collection.name].map(document => ({
+        ...remapObjectIds(document, idMap),
+        [collection.tenantField]: getTenantFieldValue(collection, tenantDoc)
+      }));
+      collections[collection.name] = await this.insertDocuments(collection, documents);
+    }
+
+    if (backup.brandIdentity) {
+      await this.writeBrandIdentity(tenantDoc._id.toString(), backup.brandIdentity);
+    }
+
+    return {
+      tenantId: tenantDoc._id.toString(),
+      tenant: { id: tenantDoc._id.toString(), name: tenantDoc.name, slug: tenantDoc.slug },
+      collections
+    };
+  }
+
+  /**
+   * Raw inserts bypass schema hooks (e.g. password hashing) so documents
+   * come back byte-for-byte; duplicates are reported instead of aborting
+   */
+  async insertDocuments(collection, documents) {
+    if (documents.length === 0) {
+      return { restored: 0, failed: 0, errors: [] };
+    }
+
+    try {
+      const result = await collection.model.collection.insertMany(documents, { ordered: false });
+      return { restored: result.insertedCount, failed: 0, errors: [] };
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      const writeErrors = [].concat(error.writeErrors);
+      return {
+        restored: error.result ? error.result.insertedCount : documents.length - writeErrors.length,
+        failed: writeErrors.length,
+        errors: writeErrors.map(writeError => ({
+          documentId: documents[writeError.index] && documents[writeError.index]._id.toString(),
+          message: writeError.errmsg || writeError.message
+        }))
+      };
+    }
+  }
+
+  /**
+   * HELPER METHODS
+   */
+
+  getTenantDir(tenantId) {
+    if (!BACKUP_ID_PATTERN.test(tenantId)) {
+      throw new Error('Invalid tenant ID');
+    }
+    return path.join(this.basePath, tenantId);
+  }
+
+  async readBrandIdentity(tenantId) {
+    try {
+      const data = await fs.readFile(path.join(this.brandIdentityPath, tenantId, 'brand-identity.json'), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeBrandIdentity(tenantId, brandIdentity) {
+    const tenantDir = path.join(this.brandIdentityPath, tenantId);
+    await fs.mkdir(tenantDir, { recursive: true });
+    await fs.writeFile(path.join(tenantDir, 'brand-identity.json'), JSON.stringify(brandIdentity, null, 2));
+  }
+
+  checksum(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+module.exports = new TenantBackupService();
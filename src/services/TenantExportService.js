@@ -0,0 +1,412 @@
+/**
+ * LUXGEN TENANT EXPORT SERVICE
+ * Portable tenant archives for moving tenants between environments
+ *
+ * Archive layout (.tar.gz, see docs/TENANT_EXPORT_FORMAT.md):
+ * - tenant.json                    Tenant document (canonical EJSON)
+ * - brand-identity.json            Brand identity, when the tenant has one
+ * - collections/<name>.ndjson      One canonical EJSON document per line
+ * - manifest.json                  Written last; format version, schema
+ *                                  versions, counts, checksums, settings
+ */
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { once } = require('events');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+
+const Tenant = require('../models/Tenant');
+const tenantBackupService = require('./TenantBackupService');
+const {
+  TENANT_COLLECTIONS,
+  buildTenantFilter,
+  getTenantFieldValue,
+  remapObjectIds
+} = require('../utils/tenantCollections');
+const { createTarEntry, createTarEnd, parseTar } = require('../utils/tarArchive');
+
+const gunzip = promisify(zlib.gunzip);
+const { EJSON } = mongoose.mongo.BSON;
+
+const EXPORT_FORMAT = 'luxgen-tenant-export';
+const EXPORT_FORMAT_VERSION = 1;
+const INSERT_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 500;
+
+class TenantExportService {
+  /**
+   * EXPORT TENANT
+   * Returns a gzip stream of the archive; collections are read one at a
+   * time so memory stays bounded by the largest collection
+   */
+  createExportStream(tenant, options = {}) {
+    const collections = this.selectCollections(options.collections);
+    const exportId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const output = zlib.createGzip();
+
+    const write = async (chunk) => {
+      if (!output.write(chunk)) {
+        await once(output, 'drain');
+      }
+    };
+
+    const run = async () => {
+      console.log('📦 Exporting tenant:', tenant._id.toString());
+
+      const tenantDoc = await Tenant.collection.findOne({ _id: tenant._id });
+      await write(createTarEntry('tenant.json', EJSON.stringify(tenantDoc, { relaxed: false })));
+
+      const brandIdentity = await tenantBackupService.readBrandIdentity(tenant._id.toString());
+      if (brandIdentity) {
+        await write(createTarEntry('brand-identity.json', JSON.stringify(brandIdentity, null, 2)));
+      }
+
+      const collectionManifest = {};
+      for (const collection of collections) {
+        const lines = [];
+        const cursor = collection.model.collection.find(buildTenantFilter(collection, tenant));
+        for await (const document of cursor) {
+          lines.push(EJSON.stringify(document, { relaxed: false }));
+        }
+
+        const content = Buffer.from(lines.length ? `${lines.join('\n')}\n` : '', 'utf8');
+        const file = `collections/${collection.name}.ndjson`;
+        await write(createTarEntry(file, content));
+
+        collectionManifest[collection.name] = {
+          file,
+          model: collection.model.modelName,
+          schemaVersion: this.getSchemaVersion(collection.model),
+          count: lines.length,
+          checksum: this.checksum(content)
+        };
+      }
+
+      const manifest = {
+        format: EXPORT_FORMAT,
+        formatVersion: EXPORT_FORMAT_VERSION,
+        exportId,
+        exportedAt: new Date().toISOString(),
+        exportedBy: options.exportedBy || 'system',
+        source: {
+          environment: process.env.NODE_ENV || 'development'
+        },
+        tenant: {
+          id: tenant._id.toString(),
+          name: tenant.name,
+          slug: tenant.slug,
+          domain: tenant.domain,
+          plan: tenant.plan
+        },
+        settings: (tenantDoc && tenantDoc.settings) || {},
+        hasBrandIdentity: Boolean(brandIdentity),
+        collections: collectionManifest
+      };
+
+      await write(createTarEntry('manifest.json', JSON.stringify(manifest, null, 2)));
+      output.end(createTarEnd());
+
+      console.log('✅ Tenant export completed:', exportId);
+    };
+
+    run().catch(error => {
+      console.error('❌ Error exporting tenant:', error);
+      output.destroy(error);
+    });
+
+    return {
+      exportId,
+      filename: `${tenant.slug}-${exportId}.tar.gz`,
+      stream: output
+    };
+  }
+
+  /**
+   * IMPORT TENANT
+   * Validates every row against the current models before writing and
+   * reports row-level errors by collection and line number
+   *
+   * Options:
+   * - tenant: existing tenant to import into; otherwise the archive's
+   *   tenant is created (with a new id when slug is overridden)
+   * - slug/name/domain: overrides for the created tenant
+   * - remapIds: give every document a fresh _id
+   * - dryRun: validate only
+   */
+  async importArchive(archive, options = {}) {
+    try {
+      const files = await this.readArchive(archive);
+      const manifest = this.readManifest(files);
+      const sourceTenant = EJSON.parse(files.get('tenant.json').toString('utf8'), { relaxed: false });
+
+      console.log('📥 Importing tenant export:', manifest.exportId);
+
+      const { tenantDoc, isNew, remapIds } = await this.resolveTargetTenant(sourceTenant, options);
+
+      const warnings = [];
+      const errors = [];
+      const reportError = (error) => {
+        if (errors.length < MAX_REPORTED_ERRORS) {
+          errors.push(error);
+        }
+      };
+
+      // Parse and validate everything first so ids can be remapped across
+      // collections and nothing is written when the archive is unusable
+      const idMap = new Map([[sourceTenant._id.toString(), tenantDoc._id]]);
+      const parsed = [];
+      for (const collection of TENANT_COLLECTIONS) {
+        const entry = manifest.collections[collection.name];
+        if (!entry) {
+          continue;
+        }
+
+        const content = files.get(entry.file);
+        if (!content) {
+          throw new Error(`Archive is missing ${entry.file}`);
+        }
+        if (this.checksum(content) !== entry.checksum) {
+          throw new Error(`Checksum mismatch for ${entry.file}`);
+        }
+        if (entry.schemaVersion !== this.getSchemaVersion(collection.model)) {
+          warnings.push(`${collection.name}: exported with schema ${entry.schemaVersion}, ` +
+            `current schema is ${this.getSchemaVersion(collection.model)}`);
+        }
+
+        const rows = [];
+        let unreadable = 0;
+        content.toString('utf8').split('\n').forEach((line, index) => {
+          if (!line.trim()) {
+            return;
+          }
+          try {
+            const document = EJSON.parse(line, { relaxed: false });
+            rows.push({ line: index + 1, document });
+            if (remapIds) {
+              idMap.set(document._id.toString(), new mongoose.Types.ObjectId());
+            }
+          } catch (error) {
+            unreadable += 1;
+            reportError({
+              collection: collection.name,
+              line: index + 1,
+              errors: [{ message: `Invalid JSON: ${error.message}` }]
+            });
+          }
+        });
+        parsed.push({ collection, rows, unreadable });
+      }
+
+      const collections = {};
+      const validated = [];
+      for (const { collection, rows, unreadable } of parsed) {
+        const Model = collection.model;
+        const valid = [];
+        rows.forEach(row => {
+          const document = {
+            ...remapObjectIds(row.document, idMap),
+            [collection.tenantField]: getTenantFieldValue(collection, tenantDoc)
+          };
+          const validationError = new Model(document).validateSync();
+          if (validationError) {
+            reportError({
+              collection: collection.name,
+              line: row.line,
+              documentId: row.document._id && row.document._id.toString(),
+              errors: Object.values(validationError.errors).map(error => ({
+                path: error.path,
+                message: error.message
+              }))
+            });
+            return;
+          }
+          valid.push({ line: row.line, document });
+        });
+
+        collections[collection.name] = {
+          total: rows.length + unreadable,
+          valid: valid.length,
+          invalid: rows.length + unreadable - valid.length,
+          imported: 0,
+          failed: 0
+        };
+        validated.push({ collection, valid });
+      }
+
+      // Nothing, not even a new tenant, is written before every row has
+      // been validated
+      if (!options.dryRun) {
+        if (isNew) {
+          await Tenant.collection.insertOne(tenantDoc);
+        }
+        try {
+          for (const { collection, valid } of validated) {
+            const result = await this.insertRows(collection, valid);
+            collections[collection.name].imported = result.imported;
+            collections[collection.name].failed = result.errors.length;
+            result.errors.forEach(reportError);
+          }
+        } catch (error) {
+          if (isNew) {
+            await Tenant.collection.deleteOne({ _id: tenantDoc._id });
+          }
+          throw error;
+        }
+      }
+
+      if (!options.dryRun && files.has('brand-identity.json')) {
+        await tenantBackupService.writeBrandIdentity(
+          tenantDoc._id.toString(),
+          JSON.parse(files.get('brand-identity.json').toString('utf8'))
+        );
+      }
+
+      console.log(`✅ Tenant import ${options.dryRun ? 'validated' : 'completed'}:`, manifest.exportId);
+
+      return {
+        exportId: manifest.exportId,
+        formatVersion: manifest.formatVersion,
+        dryRun: Boolean(options.dryRun),
+        tenant: {
+          id: tenantDoc._id.toString(),
+          name: tenantDoc.name,
+          slug: tenantDoc.slug,
+          created: isNew && !options.dryRun
+        },
+        remapIds,
+        collections,
+        warnings,
+        errors,
+        errorsTruncated: errors.length >= MAX_REPORTED_ERRORS
+      };
+
+    } catch (error) {
+      console.error('❌ Error importing tenant export:', error);
+      throw new Error(`Failed to import tenant export: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unpack an uploaded archive (gzip-compressed or plain tar)
+   */
+  async readArchive(archive) {
+    if (!Buffer.isBuffer(archive) || archive.length === 0) {
+      throw new Error('Export archive is required');
+    }
+    const isGzip = archive[0] === 0x1f && archive[1] === 0x8b;
+    const files = parseTar(isGzip ? await gunzip(archive) : archive);
+
+    if (!files.has('manifest.json') || !files.has('tenant.json')) {
+      throw new Error('Not a tenant export archive');
+    }
+    return files;
+  }
+
+  readManifest(files) {
+    const manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+    if (manifest.format !== EXPORT_FORMAT) {
+      throw new Error(`Unknown archive format: ${manifest.format}`);
+    }
+    if (manifest.formatVersion > EXPORT_FORMAT_VERSION) {
+      throw new Error(`Archive format version ${manifest.formatVersion} is not supported ` +
+        `(latest supported is ${EXPORT_FORMAT_VERSION})`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Pick the tenant the archive is imported into, or describe the one to
+   * create; creation waits until the archive has been validated
+   */
+  async resolveTargetTenant(sourceTenant, options) {
+    if (options.tenant) {
+      return {
+        tenantDoc: options.tenant,
+        isNew: false,
+        remapIds: Boolean(options.remapIds)
+      };
+    }
+
+    // Overriding the slug creates a copy alongside the original
+    const isCopy = Boolean(options.slug);
+    const tenantDoc = {
+      ...sourceTenant,
+      _id: isCopy ? new mongoose.Types.ObjectId() : sourceTenant._id,
+      name: options.name || sourceTenant.name,
+      slug: options.slug || sourceTenant.slug,
+      domain: options.domain || (isCopy ? `${options.slug}.${sourceTenant.domain}` : sourceTenant.domain),
+      updatedAt: new Date()
+    };
+
+    const existing = await Tenant.collection.findOne({
+      $or: [{ _id: tenantDoc._id }, { slug: tenantDoc.slug }, { domain: tenantDoc.domain }]
+    });
+    if (existing) {
+      throw new Error(`Tenant ${existing.slug} already exists; import into it with tenantId or pass a new slug`);
+    }
+
+    return {
+      tenantDoc,
+      isNew: true,
+      remapIds: isCopy || Boolean(options.remapIds)
+    };
+  }
+
+  /**
+   * Insert validated rows in batches, mapping write errors back to lines
+   */
+  async insertRows(collection, rows) {
+    let imported = 0;
+    const errors = [];
+
+    for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+      const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+      const result = await tenantBackupService.insertDocuments(collection, batch.map(row => row.document));
+
+      imported += result.restored;
+      result.errors.forEach(writeError => {
+        const row = batch.find(item => item.document._id.toString() === writeError.documentId);
+        errors.push({
+          collection: collection.name,
+          line: row ? row.line : null,
+          documentId: writeError.documentId,
+          errors: [{ message: writeError.message }]
+        });
+      });
+    }
+
+    return { imported, errors };
+  }
+
+  selectCollections(names) {
+    if (!names) {
+      return TENANT_COLLECTIONS;
+    }
+    const requested = Array.isArray(names) ? names : String(names).split(',').map(name => name.trim());
+    const unknown = requested.filter(name => !TENANT_COLLECTIONS.some(collection => collection.name === name));
+    if (unknown.length) {
+      throw new Error(`Unknown collections: ${unknown.join(', ')}`);
+    }
+    return TENANT_COLLECTIONS.filter(collection => requested.includes(collection.name));
+  }
+
+  /**
+   * Short fingerprint of a model's schema paths and types, so imports can
+   * flag archives produced by a different version of the models
+   */
+  getSchemaVersion(model) {
+    const { paths } = model.schema;
+    const signature = Object.keys(paths)
+      .sort()
+      .map(pathName => `${pathName}:${paths[pathName].instance}`)
+      .join('|');
+    return this.checksum(signature).slice(0, 12);
+  }
+
+  checksum(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+}
+
+module.exports = new TenantExportService();
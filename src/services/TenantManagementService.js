@@ -19,6 +19,14 @@ const Tenant = require('../models/Tenant');
 const User = require('../models/User');
 const Job = require('../models/Job');
 
+// Import services
+const tenantBackupService = require('./TenantBackupService');
+const tenantMigrationService = require('./TenantMigrationService');
+const tenantExportService = require('./TenantExportService');
+const auditLogService = require('./AuditLogService');
+const notificationBroadcastService = require('./NotificationBroadcastService');
+const aiMeteringService = require('./AIMeteringService');
+
 class TenantManagementService {
   constructor() {
     this.tenantCache = new Map();
@@ -485,6 +493,284 @@ class TenantManagementService {
     }
   }
 
+  /**
+   * CREATE TENANT BACKUP
+   */
+  async createTenantBackup(tenantId, options = {}) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      const backup = await tenantBackupService.createBackup(tenant, options);
+
+      return {
+        success: true,
+        backup,
+        message: 'Tenant backup created successfully'
+      };
+
+    } catch (error) {
+      console.error('❌ Error creating tenant backup:', error);
+      throw new Error(`Failed to create tenant backup: ${error.message}`);
+    }
+  }
+
+  /**
+   * RESTORE TENANT FROM BACKUP
+   */
+  async restoreTenantFromBackup(tenantId, backupId, options = {}) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      const restore = await tenantBackupService.restoreBackup(tenant, backupId, options);
+
+      // Cached configuration is stale after a restore
+      this.tenantCache.clear();
+      this.brandCache.clear();
+
+      return {
+        success: true,
+        restore,
+        message: 'Tenant restored successfully'
+      };
+
+    } catch (error) {
+      console.error('❌ Error restoring tenant from backup:', error);
+      throw new Error(`Failed to restore tenant: ${error.message}`);
+    }
+  }
+
+  /**
+   * GET TENANT BACKUPS
+   */
+  async getTenantBackups(tenantId) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      return await tenantBackupService.listBackups(tenant._id.toString());
+
+    } catch (error) {
+      console.error('❌ Error getting tenant backups:', error);
+      throw new Error(`Failed to get tenant backups: ${error.message}`);
+    }
+  }
+
+  /**
+   * MIGRATE TENANT DATA
+   * Copies or moves data from the source tenant into the target tenant
+   */
+  async migrateTenantData(sourceTenantId, targetTenantId, migrationOptions = {}) {
+    try {
+      const sourceTenant = await this.findTenantByIdentifier(sourceTenantId);
+      const targetTenant = await this.findTenantByIdentifier(targetTenantId);
+
+      if (sourceTenant._id.equals(targetTenant._id)) {
+        throw new Error('Source and target tenant must be different');
+      }
+
+      const migration = await tenantMigrationService.startMigration(
+        sourceTenant,
+        targetTenant,
+        migrationOptions
+      );
+
+      // Moved or overwritten data changes what the target tenant serves
+      if (!migration.dryRun) {
+        this.tenantCache.clear();
+      }
+
+      return {
+        success: true,
+        migration,
+        message: migration.dryRun
+          ? 'Migration dry run completed'
+          : 'Tenant migration started'
+      };
+
+    } catch (error) {
+      console.error('❌ Error migrating tenant data:', error);
+      throw new Error(`Failed to migrate tenant data: ${error.message}`);
+    }
+  }
+
+  /**
+   * GET TENANT MIGRATION
+   */
+  async getTenantMigration(tenantId, migrationId) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      return await tenantMigrationService.getMigration(tenant._id, migrationId);
+
+    } catch (error) {
+      console.error('❌ Error getting tenant migration:', error);
+      throw new Error(`Failed to get tenant migration: ${error.message}`);
+    }
+  }
+
+  /**
+   * GET TENANT MIGRATIONS
+   */
+  async getTenantMigrations(tenantId) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      return await tenantMigrationService.listMigrations(tenant._id);
+
+    } catch (error) {
+      console.error('❌ Error getting tenant migrations:', error);
+      throw new Error(`Failed to get tenant migrations: ${error.message}`);
+    }
+  }
+
+  /**
+   * EXPORT TENANT DATA
+   * Returns the archive as a stream for the route to pipe to the client
+   */
+  async exportTenantData(options = {}) {
+    try {
+      if (!options.tenantId) {
+        throw new Error('Tenant ID is required');
+      }
+      const tenant = await this.findTenantByIdentifier(options.tenantId);
+      return tenantExportService.createExportStream(tenant, options);
+
+    } catch (error) {
+      console.error('❌ Error exporting tenant data:', error);
+      throw new Error(`Failed to export tenant data: ${error.message}`);
+    }
+  }
+
+  /**
+   * IMPORT TENANT DATA
+   * Imports an export archive into an existing tenant (tenantId) or
+   * creates the tenant it was exported from
+   */
+  async importTenantData(archive, options = {}) {
+    try {
+      const tenant = options.tenantId
+        ? await this.findTenantByIdentifier(options.tenantId)
+        : null;
+
+      const result = await tenantExportService.importArchive(archive, {
+        ...options,
+        tenant
+      });
+
+      if (!result.dryRun) {
+        this.tenantCache.clear();
+        this.brandCache.clear();
+      }
+
+      return {
+        success: true,
+        import: result,
+        message: result.dryRun
+          ? 'Tenant export validated successfully'
+          : 'Tenant data imported successfully'
+      };
+
+    } catch (error) {
+      console.error('❌ Error importing tenant data:', error);
+      throw new Error(`Failed to import tenant data: ${error.message}`);
+    }
+  }
+
+  /**
+   * GET TENANT AUDIT LOG
+   * Filters: category, userId, riskLevel, action, resourceType,
+   * startDate, endDate, limit, cursor
+   */
+  async getTenantAuditLog(tenantId, filters = {}, requester = null) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      this.assertTenantAdminAccess(tenant, requester);
+
+      return await auditLogService.queryLogs(tenant._id, filters);
+
+    } catch (error) {
+      console.error('❌ Error getting tenant audit log:', error);
+      throw new Error(`Failed to get tenant audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * EXPORT TENANT AUDIT LOG
+   * Returns a CSV or NDJSON stream for the route to pipe to the client
+   */
+  async exportTenantAuditLog(tenantId, filters = {}, format = 'csv', requester = null) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      this.assertTenantAdminAccess(tenant, requester);
+
+      return auditLogService.exportLogs(tenant._id, filters, format);
+
+    } catch (error) {
+      console.error('❌ Error exporting tenant audit log:', error);
+      throw new Error(`Failed to export tenant audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * SEND TENANT NOTIFICATION
+   * Broadcasts to every active user of the tenant, or to the users
+   * matching payload.segment (roles, groupIds, userIds)
+   */
+  async sendTenantNotification(tenantId, payload, options = {}) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      const broadcast = await notificationBroadcastService.sendBroadcast(tenant, payload, options);
+
+      return {
+        success: true,
+        broadcast,
+        message: `Notification sent to ${broadcast.recipientCount} users`
+      };
+
+    } catch (error) {
+      console.error('❌ Error sending tenant notification:', error);
+      throw new Error(`Failed to send tenant notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * GET TENANT AI USAGE
+   * Requests and tokens for billing, grouped by day, user, type or provider
+   */
+  async getTenantAIUsage(tenantId, filters = {}, requester = null) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      this.assertTenantAdminAccess(tenant, requester);
+      return await aiMeteringService.getTenantUsageReport(tenant._id.toString(), filters);
+
+    } catch (error) {
+      console.error('❌ Error getting tenant AI usage:', error);
+      throw new Error(`Failed to get tenant AI usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * GET TENANT NOTIFICATION BROADCASTS
+   */
+  async getTenantBroadcasts(tenantId) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      return await notificationBroadcastService.listBroadcasts(tenant._id);
+
+    } catch (error) {
+      console.error('❌ Error getting tenant broadcasts:', error);
+      throw new Error(`Failed to get tenant broadcasts: ${error.message}`);
+    }
+  }
+
+  /**
+   * GET TENANT NOTIFICATION BROADCAST
+   */
+  async getTenantBroadcast(tenantId, broadcastId) {
+    try {
+      const tenant = await this.findTenantByIdentifier(tenantId);
+      return await notificationBroadcastService.getBroadcast(tenant._id, broadcastId);
+
+    } catch (error) {
+      console.error('❌ Error getting tenant broadcast:', error);
+      throw new Error(`Failed to get tenant broadcast: ${error.message}`);
+    }
+  }
+
   /**
    * HELPER METHODS
    */
@@ -498,6 +784,39 @@ class TenantManagementService {
       .trim('-');
   }
 
+  /**
+   * Resolve a tenant by id, slug or domain regardless of its status, for
+   * administrative operations that must also work on suspended tenants
+   */
+  async findTenantByIdentifier(identifier) {
+    const queryConditions = [
+      { slug: identifier },
+      { domain: identifier }
+    ];
+    if (mongoose.Types.ObjectId.isValid(identifier) && /^[0-9a-fA-F]{24}$/.test(identifier)) {
+      queryConditions.unshift({ _id: identifier });
+    }
+
+    const tenant = await Tenant.findOne({ $or: queryConditions });
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+    return tenant;
+  }
+
+  /**
+   * Tenant admins may only act on their own tenant; superadmins on any
+   */
+  assertTenantAdminAccess(tenant, requester) {
+    if (!requester || requester.role === 'superadmin') {
+      return;
+    }
+    const userTenant = requester.tenantId && requester.tenantId.toString();
+    if (userTenant !== tenant._id.toString() && userTenant !== tenant.slug) {
+      throw new Error('Access denied to this tenant');
+    }
+  }
+
   calculateExpirationDate(plan) {
     const now = new Date();
     switch (plan) {
@@ -0,0 +1,418 @@
+/**
+ * LUXGEN TENANT MIGRATION SERVICE
+ * Copies or moves tenant data between tenants
+ *
+ * Features:
+ * - Copy (new _ids, references remapped) or move (same _ids, re-tenanted)
+ * - Conflict detection on natural keys with per-entity strategies
+ * - Dry run reporting what would change without writing
+ * - Progress record that can be polled while the migration runs
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TenantMigration = require('../models/TenantMigration');
+const {
+  getTenantCollection,
+  buildTenantFilter,
+  getTenantFieldValue,
+  remapObjectIds
+} = require('../utils/tenantCollections');
+
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename', 'fail'];
+const DEFAULT_CONFLICT_STRATEGY = 'skip';
+const PROGRESS_SAVE_INTERVAL = 100;
+const MAX_CONFLICT_LOG_PER_ENTITY = 100;
+
+const renameEmail = (email, suffix) => {
+  const [local, domain] = String(email).split('@');
+  return domain ? `${local}+migrated-${suffix}@${domain}` : `${email}-migrated-${suffix}`;
+};
+
+const renameCode = (code, suffix) => `${String(code).slice(0, 40)}-${suffix}`;
+
+/**
+ * Entities that can be migrated, in dependency order.
+ *
+ * naturalKeys: fields that must stay unique, either within a tenant
+ * ('tenant' scope) or across the whole collection ('global' scope)
+ */
+const MIGRATABLE_ENTITIES = {
+  users: {
+    naturalKeys: [
+      { path: 'email', scope: 'tenant', rename: renameEmail }
+    ]
+  },
+  jobs: {
+    naturalKeys: []
+  },
+  candidateProfiles: {
+    naturalKeys: [
+      { path: 'userId', scope: 'global' },
+      { path: 'personalInfo.email', scope: 'global', rename: renameEmail }
+    ]
+  },
+  posts: {
+    naturalKeys: []
+  },
+  trainingCourses: {
+    naturalKeys: [
+      { path: 'courseCode', scope: 'global', rename: renameCode }
+    ]
+  }
+};
+
+const getPath = (doc, dottedPath) => {
+  return dottedPath.split('.').reduce((value, key) => (value ? value[key] : undefined), doc);
+};
+
+const setPath = (doc, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+class TenantMigrationService {
+  constructor() {
+    this.entities = MIGRATABLE_ENTITIES;
+  }
+
+  /**
+   * START MIGRATION
+   * Dry runs complete before returning; real runs are started in the
+   * background and can be followed through the migration record
+   */
+  async startMigration(sourceTenant, targetTenant, options = {}) {
+    try {
+      const settings = this.normalizeOptions(options);
+
+      console.log(`🚚 ${settings.dryRun ? 'Dry-running' : 'Starting'} ${settings.mode} migration:`,
+        sourceTenant._id.toString(), '→', targetTenant._id.toString());
+
+      const migration = await TenantMigration.create({
+        sourceTenantId: sourceTenant._id,
+        targetTenantId: targetTenant._id,
+        mode: settings.mode,
+        dryRun: settings.dryRun,
+        entities: settings.entities,
+        conflictStrategies: settings.conflictStrategies,
+        requestedBy: options.requestedBy
+      });
+
+      if (settings.dryRun) {
+        await this.runMigration(migration, sourceTenant, targetTenant, settings);
+        return migration;
+      }
+
+      setImmediate(() => {
+        this.runMigration(migration, sourceTenant, targetTenant, settings).catch(error => {
+          console.error('❌ Tenant migration crashed:', error);
+        });
+      });
+
+      return migration;
+
+    } catch (error) {
+      console.error('❌ Error starting tenant migration:', error);
+      throw new Error(`Failed to start tenant migration: ${error.message}`);
+    }
+  }
+
+  /**
+   * RUN MIGRATION
+   * Walks the selected entities in dependency order and records progress
+   */
+  async runMigration(migration, sourceTenant, targetTenant, settings) {
+    const idMap = new Map();
+    idMap.set(sourceTenant._id.toString(), targetTenant._id);
+
+    try {
+      migration.status = 'running';
+      migration.startedAt = new Date();
+
+      // Count up front so percentComplete is meaningful
+      const plan = [];
+      for (const name of settings.entities) {
+        const collection = getTenantCollection(name);
+        const total = await collection.model.collection.countDocuments(
+          buildTenantFilter(collection, sourceTenant)
+        );
+        plan.push({ name, collection, total });
+        migration.progress.set(name, { total });
+      }
+      await migration.save();
+
+      const grandTotal = plan.reduce((sum, entry) => sum + entry.total, 0);
+      let processedTotal = 0;
+
+      for (const entry of plan) {
+        const documents = await entry.collection.model.collection
+          .find(buildTenantFilter(entry.collection, sourceTenant))
+          .toArray();
+
+        // Pre-assign ids so references to documents of the same entity resolve
+        if (settings.mode === 'copy') {
+          documents.forEach(doc => {
+            idMap.set(doc._id.toString(), new mongoose.Types.ObjectId());
+          });
+        }
+
+        migration.currentEntity = entry.name;
+        const progress = migration.progress.get(entry.name);
+        let loggedConflicts = 0;
+
+        for (const doc of documents) {
+          const outcome = await this.migrateDocument(entry, doc, targetTenant, settings, idMap);
+
+          progress.processed += 1;
+          progress[outcome.result] += 1;
+          if (outcome.conflict) {
+            progress.conflicts += 1;
+            if (loggedConflicts < MAX_CONFLICT_LOG_PER_ENTITY) {
+              migration.conflictLog.push({ entity: entry.name, ...outcome.conflict });
+              loggedConflicts += 1;
+            }
+          }
+
+          processedTotal += 1;
+          if (processedTotal % PROGRESS_SAVE_INTERVAL === 0) {
+            migration.percentComplete = Math.floor((processedTotal / grandTotal) * 100);
+            migration.markModified('progress');
+            await migration.save();
+          }
+        }
+
+        migration.markModified('progress');
+        await migration.save();
+      }
+
+      migration.status = 'completed';
+      migration.currentEntity = undefined;
+      migration.percentComplete = 100;
+      migration.completedAt = new Date();
+      await migration.save();
+
+      console.log('✅ Tenant migration completed:', migration._id.toString());
+      return migration;
+
+    } catch (error) {
+      console.error('❌ Tenant migration failed:', error);
+      migration.status = 'failed';
+      migration.error = error.message;
+      migration.completedAt = new Date();
+      migration.markModified('progress');
+      await migration.save();
+      return migration;
+    }
+  }
+
+  /**
+   * Migrate a single document, resolving natural key conflicts
+   * Returns { result, conflict } where result is the progress counter to bump
+   */
+  async migrateDocument(entry, doc, targetTenant, settings, idMap) {
+    const { collection } = entry;
+    const target = remapObjectIds(doc, idMap);
+    target[collection.tenantField] = getTenantFieldValue(collection, targetTenant);
+    if (settings.mode === 'copy') {
+      target._id = idMap.get(doc._id.toString());
+    }
+
+    const conflict = await this.findConflict(entry, doc, target, targetTenant, settings);
+    if (!conflict) {
+      return this.writeDocument(entry, doc, target, settings, 'none');
+    }
+
+    const strategy = settings.conflictStrategies[entry.name];
+    const conflictEntry = {
+      sourceId: doc._id.toString(),
+      targetId: conflict.existing._id.toString(),
+      key: conflict.key.path,
+      value: String(getPath(target, conflict.key.path))
+    };
+
+    if (strategy === 'fail') {
+      if (settings.dryRun) {
+        return { result: 'failed', conflict: { ...conflictEntry, resolution: 'fail' } };
+      }
+      throw new Error(`Conflict on ${entry.name}.${conflict.key.path} = ${conflictEntry.value}`);
+    }
+
+    // Records owned by another tenant (global keys) are never overwritten
+    const ownedByTarget = conflict.scope === 'tenant' ||
+      String(conflict.existing[collection.tenantField]) === String(target[collection.tenantField]);
+
+    if (strategy === 'overwrite' && ownedByTarget) {
+      const replacement = { ...target, _id: conflict.existing._id };
+      idMap.set(doc._id.toString(), conflict.existing._id);
+      const outcome = await this.writeDocument(entry, doc, replacement, settings, 'overwrite');
+      const resolution = outcome.result === 'failed' ? outcome.error : 'overwrite';
+      return { ...outcome, conflict: { ...conflictEntry, resolution } };
+    }
+
+    if (strategy === 'rename' && conflict.key.rename) {
+      const suffix = crypto.randomBytes(3).toString('hex');
+      setPath(target, conflict.key.path, conflict.key.rename(getPath(target, conflict.key.path), suffix));
+      const outcome = await this.writeDocument(entry, doc, target, settings, 'none');
+      const resolution = outcome.result === 'failed'
+        ? outcome.error
+        : `rename:${getPath(target, conflict.key.path)}`;
+      return { ...outcome, conflict: { ...conflictEntry, resolution } };
+    }
+
+    // skip: later references point at the record already in place
+    idMap.set(doc._id.toString(), conflict.existing._id);
+    const resolution = strategy === 'skip' ? 'skip' : `skip (${strategy} not applicable)`;
+    return { result: 'skipped', conflict: { ...conflictEntry, resolution } };
+  }
+
+  /**
+   * Find an existing record clashing with the document on any natural key
+   */
+  async findConflict(entry, sourceDoc, target, targetTenant, settings) {
+    const { collection } = entry;
+
+    for (const key of this.entities[entry.name].naturalKeys) {
+      const value = getPath(target, key.path);
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+
+      // A moved document must not conflict with itself; a copied one may,
+      // since it cannot share a globally unique key with its source
+      const query = { [key.path]: value };
+      if (settings.mode === 'move') {
+        query._id = { $ne: sourceDoc._id };
+      }
+      if (key.scope === 'tenant') {
+        Object.assign(query, buildTenantFilter(collection, targetTenant));
+      }
+
+      const existing = await collection.model.collection.findOne(query);
+      if (existing) {
+        return { key, scope: key.scope, existing };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Persist a migrated document unless this is a dry run
+   * overwrite replaces the conflicting record; copy inserts; move re-tenants
+   */
+  async writeDocument(entry, sourceDoc, target, settings, conflictResolution) {
+    const rawCollection = entry.collection.model.collection;
+    let result;
+    if (conflictResolution === 'overwrite') {
+      result = 'updated';
+    } else {
+      result = settings.mode === 'copy' ? 'inserted' : 'moved';
+    }
+
+    if (settings.dryRun) {
+      return { result };
+    }
+
+    try {
+      if (conflictResolution === 'overwrite') {
+        await rawCollection.replaceOne({ _id: target._id }, target);
+        if (settings.mode === 'move') {
+          await rawCollection.deleteOne({ _id: sourceDoc._id });
+        }
+      } else if (settings.mode === 'copy') {
+        await rawCollection.insertOne(target);
+      } else {
+        await rawCollection.replaceOne({ _id: sourceDoc._id }, target);
+      }
+      return { result };
+    } catch (error) {
+      console.error(`❌ Failed to migrate ${entry.name} ${sourceDoc._id}:`, error.message);
+      return { result: 'failed', error: `failed:${error.message}` };
+    }
+  }
+
+  /**
+   * Validate and default the request's migration options
+   */
+  normalizeOptions(options) {
+    const mode = options.mode || 'copy';
+    if (!['copy', 'move'].includes(mode)) {
+      throw new Error(`Invalid migration mode: ${mode}`);
+    }
+
+    const available = Object.keys(this.entities);
+    const requested = options.entities && options.entities.length ? options.entities : available;
+    const unknown = requested.filter(name => !available.includes(name));
+    if (unknown.length) {
+      throw new Error(`Unsupported entities: ${unknown.join(', ')}`);
+    }
+    const entities = available.filter(name => requested.includes(name));
+
+    // A single strategy applies to every entity; an object sets them per entity
+    const conflictStrategies = {};
+    entities.forEach(name => {
+      const strategy = typeof options.conflictStrategies === 'string'
+        ? options.conflictStrategies
+        : (options.conflictStrategies && options.conflictStrategies[name]) || DEFAULT_CONFLICT_STRATEGY;
+      if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid conflict strategy for ${name}: ${strategy}`);
+      }
+      conflictStrategies[name] = strategy;
+    });
+
+    return {
+      mode,
+      dryRun: Boolean(options.dryRun),
+      entities,
+      conflictStrategies
+    };
+  }
+
+  /**
+   * GET MIGRATION
+   */
+  async getMigration(tenantId, migrationId) {
+    try {
+      const migration = await TenantMigration.findOne({
+        _id: migrationId,
+        $or: [{ sourceTenantId: tenantId }, { targetTenantId: tenantId }]
+      });
+      if (!migration) {
+        throw new Error('Migration not found');
+      }
+      return migration;
+
+    } catch (error) {
+      console.error('❌ Error getting tenant migration:', error);
+      throw new Error(`Failed to get tenant migration: ${error.message}`);
+    }
+  }
+
+  /**
+   * LIST MIGRATIONS
+   */
+  async listMigrations(tenantId, limit = 20) {
+    try {
+      return await TenantMigration.find({
+        $or: [{ sourceTenantId: tenantId }, { targetTenantId: tenantId }]
+      })
+        .select('-conflictLog')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+    } catch (error) {
+      console.error('❌ Error listing tenant migrations:', error);
+      throw new Error(`Failed to list tenant migrations: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TenantMigrationService();
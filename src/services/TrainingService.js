@@ -0,0 +1,565 @@
+/**
+ * LUXGEN TRAINING SERVICE
+ * Tenant-scoped course catalog, enrollment and learner progress.
+ *
+ * Features:
+ * - Course catalog with the learner's own enrollment and free seats
+ * - Enrollment with approval queue and waitlist (settings.requireApproval,
+ *   maxEnrollment); freed seats go to the waitlist first come first served
+ * - Course prerequisites checked at enrollment, module prerequisites at start
+ * - Module start/complete and per-learner progress
+ * - Certificates issued automatically when an enrollment completes
+ * - Learner statistics across courses
+ */
+
+const mongoose = require('mongoose');
+const TrainingCourse = require('../models/TrainingCourse');
+const TrainingModule = require('../models/TrainingModule');
+const TrainingCertificate = require('../models/TrainingCertificate');
+const Tenant = require('../models/Tenant');
+const certificateService = require('./CertificateService');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const SAVE_RETRIES = 3;
+const FINISHED_STATUSES = ['completed', 'certified'];
+
+// Enrollment fields a learner sees about their own enrollment
+const ENROLLMENT_FIELDS = [
+  'status', 'progress', 'enrolledAt', 'startDate', 'completionDate', 'waitlistedAt',
+  'reviewedAt', 'rejectionReason', 'lastActivityAt', 'certificateIssuedAt', 'certificateId'
+];
+
+const escapeRegExp = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isManager = user => ['admin', 'trainer'].includes(user.role);
+
+class TrainingService {
+  constructor() {
+    this.tenantIdCache = new Map();
+  }
+
+  // ==================== TENANTS ====================
+
+  /**
+   * Training collections key tenants by ObjectId; users carry the tenant
+   * id or slug as a string
+   */
+  async resolveTenantId(tenantKey) {
+    const key = String(tenantKey || '');
+    if (/^[0-9a-fA-F]{24}$/.test(key)) {
+      return new mongoose.Types.ObjectId(key);
+    }
+    if (!this.tenantIdCache.has(key)) {
+      const tenant = key ? await Tenant.findOne({ slug: key }).select('_id').lean() : null;
+      if (!tenant) {
+        throw new NotFoundError('Tenant not found');
+      }
+      this.tenantIdCache.set(key, tenant._id);
+    }
+    return this.tenantIdCache.get(key);
+  }
+
+  async getCourseDocument(tenantKey, courseId) {
+    const tenantId = await this.resolveTenantId(tenantKey);
+    const course = mongoose.Types.ObjectId.isValid(courseId)
+      ? await TrainingCourse.findOne({ _id: courseId, tenantId })
+      : null;
+    if (!course) {
+      throw new NotFoundError('Course not found');
+    }
+    return course;
+  }
+
+  /**
+   * Load the course, apply `change` and save, retrying when a concurrent
+   * request saved the course first (optimistic concurrency)
+   */
+  async updateCourse(tenantKey, courseId, change) {
+    for (let attempt = 1; ; attempt += 1) {
+      const course = await this.getCourseDocument(tenantKey, courseId);
+      try {
+        const result = await change(course);
+        return { course, result };
+      } catch (error) {
+        if (error.name !== 'VersionError' || attempt >= SAVE_RETRIES) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  canManage(course, user) {
+    if (user.role === 'admin') {
+      return true;
+    }
+    const userId = String(user._id);
+    return user.role === 'trainer' && (
+      String(course.createdBy) === userId ||
+      (course.instructors || []).some(instructor => String(instructor.instructorId) === userId)
+    );
+  }
+
+  assertCanManage(course, user) {
+    if (!this.canManage(course, user)) {
+      throw new AuthorizationError('Only the course instructors or an admin can manage enrollments');
+    }
+  }
+
+  // ==================== CATALOG ====================
+
+  toEnrollmentView(enrollment) {
+    if (!enrollment) {
+      return null;
+    }
+    const view = {};
+    ENROLLMENT_FIELDS.forEach(field => {
+      if (enrollment[field] !== undefined) {
+        view[field] = enrollment[field];
+      }
+    });
+    return view;
+  }
+
+  /**
+   * Course as shown to a learner: other learners' enrollments are left out
+   */
+  toCourseView(course, enrollment) {
+    const data = typeof course.toObject === 'function' ? course.toObject() : { ...course };
+    const seatsTaken = data.statistics ? data.statistics.activeEnrollments : 0;
+    delete data.enrollments;
+    delete data.currentEnrollmentCount;
+    delete data.completionRate;
+    return {
+      ...data,
+      seatsAvailable: Math.max(0, data.maxEnrollment - seatsTaken),
+      enrollment: this.toEnrollmentView(enrollment)
+    };
+  }
+
+  /**
+   * Active courses open for enrollment, with the learner's own enrollment
+   * @param {Object} filters - search, category, level, enrolled, page, limit
+   */
+  async listCourses(tenantKey, user, { search, category, level, enrolled, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const tenantId = await this.resolveTenantId(tenantKey);
+    const filter = {
+      tenantId,
+      isActive: true,
+      $and: [{
+        $or: [
+          { enrollmentEndDate: null },
+          { enrollmentEndDate: { $gte: new Date() } },
+          // Learners keep seeing courses they are already in
+          { 'enrollments.userId': user._id }
+        ]
+      }]
+    };
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+      filter.$and.push({ $or: [{ title: pattern }, { description: pattern }, { courseCode: pattern }, { tags: pattern }] });
+    }
+    if (category) {
+      filter.category = category;
+    }
+    if (level) {
+      filter.level = level;
+    }
+    if (enrolled === true) {
+      filter.enrollments = { $elemMatch: { userId: user._id, status: { $nin: ['dropped', 'rejected'] } } };
+    }
+
+    const [courses, total] = await Promise.all([
+      TrainingCourse.find(filter)
+        .select('-enrollments')
+        .sort({ createdAt: -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      TrainingCourse.countDocuments(filter)
+    ]);
+
+    const enrollments = await this.findUserEnrollments(courses.map(course => course._id), user._id);
+    return {
+      courses: courses.map(course => this.toCourseView(course, enrollments.get(String(course._id)))),
+      total
+    };
+  }
+
+  /**
+   * courseId -> the user's enrollment on that course
+   */
+  async findUserEnrollments(courseIds, userId) {
+    const courses = courseIds.length
+      ? await TrainingCourse.find({ _id: { $in: courseIds }, 'enrollments.userId': userId })
+        .select({ enrollments: { $elemMatch: { userId } } })
+        .lean()
+      : [];
+    return new Map(courses.map(course => [String(course._id), course.enrollments && course.enrollments[0]]));
+  }
+
+  async getCourse(tenantKey, courseId, user) {
+    const course = await this.getCourseDocument(tenantKey, courseId);
+    await course.populate('modules.moduleId', 'title description duration difficulty objectives prerequisites');
+    return this.toCourseView(course, course.getEnrollment(user._id));
+  }
+
+  // ==================== ENROLLMENT ====================
+
+  /**
+   * Course prerequisites the user has not met. 'course' needs the course
+   * completed, 'assessment' needs that course's required assessments
+   * passed; 'skill' prerequisites are informational.
+   */
+  async findUnmetPrerequisites(course, userId) {
+    const prerequisites = (course.prerequisites || []).filter(item => item.courseId && item.type !== 'skill');
+    if (!prerequisites.length) {
+      return [];
+    }
+
+    const required = await TrainingCourse.find({
+      _id: { $in: prerequisites.map(item => item.courseId) },
+      tenantId: course.tenantId
+    })
+      .select({ title: 1, assessments: 1, enrollments: { $elemMatch: { userId } } })
+      .lean();
+    const byId = new Map(required.map(item => [String(item._id), item]));
+
+    return prerequisites
+      .filter(item => {
+        const prerequisite = byId.get(String(item.courseId));
+        const enrollment = prerequisite && prerequisite.enrollments && prerequisite.enrollments[0];
+        if (!enrollment) {
+          return true;
+        }
+        if (item.type === 'course') {
+          return !FINISHED_STATUSES.includes(enrollment.status);
+        }
+        const passed = new Set((enrollment.completedAssessments || []).filter(a => a.passed).map(a => String(a.assessmentId)));
+        return (prerequisite.assessments || [])
+          .filter(assessment => assessment.isRequired && assessment.assessmentId)
+          .some(assessment => !passed.has(String(assessment.assessmentId)));
+      })
+      .map(item => ({
+        courseId: item.courseId,
+        type: item.type,
+        title: byId.has(String(item.courseId)) ? byId.get(String(item.courseId)).title : undefined,
+        description: item.description
+      }));
+  }
+
+  async enroll(tenantKey, courseId, user) {
+    const { course } = await this.updateCourse(tenantKey, courseId, async (course) => {
+      const now = new Date();
+      if (!course.isActive) {
+        throw new ValidationError('This course is not open for enrollment');
+      }
+      if (course.enrollmentStartDate && course.enrollmentStartDate > now) {
+        throw new ValidationError(`Enrollment opens on ${course.enrollmentStartDate.toISOString()}`);
+      }
+      if (course.enrollmentEndDate && course.enrollmentEndDate < now) {
+        throw new ValidationError('Enrollment for this course has closed');
+      }
+
+      const unmet = await this.findUnmetPrerequisites(course, user._id);
+      if (unmet.length) {
+        throw new ValidationError('Course prerequisites not met', { prerequisites: unmet });
+      }
+      return course.enrollUser(user._id);
+    });
+
+    const enrollment = course.getEnrollment(user._id);
+    logger.info('Training enrollment', { courseId: String(course._id), userId: String(user._id), status: enrollment.status });
+    return this.toEnrollmentView(enrollment);
+  }
+
+  async unenroll(tenantKey, courseId, user) {
+    const { course } = await this.updateCourse(tenantKey, courseId, course => course.unenrollUser(user._id));
+    return { seatsAvailable: Math.max(0, course.maxEnrollment - course.currentEnrollmentCount) };
+  }
+
+  /**
+   * Approval queue and waitlist for instructors and admins
+   * @param {string} status - Enrollment status to list (default pending)
+   */
+  async listEnrollments(tenantKey, courseId, user, { status = 'pending' } = {}) {
+    const course = await this.getCourseDocument(tenantKey, courseId);
+    this.assertCanManage(course, user);
+    await course.populate('enrollments.userId', 'firstName lastName email');
+
+    const key = enrollment => new Date(enrollment.waitlistedAt || enrollment.enrolledAt);
+    return course.enrollments
+      .filter(enrollment => !status || enrollment.status === status)
+      .sort((a, b) => key(a) - key(b))
+      .map((enrollment, index) => ({
+        user: enrollment.userId,
+        position: status === 'waitlisted' ? index + 1 : undefined,
+        ...this.toEnrollmentView(enrollment)
+      }));
+  }
+
+  async reviewEnrollment(tenantKey, courseId, learnerId, reviewer, { approved, reason } = {}) {
+    const { course } = await this.updateCourse(tenantKey, courseId, (course) => {
+      this.assertCanManage(course, reviewer);
+      return approved
+        ? course.approveEnrollment(learnerId, reviewer._id)
+        : course.rejectEnrollment(learnerId, reviewer._id, reason);
+    });
+    return this.toEnrollmentView(course.getEnrollment(learnerId));
+  }
+
+  // ==================== PROGRESS ====================
+
+  async startModule(tenantKey, courseId, moduleId, user) {
+    const module = mongoose.Types.ObjectId.isValid(moduleId)
+      ? await TrainingModule.findById(moduleId).select('prerequisites').lean()
+      : null;
+    if (!module) {
+      throw new NotFoundError('Module not found');
+    }
+
+    const { course } = await this.updateCourse(tenantKey, courseId, (course) => {
+      // Only prerequisites that are part of this course can be completed here
+      const courseModules = new Set(course.modules.map(item => String(item.moduleId)));
+      const required = (module.prerequisites || []).filter(id => courseModules.has(String(id)));
+      return course.startModule(user._id, moduleId, required);
+    });
+    return this.getProgress(tenantKey, course, user._id);
+  }
+
+  async completeModule(tenantKey, courseId, moduleId, user, { score } = {}) {
+    const module = mongoose.Types.ObjectId.isValid(moduleId)
+      ? await TrainingModule.findById(moduleId).select('prerequisites').lean()
+      : null;
+    if (!module) {
+      throw new NotFoundError('Module not found');
+    }
+
+    const { course } = await this.updateCourse(tenantKey, courseId, (course) => {
+      const enrollment = course.getActiveEnrollment(user._id);
+      const completed = new Set(enrollment.completedModules.map(item => String(item.moduleId)));
+      const courseModules = new Set(course.modules.map(item => String(item.moduleId)));
+      const missing = (module.prerequisites || []).filter(id => courseModules.has(String(id)) && !completed.has(String(id)));
+      if (missing.length) {
+        throw new ValidationError('Complete the prerequisite modules first', { prerequisites: missing.map(String) });
+      }
+      return course.updateUserProgress(user._id, moduleId, score);
+    });
+    await this.certifyIfComplete(course, user._id);
+    return this.getProgress(tenantKey, course, user._id);
+  }
+
+  /**
+   * Per-module progress for one learner
+   * @param {Object|string} courseOrId - Loaded course or its ID
+   */
+  async getProgress(tenantKey, courseOrId, learnerId, requester = null) {
+    const course = typeof courseOrId === 'object' && courseOrId.enrollments
+      ? courseOrId
+      : await this.getCourseDocument(tenantKey, courseOrId);
+    if (requester && String(requester._id) !== String(learnerId)) {
+      this.assertCanManage(course, requester);
+    }
+
+    const enrollment = course.getEnrollment(learnerId);
+    if (!enrollment) {
+      throw new NotFoundError('User is not enrolled in this course');
+    }
+
+    const modules = await TrainingModule.find({ _id: { $in: course.modules.map(item => item.moduleId) } })
+      .select('title duration prerequisites')
+      .lean();
+    const moduleById = new Map(modules.map(module => [String(module._id), module]));
+    const started = new Map(enrollment.startedModules.map(item => [String(item.moduleId), item]));
+    const completed = new Map(enrollment.completedModules.map(item => [String(item.moduleId), item]));
+    const courseModules = new Set(course.modules.map(item => String(item.moduleId)));
+
+    const moduleProgress = [...course.modules]
+      .sort((a, b) => a.order - b.order)
+      .map((item) => {
+        const id = String(item.moduleId);
+        const details = moduleById.get(id) || {};
+        const blockedBy = (details.prerequisites || [])
+          .map(String)
+          .filter(prerequisite => courseModules.has(prerequisite) && !completed.has(prerequisite));
+        const status = completed.has(id) ? 'completed'
+          : started.has(id) ? 'in-progress'
+            : blockedBy.length ? 'locked' : 'not-started';
+        return {
+          moduleId: item.moduleId,
+          title: details.title,
+          order: item.order,
+          isRequired: item.isRequired,
+          estimatedDuration: item.estimatedDuration,
+          status,
+          blockedBy: blockedBy.length ? blockedBy : undefined,
+          startedAt: started.has(id) ? started.get(id).startedAt : undefined,
+          completedAt: completed.has(id) ? completed.get(id).completedAt : undefined,
+          score: completed.has(id) ? completed.get(id).score : undefined
+        };
+      });
+
+    const assessmentResults = new Map(enrollment.completedAssessments.map(item => [String(item.assessmentId), item]));
+    return {
+      courseId: course._id,
+      title: course.title,
+      ...this.toEnrollmentView(enrollment),
+      modules: moduleProgress,
+      assessments: course.assessments.map(assessment => {
+        const result = assessment.assessmentId && assessmentResults.get(String(assessment.assessmentId));
+        return {
+          assessmentId: assessment.assessmentId,
+          title: assessment.title,
+          isRequired: assessment.isRequired,
+          passingScore: assessment.passingScore,
+          score: result ? result.score : undefined,
+          passed: result ? result.passed : false,
+          completedAt: result ? result.completedAt : undefined
+        };
+      })
+    };
+  }
+
+  // ==================== CERTIFICATES ====================
+
+  /**
+   * Issue the learner's certificate once the enrollment has completed.
+   * Issuance failures are logged and retried the next time the learner
+   * asks for the certificate; they never fail the progress update.
+   */
+  async certifyIfComplete(course, userId) {
+    const enrollment = course.getEnrollment(userId);
+    if (!enrollment || enrollment.status !== 'completed') {
+      return null;
+    }
+    try {
+      return await certificateService.issueForCourse(course, userId);
+    } catch (error) {
+      logger.error('Failed to issue training certificate:', {
+        courseId: String(course._id),
+        userId: String(userId),
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  async listCertificates(tenantKey, userId) {
+    const tenantId = await this.resolveTenantId(tenantKey);
+    const certificates = await TrainingCertificate.find({ tenantId, userId }).sort({ issuedAt: -1 }).lean();
+    return certificates.map(certificate => certificateService.toView(certificate));
+  }
+
+  /**
+   * The learner's certificate for a course, issued now if the enrollment
+   * completed without one
+   */
+  async getCourseCertificate(tenantKey, courseId, user) {
+    const course = await this.getCourseDocument(tenantKey, courseId);
+    const enrollment = course.getEnrollment(user._id);
+    if (!enrollment || !FINISHED_STATUSES.includes(enrollment.status)) {
+      throw new NotFoundError('Complete the course to earn its certificate');
+    }
+    const certificate = await certificateService.issueForCourse(course, user._id);
+    if (!certificate) {
+      throw new NotFoundError('This course does not issue certificates');
+    }
+    return certificateService.toView(certificate);
+  }
+
+  /**
+   * A certificate for its holder, the course instructors or an admin
+   */
+  async getCertificate(tenantKey, certificateId, user) {
+    const tenantId = await this.resolveTenantId(tenantKey);
+    const certificate = await TrainingCertificate.findOne({ tenantId, certificateId: String(certificateId).toUpperCase() });
+    if (!certificate) {
+      throw new NotFoundError('Certificate not found');
+    }
+    if (String(certificate.userId) !== String(user._id)) {
+      const course = await TrainingCourse.findById(certificate.courseId).select('createdBy instructors').lean();
+      if (!course || !this.canManage(course, user)) {
+        throw new NotFoundError('Certificate not found');
+      }
+    }
+    return certificate;
+  }
+
+  async revokeCertificate(tenantKey, certificateId, admin, reason) {
+    const certificate = await this.getCertificate(tenantKey, certificateId, admin);
+    await certificateService.revoke(certificate, admin, reason);
+    return certificateService.toView(certificate);
+  }
+
+  // ==================== STATISTICS ====================
+
+  /**
+   * Totals across every course a learner is enrolled in
+   */
+  async getLearnerStats(tenantKey, learnerId, requester) {
+    if (String(requester._id) !== String(learnerId) && !isManager(requester)) {
+      throw new AuthorizationError('You can only view your own training statistics');
+    }
+    const tenantId = await this.resolveTenantId(tenantKey);
+    const courses = await TrainingCourse.find({ tenantId, 'enrollments.userId': learnerId })
+      .select({ modules: 1, enrollments: { $elemMatch: { userId: learnerId } } })
+      .lean();
+
+    const stats = {
+      participantId: learnerId,
+      totalCourses: 0,
+      inProgressCourses: 0,
+      completedCourses: 0,
+      pendingCourses: 0,
+      waitlistedCourses: 0,
+      completedModules: 0,
+      averageScore: null,
+      totalHours: 0,
+      certificates: 0
+    };
+    const scores = [];
+
+    courses.forEach(course => {
+      const enrollment = course.enrollments[0];
+      if (['dropped', 'rejected'].includes(enrollment.status)) {
+        return;
+      }
+      stats.totalCourses += 1;
+      if (FINISHED_STATUSES.includes(enrollment.status)) {
+        stats.completedCourses += 1;
+      } else if (enrollment.status === 'pending') {
+        stats.pendingCourses += 1;
+      } else if (enrollment.status === 'waitlisted') {
+        stats.waitlistedCourses += 1;
+      } else {
+        stats.inProgressCourses += 1;
+      }
+      if (enrollment.certificateIssuedAt) {
+        stats.certificates += 1;
+      }
+
+      const durations = new Map(course.modules.map(item => [String(item.moduleId), item.estimatedDuration || 0]));
+      (enrollment.completedModules || []).forEach(item => {
+        stats.completedModules += 1;
+        stats.totalHours += (durations.get(String(item.moduleId)) || 0) / 60;
+        if (typeof item.score === 'number') {
+          scores.push(item.score);
+        }
+      });
+      (enrollment.completedAssessments || []).forEach(item => {
+        if (typeof item.score === 'number') {
+          scores.push(item.score);
+        }
+      });
+    });
+
+    stats.totalHours = Math.round(stats.totalHours * 10) / 10;
+    if (scores.length) {
+      stats.averageScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    }
+    return stats;
+  }
+}
+
+module.exports = new TrainingService();
@@ -0,0 +1,532 @@
+/**
+ * LUXGEN XAPI SERVICE
+ * Minimal learning record store for training content: the xAPI 1.0.x
+ * statement resource, without attachments or the document resources.
+ *
+ * Features:
+ * - Statements stored with LRS-assigned id, stored, timestamp and authority
+ * - Fetch by statementId / voidedStatementId and queries by agent, verb,
+ *   activity, registration and stored time, with voiding
+ * - Learners send statements about themselves only; trainers and admins
+ *   may report for any learner of the tenant
+ * - completed/passed statements (or result.completion/success) about a
+ *   module activity complete that module on the learner's enrollment, with
+ *   result.score as the module score; voiding hides a statement but does
+ *   not undo progress
+ *
+ * Module activity IDs are the module's content URL, or
+ * {XAPI_ACTIVITY_BASE}/courses/:courseId/modules/:moduleId.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const XapiStatement = require('../models/XapiStatement');
+const TrainingCourse = require('../models/TrainingCourse');
+const TrainingModule = require('../models/TrainingModule');
+const User = require('../models/User');
+const trainingService = require('./TrainingService');
+const contentPackageService = require('./ContentPackageService');
+const { ValidationError, NotFoundError, AuthorizationError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const XAPI_VERSION = '1.0.3';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_BATCH = 100;
+
+const VERBS = {
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed',
+  voided: 'http://adlnet.gov/expapi/verbs/voided'
+};
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const IRI = /^[a-z][a-z0-9+.-]*:\S+$/i;
+const IDENTIFIERS = ['mbox', 'mbox_sha1sum', 'openid', 'account'];
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isManager = user => ['admin', 'trainer'].includes(user.role);
+
+const sha1 = value => crypto.createHash('sha1').update(value).digest('hex');
+
+// JSON with sorted keys, to compare statements regardless of key order
+const canonical = value => JSON.stringify(value, (key, item) => (
+  isObject(item) ? Object.keys(item).sort().reduce((sorted, name) => ({ ...sorted, [name]: item[name] }), {}) : item
+));
+
+/**
+ * Inverse functional identifier of an agent or identified group
+ */
+const actorKey = (agent) => {
+  if (!isObject(agent)) {
+    return undefined;
+  }
+  if (agent.mbox) {
+    return `mbox:${String(agent.mbox).toLowerCase()}`;
+  }
+  if (agent.mbox_sha1sum) {
+    return `mbox_sha1sum:${String(agent.mbox_sha1sum).toLowerCase()}`;
+  }
+  if (agent.openid) {
+    return `openid:${agent.openid}`;
+  }
+  if (isObject(agent.account)) {
+    return `account:${agent.account.homePage}|${agent.account.name}`;
+  }
+  return undefined;
+};
+
+class XapiService {
+  constructor() {
+    this.version = XAPI_VERSION;
+  }
+
+  // ==================== VALIDATION ====================
+
+  validateAgent(agent, label) {
+    if (!isObject(agent)) {
+      throw new ValidationError(`${label} must be an agent or group`);
+    }
+    const identifiers = IDENTIFIERS.filter(name => agent[name] !== undefined);
+    if (agent.objectType === 'Group' && !identifiers.length) {
+      if (!Array.isArray(agent.member) || !agent.member.length) {
+        throw new ValidationError(`${label}: an anonymous group needs members`);
+      }
+      agent.member.forEach(member => this.validateAgent(member, `${label} member`));
+      return;
+    }
+    if (identifiers.length !== 1) {
+      throw new ValidationError(`${label} needs exactly one of mbox, mbox_sha1sum, openid or account`);
+    }
+    if (agent.mbox !== undefined && !/^mailto:[^@\s]+@[^@\s]+$/i.test(agent.mbox)) {
+      throw new ValidationError(`${label}: mbox must be a mailto: IRI`);
+    }
+    if (agent.mbox_sha1sum !== undefined && !/^[0-9a-f]{40}$/i.test(agent.mbox_sha1sum)) {
+      throw new ValidationError(`${label}: mbox_sha1sum must be a SHA-1 hex digest`);
+    }
+    if (agent.account !== undefined && (!isObject(agent.account) ||
+      typeof agent.account.homePage !== 'string' || typeof agent.account.name !== 'string')) {
+      throw new ValidationError(`${label}: account needs homePage and name`);
+    }
+  }
+
+  validateScore(score) {
+    if (!isObject(score)) {
+      throw new ValidationError('result.score must be an object');
+    }
+    const { scaled, raw, min, max } = score;
+    if ([scaled, raw, min, max].some(value => value !== undefined && typeof value !== 'number')) {
+      throw new ValidationError('result.score values must be numbers');
+    }
+    if (scaled !== undefined && (scaled < -1 || scaled > 1)) {
+      throw new ValidationError('result.score.scaled must be between -1 and 1');
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+      throw new ValidationError('result.score.min cannot exceed result.score.max');
+    }
+    if (raw !== undefined && ((min !== undefined && raw < min) || (max !== undefined && raw > max))) {
+      throw new ValidationError('result.score.raw must lie between min and max');
+    }
+  }
+
+  validateStatement(statement, { sub = false } = {}) {
+    if (!isObject(statement)) {
+      throw new ValidationError('A statement must be a JSON object');
+    }
+    if (statement.id !== undefined && !UUID.test(statement.id)) {
+      throw new ValidationError('Statement id must be a UUID');
+    }
+    this.validateAgent(statement.actor, 'actor');
+    if (!isObject(statement.verb) || !IRI.test(statement.verb.id || '')) {
+      throw new ValidationError('verb.id must be an IRI');
+    }
+
+    const object = statement.object;
+    if (!isObject(object)) {
+      throw new ValidationError('A statement needs an object');
+    }
+    const objectType = object.objectType || 'Activity';
+    if (objectType === 'Activity') {
+      if (!IRI.test(object.id || '')) {
+        throw new ValidationError('object.id must be an IRI');
+      }
+    } else if (objectType === 'Agent' || objectType === 'Group') {
+      this.validateAgent(object, 'object');
+    } else if (objectType === 'StatementRef') {
+      if (!UUID.test(object.id || '')) {
+        throw new ValidationError('A StatementRef needs the UUID of the statement');
+      }
+    } else if (objectType === 'SubStatement' && !sub) {
+      this.validateStatement(object, { sub: true });
+    } else {
+      throw new ValidationError(`Unsupported object type "${objectType}"`);
+    }
+
+    if (statement.verb.id === VERBS.voided && objectType !== 'StatementRef') {
+      throw new ValidationError('A voiding statement must reference the voided statement');
+    }
+    if (statement.result !== undefined) {
+      if (!isObject(statement.result)) {
+        throw new ValidationError('result must be an object');
+      }
+      if (statement.result.score !== undefined) {
+        this.validateScore(statement.result.score);
+      }
+    }
+    if (statement.timestamp !== undefined && Number.isNaN(Date.parse(statement.timestamp))) {
+      throw new ValidationError('timestamp must be an ISO 8601 date');
+    }
+  }
+
+  // ==================== ATTRIBUTION ====================
+
+  identifies(actor, user) {
+    const mbox = `mailto:${String(user.email || '').toLowerCase()}`;
+    if (actor.mbox) {
+      return String(actor.mbox).toLowerCase() === mbox;
+    }
+    if (actor.mbox_sha1sum) {
+      return String(actor.mbox_sha1sum).toLowerCase() === sha1(mbox);
+    }
+    if (isObject(actor.account)) {
+      return actor.account.name === String(user._id);
+    }
+    return false;
+  }
+
+  /**
+   * Platform user a statement is about: the sender, or for trainers and
+   * admins any learner of their tenant matched by email or user ID
+   * @returns {Promise<Object|null>} User with at least _id, or null when
+   *   the actor is not a platform user
+   */
+  async resolveLearner(actor, user) {
+    if (this.identifies(actor, user)) {
+      return user;
+    }
+    if (!isManager(user)) {
+      throw new AuthorizationError('Learners can only send statements about themselves');
+    }
+
+    let filter = null;
+    if (actor.mbox) {
+      filter = { tenantId: user.tenantId, email: String(actor.mbox).slice(7).toLowerCase() };
+    } else if (isObject(actor.account) && mongoose.Types.ObjectId.isValid(actor.account.name)) {
+      filter = { _id: actor.account.name, tenantId: user.tenantId };
+    }
+    const learner = filter ? await User.findOne(filter).select('_id email').lean() : null;
+    return learner;
+  }
+
+  activityBase() {
+    const base = process.env.XAPI_ACTIVITY_BASE ||
+      `${process.env.API_URL || `http://localhost:${process.env.PORT || 4004}`}/api/v1/training`;
+    return base.replace(/\/$/, '');
+  }
+
+  parseActivityId(activityId) {
+    const base = this.activityBase();
+    if (!String(activityId || '').startsWith(`${base}/`)) {
+      return null;
+    }
+    const match = /^\/courses\/([0-9a-f]{24})(?:\/modules\/([0-9a-f]{24}))?$/i.exec(activityId.slice(base.length));
+    return match ? { courseId: match[1], moduleId: match[2] } : null;
+  }
+
+  /**
+   * Course and module a statement's activity belongs to. Context
+   * activities naming a course disambiguate modules used by several courses.
+   */
+  async resolveActivity(tenantId, statement, learnerId) {
+    const object = statement.object;
+    if ((object.objectType || 'Activity') !== 'Activity') {
+      return {};
+    }
+
+    const platform = this.parseActivityId(object.id);
+    if (platform) {
+      return platform;
+    }
+    if (!learnerId) {
+      return {};
+    }
+
+    // Externally hosted content: the module's content URL is the activity
+    const module = await TrainingModule.findOne({ tenantId, content: object.id }).select('_id').lean();
+    if (!module) {
+      return {};
+    }
+    const contextActivities = (statement.context && statement.context.contextActivities) || {};
+    const contextCourse = ['parent', 'grouping']
+      .flatMap(name => [].concat(contextActivities[name] || []))
+      .map(activity => this.parseActivityId(activity && activity.id))
+      .find(parsed => parsed && !parsed.moduleId);
+
+    const course = await TrainingCourse.findOne({
+      tenantId,
+      'modules.moduleId': module._id,
+      'enrollments.userId': learnerId,
+      ...(contextCourse ? { _id: contextCourse.courseId } : {})
+    }).select('_id').lean();
+    return course ? { courseId: String(course._id), moduleId: String(module._id) } : {};
+  }
+
+  // ==================== STATEMENTS ====================
+
+  /**
+   * Store statements (POST takes one or many, PUT one with its ID)
+   * @param {Object|Object[]} input
+   * @param {Object} [options]
+   * @param {string} [options.statementId] - ID from the PUT query string
+   * @returns {Promise<{ ids: string[], stored: number }>} IDs in request
+   *   order; stored counts the ones that were new
+   */
+  async storeStatements(tenantKey, user, input, { statementId } = {}) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const statements = Array.isArray(input) ? input : [input];
+    if (!statements.length || statements.length > MAX_BATCH) {
+      throw new ValidationError(`Send between 1 and ${MAX_BATCH} statements`);
+    }
+    if (statementId !== undefined) {
+      if (statements.length !== 1 || !UUID.test(statementId)) {
+        throw new ValidationError('PUT takes one statement and a statementId UUID');
+      }
+      if (statements[0].id !== undefined && statements[0].id !== statementId) {
+        throw new ValidationError('The statement id does not match statementId');
+      }
+    }
+
+    const stored = new Date();
+    const prepared = [];
+    for (const statement of statements) {
+      this.validateStatement(statement);
+      const id = (statement.id || statementId || crypto.randomUUID()).toLowerCase();
+      if (prepared.some(item => item.id === id)) {
+        throw new ValidationError(`Statement ${id} appears twice in the request`);
+      }
+      const learner = await this.resolveLearner(statement.actor, user);
+      prepared.push({ id, statement, learner });
+    }
+
+    // Resending a stored statement unchanged is a no-op; changing it is a conflict
+    const existing = new Map((await XapiStatement.find({ tenantId, statementId: { $in: prepared.map(item => item.id) } })
+      .select('statementId statement')
+      .lean()).map(doc => [doc.statementId, JSON.parse(doc.statement)]));
+    for (const item of prepared) {
+      const previous = existing.get(item.id);
+      if (previous && !this.isSameStatement(previous, { ...item.statement, id: item.id })) {
+        throw new ConflictError(`Statement ${item.id} already exists with different content`);
+      }
+    }
+    const fresh = prepared.filter(item => !existing.has(item.id));
+
+    for (const item of fresh.filter(entry => entry.statement.verb.id === VERBS.voided)) {
+      const target = await XapiStatement.findOne({
+        tenantId,
+        statementId: item.statement.object.id.toLowerCase(),
+        ...(isManager(user) ? {} : { userId: user._id })
+      })
+        .select('verbId')
+        .lean();
+      if (!target || target.verbId === VERBS.voided) {
+        throw new ValidationError(`Statement ${item.statement.object.id} cannot be voided`);
+      }
+    }
+
+    const documents = [];
+    for (const item of fresh) {
+      const learnerId = item.learner && item.learner._id;
+      const activity = await this.resolveActivity(tenantId, item.statement, learnerId);
+      const complete = {
+        ...item.statement,
+        id: item.id,
+        timestamp: item.statement.timestamp || stored.toISOString(),
+        stored: stored.toISOString(),
+        authority: {
+          objectType: 'Agent',
+          name: [user.firstName, user.lastName].filter(Boolean).join(' ') || undefined,
+          account: { homePage: this.activityBase(), name: String(user._id) }
+        },
+        version: item.statement.version || '1.0.0'
+      };
+      const object = item.statement.object;
+      documents.push({
+        tenantId,
+        statementId: item.id,
+        statement: JSON.stringify(complete),
+        actorKey: actorKey(item.statement.actor),
+        verbId: item.statement.verb.id,
+        activityId: (object.objectType || 'Activity') === 'Activity' ? object.id : undefined,
+        registration: item.statement.context && item.statement.context.registration,
+        timestamp: new Date(complete.timestamp),
+        stored,
+        userId: learnerId,
+        courseId: activity.courseId,
+        moduleId: activity.moduleId,
+        voidsStatementId: item.statement.verb.id === VERBS.voided ? object.id.toLowerCase() : undefined,
+        storedBy: user._id
+      });
+    }
+
+    if (documents.length) {
+      try {
+        await XapiStatement.insertMany(documents, { ordered: true });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ConflictError('A statement with this ID was stored concurrently');
+        }
+        throw error;
+      }
+    }
+
+    for (const document of documents) {
+      if (document.voidsStatementId) {
+        await XapiStatement.updateOne(
+          { tenantId, statementId: document.voidsStatementId },
+          { $set: { voided: true } }
+        );
+      }
+    }
+    for (const item of fresh) {
+      if (item.learner) {
+        const document = documents.find(doc => doc.statementId === item.id);
+        await this.recordProgress(tenantKey, document, item.statement, item.learner);
+      }
+    }
+
+    return { ids: prepared.map(item => item.id), stored: documents.length };
+  }
+
+  isSameStatement(stored, incoming) {
+    // Set by the LRS, not by the sender
+    const strip = (statement) => {
+      const rest = { ...statement };
+      delete rest.stored;
+      delete rest.authority;
+      delete rest.version;
+      return rest;
+    };
+    const previous = strip(stored);
+    if (incoming.timestamp === undefined) {
+      delete previous.timestamp;
+    }
+    return canonical(previous) === canonical(strip(incoming));
+  }
+
+  /**
+   * Module completion from a statement. Progress is tracked per module;
+   * statements about a whole course are stored but change nothing.
+   */
+  async recordProgress(tenantKey, document, statement, learner) {
+    if (!document.courseId || !document.moduleId) {
+      return false;
+    }
+    const result = statement.result || {};
+    const failed = statement.verb.id === VERBS.failed || result.success === false;
+    const completed = [VERBS.completed, VERBS.passed].includes(statement.verb.id) ||
+      result.completion === true || result.success === true;
+    if (failed || !completed) {
+      return false;
+    }
+
+    try {
+      await trainingService.completeModule(tenantKey, document.courseId, document.moduleId, learner, {
+        score: result.score ? contentPackageService.scorePercent(result.score) : undefined
+      });
+      return true;
+    } catch (error) {
+      logger.warn('xAPI completion not recorded on the enrollment:', {
+        statementId: document.statementId,
+        courseId: String(document.courseId),
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * One statement, or a StatementResult for a query. Learners only see
+   * statements about themselves.
+   */
+  async getStatements(tenantKey, user, query = {}) {
+    const tenantId = await trainingService.resolveTenantId(tenantKey);
+    const scope = isManager(user) ? { tenantId } : { tenantId, userId: user._id };
+
+    if (query.statementId || query.voidedStatementId) {
+      const voided = Boolean(query.voidedStatementId);
+      const doc = await XapiStatement.findOne({
+        ...scope,
+        statementId: String(query.statementId || query.voidedStatementId).toLowerCase(),
+        voided
+      }).select('statement').lean();
+      if (!doc) {
+        throw new NotFoundError('Statement not found');
+      }
+      return { statement: JSON.parse(doc.statement) };
+    }
+
+    const filter = { ...scope, voided: false };
+    if (query.agent) {
+      let agent;
+      try {
+        agent = JSON.parse(query.agent);
+      } catch (error) {
+        throw new ValidationError('agent must be a JSON agent object');
+      }
+      filter.actorKey = actorKey(agent) || null;
+    }
+    if (query.verb) {
+      filter.verbId = query.verb;
+    }
+    if (query.activity) {
+      filter.activityId = query.activity;
+    }
+    if (query.registration) {
+      filter.registration = query.registration;
+    }
+    if (query.since || query.until) {
+      filter.stored = {};
+      if (query.since) {
+        filter.stored.$gt = new Date(query.since);
+      }
+      if (query.until) {
+        filter.stored.$lte = new Date(query.until);
+      }
+    }
+
+    const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = parseInt(query.offset, 10) || 0;
+    const direction = String(query.ascending) === 'true' ? 1 : -1;
+    const docs = await XapiStatement.find(filter)
+      .sort({ stored: direction, _id: direction })
+      .skip(offset)
+      .limit(limit + 1)
+      .select('statement')
+      .lean();
+
+    let more = '';
+    if (docs.length > limit) {
+      const params = new URLSearchParams();
+      for (const name of ['agent', 'verb', 'activity', 'registration', 'since', 'until', 'ascending']) {
+        if (query[name]) {
+          params.set(name, query[name]);
+        }
+      }
+      params.set('limit', String(limit));
+      params.set('offset', String(offset + limit));
+      more = `/api/v1/training/xapi/statements?${params}`;
+    }
+    return {
+      statements: docs.slice(0, limit).map(doc => JSON.parse(doc.statement)),
+      more
+    };
+  }
+
+  about() {
+    return { version: ['1.0.0', XAPI_VERSION] };
+  }
+}
+
+module.exports = new XapiService();
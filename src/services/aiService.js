@@ -1,2 +1,128 @@
-/** * AI Service Module * Enhanced AI service supporting all frontend requirements */ const EnhancedAIService = require('./aiServiceEnhanced'); class AIService { constructor() { this.enhancedService = EnhancedAIService; } async initialize() { return this.enhancedService.initialize(); } // Legacy methods for backward compatibility async generateContent(prompt, options = {}) { return this.enhancedService.generateContent({ type: 'text', prompt, options, userId: 'legacy', tenantId: 'legacy'}); } async generateContentWithRAG(prompt, options = {}) { return this.enhancedService.generateContent({ type: 'text', prompt, context: 'RAG enabled', options, userId: 'legacy', tenantId: 'legacy'}); } async addToKnowledgeBase(documentId, content, metadata = {}) { // Legacy method - now handled by content library return { documentId, chunksCount: 1, message: 'Document added to knowledge base'}; } async searchKnowledgeBase(query, maxResults = 5) { // Legacy method - return mock results return [ { content: `Search result for: ${query}`, score: 0.95, metadata: { source: 'knowledge_base'} } ]; } async clearKnowledgeBase() { // Legacy method return { success: true, message: 'Knowledge base cleared'}; } getKnowledgeBaseStats() { // Legacy method return { totalDocuments: 0, totalChunks: 0, averageChunkSize: 0, lastUpdated: new Date() }; } async checkHealth() { return this.enhancedService.getHealth({ userId: 'legacy', tenantId: 'legacy'}); } async healthCheck() { return this.enhancedService.getHealth({ userId: 'legacy', tenantId: 'legacy'}); } async getContentLibrary() { return this.enhancedService.getContentLibrary({ userId: 'legacy', tenantId: 'legacy', page: 1, limit: 10 }); } getContentCategories() { return [ 'Training Materials', 'Assessments', 'Presentations', 'Blog Posts', 'Social Media', 'Emails', 'Product Descriptions']; } getRecentContent() { return []; } getPopularContent() { return []; } getContentTemplates() { return this.enhancedService.getTemplates({ userId: 'legacy', tenantId: 'legacy'}); }
-} module.exports = new AIService(); 
\ No newline at end of file
+/**
+ * AI Service Module
+ * Enhanced AI service supporting all frontend requirements
+ */
+
+const EnhancedAIService = require('./aiServiceEnhanced');
+const knowledgeBaseService = require('./KnowledgeBaseService');
+const { ValidationError } = require('../utils/errors');
+
+const requireTenant = (tenantId) => {
+  if (!tenantId) {
+    throw new ValidationError('A tenant is required for knowledge base operations');
+  }
+  return String(tenantId);
+};
+
+class AIService {
+  constructor() {
+    this.enhancedService = EnhancedAIService;
+    this.knowledgeBase = knowledgeBaseService;
+  }
+
+  initialize() {
+    return this.enhancedService.initialize();
+  }
+
+  // Legacy methods for backward compatibility
+  generateContent(prompt, options = {}) {
+    return this.enhancedService.generateContent({
+      type: 'text',
+      prompt,
+      options,
+      userId: 'legacy',
+      tenantId: 'legacy'
+    });
+  }
+
+  /**
+   * Knowledge base methods act on the caller's tenant; there is no shared
+   * legacy knowledge base
+   */
+  async generateContentWithRAG(tenantId, prompt, options = {}) {
+    const content = await this.enhancedService.generateContent({
+      type: 'text',
+      prompt,
+      options: { ...options, rag: options.rag || true },
+      userId: 'legacy',
+      tenantId: requireTenant(tenantId)
+    });
+    return content;
+  }
+
+  async addToKnowledgeBase(tenantId, documentId, content, metadata = {}) {
+    const document = await this.knowledgeBase.addDocument(requireTenant(tenantId), {
+      title: metadata.title || documentId,
+      content,
+      source: { type: 'text', refId: documentId },
+      metadata
+    });
+    return {
+      documentId,
+      chunksCount: document.chunkCount,
+      message: 'Document added to knowledge base'
+    };
+  }
+
+  async searchKnowledgeBase(tenantId, query, maxResults = 5) {
+    const passages = await this.knowledgeBase.search(requireTenant(tenantId), query, { limit: maxResults });
+    return passages.map(passage => ({
+      content: passage.text,
+      score: passage.score,
+      metadata: { source: 'knowledge_base', documentId: passage.source.refId, title: passage.title }
+    }));
+  }
+
+  async clearKnowledgeBase(tenantId) {
+    await this.knowledgeBase.clear(requireTenant(tenantId));
+    return { success: true, message: 'Knowledge base cleared' };
+  }
+
+  async getKnowledgeBaseStats(tenantId) {
+    const stats = await this.knowledgeBase.getStats(requireTenant(tenantId));
+    return {
+      totalDocuments: stats.totalDocuments,
+      totalChunks: stats.totalChunks,
+      averageChunkSize: stats.averageChunkLength,
+      lastUpdated: stats.lastUpdated
+    };
+  }
+
+  checkHealth() {
+    return this.enhancedService.getHealth({ userId: 'legacy', tenantId: 'legacy' });
+  }
+
+  healthCheck() {
+    return this.enhancedService.getHealth({ userId: 'legacy', tenantId: 'legacy' });
+  }
+
+  getContentLibrary() {
+    return this.enhancedService.getContentLibrary({ userId: 'legacy', tenantId: 'legacy', page: 1, limit: 10 });
+  }
+
+  getContentCategories() {
+    return [
+      'Training Materials',
+      'Assessments',
+      'Presentations',
+      'Blog Posts',
+      'Social Media',
+      'Emails',
+      'Product Descriptions'
+    ];
+  }
+
+  getRecentContent() {
+    return [];
+  }
+
+  getPopularContent() {
+    return [];
+  }
+
+  getContentTemplates() {
+    return this.enhancedService.getTemplates({ userId: 'legacy', tenantId: 'legacy' });
+  }
+}
+
+module.exports = new AIService();
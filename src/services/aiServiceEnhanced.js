@@ -2,37 +2,32 @@
  * Enhanced AI Service Module
  * Comprehensive AI service supporting all frontend requirements
  */
-const Groq = require('groq-sdk');
-const OpenAI = require('openai');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const cacheManager = require('../utils/cache');
+const aiRepository = require('../repositories/AIRepository');
+const llmProviders = require('./llm/LLMProviderRegistry');
+const aiMeteringService = require('./AIMeteringService');
+const knowledgeBaseService = require('./KnowledgeBaseService');
 
 class EnhancedAIService {
   constructor() {
-    this.groqClient = null;
-    this.openaiClient = null;
+    this.providers = llmProviders;
     this.isInitialized = false;
-    this.defaultModel = process.env.AI_MODEL || 'llama-3.3-70b-versatile';
     this.maxTokens = parseInt(process.env.AI_MAX_TOKENS) || 4096;
     this.temperature = parseFloat(process.env.AI_TEMPERATURE) || 0.7;
     this.topP = parseFloat(process.env.AI_TOP_P) || 0.9;
     this.frequencyPenalty = parseFloat(process.env.AI_FREQUENCY_PENALTY) || 0.0;
     this.presencePenalty = parseFloat(process.env.AI_PRESENCE_PENALTY) || 0.0;
 
-    // Rate limiting
-    this.rateLimits = {
-      standard: { perMinute: 60, perHour: 1000 },
-      premium: { perMinute: 120, perHour: 2000 },
-      enterprise: { perMinute: 300, perHour: 5000 }
-    };
+    // Plan-based rate limits, monthly quotas and usage metering
+    this.metering = aiMeteringService;
+
+    // Conversations, content, templates, preferences and usage live in MongoDB
+    this.repository = aiRepository;
 
-    // In-memory storage (in production, use proper databases)
-    this.conversations = new Map();
-    this.contentLibrary = new Map();
-    this.templates = new Map();
-    this.userPreferences = new Map();
-    this.usageStats = new Map();
+    // Tenant documents retrieved into prompts when options.rag is set
+    this.knowledgeBase = knowledgeBaseService;
   }
 
   /**
@@ -42,24 +37,10 @@ class EnhancedAIService {
     try {
       logger.info('Initializing Enhanced AI Service...');
 
-      // Initialize Groq client
-      if (process.env.GROQ_API_KEY) {
-        this.groqClient = new Groq({
-          apiKey: process.env.GROQ_API_KEY,
-        });
-        logger.info('Groq client initialized');
-      } else {
-        logger.warn('WARNING: GROQ_API_KEY not found - AI features disabled');
-      }
-
-      // Initialize OpenAI client
-      if (process.env.OPENAI_API_KEY) {
-        this.openaiClient = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY,
-        });
-        logger.info('OpenAI client initialized');
-      } else {
-        logger.warn('WARNING: OPENAI_API_KEY not found - Some features disabled');
+      // Register Groq, OpenAI and mock providers
+      this.providers.initialize();
+      if (!process.env.GROQ_API_KEY && !process.env.OPENAI_API_KEY) {
+        logger.warn('WARNING: no GROQ_API_KEY or OPENAI_API_KEY found - only the mock provider is available outside production');
       }
 
       this.isInitialized = true;
@@ -73,11 +54,14 @@ class EnhancedAIService {
 
   /**
    * Generate content with enhanced options
+   * Pass `options.stream = { onDelta, signal }` to receive text deltas as
+   * they are generated; the resolved value is the same either way. Every
+   * generate* helper forwards its options, so all of them can stream.
    */
   async generateContent({ type, prompt, context, options, userId, tenantId }) {
     try {
-      if (!this.isInitialized || !this.groqClient) {
-        throw new Error('AI Service not available');
+      if (!this.isInitialized) {
+        await this.initialize();
       }
 
       const {
@@ -86,7 +70,11 @@ class EnhancedAIService {
         tone = 'professional',
         length = 'medium',
         style = 'informative',
-        language = 'english'
+        language = 'english',
+        provider,
+        model,
+        stream,
+        rag
       } = options || {};
 
       // Build system prompt based on type and options
@@ -98,38 +86,65 @@ class EnhancedAIService {
         enhancedPrompt = `Context: ${context}\n\nRequest: ${prompt}`;
       }
 
+      // Throws RateLimitError / QuotaExceededError before any tokens are spent
+      const { aiSettings: tenantSettings } = await this.metering.checkLimits({ userId, tenantId });
+
+      // Retrieval-augmented generation: ground the answer in the tenant's knowledge base
+      let citations;
+      if (rag) {
+        const ragOptions = rag === true ? {} : rag;
+        const passages = await this.knowledgeBase.search(tenantId, ragOptions.query || prompt, {
+          limit: ragOptions.limit,
+          documentIds: ragOptions.documentIds
+        });
+        if (passages.length > 0) {
+          const knowledge = this.knowledgeBase.buildContext(passages);
+          citations = knowledge.citations;
+          systemPrompt += '\n\nAnswer using the numbered sources below where they are relevant and cite them inline as [n]. ' +
+            'Do not cite sources that were not used.';
+          enhancedPrompt = `Sources:\n${knowledge.context}\n\n${enhancedPrompt}`;
+        } else {
+          citations = [];
+        }
+      }
+
       const messages = [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: enhancedPrompt }
       ];
 
-      const completion = await this.groqClient.chat.completions.create({
-        model: this.defaultModel,
+      const startTime = Date.now();
+      const completion = await this.providers.complete({
+        model,
         messages,
-        max_tokens: maxTokens,
+        maxTokens,
         temperature,
-        top_p: this.topP,
-        frequency_penalty: this.frequencyPenalty,
-        presence_penalty: this.presencePenalty,
-        stream: false
-      });
-
-      const content = completion.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('No content generated');
-      }
+        topP: this.topP,
+        frequencyPenalty: this.frequencyPenalty,
+        presencePenalty: this.presencePenalty,
+        onDelta: stream && stream.onDelta,
+        signal: stream && stream.signal
+      }, { provider, type, tenantSettings });
 
       // Track usage
-      this.trackUsage(userId, 'content_generation', type);
+      await this.trackUsage(userId, tenantId, 'content_generation', type, {
+        usage: completion.usage,
+        provider: completion.provider
+      });
 
       return {
-        content,
+        content: completion.content,
         metadata: {
-          tokens: completion.usage?.total_tokens || 0,
-          processingTime: Date.now(),
-          model: this.defaultModel,
+          tokens: completion.usage.totalTokens,
+          usage: completion.usage,
+          processingTime: Date.now() - startTime,
+          provider: completion.provider,
+          model: completion.model,
+          failedProviders: completion.failures,
+          citations,
           type,
-          options
+          // The stream callbacks are not part of the reported options
+          options: stream ? { ...options, stream: undefined } : options
         }
       };
     } catch (error) {
@@ -486,20 +501,9 @@ Number of slides: ${slideCount}`;
    * Create a new conversation
    */
   async createConversation({ niche, title, initialMessage, userId, tenantId }) {
-    const conversationId = crypto.randomUUID();
-    const conversation = {
-      id: conversationId,
-      userId,
-      tenantId,
-      niche,
-      title: title || `Conversation about ${niche}`,
-      messages: [],
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-
+    const messages = [];
     if (initialMessage) {
-      conversation.messages.push({
+      messages.push({
         id: crypto.randomUUID(),
         content: initialMessage,
         type: 'user',
@@ -507,40 +511,31 @@ Number of slides: ${slideCount}`;
       });
     }
 
-    this.conversations.set(conversationId, conversation);
+    const conversation = await this.repository.createConversation({
+      userId,
+      tenantId,
+      niche,
+      title: title || `Conversation about ${niche}`,
+      messages
+    });
+
+    await this.trackUsage(userId, tenantId, 'conversation');
     return conversation;
   }
 
   /**
    * Get user's conversations
    */
-  async getConversations({ userId, tenantId, page = 1, limit = 10, niche }) {
-    const conversations = Array.from(this.conversations.values())
-      .filter(conv => conv.userId === userId && conv.tenantId === tenantId)
-      .filter(conv => !niche || conv.niche === niche)
-      .sort((a, b) => b.updatedAt - a.updatedAt);
-
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedConversations = conversations.slice(startIndex, endIndex);
-
-    return {
-      conversations: paginatedConversations,
-      pagination: {
-        page,
-        limit,
-        total: conversations.length,
-        pages: Math.ceil(conversations.length / limit)
-      }
-    };
+  getConversations({ userId, tenantId, page = 1, limit = 10, niche }) {
+    return this.repository.findConversations({ userId, tenantId, niche, page, limit });
   }
 
   /**
    * Get specific conversation
    */
   async getConversation({ conversationId, userId, tenantId }) {
-    const conversation = this.conversations.get(conversationId);
-    if (!conversation || conversation.userId !== userId || conversation.tenantId !== tenantId) {
+    const conversation = await this.repository.findConversation(conversationId, { userId, tenantId });
+    if (!conversation) {
       throw new Error('Conversation not found');
     }
     return conversation;
@@ -550,11 +545,10 @@ Number of slides: ${slideCount}`;
    * Delete conversation
    */
   async deleteConversation({ conversationId, userId, tenantId }) {
-    const conversation = this.conversations.get(conversationId);
-    if (!conversation || conversation.userId !== userId || conversation.tenantId !== tenantId) {
+    const deleted = await this.repository.deleteConversation(conversationId, { userId, tenantId });
+    if (!deleted) {
       throw new Error('Conversation not found');
     }
-    this.conversations.delete(conversationId);
     return { success: true };
   }
 
@@ -562,11 +556,6 @@ Number of slides: ${slideCount}`;
    * Send message in conversation
    */
   async sendMessage({ conversationId, content, type, metadata, userId, tenantId }) {
-    const conversation = this.conversations.get(conversationId);
-    if (!conversation || conversation.userId !== userId || conversation.tenantId !== tenantId) {
-      throw new Error('Conversation not found');
-    }
-
     const message = {
       id: crypto.randomUUID(),
       content,
@@ -575,26 +564,40 @@ Number of slides: ${slideCount}`;
       timestamp: new Date()
     };
 
-    conversation.messages.push(message);
-    conversation.updatedAt = new Date();
+    const appended = await this.repository.appendMessage(conversationId, { userId, tenantId }, message);
+    if (!appended) {
+      throw new Error('Conversation not found');
+    }
 
     return message;
   }
 
   /**
    * Generate AI response
+   * With `stream`, deltas are forwarded while generating; the reply is added
+   * to the conversation only once it completes
    */
-  async generateResponse({ message, conversationId, context, userId, tenantId }) {
-    const conversation = conversationId ? this.conversations.get(conversationId) : null;
+  async generateResponse({ message, conversationId, context, stream, userId, tenantId }) {
+    const conversation = conversationId
+      ? await this.repository.findConversation(conversationId, { userId, tenantId })
+      : null;
 
     let prompt = `User message: ${message}`;
 
     if (conversation) {
-      const recentMessages = conversation.messages.slice(-5);
-      const conversationContext = recentMessages
-        .map(msg => `${msg.type}: ${msg.content}`)
-        .join('\n');
-      prompt = `Conversation context:\n${conversationContext}\n\nUser message: ${message}`;
+      // The message being answered is usually saved already; send it only once
+      const history = conversation.messages.slice();
+      const last = history[history.length - 1];
+      if (last && last.type === 'user' && last.content === message) {
+        history.pop();
+      }
+      const recentMessages = history.slice(-5);
+      if (recentMessages.length > 0) {
+        const conversationContext = recentMessages
+          .map(msg => `${msg.type}: ${msg.content}`)
+          .join('\n');
+        prompt = `Conversation context:\n${conversationContext}\n\nUser message: ${message}`;
+      }
     }
 
     if (context) {
@@ -604,20 +607,18 @@ Number of slides: ${slideCount}`;
     const response = await this.generateContent({
       type: 'chat_response',
       prompt,
-      options: { tone: 'helpful', style: 'conversational' },
+      options: { tone: 'helpful', style: 'conversational', stream },
       userId,
       tenantId
     });
 
     if (conversation) {
-      const aiMessage = {
+      await this.repository.appendMessage(conversation.id, { userId, tenantId }, {
         id: crypto.randomUUID(),
         content: response.content,
         type: 'ai',
         timestamp: new Date()
-      };
-      conversation.messages.push(aiMessage);
-      conversation.updatedAt = new Date();
+      });
     }
 
     return response;
@@ -803,15 +804,49 @@ Number of slides: ${slideCount}`;
     });
   }
 
+  // ==================== RECRUITING AI ====================
+
+  /**
+   * Whether a real (non-mock) provider is configured
+   */
+  async hasLiveProvider() {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    return this.providers.getAvailableProviders().some(name => name !== 'mock');
+  }
+
+  /**
+   * Extract structured candidate data from resume text
+   * `schema` describes the JSON object to return; resolves to the parsed
+   * object, or null when the reply is not valid JSON
+   */
+  async extractResumeData({ text, schema, options, userId, tenantId }) {
+    const result = await this.generateContent({
+      type: 'resume_extraction',
+      prompt: `Return JSON with this shape:\n${schema}\n\nResume:\n"""\n${text}\n"""`,
+      options: { temperature: 0, tone: null, style: null, length: null, ...options },
+      userId,
+      tenantId
+    });
+
+    const json = result.content.slice(result.content.indexOf('{'), result.content.lastIndexOf('}') + 1);
+    let data = null;
+    try {
+      data = json ? JSON.parse(json) : null;
+    } catch (error) {
+      logger.warn('Resume extraction returned invalid JSON:', error.message);
+    }
+    return { data, metadata: result.metadata };
+  }
+
   // ==================== CONTENT MANAGEMENT ====================
 
   /**
    * Save content to library
    */
-  async saveContent({ title, content, type, category, tags, metadata, userId, tenantId }) {
-    const contentId = crypto.randomUUID();
-    const savedContent = {
-      id: contentId,
+  saveContent({ title, content, type, category, tags, metadata, userId, tenantId }) {
+    return this.repository.createContent({
       title,
       content,
       type,
@@ -819,62 +854,26 @@ Number of slides: ${slideCount}`;
       tags: tags || [],
       metadata: metadata || {},
       userId,
-      tenantId,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-
-    this.contentLibrary.set(contentId, savedContent);
-    return savedContent;
+      tenantId
+    });
   }
 
   /**
    * Get content library
+   * `search` is a full-text query over title, content and tags
    */
-  async getContentLibrary({ userId, tenantId, type, category, status, search, page = 1, limit = 10 }) {
-    let contents = Array.from(this.contentLibrary.values())
-      .filter(content => content.userId === userId && content.tenantId === tenantId);
-
-    if (type) {
-      contents = contents.filter(content => content.type === type);
-    }
-    if (category) {
-      contents = contents.filter(content => content.category === category);
-    }
-    if (search) {
-      contents = contents.filter(content =>
-        content.title.toLowerCase().includes(search.toLowerCase()) ||
-        content.content.toLowerCase().includes(search.toLowerCase())
-      );
-    }
-
-    contents.sort((a, b) => b.updatedAt - a.updatedAt);
-
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedContents = contents.slice(startIndex, endIndex);
-
-    return {
-      contents: paginatedContents,
-      pagination: {
-        page,
-        limit,
-        total: contents.length,
-        pages: Math.ceil(contents.length / limit)
-      }
-    };
+  getContentLibrary({ userId, tenantId, type, category, status, search, page = 1, limit = 10 }) {
+    return this.repository.findContents({ userId, tenantId, type, category, status, search, page, limit });
   }
 
   /**
    * Update content
    */
   async updateContent({ contentId, updateData, userId, tenantId }) {
-    const content = this.contentLibrary.get(contentId);
-    if (!content || content.userId !== userId || content.tenantId !== tenantId) {
+    const content = await this.repository.updateContent(contentId, { userId, tenantId }, updateData);
+    if (!content) {
       throw new Error('Content not found');
     }
-
-    Object.assign(content, updateData, { updatedAt: new Date() });
     return content;
   }
 
@@ -882,11 +881,10 @@ Number of slides: ${slideCount}`;
    * Delete content
    */
   async deleteContent({ contentId, userId, tenantId }) {
-    const content = this.contentLibrary.get(contentId);
-    if (!content || content.userId !== userId || content.tenantId !== tenantId) {
+    const deleted = await this.repository.deleteContent(contentId, { userId, tenantId });
+    if (!deleted) {
       throw new Error('Content not found');
     }
-    this.contentLibrary.delete(contentId);
     return { success: true };
   }
 
@@ -916,8 +914,7 @@ Number of slides: ${slideCount}`;
       }
     ];
 
-    const userTemplates = Array.from(this.templates.values())
-      .filter(template => template.userId === userId && template.tenantId === tenantId);
+    const userTemplates = await this.repository.findTemplates({ userId, tenantId });
 
     return [...defaultTemplates, ...userTemplates];
   }
@@ -925,10 +922,8 @@ Number of slides: ${slideCount}`;
   /**
    * Create template
    */
-  async createTemplate({ name, description, type, platform, prompt, variables, userId, tenantId }) {
-    const templateId = crypto.randomUUID();
-    const template = {
-      id: templateId,
+  createTemplate({ name, description, type, platform, prompt, variables, userId, tenantId }) {
+    return this.repository.createTemplate({
       name,
       description,
       type,
@@ -936,12 +931,8 @@ Number of slides: ${slideCount}`;
       prompt,
       variables: variables || [],
       userId,
-      tenantId,
-      createdAt: new Date()
-    };
-
-    this.templates.set(templateId, template);
-    return template;
+      tenantId
+    });
   }
 
   // ==================== PREFERENCES & PERSONALIZATION ====================
@@ -950,7 +941,7 @@ Number of slides: ${slideCount}`;
    * Get user preferences
    */
   async getPreferences({ userId, tenantId }) {
-    const preferences = this.userPreferences.get(`${userId}-${tenantId}`) || {
+    const preferences = await this.repository.findPreferences({ userId, tenantId }) || {
       defaultTone: 'professional',
       preferredLanguage: 'english',
       contentStyle: 'informative',
@@ -967,11 +958,8 @@ Number of slides: ${slideCount}`;
   /**
    * Update preferences
    */
-  async updatePreferences({ preferences, userId, tenantId }) {
-    const key = `${userId}-${tenantId}`;
-    const existingPreferences = this.userPreferences.get(key) || {};
-    this.userPreferences.set(key, { ...existingPreferences, ...preferences });
-    return this.userPreferences.get(key);
+  updatePreferences({ preferences, userId, tenantId }) {
+    return this.repository.mergePreferences({ userId, tenantId }, preferences);
   }
 
   /**
@@ -1022,10 +1010,7 @@ Number of slides: ${slideCount}`;
     };
 
     // Store in user preferences
-    const key = `${userId}-${tenantId}`;
-    const preferences = this.userPreferences.get(key) || {};
-    preferences.primaryNiche = userNiche;
-    this.userPreferences.set(key, preferences);
+    await this.repository.mergePreferences({ userId, tenantId }, { primaryNiche: userNiche });
 
     return userNiche;
   }
@@ -1067,10 +1052,7 @@ Number of slides: ${slideCount}`;
    * Get conversation insights
    */
   async getConversationInsights({ conversationId, dateRange, userId, tenantId }) {
-    const conversation = this.conversations.get(conversationId);
-    if (!conversation) {
-      throw new Error('Conversation not found');
-    }
+    const conversation = await this.getConversation({ conversationId, userId, tenantId });
 
     return {
       totalMessages: conversation.messages.length,
@@ -1085,24 +1067,39 @@ Number of slides: ${slideCount}`;
 
   /**
    * Get usage analytics
+   * dateRange: { startDate, endDate } (inclusive, any Date-parsable value)
    */
   async getUsageAnalytics({ userId, dateRange, type, tenantId }) {
-    const userStats = this.usageStats.get(`${userId}-${tenantId}`) || {
-      totalRequests: 0,
-      contentGenerated: 0,
-      conversations: 0
-    };
+    const toDay = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+    const userStats = await this.repository.sumUsage({ userId, tenantId }, {
+      from: toDay(dateRange && dateRange.startDate),
+      to: toDay(dateRange && dateRange.endDate)
+    });
+
+    const usageByType = type
+      ? { [type]: userStats.byType[type] || 0 }
+      : userStats.byType;
+    const popularFeatures = Object.entries(userStats.byType)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([feature]) => feature);
 
     return {
-      totalRequests: userStats.totalRequests + Math.floor(Math.random() * 100) + 50,
-      contentGenerated: userStats.contentGenerated + Math.floor(Math.random() * 30) + 20,
-      conversations: userStats.conversations + Math.floor(Math.random() * 10) + 5,
-      popularFeatures: ['content-generation', 'chat-assistant', 'translation'],
-      usageByType: {
-        text: Math.floor(Math.random() * 60) + 30,
-        image: Math.floor(Math.random() * 25) + 15,
-        video: Math.floor(Math.random() * 15) + 10
-      }
+      totalRequests: userStats.totalRequests,
+      contentGenerated: userStats.contentGenerated,
+      conversations: userStats.conversations,
+      popularFeatures,
+      usageByType,
+      tokens: {
+        prompt: userStats.promptTokens,
+        completion: userStats.completionTokens,
+        total: userStats.totalTokens
+      },
+      tokensByType: type
+        ? { [type]: userStats.tokensByType[type] || 0 }
+        : userStats.tokensByType,
+      tokensByProvider: userStats.tokensByProvider,
+      quota: await this.repository.getQuotaUsage(tenantId)
     };
   }
 
@@ -1113,12 +1110,8 @@ Number of slides: ${slideCount}`;
    */
   async getHealth({ userId, tenantId }) {
     return {
-      status: 'healthy',
-      models: {
-        'llama-3.3-70b-versatile': 'available',
-        'llama-3.1-8b-instant': 'available',
-        'mixtral-8x7b-32768': 'available'
-      },
+      status: this.isInitialized ? 'healthy' : 'not_initialized',
+      providers: this.providers.getStatus(),
       responseTime: 2.5,
       uptime: 99.9,
       lastCheck: new Date()
@@ -1128,19 +1121,8 @@ Number of slides: ${slideCount}`;
   /**
    * Get rate limits
    */
-  async getRateLimits({ userId, tenantId }) {
-    const userPlan = 'standard'; // In production, get from user profile
-    const limits = this.rateLimits[userPlan];
-
-    return {
-      requestsPerMinute: limits.perMinute,
-      requestsPerHour: limits.perHour,
-      currentUsage: {
-        minute: Math.floor(Math.random() * 20) + 5,
-        hour: Math.floor(Math.random() * 100) + 50
-      },
-      resetTime: new Date(Date.now() + 15 * 60 * 1000) // 15 minutes from now
-    };
+  getRateLimits({ userId, tenantId }) {
+    return this.metering.getRateLimitStatus({ userId, tenantId });
   }
 
   // ==================== UTILITY METHODS ====================
@@ -1177,6 +1159,10 @@ Number of slides: ${slideCount}`;
       case 'improvement':
         systemPrompt += 'Improve content while maintaining its core message and enhancing clarity, style, and effectiveness.';
         break;
+      case 'resume_extraction':
+        systemPrompt += 'Extract structured candidate details from resumes. Reply with a single JSON object and nothing else. ' +
+          'Only include details stated in the resume; use null or empty arrays for anything missing. Write dates as YYYY-MM.';
+        break;
       default:
         systemPrompt += 'Provide clear, accurate, and useful responses.';
     }
@@ -1199,23 +1185,10 @@ Number of slides: ${slideCount}`;
 
   /**
    * Track usage statistics
+   * details: { usage: { promptTokens, completionTokens, totalTokens }, provider }
    */
-  trackUsage(userId, action, type) {
-    const key = `${userId}-${Date.now()}`;
-    const stats = this.usageStats.get(key) || {
-      totalRequests: 0,
-      contentGenerated: 0,
-      conversations: 0
-    };
-
-    stats.totalRequests++;
-    if (action === 'content_generation') {
-      stats.contentGenerated++;
-    } else if (action === 'conversation') {
-      stats.conversations++;
-    }
-
-    this.usageStats.set(key, stats);
+  async trackUsage(userId, tenantId, action, type, details = {}) {
+    await this.metering.recordUsage({ userId, tenantId }, action, { type, ...details });
   }
 }
 
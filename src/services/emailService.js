@@ -5,7 +5,8 @@ class EmailService {
   constructor() {
     this.transporter = null;
     this.isConfigured = false;
-    this.init();
+    // Senders wait for this so mail sent during startup is not dropped
+    this.ready = this.init();
   }
 
   async init() {
@@ -14,7 +15,7 @@ class EmailService {
       if (process.env.NODE_ENV === 'development') {
         // Use ethereal email for testing
         const testAccount = await nodemailer.createTestAccount();
-        this.transporter = nodemailer.createTransporter({
+        this.transporter = nodemailer.createTransport({
           host: 'smtp.ethereal.email',
           port: 587,
           secure: false,
@@ -27,7 +28,7 @@ class EmailService {
         logger.info('Email service initialized with Ethereal test account');
       } else {
         // Production email configuration
-        this.transporter = nodemailer.createTransporter({
+        this.transporter = nodemailer.createTransport({
           host: process.env.EMAIL_HOST || 'smtp.gmail.com',
           port: process.env.EMAIL_PORT || 587,
           secure: false,
@@ -45,19 +46,26 @@ class EmailService {
     }
   }
 
-  async sendEmail(to, subject, html, text = null) {
+  /**
+   * Send an email. Resolves with success: false (and the email logged) when
+   * no transport is configured; throws when the transport rejects the mail.
+   */
+  async sendEmail(to, subject, html, text = null, extra = {}) {
+    await this.ready;
+
     if (!this.isConfigured) {
-      // Log email instead of sending in development
-      logger.info('Email would be sent:', {
+      logger.warn('Email not sent, no transport is configured:', {
         to,
         subject,
         html: html.substring(0, 200) + '...',
-        text: text ? text.substring(0, 200) + '...' : null
+        text: text ? text.substring(0, 200) + '...' : null,
+        calendar: extra.icalEvent ? extra.icalEvent.method : undefined
       });
       return {
-        success: true,
-        messageId: 'dev-' + Date.now(),
-        previewUrl: null
+        success: false,
+        messageId: null,
+        previewUrl: null,
+        error: 'Email transport is not configured'
       };
     }
 
@@ -67,7 +75,9 @@ class EmailService {
         to,
         subject,
         html,
-        text: text || this.htmlToText(html)
+        text: text || this.htmlToText(html),
+        // attachments, icalEvent, ...
+        ...extra
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -211,6 +221,20 @@ class EmailService {
     return this.sendEmail(email, subject, html);
   }
 
+  /**
+   * Send a meeting invite; calendar clients show accept/decline buttons.
+   * method: 'REQUEST' for new and updated events, 'CANCEL' to cancel
+   */
+  sendCalendarInvite(email, subject, html, ics, method = 'REQUEST') {
+    return this.sendEmail(email, subject, html, null, {
+      icalEvent: {
+        method,
+        filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+        content: ics
+      }
+    });
+  }
+
   htmlToText(html) {
     // Simple HTML to text conversion
     return html
@@ -0,0 +1,140 @@
+/**
+ * Chat Completion Provider
+ * Base class for providers exposing the OpenAI-compatible
+ * `chat.completions.create` API (OpenAI, Groq)
+ */
+
+const logger = require('../../utils/logger');
+
+class ChatCompletionProvider {
+  constructor({ name, client, defaultModel, streamUsage = false }) {
+    this.name = name;
+    this.client = client;
+    this.defaultModel = defaultModel;
+    // Whether the API accepts stream_options.include_usage
+    this.streamUsage = streamUsage;
+  }
+
+  /**
+   * SDK client for an API key. The SDK packages are optional: when one is
+   * not installed its provider stays unavailable instead of failing to load.
+   */
+  static createClient(packageName, options) {
+    if (!options.apiKey) {
+      return null;
+    }
+    try {
+      const Client = require(packageName);
+      return new Client(options);
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') {
+        throw error;
+      }
+      logger.warn(`${packageName} is not installed; its LLM provider is unavailable`);
+      return null;
+    }
+  }
+
+  /**
+   * Rough token count (~4 characters per token) for providers that report none
+   */
+  static estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * Run a completion
+   * With `onDelta`, the response is streamed and each text delta is passed
+   * to it as it arrives; `signal` aborts the request.
+   * Returns { content, model, provider, usage: { promptTokens, completionTokens, totalTokens } }
+   */
+  async complete({ messages, model, maxTokens, temperature, topP, frequencyPenalty, presencePenalty, onDelta, signal }) {
+    if (!this.client) {
+      throw new Error(`${this.name} provider is not configured`);
+    }
+
+    const params = {
+      model: model || this.defaultModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP,
+      frequency_penalty: frequencyPenalty,
+      presence_penalty: presencePenalty
+    };
+
+    if (onDelta) {
+      return this.completeStream(params, { onDelta, signal });
+    }
+
+    const completion = await this.client.chat.completions.create({ ...params, stream: false }, { signal });
+
+    const content = completion.choices[0]?.message?.content;
+    if (!content) {
+      throw new Error('No content generated');
+    }
+
+    return {
+      content,
+      model: completion.model || model || this.defaultModel,
+      provider: this.name,
+      usage: this.normalizeUsage(completion.usage, messages, content)
+    };
+  }
+
+  async completeStream(params, { onDelta, signal }) {
+    const stream = await this.client.chat.completions.create({
+      ...params,
+      stream: true,
+      ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+    }, { signal });
+
+    let content = '';
+    let usage = null;
+    let model = params.model;
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      // OpenAI sends usage on the last chunk; Groq reports it under x_groq
+      usage = chunk.usage || chunk.x_groq?.usage || usage;
+      model = chunk.model || model;
+    }
+
+    if (!content) {
+      throw new Error('No content generated');
+    }
+
+    return {
+      content,
+      model,
+      provider: this.name,
+      usage: this.normalizeUsage(usage, params.messages, content)
+    };
+  }
+
+  /**
+   * Provider usage -> { promptTokens, completionTokens, totalTokens };
+   * estimated from text length when the provider reports nothing
+   */
+  normalizeUsage(usage, messages, content) {
+    const promptTokens = usage?.prompt_tokens ??
+      messages.reduce((sum, message) => sum + ChatCompletionProvider.estimateTokens(message.content), 0);
+    const completionTokens = usage?.completion_tokens ?? ChatCompletionProvider.estimateTokens(content);
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.total_tokens ?? promptTokens + completionTokens,
+      estimated: !usage
+    };
+  }
+}
+
+module.exports = ChatCompletionProvider;
@@ -0,0 +1,17 @@
+/**
+ * Groq Provider
+ */
+
+const ChatCompletionProvider = require('./ChatCompletionProvider');
+
+class GroqProvider extends ChatCompletionProvider {
+  constructor({ apiKey = process.env.GROQ_API_KEY, defaultModel } = {}) {
+    super({
+      name: 'groq',
+      client: ChatCompletionProvider.createClient('groq-sdk', { apiKey }),
+      defaultModel: defaultModel || process.env.GROQ_MODEL || process.env.AI_MODEL || 'llama-3.3-70b-versatile'
+    });
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,165 @@
+/**
+ * LLM Provider Registry
+ * Picks a provider per tenant and content type and fails over to the
+ * next configured provider when a call errors
+ *
+ * Selection order:
+ * 1. Explicit `provider` option on the call
+ * 2. Tenant `settings.ai.contentTypeProviders[type]`
+ * 3. Tenant `settings.ai.provider`
+ * 4. AI_PROVIDER environment variable
+ * Fallbacks: tenant `settings.ai.fallbackProviders`, then AI_FALLBACK_PROVIDERS.
+ * With no API keys outside production, everything falls back to the mock provider.
+ * The mock is only registered in development and test, or when
+ * AI_MOCK_PROVIDER_ENABLED=true, so clients cannot select it elsewhere.
+ */
+
+const logger = require('../../utils/logger');
+const GroqProvider = require('./GroqProvider');
+const OpenAIProvider = require('./OpenAIProvider');
+const MockProvider = require('./MockProvider');
+
+const PROVIDERS = {
+  groq: GroqProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+const isMockEnabled = () => ['development', 'test'].includes(process.env.NODE_ENV) ||
+  process.env.AI_MOCK_PROVIDER_ENABLED === 'true';
+
+const parseList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Instantiate every known provider; providers without credentials stay
+   * registered but report themselves unavailable
+   */
+  initialize(options = {}) {
+    this.providers.clear();
+    Object.entries(PROVIDERS).forEach(([name, Provider]) => {
+      if (name !== 'mock' || isMockEnabled()) {
+        this.register(new Provider(options[name]));
+      }
+    });
+
+    const available = this.getAvailableProviders();
+    logger.info(`LLM providers available: ${available.join(', ')}`);
+    return available;
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  getAvailableProviders() {
+    return [...this.providers.values()]
+      .filter(provider => provider.isAvailable())
+      .map(provider => provider.name);
+  }
+
+  /**
+   * { providerName: 'available' | 'not_configured' }
+   */
+  getStatus() {
+    const status = {};
+    this.providers.forEach((provider, name) => {
+      status[name] = provider.isAvailable() ? 'available' : 'not_configured';
+    });
+    return status;
+  }
+
+  /**
+   * Ordered, de-duplicated list of available providers to try
+   */
+  resolveChain({ provider, type, tenantSettings } = {}) {
+    const settings = tenantSettings || {};
+    const byType = settings.contentTypeProviders instanceof Map
+      ? Object.fromEntries(settings.contentTypeProviders)
+      : settings.contentTypeProviders || {};
+
+    const candidates = [
+      provider,
+      type && byType[type],
+      settings.provider,
+      process.env.AI_PROVIDER,
+      ...(settings.fallbackProviders || []),
+      ...parseList(process.env.AI_FALLBACK_PROVIDERS)
+    ]
+      .filter(Boolean)
+      .map(name => String(name).toLowerCase());
+
+    let chain = [...new Set(candidates)].filter(name => {
+      const registered = this.get(name);
+      return registered && registered.isAvailable();
+    });
+
+    // Nothing configured: use any real provider, or the mock outside production
+    if (chain.length === 0) {
+      chain = this.getAvailableProviders().filter(name => name !== 'mock');
+      if (chain.length === 0 && process.env.NODE_ENV !== 'production' && this.get('mock')) {
+        chain = ['mock'];
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * Run a completion, trying each provider in the chain until one succeeds
+   * Returns the provider result plus the providers that failed before it.
+   * A streamed request only fails over until its first delta has been sent,
+   * and never after the caller aborts it.
+   */
+  async complete(request, selection = {}) {
+    const chain = this.resolveChain(selection);
+    if (chain.length === 0) {
+      throw new Error('AI Service not available');
+    }
+
+    let streamed = false;
+    const onDelta = request.onDelta && ((delta) => {
+      streamed = true;
+      request.onDelta(delta);
+    });
+
+    const failures = [];
+    for (const name of chain) {
+      try {
+        const result = await this.get(name).complete({
+          ...request,
+          onDelta,
+          // A model name only applies to the provider it was chosen for
+          model: name === chain[0] ? request.model : undefined
+        });
+        if (failures.length) {
+          logger.warn(`LLM request served by ${name} after failures: ${failures.map(f => f.provider).join(', ')}`);
+        }
+        return { ...result, failures };
+      } catch (error) {
+        if (streamed || (request.signal && request.signal.aborted)) {
+          throw error;
+        }
+        logger.error(`LLM provider ${name} failed:`, error.message);
+        failures.push({ provider: name, error: error.message });
+      }
+    }
+
+    const error = new Error(`All AI providers failed: ${failures.map(f => `${f.provider} (${f.error})`).join('; ')}`);
+    error.failures = failures;
+    throw error;
+  }
+}
+
+module.exports = new LLMProviderRegistry();
@@ -0,0 +1,80 @@
+/**
+ * Mock Provider
+ * Offline, deterministic completions for local demos and integration tests:
+ * the same messages always produce the same content. No API key required.
+ */
+
+const crypto = require('crypto');
+const ChatCompletionProvider = require('./ChatCompletionProvider');
+
+class MockProvider extends ChatCompletionProvider {
+  constructor({ latencyMs = parseInt(process.env.AI_MOCK_LATENCY_MS, 10) || 0 } = {}) {
+    super({ name: 'mock', client: null, defaultModel: 'mock-1' });
+    this.latencyMs = latencyMs;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async complete({ messages, model, maxTokens, onDelta, signal }) {
+    const wait = () => new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    const checkAborted = () => {
+      if (signal && signal.aborted) {
+        const error = new Error('Request was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+    };
+
+    if (this.latencyMs && !onDelta) {
+      await wait();
+    }
+    checkAborted();
+
+    const system = messages.find(message => message.role === 'system');
+    const user = [...messages].reverse().find(message => message.role === 'user');
+    const request = user ? user.content : '';
+    const digest = crypto.createHash('sha256')
+      .update(JSON.stringify(messages))
+      .digest('hex')
+      .slice(0, 12);
+
+    const summary = request.replace(/\s+/g, ' ').trim().slice(0, 200);
+    let content = [
+      `[mock:${digest}] Generated response`,
+      '',
+      `Request: ${summary}`,
+      '',
+      '1. Overview of the topic and why it matters.',
+      '2. Key points with a practical example.',
+      '3. Next steps and a short summary.',
+      system ? `\nGuidance applied: ${system.content.slice(0, 120)}` : ''
+    ].join('\n').trim();
+
+    // Respect the token budget the caller asked for
+    if (maxTokens && ChatCompletionProvider.estimateTokens(content) > maxTokens) {
+      content = content.slice(0, maxTokens * 4);
+    }
+
+    if (onDelta) {
+      // Word-sized deltas, the way a real provider streams
+      for (const delta of content.match(/\s*\S+/g) || []) {
+        if (this.latencyMs) {
+          await wait();
+        }
+        checkAborted();
+        onDelta(delta);
+      }
+    }
+
+    return {
+      content,
+      model: model || this.defaultModel,
+      provider: this.name,
+      usage: this.normalizeUsage(null, messages, content)
+    };
+  }
+}
+
+module.exports = MockProvider;
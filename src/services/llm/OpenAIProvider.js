@@ -0,0 +1,18 @@
+/**
+ * OpenAI Provider
+ */
+
+const ChatCompletionProvider = require('./ChatCompletionProvider');
+
+class OpenAIProvider extends ChatCompletionProvider {
+  constructor({ apiKey = process.env.OPENAI_API_KEY, defaultModel } = {}) {
+    super({
+      name: 'openai',
+      client: ChatCompletionProvider.createClient('openai', { apiKey }),
+      defaultModel: defaultModel || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      streamUsage: true
+    });
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -2,7 +2,6 @@
  * Caching System
  * Provides Redis-based caching with automatic serialization/deserialization
  */
-const Redis = require('redis');
 const logger = require('./logger');
 
 class EnhancedCacheManager {
@@ -24,6 +23,8 @@ class EnhancedCacheManager {
       const redisUrl = process.env.REDIS_URL || 
         `redis://${process.env.REDIS_HOST || '127.0.0.1'}:${process.env.REDIS_PORT || 6379}`;
       
+      // Required here so a missing redis package only disables Redis caching
+      const Redis = require('redis');
       this.redisClient = Redis.createClient({
         url: redisUrl,
         password: process.env.REDIS_PASSWORD || undefined,
@@ -0,0 +1,427 @@
+/**
+ * Plain-text extraction for uploaded documents (PDF, DOCX, text)
+ * Enough to read typical resumes without pulling in PDF or Office
+ * dependencies: DOCX is read straight from its zip container and PDF text
+ * comes from the page content streams. Scanned PDFs and fonts without a
+ * standard encoding yield little or no text; callers get a warning.
+ */
+
+const zlib = require('zlib');
+
+const FORMATS = {
+  pdf: ['application/pdf'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  text: ['text/plain', 'text/markdown', 'text/x-markdown']
+};
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Format from MIME type, extension and magic bytes
+ */
+const detectFormat = (buffer, { mimeType, filename } = {}) => {
+  if (buffer.slice(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  // DOCX files are zip archives
+  if (buffer.readUInt32LE(0) === 0x04034b50 && (extension === 'docx' || FORMATS.docx.includes(mimeType))) {
+    return 'docx';
+  }
+  if (FORMATS.text.includes(mimeType) || ['txt', 'md', 'text'].includes(extension)) {
+    return 'text';
+  }
+  return null;
+};
+
+const decodeXmlEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[entity.toLowerCase()] || match;
+});
+
+/**
+ * ZIP
+ * Read one entry from a zip archive via the central directory
+ */
+const readZipEntry = (buffer, entryName) => {
+  // End of central directory record: last 22 bytes plus an optional comment
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a valid zip archive');
+  }
+
+  const entries = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < entries; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name === entryName) {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.slice(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        return data;
+      }
+      if (method === 8) {
+        return zlib.inflateRawSync(data);
+      }
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+};
+
+/**
+ * DOCX
+ * Paragraphs become lines; tabs and breaks are kept
+ */
+const extractDocxText = (buffer) => {
+  const documentXml = readZipEntry(buffer, 'word/document.xml');
+  if (!documentXml) {
+    throw new Error('DOCX file has no document body');
+  }
+
+  const text = documentXml.toString('utf8')
+    // Field instructions and deleted revisions are not visible text
+    .replace(/<w:instrText[^>]*>[\s\S]*?<\/w:instrText>/g, '')
+    .replace(/<w:delText[^>]*>[\s\S]*?<\/w:delText>/g, '')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(br|cr)\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeXmlEntities(text);
+};
+
+/**
+ * PDF
+ * Tokenizer for content stream operands: strings, hex strings, arrays,
+ * numbers, names and operators
+ */
+const NUMBER_PATTERN = /[+-]?(\d+\.?\d*|\.\d+)/y;
+const NAME_PATTERN = /[^\s/[\]()<>{}%]*/y;
+const OPERATOR_PATTERN = /[^\s/[\]()<>{}%]+/y;
+
+const matchAt = (pattern, content, index) => {
+  pattern.lastIndex = index;
+  const match = pattern.exec(content);
+  return match ? match[0] : null;
+};
+
+const tokenizeContent = (content) => {
+  const tokens = [];
+  let i = 0;
+  const length = content.length;
+
+  const readLiteral = () => {
+    let depth = 1;
+    let value = '';
+    i++;
+    while (i < length && depth > 0) {
+      const char = content[i];
+      if (char === '\\') {
+        const next = content[i + 1];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (escapes[next] !== undefined) {
+          value += escapes[next];
+          i += 2;
+        } else if (/[0-7]/.test(next)) {
+          const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+          value += String.fromCharCode(parseInt(octal, 8));
+          i += 1 + octal.length;
+        } else {
+          // Line continuation or unknown escape
+          i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+        }
+        continue;
+      }
+      if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) {
+          i++;
+          break;
+        }
+      }
+      value += char;
+      i++;
+    }
+    return value;
+  };
+
+  while (i < length) {
+    const char = content[i];
+    if (char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '\f' || char === '\0') {
+      i++;
+    } else if (char === '%') {
+      while (i < length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (char === '(') {
+      tokens.push({ type: 'string', value: readLiteral() });
+    } else if (char === '<' && content[i + 1] !== '<') {
+      const close = content.indexOf('>', i);
+      const hex = content.slice(i + 1, close === -1 ? length : close).replace(/\s/g, '');
+      const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+      tokens.push({ type: 'string', value: bytes.toString('latin1') });
+      i = close === -1 ? length : close + 1;
+    } else if (char === '[' || char === ']') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '<' || char === '>') {
+      // Dictionary delimiters (inline images, marked content properties)
+      tokens.push({ type: 'other' });
+      i += 2;
+    } else if (/[\d.+-]/.test(char)) {
+      const match = matchAt(NUMBER_PATTERN, content, i);
+      if (match) {
+        tokens.push({ type: 'number', value: parseFloat(match) });
+        i += match.length;
+      } else {
+        i++;
+      }
+    } else if (char === '/') {
+      const match = matchAt(NAME_PATTERN, content, i + 1);
+      tokens.push({ type: 'name', value: match });
+      i += 1 + match.length;
+    } else {
+      const match = matchAt(OPERATOR_PATTERN, content, i);
+      if (match) {
+        tokens.push({ type: 'operator', value: match });
+        i += match.length;
+      } else {
+        i++;
+      }
+    }
+  }
+  return tokens;
+};
+
+/**
+ * PDF strings are PDFDocEncoding/WinAnsi bytes, or UTF-16BE with a BOM
+ */
+const decodePdfString = (value) => {
+  if (value.charCodeAt(0) === 0xfe && value.charCodeAt(1) === 0xff && value.length % 2 === 0) {
+    return Buffer.from(value.slice(2), 'latin1').swap16().toString('utf16le');
+  }
+  return value;
+};
+
+/**
+ * Text shown by one content stream, with line breaks where the text
+ * position moves to a new line
+ */
+const contentStreamText = (content) => {
+  const tokens = tokenizeContent(content);
+  let text = '';
+  let operands = [];
+  let inArray = false;
+  let array = [];
+
+  const newLine = () => {
+    if (text && !text.endsWith('\n')) {
+      text += '\n';
+    }
+  };
+
+  tokens.forEach(token => {
+    if (token.type === '[') {
+      inArray = true;
+      array = [];
+      return;
+    }
+    if (token.type === ']') {
+      inArray = false;
+      operands.push({ type: 'array', value: array });
+      return;
+    }
+    if (inArray) {
+      array.push(token);
+      return;
+    }
+    if (token.type !== 'operator') {
+      operands.push(token);
+      return;
+    }
+
+    const last = operands[operands.length - 1];
+    switch (token.value) {
+      case 'Tj':
+      case '\'':
+      case '"':
+        if (token.value !== 'Tj') {
+          newLine();
+        }
+        if (last && last.type === 'string') {
+          text += decodePdfString(last.value);
+        }
+        break;
+      case 'TJ':
+        if (last && last.type === 'array') {
+          last.value.forEach(item => {
+            if (item.type === 'string') {
+              text += decodePdfString(item.value);
+            } else if (item.type === 'number' && item.value < -200 && !text.endsWith(' ')) {
+              // Large negative kerning is how many generators draw a space
+              text += ' ';
+            }
+          });
+        }
+        break;
+      case 'Td':
+      case 'TD': {
+        const ty = operands.length >= 2 ? operands[operands.length - 1].value : 0;
+        if (ty !== 0) {
+          newLine();
+        } else if (text && !/\s$/.test(text)) {
+          text += ' ';
+        }
+        break;
+      }
+      case 'T*':
+      case 'Tm':
+      case 'ET':
+        newLine();
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  });
+
+  return text;
+};
+
+/**
+ * Text from every page content stream of a PDF
+ */
+const extractPdfText = (buffer) => {
+  const source = buffer.toString('latin1');
+  const parts = [];
+  let position = 0;
+
+  while ((position = source.indexOf('stream', position)) !== -1) {
+    // "endstream" also contains "stream"
+    if (source.slice(position - 3, position) === 'end') {
+      position += 6;
+      continue;
+    }
+    const dictionaryStart = source.lastIndexOf('<<', position);
+    const dictionary = dictionaryStart === -1 ? '' : source.slice(dictionaryStart, position);
+    let dataStart = position + 6;
+    if (source[dataStart] === '\r') dataStart++;
+    if (source[dataStart] === '\n') dataStart++;
+    const dataEnd = source.indexOf('endstream', dataStart);
+    if (dataEnd === -1) {
+      break;
+    }
+    position = dataEnd + 9;
+
+    // Images, fonts and metadata are not page content
+    if (/\/Subtype\s*\/(Image|Form|XML|Type1C|CIDFontType0C|OpenType)|\/Length[123]\b|\/Type\s*\/(XRef|Metadata|ObjStm)/.test(dictionary)) {
+      continue;
+    }
+
+    let data = buffer.slice(dataStart, dataEnd);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        data = zlib.inflateSync(data);
+      } catch (error) {
+        try {
+          data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (retryError) {
+          continue;
+        }
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      // Other filters (DCT, LZW, ...) are not text we can read
+      continue;
+    }
+
+    const content = data.toString('latin1');
+    if (/\bBT\b/.test(content)) {
+      parts.push(contentStreamText(content));
+    }
+  }
+
+  return parts.join('\n');
+};
+
+/**
+ * Share of characters that look like readable text
+ */
+const readableRatio = (text) => {
+  if (!text) {
+    return 0;
+  }
+  const readable = text.match(/[\p{L}\p{N}\s.,;:@()/'&+#-]/gu) || [];
+  return readable.length / text.length;
+};
+
+/**
+ * Extract plain text from a document buffer
+ * Returns { text, format, warnings }
+ */
+const extractText = (buffer, { mimeType, filename } = {}) => {
+  const format = detectFormat(buffer, { mimeType, filename });
+  if (!format) {
+    throw new Error('Unsupported document format. Upload a PDF, DOCX or plain text file');
+  }
+
+  let text;
+  if (format === 'pdf') {
+    text = extractPdfText(buffer);
+  } else if (format === 'docx') {
+    text = extractDocxText(buffer);
+  } else {
+    text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+
+  text = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const warnings = [];
+  if (text.length < 50) {
+    warnings.push(format === 'pdf'
+      ? 'Little or no text could be read from this PDF (it may be scanned). Upload a DOCX or text version for better results'
+      : 'The document contains little or no text');
+  } else if (readableRatio(text) < 0.85) {
+    warnings.push('Parts of the document could not be decoded; review the extracted details carefully');
+  }
+
+  return { text, format, warnings };
+};
+
+module.exports = {
+  extractText,
+  detectFormat,
+  extractPdfText,
+  extractDocxText,
+  readZipEntry
+};
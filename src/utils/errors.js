@@ -66,6 +66,14 @@ class RateLimitError extends AppError {
   }
 }
 
+// Plan quota errors
+class QuotaExceededError extends AppError {
+  constructor(message = 'Quota exceeded') {
+    super(message, 403, true);
+    this.name = 'QuotaExceededError';
+  }
+}
+
 // AI service errors
 class AIError extends AppError {
   constructor(message = 'AI service error') {
@@ -350,6 +358,11 @@ const createRateLimitError = (limit, window) => {
   return new RateLimitError(`Rate limit exceeded: ${limit} requests per ${window}`);
 };
 
+// Quota error helper
+const createQuotaExceededError = (resource, limit) => {
+  return new QuotaExceededError(`Quota exceeded: ${resource} is limited to ${limit}`);
+};
+
 // AI error helper
 const createAIError = (service, message = 'AI service error') => {
   return new AIError(`${service}: ${message}`);
@@ -390,6 +403,7 @@ module.exports = {
   NotFoundError,
   DatabaseError,
   RateLimitError,
+  QuotaExceededError,
   AIError,
   TrainingError,
   PresentationError,
@@ -413,6 +427,7 @@ module.exports = {
   createAuthorizationError,
   createDatabaseError,
   createRateLimitError,
+  createQuotaExceededError,
   createAIError,
   createTrainingError,
   createPresentationError,
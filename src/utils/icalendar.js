@@ -0,0 +1,111 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * Builds single-event invites that calendar clients accept as meeting
+ * requests, updates (same UID, higher SEQUENCE) and cancellations
+ */
+
+const PRODUCT_ID = '-//LuxGen//Interview Scheduling//EN';
+
+/**
+ * Date -> 20261019T140000Z
+ */
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape TEXT values (backslash, semicolon, comma, newline)
+ */
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Lines longer than 75 octets continue on the next line after a space
+ */
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const person = (property, { name, email }, params = []) => {
+  const allParams = [name ? `CN="${String(name).replace(/"/g, '\'')}"` : null, ...params].filter(Boolean);
+  return `${property}${allParams.length ? `;${allParams.join(';')}` : ''}:mailto:${email}`;
+};
+
+/**
+ * Build a VCALENDAR with one VEVENT
+ * method: 'REQUEST' (new or updated invite) or 'CANCEL'
+ * attendees: [{ name, email, role: 'REQ-PARTICIPANT' | 'OPT-PARTICIPANT' }]
+ */
+const buildEvent = ({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+  stamp = new Date()
+}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    `PRODID:${PRODUCT_ID}`,
+    'VERSION:2.0',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(stamp)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    url ? `URL:${url}` : null,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    organizer && organizer.email ? person('ORGANIZER', organizer) : null,
+    ...attendees
+      .filter(attendee => attendee.email)
+      .map(attendee => person('ATTENDEE', attendee, [
+        `ROLE=${attendee.role || 'REQ-PARTICIPANT'}`,
+        'PARTSTAT=NEEDS-ACTION',
+        'RSVP=TRUE'
+      ])),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildEvent,
+  formatDate,
+  escapeText,
+  foldLine
+};
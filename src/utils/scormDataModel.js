@@ -0,0 +1,302 @@
+/**
+ * SCORM run-time data model
+ * Elements of the SCORM 1.2 and SCORM 2004 data models, their access rules
+ * and value checks, and the error codes each version's API reports when a
+ * SCO sets a value the LMS refuses.
+ */
+
+const ERROR_CODES = {
+  '1.2': {
+    undefined: '401',
+    keyword: '402',
+    readOnly: '403',
+    typeMismatch: '405',
+    outOfRange: '405',
+    index: '201'
+  },
+  '2004': {
+    undefined: '401',
+    keyword: '404',
+    readOnly: '404',
+    typeMismatch: '406',
+    outOfRange: '407',
+    index: '351'
+  }
+};
+
+const ERROR_MESSAGES = {
+  undefined: 'Undefined data model element',
+  keyword: 'Data model keywords are read only',
+  readOnly: 'Data model element is read only',
+  typeMismatch: 'Data model element type mismatch',
+  outOfRange: 'Data model element value out of range',
+  index: 'Collection elements must be set in order'
+};
+
+// ==================== VALUE CHECKS ====================
+
+const DECIMAL = /^-?\d+(\.\d+)?$/;
+const TIMESPAN_12 = /^(\d{2,4}):(\d{2}):(\d{2}(?:\.\d{1,2})?)$/;
+const TIME_12 = /^\d{2}:\d{2}:\d{2}(\.\d{1,2})?$/;
+const DURATION_2004 = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d{1,2})?)S)?)?$/;
+const TIMESTAMP_2004 = /^\d{4}(-\d{2}(-\d{2}(T\d{2}(:\d{2}(:\d{2}(\.\d{1,2})?)?)?(Z|[+-]\d{2}(:\d{2})?)?)?)?)?$/;
+
+const characterString = max => value => (value.length <= max ? null : 'typeMismatch');
+
+const vocabulary = values => value => (values.includes(value) ? null : 'typeMismatch');
+
+const number = (pattern, min, max) => (value) => {
+  if (!pattern.test(value)) {
+    return 'typeMismatch';
+  }
+  const parsed = Number(value);
+  return (min !== undefined && parsed < min) || (max !== undefined && parsed > max) ? 'outOfRange' : null;
+};
+
+const decimal = (min, max) => number(DECIMAL, min, max);
+const integer = (min, max) => number(/^-?\d+$/, min, max);
+const matches = pattern => value => (pattern.test(value) ? null : 'typeMismatch');
+const blankOr = check => value => (value === '' ? null : check(value));
+
+const duration2004 = value => (
+  DURATION_2004.test(value) && !/^PT?$/.test(value) && !value.endsWith('T') ? null : 'typeMismatch'
+);
+
+// ==================== ELEMENTS ====================
+
+const LESSON_STATUSES = ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'];
+const INTERACTION_TYPES_12 = ['true-false', 'choice', 'fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric'];
+const INTERACTION_TYPES_2004 = [...INTERACTION_TYPES_12, 'long-fill-in', 'other'];
+const COMPLETION_STATUSES = ['completed', 'incomplete', 'not attempted', 'unknown'];
+const SUCCESS_STATUSES = ['passed', 'failed', 'unknown'];
+
+// [element, access, check]; "n" stands for a collection index
+const ELEMENTS = {
+  '1.2': [
+    ['cmi.core.student_id', 'ro'],
+    ['cmi.core.student_name', 'ro'],
+    ['cmi.core.lesson_location', 'rw', characterString(255)],
+    ['cmi.core.credit', 'ro'],
+    // The LMS alone sets "not attempted"
+    ['cmi.core.lesson_status', 'rw', vocabulary(LESSON_STATUSES.slice(0, 5))],
+    ['cmi.core.entry', 'ro'],
+    ['cmi.core.score.raw', 'rw', blankOr(decimal(0, 100))],
+    ['cmi.core.score.min', 'rw', blankOr(decimal(0, 100))],
+    ['cmi.core.score.max', 'rw', blankOr(decimal(0, 100))],
+    ['cmi.core.total_time', 'ro'],
+    ['cmi.core.lesson_mode', 'ro'],
+    ['cmi.core.exit', 'wo', vocabulary(['time-out', 'suspend', 'logout', ''])],
+    ['cmi.core.session_time', 'wo', matches(TIMESPAN_12)],
+    ['cmi.suspend_data', 'rw', characterString(4096)],
+    ['cmi.launch_data', 'ro'],
+    ['cmi.comments', 'rw', characterString(4096)],
+    ['cmi.comments_from_lms', 'ro'],
+    ['cmi.student_data.mastery_score', 'ro'],
+    ['cmi.student_data.max_time_allowed', 'ro'],
+    ['cmi.student_data.time_limit_action', 'ro'],
+    ['cmi.student_preference.audio', 'rw', integer(-1, 100)],
+    ['cmi.student_preference.language', 'rw', characterString(255)],
+    ['cmi.student_preference.speed', 'rw', integer(-100, 100)],
+    ['cmi.student_preference.text', 'rw', integer(-1, 1)],
+    ['cmi.objectives.n.id', 'rw', matches(/^\S{1,255}$/)],
+    ['cmi.objectives.n.score.raw', 'rw', blankOr(decimal(0, 100))],
+    ['cmi.objectives.n.score.min', 'rw', blankOr(decimal(0, 100))],
+    ['cmi.objectives.n.score.max', 'rw', blankOr(decimal(0, 100))],
+    ['cmi.objectives.n.status', 'rw', vocabulary(LESSON_STATUSES)],
+    ['cmi.interactions.n.id', 'wo', matches(/^\S{1,255}$/)],
+    ['cmi.interactions.n.objectives.n.id', 'wo', matches(/^\S{1,255}$/)],
+    ['cmi.interactions.n.time', 'wo', matches(TIME_12)],
+    ['cmi.interactions.n.type', 'wo', vocabulary(INTERACTION_TYPES_12)],
+    ['cmi.interactions.n.correct_responses.n.pattern', 'wo', characterString(255)],
+    ['cmi.interactions.n.weighting', 'wo', decimal()],
+    ['cmi.interactions.n.student_response', 'wo', characterString(255)],
+    ['cmi.interactions.n.result', 'wo', value => (['correct', 'wrong', 'unanticipated', 'neutral'].includes(value) || DECIMAL.test(value) ? null : 'typeMismatch')],
+    ['cmi.interactions.n.latency', 'wo', matches(TIMESPAN_12)]
+  ],
+  '2004': [
+    ['cmi.learner_id', 'ro'],
+    ['cmi.learner_name', 'ro'],
+    ['cmi.location', 'rw', characterString(1000)],
+    ['cmi.credit', 'ro'],
+    ['cmi.entry', 'ro'],
+    ['cmi.mode', 'ro'],
+    ['cmi.total_time', 'ro'],
+    ['cmi.launch_data', 'ro'],
+    ['cmi.completion_threshold', 'ro'],
+    ['cmi.scaled_passing_score', 'ro'],
+    ['cmi.max_time_allowed', 'ro'],
+    ['cmi.time_limit_action', 'ro'],
+    ['cmi.completion_status', 'rw', vocabulary(COMPLETION_STATUSES)],
+    ['cmi.success_status', 'rw', vocabulary(SUCCESS_STATUSES)],
+    ['cmi.score.scaled', 'rw', decimal(-1, 1)],
+    ['cmi.score.raw', 'rw', decimal()],
+    ['cmi.score.min', 'rw', decimal()],
+    ['cmi.score.max', 'rw', decimal()],
+    ['cmi.progress_measure', 'rw', decimal(0, 1)],
+    ['cmi.exit', 'wo', vocabulary(['time-out', 'suspend', 'logout', 'normal', ''])],
+    ['cmi.session_time', 'wo', duration2004],
+    ['cmi.suspend_data', 'rw', characterString(64000)],
+    ['cmi.learner_preference.audio_level', 'rw', decimal(0)],
+    ['cmi.learner_preference.language', 'rw', characterString(250)],
+    ['cmi.learner_preference.delivery_speed', 'rw', decimal(0)],
+    ['cmi.learner_preference.audio_captioning', 'rw', vocabulary(['-1', '0', '1'])],
+    ['cmi.comments_from_learner.n.comment', 'rw', characterString(4000)],
+    ['cmi.comments_from_learner.n.location', 'rw', characterString(250)],
+    ['cmi.comments_from_learner.n.timestamp', 'rw', matches(TIMESTAMP_2004)],
+    ['cmi.objectives.n.id', 'rw', characterString(4000)],
+    ['cmi.objectives.n.score.scaled', 'rw', decimal(-1, 1)],
+    ['cmi.objectives.n.score.raw', 'rw', decimal()],
+    ['cmi.objectives.n.score.min', 'rw', decimal()],
+    ['cmi.objectives.n.score.max', 'rw', decimal()],
+    ['cmi.objectives.n.success_status', 'rw', vocabulary(SUCCESS_STATUSES)],
+    ['cmi.objectives.n.completion_status', 'rw', vocabulary(COMPLETION_STATUSES)],
+    ['cmi.objectives.n.progress_measure', 'rw', decimal(0, 1)],
+    ['cmi.objectives.n.description', 'rw', characterString(250)],
+    ['cmi.interactions.n.id', 'rw', characterString(4000)],
+    ['cmi.interactions.n.type', 'rw', vocabulary(INTERACTION_TYPES_2004)],
+    ['cmi.interactions.n.objectives.n.id', 'rw', characterString(4000)],
+    ['cmi.interactions.n.timestamp', 'rw', matches(TIMESTAMP_2004)],
+    ['cmi.interactions.n.correct_responses.n.pattern', 'rw', characterString(4000)],
+    ['cmi.interactions.n.weighting', 'rw', decimal()],
+    ['cmi.interactions.n.learner_response', 'rw', characterString(4000)],
+    ['cmi.interactions.n.result', 'rw', value => (['correct', 'incorrect', 'unanticipated', 'neutral'].includes(value) || DECIMAL.test(value) ? null : 'typeMismatch')],
+    ['cmi.interactions.n.latency', 'rw', duration2004],
+    ['cmi.interactions.n.description', 'rw', characterString(250)]
+  ]
+};
+
+const compile = definitions => definitions.map(([element, access, check]) => ({
+  pattern: new RegExp(`^${element.replace(/\./g, '\\.').replace(/\\\.n(?=\\\.|$)/g, '\\.\\d+')}$`),
+  access,
+  check
+}));
+
+const COMPILED = {
+  '1.2': compile(ELEMENTS['1.2']),
+  '2004': compile(ELEMENTS['2004'])
+};
+
+// _children of each container, as GetValue reports them
+const CHILDREN = {
+  '1.2': {
+    'cmi.core': 'student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time',
+    'cmi.core.score': 'raw,min,max',
+    'cmi.student_data': 'mastery_score,max_time_allowed,time_limit_action',
+    'cmi.student_preference': 'audio,language,speed,text',
+    'cmi.objectives': 'id,score,status',
+    'cmi.interactions': 'id,objectives,time,type,correct_responses,weighting,student_response,result,latency'
+  },
+  '2004': {
+    'cmi.score': 'scaled,raw,min,max',
+    'cmi.learner_preference': 'audio_level,language,delivery_speed,audio_captioning',
+    'cmi.comments_from_learner': 'comment,location,timestamp',
+    'cmi.objectives': 'id,score,success_status,completion_status,progress_measure,description',
+    'cmi.interactions': 'id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description'
+  }
+};
+
+// Collections whose _count GetValue reports
+const COLLECTIONS = {
+  '1.2': ['cmi.objectives', 'cmi.interactions'],
+  '2004': ['cmi.comments_from_learner', 'cmi.objectives', 'cmi.interactions']
+};
+
+const findElement = (version, element) => COMPILED[version].find(definition => definition.pattern.test(element));
+
+/**
+ * Access of an element ('ro', 'wo' or 'rw'), or null when undefined
+ */
+const accessOf = (version, element) => {
+  const definition = findElement(version, element);
+  return definition ? definition.access : null;
+};
+
+/**
+ * Number of entries of a collection among the given element names
+ */
+const collectionCount = (elements, prefix) => {
+  const indexes = new Set();
+  for (const element of elements) {
+    if (element.startsWith(`${prefix}.`)) {
+      const index = element.slice(prefix.length + 1).split('.')[0];
+      if (/^\d+$/.test(index)) {
+        indexes.add(index);
+      }
+    }
+  }
+  return indexes.size;
+};
+
+/**
+ * Why SetValue(element, value) is refused, or null when it is accepted
+ * @param {string} version - '1.2' or '2004'
+ * @param {string} element
+ * @param {string} value
+ * @param {Iterable<string>} setElements - Elements already set, to check
+ *   that collection entries are added in order
+ * @returns {{ code: string, message: string }|null}
+ */
+const validateValue = (version, element, value, setElements = []) => {
+  const refuse = reason => ({ code: ERROR_CODES[version][reason], message: ERROR_MESSAGES[reason] });
+
+  if (/\._(children|count|version)$/.test(element)) {
+    return refuse('keyword');
+  }
+  const definition = findElement(version, element);
+  if (!definition) {
+    return refuse('undefined');
+  }
+  if (definition.access === 'ro') {
+    return refuse('readOnly');
+  }
+
+  const known = [...setElements];
+  const parts = element.split('.');
+  for (let i = 0; i < parts.length; i++) {
+    if (/^\d+$/.test(parts[i]) && Number(parts[i]) > collectionCount(known, parts.slice(0, i).join('.'))) {
+      return refuse('index');
+    }
+  }
+
+  const reason = definition.check(String(value));
+  return reason ? refuse(reason) : null;
+};
+
+// ==================== TIME ====================
+
+/**
+ * Seconds of a SCORM 1.2 CMITimespan or a SCORM 2004 ISO 8601 duration
+ */
+const parseDuration = (version, value) => {
+  if (version === '1.2') {
+    const match = TIMESPAN_12.exec(value || '');
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : 0;
+  }
+  const match = DURATION_2004.exec(value || '');
+  if (!match) {
+    return 0;
+  }
+  const [, years, months, days, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+  return ((years * 365 + months * 30 + days) * 24 + hours) * 3600 + minutes * 60 + seconds;
+};
+
+const formatDuration = (version, totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.round((totalSeconds % 60) * 100) / 100;
+  if (version === '1.2') {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.min(hours, 9999))}:${pad(minutes)}:${seconds < 10 ? '0' : ''}${seconds}`;
+  }
+  return `PT${hours}H${minutes}M${seconds}S`;
+};
+
+module.exports = {
+  CHILDREN,
+  COLLECTIONS,
+  accessOf,
+  collectionCount,
+  validateValue,
+  parseDuration,
+  formatDuration
+};
@@ -0,0 +1,74 @@
+/**
+ * Server-Sent Events helper
+ * Opens a text/event-stream response that survives the compression
+ * middleware and nginx buffering, and reports client disconnects
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Start an event stream on the response
+ * Returns { send(event, data), close(), signal, isClosed() }; `signal`
+ * aborts when the client goes away
+ */
+const openEventStream = (res) => {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx)
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    if (closed) {
+      return;
+    }
+    res.write(chunk);
+    // The compression middleware buffers writes until flushed
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  // `close` on the response fires for client disconnects; after a normal
+  // end() it fires too, but the stream is already closed by then
+  res.on('close', () => {
+    if (!closed) {
+      closed = true;
+      clearInterval(heartbeat);
+      controller.abort();
+    }
+  });
+
+  write('retry: 5000\n\n');
+
+  return {
+    send(event, data) {
+      write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close,
+    signal: controller.signal,
+    isClosed: () => closed
+  };
+};
+
+module.exports = {
+  openEventStream
+};
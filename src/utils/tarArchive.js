@@ -0,0 +1,96 @@
+/**
+ * Minimal POSIX ustar writer/reader
+ * Enough to package a handful of regular files (export archives) without
+ * pulling in an archiving dependency.
+ */
+
+const BLOCK_SIZE = 512;
+
+const writeString = (header, value, offset, length) => {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+};
+
+const writeOctal = (header, value, offset, length) => {
+  writeString(header, `${value.toString(8).padStart(length - 1, '0')}\0`, offset, length);
+};
+
+const padding = (size) => {
+  const remainder = size % BLOCK_SIZE;
+  return remainder === 0 ? Buffer.alloc(0) : Buffer.alloc(BLOCK_SIZE - remainder);
+};
+
+/**
+ * Build the blocks for one regular file: header, content and padding
+ */
+const createTarEntry = (name, content, mtime = new Date()) => {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Archive entry name too long: ${name}`);
+  }
+
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, data.length, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  writeString(header, '        ', 148, 8);
+  writeString(header, '0', 156, 1);
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    checksum += header[i];
+  }
+  writeString(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+
+  return Buffer.concat([header, data, padding(data.length)]);
+};
+
+/**
+ * Two zero blocks mark the end of an archive
+ */
+const createTarEnd = () => Buffer.alloc(BLOCK_SIZE * 2);
+
+const readString = (header, offset, length) => {
+  const end = header.indexOf(0, offset);
+  return header.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+};
+
+/**
+ * Parse an archive into a Map of file name to content Buffer
+ */
+const parseTar = (buffer) => {
+  const files = new Map();
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const name = readString(header, 0, 100);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = readString(header, 156, 1);
+    if (Number.isNaN(size) || offset + BLOCK_SIZE + size > buffer.length) {
+      throw new Error(`Corrupt archive entry: ${name}`);
+    }
+
+    if (type === '0' || type === '') {
+      files.set(name, buffer.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size));
+    }
+    offset += BLOCK_SIZE + size + padding(size).length;
+  }
+
+  return files;
+};
+
+module.exports = {
+  createTarEntry,
+  createTarEnd,
+  parseTar
+};
@@ -0,0 +1,139 @@
+/**
+ * Tenant Collections Registry
+ * Describes every tenant-scoped collection so that backup, migration and
+ * export tooling walk the same set of models in the same order.
+ */
+
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const HiringPipeline = require('../models/HiringPipeline');
+const JobApplication = require('../models/JobApplication');
+const CandidateProfile = require('../models/CandidateProfile');
+const ResumeUpload = require('../models/ResumeUpload');
+const JobAlertDigest = require('../models/JobAlertDigest');
+const ReferralLink = require('../models/ReferralLink');
+const Post = require('../models/Post');
+const TrainingCourse = require('../models/TrainingCourse');
+const TrainingModule = require('../models/TrainingModule');
+const TrainingAssessment = require('../models/TrainingAssessment');
+const TrainingSession = require('../models/TrainingSession');
+const AssessmentAttempt = require('../models/AssessmentAttempt');
+const TrainingCertificate = require('../models/TrainingCertificate');
+const LearningPath = require('../models/LearningPath');
+const ContentPackage = require('../models/ContentPackage');
+const ScormAttempt = require('../models/ScormAttempt');
+const XapiStatement = require('../models/XapiStatement');
+const AuditLog = require('../models/AuditLog');
+const AIConversation = require('../models/AIConversation');
+const AIContent = require('../models/AIContent');
+const AITemplate = require('../models/AITemplate');
+const AIUserPreference = require('../models/AIUserPreference');
+const AIUsageStat = require('../models/AIUsageStat');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+
+/**
+ * Ordered so that referenced documents come before the documents that
+ * reference them (users before jobs, jobs before applications, ...).
+ *
+ * tenantField: path holding the tenant reference
+ * tenantFieldType: 'string' (slug or id string) or 'objectId'
+ */
+const TENANT_COLLECTIONS = [
+  { name: 'users', model: User, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'jobs', model: Job, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'hiringPipelines', model: HiringPipeline, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'candidateProfiles', model: CandidateProfile, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'resumeUploads', model: ResumeUpload, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'jobAlertDigests', model: JobAlertDigest, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'referralLinks', model: ReferralLink, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'jobApplications', model: JobApplication, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'posts', model: Post, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'trainingModules', model: TrainingModule, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'trainingAssessments', model: TrainingAssessment, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'trainingCourses', model: TrainingCourse, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'trainingSessions', model: TrainingSession, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'assessmentAttempts', model: AssessmentAttempt, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'trainingCertificates', model: TrainingCertificate, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'learningPaths', model: LearningPath, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'contentPackages', model: ContentPackage, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'scormAttempts', model: ScormAttempt, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'xapiStatements', model: XapiStatement, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'auditLogs', model: AuditLog, tenantField: 'tenantId', tenantFieldType: 'objectId' },
+  { name: 'aiConversations', model: AIConversation, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'aiContents', model: AIContent, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'aiTemplates', model: AITemplate, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'aiUserPreferences', model: AIUserPreference, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'aiUsageStats', model: AIUsageStat, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'knowledgeDocuments', model: KnowledgeDocument, tenantField: 'tenantId', tenantFieldType: 'string' },
+  { name: 'knowledgeChunks', model: KnowledgeChunk, tenantField: 'tenantId', tenantFieldType: 'string' }
+];
+
+/**
+ * Get a registry entry by collection name
+ */
+const getTenantCollection = (name) => {
+  return TENANT_COLLECTIONS.find(collection => collection.name === name) || null;
+};
+
+/**
+ * Build the query matching a tenant's documents in a collection.
+ * String tenant fields may hold either the tenant id or its slug.
+ */
+const buildTenantFilter = (collection, tenant) => {
+  if (collection.tenantFieldType === 'objectId') {
+    return { [collection.tenantField]: new mongoose.Types.ObjectId(tenant._id.toString()) };
+  }
+
+  const keys = [tenant._id.toString()];
+  if (tenant.slug) {
+    keys.push(tenant.slug);
+  }
+  return { [collection.tenantField]: { $in: keys } };
+};
+
+/**
+ * Value to write into a collection's tenant field for the given tenant
+ */
+const getTenantFieldValue = (collection, tenant) => {
+  if (collection.tenantFieldType === 'objectId') {
+    return new mongoose.Types.ObjectId(tenant._id.toString());
+  }
+  return tenant._id.toString();
+};
+
+/**
+ * Deep-copy a raw document replacing every ObjectId found in idMap
+ * (keyed by hex string) with its mapped value. Used when data is written
+ * into a different tenant and must not collide with the source _ids.
+ */
+const remapObjectIds = (value, idMap) => {
+  if (value instanceof mongoose.Types.ObjectId) {
+    return idMap.get(value.toString()) || value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapObjectIds(item, idMap));
+  }
+  if (value instanceof Date || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value._bsontype) {
+    return value;
+  }
+
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    copy[key] = remapObjectIds(value[key], idMap);
+  });
+  return copy;
+};
+
+module.exports = {
+  TENANT_COLLECTIONS,
+  getTenantCollection,
+  buildTenantFilter,
+  getTenantFieldValue,
+  remapObjectIds
+};
@@ -0,0 +1,118 @@
+/**
+ * Text Index Utilities
+ * Tokenizing, light stemming, chunking and BM25 scoring for the
+ * in-database knowledge base (no external search engine required)
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our',
+  'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+// BM25 parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Strip common English suffixes so "trainings", "trained" and "training"
+ * share a term. Deliberately conservative.
+ */
+const stem = (word) => {
+  if (word.length <= 4) {
+    return word;
+  }
+  const rules = [
+    ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+    ['ments', 'ment'], ['ings', ''], ['ing', ''], ['ies', 'y'], ['edly', ''], ['ed', ''],
+    ['ly', ''], ['es', ''], ['s', '']
+  ];
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return word.slice(0, word.length - suffix.length) + replacement;
+    }
+  }
+  return word;
+};
+
+/**
+ * Text -> stemmed terms, in order, without stop words
+ */
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => !STOP_WORDS.has(word) && word.length > 1)
+  .map(stem);
+
+/**
+ * Term -> count
+ */
+const termFrequencies = (terms) => terms.reduce((counts, term) => {
+  counts[term] = (counts[term] || 0) + 1;
+  return counts;
+}, {});
+
+/**
+ * Split text into overlapping passages of about `size` words, preferring
+ * paragraph boundaries
+ */
+const chunkText = (text, { size = 200, overlap = 40 } = {}) => {
+  const paragraphs = String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) {
+      chunks.push(current.join(' '));
+      current = overlap > 0 ? current.slice(-overlap) : [];
+    }
+  };
+
+  paragraphs.forEach(paragraph => {
+    const words = paragraph.split(' ');
+    if (current.length + words.length > size && current.length > overlap) {
+      flush();
+    }
+    words.forEach(word => {
+      current.push(word);
+      if (current.length >= size) {
+        flush();
+      }
+    });
+  });
+
+  // Drop a trailing chunk that is only the overlap of the previous one
+  if (current.length && (chunks.length === 0 || current.length > overlap)) {
+    chunks.push(current.join(' '));
+  }
+  return chunks;
+};
+
+/**
+ * BM25 score of one passage for the query terms
+ * stats: { totalChunks, averageLength, documentFrequency: { term: n } }
+ */
+const bm25Score = (queryTerms, chunk, stats) => {
+  const frequencies = chunk.termFrequencies || {};
+  return queryTerms.reduce((score, term) => {
+    const tf = frequencies[term] || 0;
+    if (!tf) {
+      return score;
+    }
+    const df = stats.documentFrequency[term] || 0;
+    const idf = Math.log(1 + (stats.totalChunks - df + 0.5) / (df + 0.5));
+    const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length / (stats.averageLength || 1)));
+    return score + idf * (tf * (BM25_K1 + 1)) / norm;
+  }, 0);
+};
+
+module.exports = {
+  STOP_WORDS,
+  stem,
+  tokenize,
+  termFrequencies,
+  chunkText,
+  bm25Score
+};
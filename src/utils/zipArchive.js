@@ -0,0 +1,127 @@
+/**
+ * Minimal zip reader
+ * Reads stored and deflated entries from the central directory, which is
+ * all e-learning packages use, without pulling in an archiving dependency.
+ * ZIP64, encrypted and multi-disk archives are rejected.
+ */
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+const findEndRecord = (buffer) => {
+  const lowest = Math.max(0, buffer.length - END_RECORD_SIZE - MAX_COMMENT_SIZE);
+  for (let offset = buffer.length - END_RECORD_SIZE; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Parse an archive into a Map of entry name to content Buffer. Directory
+ * entries are skipped.
+ * @param {Buffer} buffer
+ * @param {Object} [limits]
+ * @param {number} [limits.maxEntries] - Most files accepted
+ * @param {number} [limits.maxTotalSize] - Most uncompressed bytes accepted
+ */
+const parseZip = (buffer, { maxEntries = 10000, maxTotalSize = 1024 * 1024 * 1024 } = {}) => {
+  const endOffset = buffer.length >= END_RECORD_SIZE ? findEndRecord(buffer) : -1;
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const disk = buffer.readUInt16LE(endOffset + 4);
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  const directorySize = buffer.readUInt32LE(endOffset + 12);
+  const directoryOffset = buffer.readUInt32LE(endOffset + 16);
+  if (disk !== 0) {
+    throw new Error('Multi-disk zip archives are not supported');
+  }
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+  if (directoryOffset + directorySize > endOffset) {
+    throw new Error('Corrupt zip central directory');
+  }
+  if (entryCount > maxEntries) {
+    throw new Error(`Archive has more than ${maxEntries} entries`);
+  }
+
+  const files = new Map();
+  let totalSize = 0;
+  let offset = directoryOffset;
+
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > endOffset || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`Encrypted archive entry: ${name}`);
+    }
+    if (compressedSize === 0xffffffff || size === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new Error('Archive is too large once extracted');
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt archive entry: ${name}`);
+    }
+    const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (dataOffset + compressedSize > buffer.length) {
+      throw new Error(`Corrupt archive entry: ${name}`);
+    }
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+
+    let content;
+    if (method === METHOD_STORED) {
+      content = data;
+    } else if (method === METHOD_DEFLATED) {
+      // The declared size bounds the output, so a forged header cannot
+      // inflate past the limit checked above
+      content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${name}`);
+    }
+    if (content.length !== size) {
+      throw new Error(`Corrupt archive entry: ${name}`);
+    }
+
+    files.set(name, content);
+  }
+
+  return files;
+};
+
+module.exports = {
+  parseZip
+};
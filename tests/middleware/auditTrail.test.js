@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+
+jest.mock('../../src/services/AuditLogService', () => ({
+  record: jest.fn(() => Promise.resolve()),
+  diff: jest.fn(() => [])
+}));
+
+const auditLogService = require('../../src/services/AuditLogService');
+const { auditTrail } = require('../../src/middleware/auditTrail');
+
+const mockResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.json = jest.fn();
+  return res;
+};
+
+const mockRequest = (method, path) => ({
+  method,
+  path,
+  originalUrl: path,
+  body: { name: 'Updated' },
+  get: () => 'jest',
+  ip: '127.0.0.1'
+});
+
+describe('auditTrail', () => {
+  beforeEach(() => {
+    auditLogService.record.mockClear();
+  });
+
+  test('passes mutating requests on without waiting for the snapshot', () => {
+    const next = jest.fn();
+    const result = auditTrail({ enabled: true })(mockRequest('PUT', '/api/v1/users/507f1f77bcf86cd799439011'), mockResponse(), next);
+
+    expect(result).toBeUndefined();
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('records the request once the response has finished', async () => {
+    const res = mockResponse();
+    auditTrail({ enabled: true })(mockRequest('POST', '/api/v1/tenants/507f1f77bcf86cd799439011/backup'), res, jest.fn());
+
+    res.json({ success: true });
+    res.emit('finish');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(auditLogService.record).toHaveBeenCalledTimes(1);
+    expect(auditLogService.record.mock.calls[0][0]).toMatchObject({
+      action: 'tenants.backup',
+      category: 'tenant_management',
+      resourceType: 'tenants',
+      resourceId: '507f1f77bcf86cd799439011',
+      response: { statusCode: 200 }
+    });
+  });
+
+  test('ignores reads', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+    auditTrail({ enabled: true })(mockRequest('GET', '/api/v1/users'), res, next);
+    res.emit('finish');
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(auditLogService.record).not.toHaveBeenCalled();
+  });
+});
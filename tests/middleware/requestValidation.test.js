@@ -0,0 +1,101 @@
+const { validateFields, collectErrors } = require('../../src/middleware/requestValidation');
+
+const request = (parts) => Object.assign({ body: {}, query: {}, params: {} }, parts);
+
+describe('collectErrors', () => {
+  test('reports missing required fields and skips missing optional ones', () => {
+    const rules = [
+      { in: 'params', field: 'courseId', required: true, type: 'mongoId' },
+      { in: 'query', field: 'page', type: 'int', min: 1 }
+    ];
+
+    expect(collectErrors(rules, request())).toEqual([
+      { field: 'courseId', message: 'courseId is required' }
+    ]);
+  });
+
+  test('checks types, ranges and allowed values of query strings', () => {
+    const rules = [
+      { in: 'query', field: 'page', type: 'int', min: 1 },
+      { in: 'query', field: 'limit', type: 'int', min: 1, max: 100 },
+      { in: 'query', field: 'enrolled', type: 'boolean' },
+      { in: 'query', field: 'level', values: ['beginner', 'expert'] },
+      { in: 'query', field: 'since', type: 'date' }
+    ];
+
+    const valid = request({ query: { page: '2', limit: '100', enrolled: 'false', level: 'expert', since: '2024-05-01T10:00:00Z' } });
+    expect(collectErrors(rules, valid)).toEqual([]);
+
+    const invalid = request({ query: { page: '0', limit: '1.5', enrolled: 'yes', level: 'novice', since: '2024-13-45' } });
+    expect(collectErrors(rules, invalid).map(error => error.field)).toEqual(['page', 'limit', 'enrolled', 'level', 'since']);
+  });
+
+  test('expands wildcards over array elements with indexed paths', () => {
+    const rules = [
+      { in: 'body', field: 'items', type: 'array', max: 2 },
+      { in: 'body', field: 'items.*.courseId', required: true, type: 'mongoId' }
+    ];
+
+    const req = request({ body: { items: [{ courseId: '507f1f77bcf86cd799439011' }, { courseId: 'nope' }, {}] } });
+    expect(collectErrors(rules, req)).toEqual([
+      { field: 'items', message: 'items must have at most 2 items' },
+      { field: 'items[1].courseId', message: 'items.*.courseId must be a valid ID' },
+      { field: 'items[2].courseId', message: 'items.*.courseId is required' }
+    ]);
+
+    expect(collectErrors(rules, request())).toEqual([]);
+  });
+
+  test('trims strings in place before checking their length', () => {
+    const rules = [{ in: 'body', field: 'title', required: true, trim: true, type: 'string', minLength: 1, maxLength: 5 }];
+
+    const req = request({ body: { title: '  Intro  ' } });
+    expect(collectErrors(rules, req)).toEqual([]);
+    expect(req.body.title).toBe('Intro');
+
+    expect(collectErrors(rules, request({ body: { title: '   ' } }))).toEqual([
+      { field: 'title', message: 'title is required' }
+    ]);
+  });
+
+  test('uses the rule message and supports custom checks of the whole location', () => {
+    const rules = [
+      { in: 'body', required: true, custom: value => !Array.isArray(value), message: 'Body must be an object' }
+    ];
+
+    expect(collectErrors(rules, request({ body: [] }))).toEqual([
+      { field: 'body', message: 'Body must be an object' }
+    ]);
+  });
+});
+
+describe('validateFields', () => {
+  const run = (rules, req) => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    const next = jest.fn();
+    validateFields(rules)(req, res, next);
+    return { res, next };
+  };
+
+  test('responds 400 with the failed fields', () => {
+    const { res, next } = run([{ in: 'body', field: 'email', required: true, type: 'email' }], request({ body: { email: 'x' } }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Validation failed',
+      details: [{ field: 'email', message: 'email must be a valid email address' }]
+    });
+  });
+
+  test('continues when the request is valid', () => {
+    const { res, next } = run([{ in: 'body', field: 'email', required: true, type: 'email' }], request({ body: { email: 'jo@example.com' } }));
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
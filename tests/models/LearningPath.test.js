@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const LearningPath = require('../../src/models/LearningPath');
+
+const graph = entries => new Map(Object.entries(entries));
+
+describe('LearningPath.findCycle', () => {
+  test('returns null for an acyclic graph', () => {
+    expect(LearningPath.findCycle(graph({
+      intro: [],
+      basics: ['intro'],
+      advanced: ['basics', 'intro'],
+      capstone: ['advanced']
+    }))).toBeNull();
+  });
+
+  test('returns the nodes around a cycle', () => {
+    expect(LearningPath.findCycle(graph({
+      intro: [],
+      a: ['intro', 'c'],
+      b: ['a'],
+      c: ['b']
+    }))).toEqual(['a', 'c', 'b', 'a']);
+  });
+
+  test('finds an item that requires itself', () => {
+    expect(LearningPath.findCycle(graph({ a: ['a'] }))).toEqual(['a', 'a']);
+  });
+
+  test('ignores prerequisites that are not nodes of the graph', () => {
+    expect(LearningPath.findCycle(graph({ a: ['elsewhere'] }))).toBeNull();
+  });
+});
+
+describe('LearningPath validation', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const item = (key, prerequisites = []) => ({ key, type: 'course', courseId: id(), prerequisites });
+  const build = items => new LearningPath({ tenantId: id(), title: 'Onboarding', createdBy: id(), items });
+
+  test('accepts acyclic prerequisites', async () => {
+    await expect(build([item('intro'), item('basics', ['intro'])]).validate()).resolves.toBeUndefined();
+  });
+
+  test('rejects prerequisites that form a cycle', async () => {
+    await expect(build([item('a', ['b']), item('b', ['a'])]).validate()).rejects.toMatchObject({
+      name: 'ValidationError',
+      details: { cycle: ['a', 'b', 'a'] }
+    });
+  });
+
+  test('rejects prerequisites on unknown items', async () => {
+    await expect(build([item('a', ['missing'])]).validate()).rejects.toThrow('Item "a" requires unknown item "missing"');
+  });
+});
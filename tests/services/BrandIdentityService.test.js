@@ -0,0 +1,36 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('sharp', () => {
+  const error = new Error("Cannot find module 'sharp'");
+  error.code = 'MODULE_NOT_FOUND';
+  throw error;
+}, { virtual: true });
+
+const brandIdentityService = require('../../src/services/BrandIdentityService');
+
+describe('BrandIdentityService without sharp', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brand-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('stores image assets as uploaded', async () => {
+    const buffer = Buffer.from('not really a png');
+    const outputPath = path.join(dir, 'logo.png');
+
+    await brandIdentityService.processLogo(buffer, outputPath);
+    await brandIdentityService.processFavicon(buffer, path.join(dir, 'favicon.png'));
+
+    expect(fs.readFileSync(outputPath)).toEqual(buffer);
+    expect(fs.existsSync(path.join(dir, 'favicon.png'))).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const candidateAccessService = require('../../src/services/CandidateAccessService');
+
+describe('CandidateAccessService.present', () => {
+  const now = new Date('2026-11-02T08:00:00Z');
+  const recruiter = { _id: 'r1', role: 'trainer' };
+  const admin = { _id: 'a1', role: 'admin' };
+
+  const profile = (viewers = []) => ({
+    _id: 'p1',
+    userId: { _id: 'c1', email: 'sam@example.com', firstName: 'Sam' },
+    personalInfo: {
+      firstName: 'Sam',
+      email: 'sam@example.com',
+      phone: '+44 20 7946 0000',
+      dateOfBirth: '1990-04-01',
+      location: { city: 'London', address: '1 High St', postalCode: 'N1 1AA' }
+    },
+    professionalSummary: { headline: 'Trainer', jobPreferences: { salaryExpectation: { min: 40000 } } },
+    experience: [
+      { company: 'Acme', salary: { amount: 38000 } },
+      { company: 'Globex' }
+    ],
+    permissions: { viewers }
+  });
+
+  test('redacts sensitive fields without a grant', () => {
+    const { data, hasFullAccess, redactedFields, sensitiveFields } = candidateAccessService.present(profile(), recruiter, now);
+
+    expect(hasFullAccess).toBe(false);
+    expect(redactedFields).toEqual(['contact', 'salary', 'dateOfBirth']);
+    expect(sensitiveFields).toEqual([]);
+    expect(data.personalInfo).toEqual({ firstName: 'Sam', location: { city: 'London' } });
+    expect(data.userId).toEqual({ _id: 'c1', firstName: 'Sam' });
+    expect(data.professionalSummary.jobPreferences).toEqual({});
+    expect(data.experience).toEqual([{ company: 'Acme' }, { company: 'Globex' }]);
+    expect(data.permissions).toBeUndefined();
+  });
+
+  test('does not change the profile it was given', () => {
+    const original = profile();
+    candidateAccessService.present(original, recruiter, now);
+
+    expect(original.personalInfo.email).toBe('sam@example.com');
+  });
+
+  test('shows everything but other viewers to a viewer with an unexpired grant', () => {
+    const expiresAt = new Date('2026-11-30T00:00:00Z');
+    const result = candidateAccessService.present(profile([{ userId: 'r1', expiresAt }]), recruiter, now);
+
+    expect(result).toMatchObject({ hasFullAccess: true, redactedFields: [], grantExpiresAt: expiresAt });
+    expect(result.data.personalInfo.email).toBe('sam@example.com');
+    expect(result.data.permissions).toBeUndefined();
+  });
+
+  test('redacts again once the grant has expired', () => {
+    const result = candidateAccessService.present(
+      profile([{ userId: 'r1', expiresAt: new Date('2026-11-01T00:00:00Z') }]),
+      recruiter,
+      now
+    );
+
+    expect(result.hasFullAccess).toBe(false);
+    expect(result.data.personalInfo.email).toBeUndefined();
+  });
+
+  test('shows admins everything', () => {
+    const result = candidateAccessService.present(profile(), admin, now);
+
+    expect(result.hasFullAccess).toBe(true);
+    expect(result.data.experience[0].salary).toEqual({ amount: 38000 });
+    expect(result.data.permissions).toEqual({ viewers: [] });
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendCalendarInvite: jest.fn()
+}));
+
+const emailService = require('../../src/services/emailService');
+const interviewService = require('../../src/services/InterviewService');
+
+describe('InterviewService.sendInvites', () => {
+  const interview = { scheduledAt: new Date('2026-11-02T10:00:00Z'), timezone: 'UTC', sequence: 0 };
+
+  beforeEach(() => {
+    jest.spyOn(interviewService, 'buildInvite').mockResolvedValue({
+      ics: 'BEGIN:VCALENDAR',
+      summary: 'Interview: Trainer',
+      description: 'Panel interview',
+      jobTitle: 'Trainer',
+      candidate: { name: 'Sam', email: 'sam@example.com' },
+      panel: [{ userId: 'u1', name: 'Lee', email: 'lee@example.com' }, { userId: 'u2', name: 'Ari' }]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    emailService.sendCalendarInvite.mockReset();
+  });
+
+  test('reports each recipient with the delivery outcome', async () => {
+    emailService.sendCalendarInvite
+      .mockResolvedValueOnce({ success: true, messageId: '<1@mail>' })
+      .mockResolvedValueOnce({ success: false, messageId: null, error: 'Email transport is not configured' });
+
+    const results = await interviewService.sendInvites({}, interview, 'REQUEST');
+
+    expect(results).toEqual([
+      { to: 'lee@example.com', role: 'interviewer', status: 'sent' },
+      { to: 'u2', role: 'interviewer', status: 'skipped', reason: 'No email address' },
+      { to: 'sam@example.com', role: 'candidate', status: 'failed', error: 'Email transport is not configured' }
+    ]);
+  });
+
+  test('reports a rejected invite as failed', async () => {
+    emailService.sendCalendarInvite.mockRejectedValue(new Error('Mailbox unavailable'));
+
+    const results = await interviewService.sendInvites({}, interview, 'CANCEL', { includeCandidate: false });
+
+    expect(results[0]).toEqual({ to: 'lee@example.com', role: 'interviewer', status: 'failed', error: 'Mailbox unavailable' });
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendEmail: jest.fn()
+}));
+
+const emailService = require('../../src/services/emailService');
+const CandidateProfile = require('../../src/models/CandidateProfile');
+const JobAlertDigest = require('../../src/models/JobAlertDigest');
+const jobAlertService = require('../../src/services/JobAlertService');
+
+describe('JobAlertService.sendDigest', () => {
+  const now = new Date('2026-11-02T08:00:00Z');
+  const values = {
+    'preferences.jobAlerts': { frequency: 'weekly' },
+    'personalInfo.email': 'sam@example.com'
+  };
+  const profile = { _id: 'p1', tenantId: 't1', userId: 'u1', get: path => values[path] };
+
+  beforeEach(() => {
+    jest.spyOn(jobAlertService, 'findMatchingJobs').mockResolvedValue([{ _id: 'j1' }, { _id: 'j2' }]);
+    jest.spyOn(jobAlertService, 'getBranding').mockResolvedValue({ name: 'LuxGen' });
+    jest.spyOn(jobAlertService, 'unsubscribeUrl').mockReturnValue('https://example.com/unsubscribe');
+    jest.spyOn(jobAlertService, 'renderDigest').mockReturnValue({ subject: '2 new jobs', html: '<p>Jobs</p>' });
+    jest.spyOn(JobAlertDigest, 'create').mockResolvedValue({});
+    jest.spyOn(CandidateProfile, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    emailService.sendEmail.mockReset();
+  });
+
+  test('records the digest as sent with the message ID', async () => {
+    emailService.sendEmail.mockResolvedValue({ success: true, messageId: '<1@mail>' });
+
+    await expect(jobAlertService.sendDigest(profile, { now })).resolves.toEqual({ status: 'sent', jobs: 2 });
+    expect(JobAlertDigest.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'sent', messageId: '<1@mail>' }));
+    expect(CandidateProfile.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('records the digest as failed when the transport did not send it', async () => {
+    emailService.sendEmail.mockResolvedValue({ success: false, messageId: null, error: 'Email transport is not configured' });
+
+    await expect(jobAlertService.sendDigest(profile, { now })).rejects.toThrow('Email transport is not configured');
+    expect(JobAlertDigest.create).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      error: 'Email transport is not configured'
+    }));
+    expect(CandidateProfile.updateOne).not.toHaveBeenCalled();
+  });
+});
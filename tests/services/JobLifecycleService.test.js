@@ -0,0 +1,46 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Job = require('../../src/models/Job');
+const jobLifecycleService = require('../../src/services/JobLifecycleService');
+
+describe('JobLifecycleService.sendRenewalReminders', () => {
+  const now = new Date('2026-11-02T08:00:00Z');
+  const jobs = [{ _id: 'j1' }, { _id: 'j2' }];
+
+  beforeEach(() => {
+    jest.spyOn(Job, 'find').mockReturnValue({ limit: jest.fn().mockResolvedValue(jobs) });
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts the reminders that were sent', async () => {
+    jest.spyOn(jobLifecycleService, 'sendRenewalReminder').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await expect(jobLifecycleService.sendRenewalReminders(now)).resolves.toBe(1);
+    expect(Job.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('releases the claim on a failed reminder so the next run retries it', async () => {
+    jest.spyOn(jobLifecycleService, 'sendRenewalReminder')
+      .mockRejectedValueOnce(new Error('Email transport is not configured'))
+      .mockResolvedValueOnce(true);
+
+    await expect(jobLifecycleService.sendRenewalReminders(now)).resolves.toBe(1);
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: 'j1', 'lifecycle.renewalReminderSentAt': now },
+      { $set: { 'lifecycle.renewalReminderSentAt': null } }
+    );
+    expect(Job.updateOne).not.toHaveBeenCalledWith(
+      { _id: 'j2', 'lifecycle.renewalReminderSentAt': now },
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,39 @@
+const notificationBroadcastService = require('../../src/services/NotificationBroadcastService');
+const NotificationBroadcast = require('../../src/models/NotificationBroadcast');
+
+describe('NotificationBroadcastService.sendBroadcast webhooks', () => {
+  const payload = {
+    title: 'Maintenance',
+    message: 'Down at midnight',
+    delivery: { channels: ['webhook'], webhookUrl: 'http://169.254.169.254/latest/meta-data' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(notificationBroadcastService, 'resolveRecipients').mockResolvedValue([{ _id: 'u1' }]);
+    jest.spyOn(notificationBroadcastService, 'createNotifications').mockResolvedValue();
+    jest.spyOn(notificationBroadcastService, 'deliver').mockResolvedValue();
+    jest.spyOn(NotificationBroadcast, 'create').mockImplementation(doc => Promise.resolve(doc));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ignores a webhook URL from the request', async () => {
+    const tenant = { _id: 't1', settings: { notifications: { webhookUrl: 'https://hooks.example.com/luxgen' } } };
+
+    await notificationBroadcastService.sendBroadcast(tenant, payload);
+
+    expect(NotificationBroadcast.create).toHaveBeenCalledWith(expect.objectContaining({
+      webhookUrl: 'https://hooks.example.com/luxgen'
+    }));
+  });
+
+  test('refuses the webhook channel when the tenant has no webhook configured', async () => {
+    await expect(notificationBroadcastService.sendBroadcast({ _id: 't1', settings: {} }, payload))
+      .rejects.toThrow('Webhook channel requires the tenant notification webhook URL to be configured');
+    expect(NotificationBroadcast.create).not.toHaveBeenCalled();
+  });
+});
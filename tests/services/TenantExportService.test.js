@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Tenant = require('../../src/models/Tenant');
+const User = require('../../src/models/User');
+const tenantExportService = require('../../src/services/TenantExportService');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+describe('TenantExportService.importArchive', () => {
+  const tenantDoc = { _id: new mongoose.Types.ObjectId(), name: 'Acme', slug: 'acme' };
+  const users = Buffer.from([
+    EJSON.stringify({ _id: new mongoose.Types.ObjectId(), firstName: 'Sam' }, { relaxed: false }),
+    ''
+  ].join('\n'));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(tenantExportService, 'readArchive').mockResolvedValue(new Map([
+      ['tenant.json', Buffer.from(EJSON.stringify(tenantDoc, { relaxed: false }))],
+      ['users.ndjson', users]
+    ]));
+    jest.spyOn(tenantExportService, 'readManifest').mockReturnValue({
+      exportId: 'exp-1',
+      formatVersion: 1,
+      collections: {
+        users: {
+          file: 'users.ndjson',
+          checksum: tenantExportService.checksum(users),
+          schemaVersion: tenantExportService.getSchemaVersion(User)
+        }
+      }
+    });
+    jest.spyOn(tenantExportService, 'resolveTargetTenant').mockResolvedValue({ tenantDoc, isNew: true, remapIds: false });
+    jest.spyOn(Tenant.collection, 'insertOne').mockResolvedValue({});
+    jest.spyOn(Tenant.collection, 'deleteOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates the new tenant only after every row has been validated', async () => {
+    const validateSync = jest.spyOn(User.prototype, 'validateSync');
+    jest.spyOn(tenantExportService, 'insertRows').mockResolvedValue({ imported: 0, errors: [] });
+
+    const result = await tenantExportService.importArchive(Buffer.from('archive'));
+
+    expect(result.collections.users).toMatchObject({ total: 1, valid: 0, invalid: 1 });
+    expect(validateSync.mock.invocationCallOrder[0]).toBeLessThan(Tenant.collection.insertOne.mock.invocationCallOrder[0]);
+  });
+
+  test('writes nothing on a dry run', async () => {
+    jest.spyOn(tenantExportService, 'insertRows');
+
+    await tenantExportService.importArchive(Buffer.from('archive'), { dryRun: true });
+
+    expect(Tenant.collection.insertOne).not.toHaveBeenCalled();
+    expect(tenantExportService.insertRows).not.toHaveBeenCalled();
+  });
+
+  test('removes the new tenant when writing the rows fails', async () => {
+    jest.spyOn(tenantExportService, 'insertRows').mockRejectedValue(new Error('connection lost'));
+
+    await expect(tenantExportService.importArchive(Buffer.from('archive'))).rejects.toThrow('connection lost');
+    expect(Tenant.collection.deleteOne).toHaveBeenCalledWith({ _id: tenantDoc._id });
+  });
+});
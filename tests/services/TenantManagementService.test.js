@@ -0,0 +1,33 @@
+jest.mock('../../src/services/AIMeteringService', () => ({
+  getTenantUsageReport: jest.fn(() => Promise.resolve({ totals: { requests: 3 } }))
+}));
+
+const aiMeteringService = require('../../src/services/AIMeteringService');
+const tenantManagementService = require('../../src/services/TenantManagementService');
+
+describe('TenantManagementService.getTenantAIUsage', () => {
+  const tenant = { _id: '507f1f77bcf86cd799439012', slug: 'acme' };
+
+  beforeEach(() => {
+    jest.spyOn(tenantManagementService, 'findTenantByIdentifier').mockResolvedValue(tenant);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    aiMeteringService.getTenantUsageReport.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the usage of the admin\'s own tenant', async () => {
+    const admin = { role: 'admin', tenantId: '507f1f77bcf86cd799439012' };
+
+    await expect(tenantManagementService.getTenantAIUsage('acme', {}, admin)).resolves.toEqual({ totals: { requests: 3 } });
+  });
+
+  test('refuses the usage of another tenant', async () => {
+    const admin = { role: 'admin', tenantId: '507f1f77bcf86cd799439099' };
+
+    await expect(tenantManagementService.getTenantAIUsage('acme', {}, admin)).rejects.toThrow('Access denied to this tenant');
+    expect(aiMeteringService.getTenantUsageReport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,33 @@
+jest.mock('../../src/services/KnowledgeBaseService', () => ({
+  addDocument: jest.fn(() => Promise.resolve({ chunkCount: 3 })),
+  search: jest.fn(() => Promise.resolve([])),
+  clear: jest.fn(() => Promise.resolve()),
+  getStats: jest.fn(() => Promise.resolve({ totalDocuments: 1, totalChunks: 3, averageChunkLength: 120 }))
+}));
+
+const knowledgeBaseService = require('../../src/services/KnowledgeBaseService');
+const aiService = require('../../src/services/aiService');
+
+describe('AIService knowledge base methods', () => {
+  const tenantId = '507f1f77bcf86cd799439012';
+
+  test('act on the tenant passed by the caller', async () => {
+    await aiService.addToKnowledgeBase(tenantId, 'handbook', 'Holiday policy');
+    await aiService.searchKnowledgeBase(tenantId, 'holiday', 3);
+    await aiService.clearKnowledgeBase(tenantId);
+    await aiService.getKnowledgeBaseStats(tenantId);
+
+    expect(knowledgeBaseService.addDocument).toHaveBeenCalledWith(tenantId, expect.objectContaining({ title: 'handbook' }));
+    expect(knowledgeBaseService.search).toHaveBeenCalledWith(tenantId, 'holiday', { limit: 3 });
+    expect(knowledgeBaseService.clear).toHaveBeenCalledWith(tenantId);
+    expect(knowledgeBaseService.getStats).toHaveBeenCalledWith(tenantId);
+  });
+
+  test('refuse to run without a tenant', async () => {
+    await expect(aiService.searchKnowledgeBase(undefined, 'holiday')).rejects.toMatchObject({
+      name: 'ValidationError',
+      statusCode: 400
+    });
+    await expect(aiService.generateContentWithRAG(null, 'Summarise the handbook')).rejects.toThrow('A tenant is required');
+  });
+});
@@ -0,0 +1,53 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const aiService = require('../../src/services/aiServiceEnhanced');
+
+describe('EnhancedAIService.generateResponse', () => {
+  const scope = { userId: '507f1f77bcf86cd799439011', tenantId: '507f1f77bcf86cd799439012' };
+
+  beforeEach(() => {
+    jest.spyOn(aiService.repository, 'appendMessage').mockResolvedValue(null);
+    jest.spyOn(aiService, 'generateContent').mockResolvedValue({ content: 'Reply' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const promptFor = async (messages, message) => {
+    jest.spyOn(aiService.repository, 'findConversation').mockResolvedValue({ id: 'c1', messages });
+    await aiService.generateResponse({ message, conversationId: 'c1', ...scope });
+    return aiService.generateContent.mock.calls[0][0].prompt;
+  };
+
+  test('sends a message that is already saved to the conversation only once', async () => {
+    const prompt = await promptFor([
+      { type: 'user', content: 'What is onboarding?' },
+      { type: 'ai', content: 'Getting new hires started.' },
+      { type: 'user', content: 'How long does it take?' }
+    ], 'How long does it take?');
+
+    expect(prompt.match(/How long does it take\?/g)).toHaveLength(1);
+    expect(prompt).toBe('Conversation context:\nuser: What is onboarding?\nai: Getting new hires started.\n\nUser message: How long does it take?');
+  });
+
+  test('sends only the message when it is the first in the conversation', async () => {
+    const prompt = await promptFor([{ type: 'user', content: 'Hello' }], 'Hello');
+
+    expect(prompt).toBe('User message: Hello');
+  });
+
+  test('saves the reply to the conversation', async () => {
+    await promptFor([], 'Hello');
+
+    expect(aiService.repository.appendMessage).toHaveBeenCalledWith('c1', scope, expect.objectContaining({
+      content: 'Reply',
+      type: 'ai'
+    }));
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('nodemailer', () => ({
+  createTransport: jest.fn(),
+  createTestAccount: jest.fn(),
+  getTestMessageUrl: jest.fn(() => false)
+}));
+
+const nodemailer = require('nodemailer');
+
+const loadService = () => {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../../src/services/emailService');
+  });
+  return service;
+};
+
+describe('emailService', () => {
+  beforeEach(() => {
+    nodemailer.createTransport.mockReset();
+  });
+
+  test('sends through the SMTP transport and returns its message ID', async () => {
+    const sendMail = jest.fn(() => Promise.resolve({ messageId: '<abc@mail>' }));
+    nodemailer.createTransport.mockReturnValue({ sendMail });
+
+    const result = await loadService().sendEmail('jo@example.com', 'Hello', '<p>Hi</p>');
+
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'jo@example.com', subject: 'Hello', text: 'Hi' }));
+    expect(result).toMatchObject({ success: true, messageId: '<abc@mail>' });
+  });
+
+  test('rejects when the transport refuses the mail', async () => {
+    nodemailer.createTransport.mockReturnValue({
+      sendMail: jest.fn(() => Promise.reject(new Error('Mailbox unavailable')))
+    });
+
+    await expect(loadService().sendEmail('jo@example.com', 'Hello', '<p>Hi</p>')).rejects.toThrow('Mailbox unavailable');
+  });
+
+  test('reports the email as not sent when no transport could be created', async () => {
+    nodemailer.createTransport.mockImplementation(() => {
+      throw new Error('Invalid configuration');
+    });
+
+    const result = await loadService().sendEmail('jo@example.com', 'Hello', '<p>Hi</p>');
+
+    expect(result).toMatchObject({ success: false, messageId: null });
+  });
+});
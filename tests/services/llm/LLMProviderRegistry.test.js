@@ -0,0 +1,156 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const registry = require('../../../src/services/llm/LLMProviderRegistry');
+const MockProvider = require('../../../src/services/llm/MockProvider');
+
+const fakeProvider = (name, complete, available = true) => ({
+  name,
+  isAvailable: () => available,
+  complete: jest.fn(complete)
+});
+
+const succeed = (name) => (request) => Promise.resolve({
+  content: `${name} answer`,
+  model: request.model || `${name}-default`,
+  provider: name,
+  usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 }
+});
+
+const fail = (message) => () => Promise.reject(new Error(message));
+
+describe('LLMProviderRegistry', () => {
+  const env = { ...process.env };
+  const messages = [{ role: 'user', content: 'Explain onboarding' }];
+
+  beforeEach(() => {
+    registry.providers.clear();
+    process.env.AI_PROVIDER = 'openai';
+    process.env.AI_FALLBACK_PROVIDERS = 'groq';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('orders the chain by call, content type, tenant and environment settings', () => {
+    ['openai', 'groq', 'mock'].forEach(name => registry.register(fakeProvider(name, succeed(name))));
+
+    expect(registry.resolveChain({
+      type: 'quiz',
+      tenantSettings: { provider: 'groq', contentTypeProviders: new Map([['quiz', 'mock']]) }
+    })).toEqual(['mock', 'groq', 'openai']);
+    expect(registry.resolveChain({ provider: 'groq' })).toEqual(['groq', 'openai']);
+  });
+
+  test('skips providers without credentials', () => {
+    registry.register(fakeProvider('openai', succeed('openai'), false));
+    registry.register(fakeProvider('groq', succeed('groq')));
+
+    expect(registry.resolveChain()).toEqual(['groq']);
+  });
+
+  test('fails over to the next provider and reports the failures', async () => {
+    const openai = fakeProvider('openai', fail('rate limited'));
+    const groq = fakeProvider('groq', succeed('groq'));
+    registry.register(openai);
+    registry.register(groq);
+
+    const result = await registry.complete({ messages, model: 'gpt-4o-mini' });
+
+    expect(result.provider).toBe('groq');
+    expect(result.failures).toEqual([{ provider: 'openai', error: 'rate limited' }]);
+    // The requested model belongs to the first provider only
+    expect(openai.complete.mock.calls[0][0].model).toBe('gpt-4o-mini');
+    expect(groq.complete.mock.calls[0][0].model).toBeUndefined();
+  });
+
+  test('throws with every failure when all providers fail', async () => {
+    registry.register(fakeProvider('openai', fail('timeout')));
+    registry.register(fakeProvider('groq', fail('invalid key')));
+
+    await expect(registry.complete({ messages })).rejects.toMatchObject({
+      message: 'All AI providers failed: openai (timeout); groq (invalid key)',
+      failures: [{ provider: 'openai', error: 'timeout' }, { provider: 'groq', error: 'invalid key' }]
+    });
+  });
+
+  test('does not fail over once a stream has started', async () => {
+    const openai = fakeProvider('openai', (request) => {
+      request.onDelta('Partial');
+      return Promise.reject(new Error('connection reset'));
+    });
+    const groq = fakeProvider('groq', succeed('groq'));
+    registry.register(openai);
+    registry.register(groq);
+
+    await expect(registry.complete({ messages, onDelta: jest.fn() })).rejects.toThrow('connection reset');
+    expect(groq.complete).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the mock provider outside production when nothing is configured', async () => {
+    registry.register(fakeProvider('openai', succeed('openai'), false));
+    registry.register(new MockProvider());
+
+    const result = await registry.complete({ messages });
+
+    expect(result.provider).toBe('mock');
+    expect(result.failures).toEqual([]);
+  });
+
+  test('registers the mock provider only in development and test unless enabled', () => {
+    process.env.NODE_ENV = 'test';
+    registry.initialize();
+    expect(registry.get('mock')).not.toBeNull();
+
+    process.env.NODE_ENV = 'staging';
+    registry.initialize();
+    expect(registry.get('mock')).toBeNull();
+    expect(registry.resolveChain({ provider: 'mock' })).not.toContain('mock');
+
+    process.env.AI_MOCK_PROVIDER_ENABLED = 'true';
+    registry.initialize();
+    expect(registry.get('mock')).not.toBeNull();
+
+    delete process.env.AI_MOCK_PROVIDER_ENABLED;
+    process.env.NODE_ENV = env.NODE_ENV;
+  });
+
+  test('never uses the mock provider in production', () => {
+    process.env.NODE_ENV = 'production';
+    registry.register(new MockProvider());
+
+    expect(registry.resolveChain()).toEqual([]);
+    process.env.NODE_ENV = env.NODE_ENV;
+  });
+});
+
+describe('MockProvider', () => {
+  test('returns the same content for the same messages and streams it in deltas', async () => {
+    const provider = new MockProvider({ latencyMs: 0 });
+    const messages = [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Explain onboarding' }];
+    const deltas = [];
+
+    const first = await provider.complete({ messages });
+    const streamed = await provider.complete({ messages, onDelta: delta => deltas.push(delta) });
+
+    expect(streamed.content).toBe(first.content);
+    expect(deltas.join('')).toBe(first.content);
+    expect(first.content).toContain('Request: Explain onboarding');
+    expect(first.usage.totalTokens).toBe(first.usage.promptTokens + first.usage.completionTokens);
+  });
+
+  test('stops when the request is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(new MockProvider().complete({
+      messages: [{ role: 'user', content: 'Hi' }],
+      signal: controller.signal
+    })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,63 @@
+const { validateValue, accessOf, parseDuration, formatDuration } = require('../../src/utils/scormDataModel');
+
+describe('scormDataModel.validateValue', () => {
+  test('accepts valid SCORM 1.2 values', () => {
+    expect(validateValue('1.2', 'cmi.core.lesson_status', 'completed')).toBeNull();
+    expect(validateValue('1.2', 'cmi.core.score.raw', '85.5')).toBeNull();
+    expect(validateValue('1.2', 'cmi.core.score.raw', '')).toBeNull();
+    expect(validateValue('1.2', 'cmi.core.session_time', '0001:30:05.25')).toBeNull();
+  });
+
+  test('refuses SCORM 1.2 values with the 1.2 error codes', () => {
+    expect(validateValue('1.2', 'cmi.core.lesson_status', 'not attempted')).toEqual({
+      code: '405',
+      message: 'Data model element type mismatch'
+    });
+    expect(validateValue('1.2', 'cmi.core.score.raw', '101')).toMatchObject({ code: '405' });
+    expect(validateValue('1.2', 'cmi.core.student_id', 'u1')).toMatchObject({ code: '403' });
+    expect(validateValue('1.2', 'cmi.core._children', 'x')).toMatchObject({ code: '402' });
+    expect(validateValue('1.2', 'cmi.core.unknown', 'x')).toMatchObject({ code: '401' });
+  });
+
+  test('refuses SCORM 2004 values with the 2004 error codes', () => {
+    expect(validateValue('2004', 'cmi.score.scaled', '0.8')).toBeNull();
+    expect(validateValue('2004', 'cmi.score.scaled', '1.5')).toEqual({
+      code: '407',
+      message: 'Data model element value out of range'
+    });
+    expect(validateValue('2004', 'cmi.success_status', 'maybe')).toMatchObject({ code: '406' });
+    expect(validateValue('2004', 'cmi.learner_id', 'u1')).toMatchObject({ code: '404' });
+  });
+
+  test('checks SCORM 2004 durations', () => {
+    expect(validateValue('2004', 'cmi.session_time', 'PT1H30M5.5S')).toBeNull();
+    expect(validateValue('2004', 'cmi.session_time', 'P1DT2H')).toBeNull();
+    expect(validateValue('2004', 'cmi.session_time', 'PT')).toMatchObject({ code: '406' });
+    expect(validateValue('2004', 'cmi.session_time', 'P1DT')).toMatchObject({ code: '406' });
+  });
+
+  test('requires collection entries to be added in order', () => {
+    expect(validateValue('2004', 'cmi.objectives.0.id', 'obj-1')).toBeNull();
+    expect(validateValue('2004', 'cmi.objectives.1.id', 'obj-2')).toMatchObject({ code: '351' });
+    expect(validateValue('2004', 'cmi.objectives.1.id', 'obj-2', ['cmi.objectives.0.id'])).toBeNull();
+    expect(validateValue('1.2', 'cmi.interactions.0.objectives.1.id', 'obj', ['cmi.interactions.0.id'])).toMatchObject({ code: '201' });
+  });
+});
+
+describe('scormDataModel.accessOf', () => {
+  test('reports the access of collection elements by index', () => {
+    expect(accessOf('1.2', 'cmi.interactions.3.result')).toBe('wo');
+    expect(accessOf('2004', 'cmi.interactions.3.result')).toBe('rw');
+    expect(accessOf('2004', 'cmi.interactions.x.result')).toBeNull();
+  });
+});
+
+describe('scormDataModel durations', () => {
+  test('parses and formats both versions', () => {
+    expect(parseDuration('1.2', '0001:30:05.25')).toBe(5405.25);
+    expect(parseDuration('2004', 'P1DT1H30M5S')).toBe(91805);
+    expect(parseDuration('2004', 'invalid')).toBe(0);
+    expect(formatDuration('1.2', 5405.25)).toBe('01:30:05.25');
+    expect(formatDuration('2004', 5405.25)).toBe('PT1H30M5.25S');
+  });
+});
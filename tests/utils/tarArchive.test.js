@@ -0,0 +1,55 @@
+const { createTarEntry, createTarEnd, parseTar } = require('../../src/utils/tarArchive');
+
+describe('tarArchive', () => {
+  test('round-trips files through an archive', () => {
+    const archive = Buffer.concat([
+      createTarEntry('manifest.json', '{"version":1}'),
+      createTarEntry('users.ndjson', Buffer.from('{"email":"jo@example.com"}\n')),
+      createTarEntry('empty.ndjson', ''),
+      createTarEnd()
+    ]);
+
+    const files = parseTar(archive);
+
+    expect([...files.keys()]).toEqual(['manifest.json', 'users.ndjson', 'empty.ndjson']);
+    expect(files.get('manifest.json').toString()).toBe('{"version":1}');
+    expect(files.get('users.ndjson').toString()).toBe('{"email":"jo@example.com"}\n');
+    expect(files.get('empty.ndjson').length).toBe(0);
+  });
+
+  test('pads every entry to whole blocks', () => {
+    expect(createTarEntry('a.txt', 'x').length).toBe(1024);
+    expect(createTarEntry('b.txt', Buffer.alloc(512)).length).toBe(1024);
+    expect(createTarEnd().length).toBe(1024);
+  });
+
+  test('writes a valid header checksum', () => {
+    const header = createTarEntry('a.txt', 'x').subarray(0, 512);
+    const stored = parseInt(header.toString('utf8', 148, 154), 8);
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+      sum += i >= 148 && i < 156 ? 32 : header[i];
+    }
+    expect(stored).toBe(sum);
+  });
+
+  test('rejects names longer than the header allows', () => {
+    expect(() => createTarEntry(`${'a'.repeat(101)}.txt`, 'x')).toThrow('Archive entry name too long');
+  });
+
+  test('rejects an entry whose content is cut short', () => {
+    const entry = createTarEntry('users.ndjson', 'x'.repeat(600));
+
+    expect(() => parseTar(entry.subarray(0, 800))).toThrow('Corrupt archive entry: users.ndjson');
+  });
+
+  test('skips entries that are not regular files', () => {
+    const directory = createTarEntry('data/', '');
+    directory.write('5', 156);
+
+    const files = parseTar(Buffer.concat([directory, createTarEntry('data/a.txt', 'a'), createTarEnd()]));
+
+    expect([...files.keys()]).toEqual(['data/a.txt']);
+  });
+});
@@ -0,0 +1,98 @@
+const zlib = require('zlib');
+const { parseZip } = require('../../src/utils/zipArchive');
+
+// Build an archive the way zip tools lay it out: local headers and data,
+// then the central directory and the end record. CRCs are not checked.
+const buildZip = (entries, { flags = 0 } = {}) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, content = '', deflate = false, size } of entries) {
+    const raw = Buffer.from(content);
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+    const nameBuffer = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size === undefined ? raw.length : size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    directory.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+describe('zipArchive.parseZip', () => {
+  test('reads stored and deflated entries and skips directories', () => {
+    const manifest = '<manifest identifier="course">'.repeat(20);
+    const files = parseZip(buildZip([
+      { name: 'imsmanifest.xml', content: manifest, deflate: true },
+      { name: 'content/' },
+      { name: 'content/index.html', content: '<html></html>' }
+    ]));
+
+    expect([...files.keys()]).toEqual(['imsmanifest.xml', 'content/index.html']);
+    expect(files.get('imsmanifest.xml').toString()).toBe(manifest);
+    expect(files.get('content/index.html').toString()).toBe('<html></html>');
+  });
+
+  test('rejects buffers that are not zip archives', () => {
+    expect(() => parseZip(Buffer.from('plain text, not an archive'))).toThrow('Not a zip archive');
+    expect(() => parseZip(Buffer.alloc(0))).toThrow('Not a zip archive');
+  });
+
+  test('rejects encrypted entries', () => {
+    expect(() => parseZip(buildZip([{ name: 'secret.txt', content: 'x' }], { flags: 0x1 })))
+      .toThrow('Encrypted archive entry: secret.txt');
+  });
+
+  test('enforces the entry and size limits', () => {
+    const archive = buildZip([{ name: 'a.txt', content: 'aaaa' }, { name: 'b.txt', content: 'bbbb' }]);
+
+    expect(() => parseZip(archive, { maxEntries: 1 })).toThrow('Archive has more than 1 entries');
+    expect(() => parseZip(archive, { maxTotalSize: 6 })).toThrow('Archive is too large once extracted');
+  });
+
+  test('stops inflating at the declared size', () => {
+    const archive = buildZip([{ name: 'bomb.txt', content: 'x'.repeat(1000), deflate: true, size: 10 }]);
+
+    expect(() => parseZip(archive)).toThrow(/larger than 10 bytes/);
+  });
+
+  test('rejects an entry shorter than its declared size', () => {
+    const archive = buildZip([{ name: 'a.txt', content: 'hello', size: 6 }]);
+
+    expect(() => parseZip(archive)).toThrow('Corrupt archive entry: a.txt');
+  });
+
+  test('rejects a truncated archive', () => {
+    const archive = buildZip([{ name: 'a.txt', content: 'hello' }]);
+    const truncated = Buffer.concat([archive.subarray(0, 20), archive.subarray(archive.length - 22)]);
+
+    expect(() => parseZip(truncated)).toThrow('Corrupt zip central directory');
+  });
+});